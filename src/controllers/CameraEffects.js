@@ -0,0 +1,337 @@
+/**
+ * CameraEffects - Layered camera effects on top of CameraRig
+ *
+ * Responsibilities:
+ * - Trauma-based shake (trauma decays over time; shake strength is trauma²)
+ * - Temporary FOV offsets (sprint, landings, anomaly "zoom") and dutch tilt, each a layer
+ *   with an attack / hold / release envelope
+ * - Named effects that game code triggers with play(name)
+ * - Spline camera rails for short cutscenes, handed back to the player through a CameraRig blend
+ * - Reduced motion: no shake or tilt, and FOV changes kept small
+ *
+ * Attach with cameraRig.effects = effects; the rig calls update(dt) before posing the
+ * camera and apply() after.
+ */
+
+import { Vector3, Quaternion, Euler, CatmullRomCurve3 } from 'three';
+import { clamp, smoothstep } from '../utils/math.js';
+
+/**
+ * @typedef {Object} CameraEffectDef
+ * @property {number} [trauma=0] - Shake trauma added when played (0-1)
+ * @property {number} [fov=0] - FOV offset in degrees at full strength
+ * @property {number} [tilt=0] - Dutch tilt (roll) in radians at full strength
+ * @property {number} [attack=0.1] - Seconds to reach full strength
+ * @property {number} [hold=0] - Seconds at full strength (Infinity holds until stopped)
+ * @property {number} [release=0.3] - Seconds to fade back out
+ */
+
+/**
+ * @typedef {Object} CameraEffectLayer
+ * @property {string} name
+ * @property {CameraEffectDef} def
+ * @property {number} time - Seconds since it started
+ * @property {number} strength - Current envelope value (0-1)
+ * @property {number|null} releaseStart - Time the release began (stop() or end of hold)
+ * @property {number} releaseFrom - Strength when the release began
+ */
+
+/**
+ * @typedef {Object} CameraRailDef
+ * @property {Vector3[]} points - Spline control points (at least two)
+ * @property {number} duration - Seconds from the first point to the last
+ * @property {Vector3|'path'|null} [lookAt=null] - Point to frame, 'path' to look ahead along
+ *   the rail, or null to track the player
+ * @property {number} [fov] - Field of view during the rail
+ * @property {number} [blendTime=1] - Blend in from, and back out to, the player camera
+ * @property {boolean} [lockInput=true] - Ignore movement input while it plays
+ */
+
+/** @type {Object<string, CameraEffectDef>} */
+export const CAMERA_EFFECTS = {
+  landing: { trauma: 0.2, fov: -2, attack: 0.05, release: 0.25 },
+  hardLanding: { trauma: 0.55, fov: -5, attack: 0.05, hold: 0.1, release: 0.5 },
+  sprint: { fov: 6, attack: 0.4, hold: Infinity, release: 0.5 },
+  bell: { trauma: 0.3, attack: 0.01, release: 0.2 },
+  dutch: { tilt: 0.12, attack: 0.8, hold: Infinity, release: 0.8 },
+  // Night anomalies: a slow push in with a slight lean, as if the town were leaning in to look
+  anomaly: { trauma: 0.1, fov: -12, tilt: 0.05, attack: 1.2, hold: 1.5, release: 1.5 },
+};
+
+const LOOK_AHEAD = 0.05; // Fraction of a rail to look ahead along with lookAt 'path'
+
+export class CameraEffects {
+  /**
+   * @param {import('./CameraRig.js').CameraRig} cameraRig
+   */
+  constructor(cameraRig) {
+    this.cameraRig = cameraRig;
+
+    /** @type {import('../physics/CharacterMotor.js').CharacterMotor|null} */
+    this.motor = null; // Player motor for sprint / landing effects and rail input locks (see attachMotor)
+
+    // Accessibility: no shake or tilt, FOV changes clamped to reducedMotionMaxFov
+    this.reducedMotion = false;
+    this.reducedMotionMaxFov = 3;
+
+    // Shake
+    this.trauma = 0;
+    this.traumaDecay = 1.2; // Per second
+    this.maxShakeOffset = 0.12; // Meters at full trauma
+    this.maxShakeAngle = 0.04; // Radians at full trauma
+    this.shakeFrequency = 14;
+
+    /** @type {Map<string, CameraEffectDef>} */
+    this.effects = new Map(Object.entries(CAMERA_EFFECTS));
+    /** @type {CameraEffectLayer[]} */
+    this.layers = [];
+
+    /** @type {Map<string, CameraRailDef>} */
+    this.rails = new Map();
+    this.rail = null; // { name, def, curve, entry, time }
+    this.onRailEnd = null; // (name) => void
+
+    // Combined output of the layers (read by CameraRig and apply())
+    this.fovOffset = 0;
+    this.tilt = 0;
+
+    this._time = 0;
+    this._unsubscribeLand = null;
+
+    // Pre-allocated temps to avoid per-frame GC pressure
+    this._tmpOffset = new Vector3();
+    this._tmpEuler = new Euler();
+    this._tmpQuaternion = new Quaternion();
+  }
+
+  /**
+   * Landing shakes and sprint FOV from a motor
+   * @param {import('../physics/CharacterMotor.js').CharacterMotor} motor
+   */
+  attachMotor(motor) {
+    this._unsubscribeLand?.();
+    this.motor = motor;
+    this._unsubscribeLand = motor.events.on('land', (landing) => {
+      this.play(landing.hard ? 'hardLanding' : 'landing');
+    });
+  }
+
+  /**
+   * Add or replace a named effect
+   * @param {string} name
+   * @param {CameraEffectDef} def
+   */
+  define(name, def) {
+    this.effects.set(name, { ...def });
+  }
+
+  /**
+   * Start a named effect
+   * @param {string} name
+   * @param {CameraEffectDef & { scale?: number }} [overrides] - Per-play tweaks; scale multiplies trauma, fov and tilt
+   * @returns {CameraEffectLayer}
+   */
+  play(name, overrides = {}) {
+    const base = this.effects.get(name);
+    if (!base) {
+      throw new Error(`[CameraEffects] Unknown effect: ${name}`);
+    }
+
+    const scale = overrides.scale ?? 1;
+    const def = { trauma: 0, fov: 0, tilt: 0, attack: 0.1, hold: 0, release: 0.3, ...base, ...overrides };
+    def.trauma *= scale;
+    def.fov *= scale;
+    def.tilt *= scale;
+
+    this.addTrauma(def.trauma);
+    const layer = { name, def, time: 0, strength: 0, releaseStart: null, releaseFrom: 0 };
+    this.layers.push(layer);
+    return layer;
+  }
+
+  /**
+   * Release a layer, or every layer of an effect, from wherever its envelope is
+   * @param {string|CameraEffectLayer} nameOrLayer
+   */
+  stop(nameOrLayer) {
+    for (const layer of this.layers) {
+      if ((layer === nameOrLayer || layer.name === nameOrLayer) && layer.releaseStart === null) {
+        layer.releaseStart = layer.time;
+        layer.releaseFrom = layer.strength;
+      }
+    }
+  }
+
+  /**
+   * Keep a held effect (hold: Infinity) running while a condition is true
+   */
+  setHeld(name, held) {
+    const running = this.isPlaying(name);
+    if (held && !running) this.play(name, { hold: Infinity });
+    if (!held && running) this.stop(name);
+  }
+
+  /**
+   * Whether an effect has a layer that hasn't started releasing
+   */
+  isPlaying(name) {
+    return this.layers.some((layer) => layer.name === name && layer.releaseStart === null);
+  }
+
+  /**
+   * Add shake (trauma is capped at 1)
+   */
+  addTrauma(amount) {
+    this.trauma = clamp(this.trauma + amount, 0, 1);
+  }
+
+  /**
+   * Add or replace a named rail
+   * @param {string} name
+   * @param {CameraRailDef} def
+   */
+  defineRail(name, def) {
+    if (!def.points || def.points.length < 2) {
+      throw new Error(`[CameraEffects] Rail ${name} needs at least two points`);
+    }
+    this.rails.set(name, {
+      lookAt: null, blendTime: 1, lockInput: true, ...def,
+      points: def.points.map((point) => new Vector3().copy(point)),
+    });
+  }
+
+  /**
+   * Play a rail cutscene (replaces one already playing)
+   */
+  playRail(name) {
+    const def = this.rails.get(name);
+    if (!def) {
+      throw new Error(`[CameraEffects] Unknown rail: ${name}`);
+    }
+    this.stopRail();
+
+    const curve = new CatmullRomCurve3(def.points);
+    const lookAt = def.lookAt === 'path' ? curve.getPointAt(LOOK_AHEAD) : def.lookAt;
+    const entry = this.cameraRig.pushMode('fixed', {
+      name: `rail_${name}`,
+      position: def.points[0],
+      lookAt,
+      fov: def.fov,
+      blendTime: def.blendTime,
+    });
+    this.rail = { name, def, curve, entry, time: 0 };
+
+    if (def.lockInput) this.motor?.lockControl(def.duration + def.blendTime);
+  }
+
+  /**
+   * End the current rail early; the rig blends back to the player
+   */
+  stopRail() {
+    if (!this.rail) return;
+    const { name, entry } = this.rail;
+    this.rail = null;
+    this.cameraRig.removeMode(entry);
+    this.onRailEnd?.(name);
+  }
+
+  isPlayingRail() {
+    return this.rail !== null;
+  }
+
+  /**
+   * Advance layers, shake and rails (CameraRig calls this before posing the camera)
+   * @param {number} dt
+   */
+  update(dt) {
+    this._time += dt;
+    this.trauma = Math.max(0, this.trauma - this.traumaDecay * dt);
+
+    if (this.motor) this.setHeld('sprint', this.motor.gait === 'sprint');
+
+    let fov = 0;
+    let tilt = 0;
+    for (let i = this.layers.length - 1; i >= 0; i--) {
+      const layer = this.layers[i];
+      layer.time += dt;
+      layer.strength = this._envelope(layer);
+      if (layer.strength <= 0 && layer.releaseStart !== null) {
+        this.layers.splice(i, 1);
+        continue;
+      }
+      fov += layer.def.fov * layer.strength;
+      tilt += layer.def.tilt * layer.strength;
+    }
+
+    if (this.reducedMotion) {
+      fov = clamp(fov, -this.reducedMotionMaxFov, this.reducedMotionMaxFov);
+      tilt = 0;
+    }
+    this.fovOffset = fov;
+    this.tilt = tilt;
+
+    this._updateRail(dt);
+  }
+
+  _envelope(layer) {
+    const { attack, hold, release } = layer.def;
+    if (layer.releaseStart === null && layer.time >= attack + hold) {
+      layer.releaseStart = attack + hold;
+      layer.releaseFrom = 1;
+    }
+    if (layer.releaseStart !== null) {
+      const t = release > 0 ? (layer.time - layer.releaseStart) / release : 1;
+      return layer.releaseFrom * (1 - clamp(t, 0, 1));
+    }
+    return attack > 0 ? clamp(layer.time / attack, 0, 1) : 1;
+  }
+
+  _updateRail(dt) {
+    const { rail } = this;
+    if (!rail) return;
+
+    rail.time += dt;
+    const t = clamp(rail.time / rail.def.duration, 0, 1);
+    const u = smoothstep(0, 1, t); // Ease in and out along the rail
+    rail.curve.getPointAt(u, rail.entry.position);
+    if (rail.def.lookAt === 'path') {
+      rail.curve.getPointAt(Math.min(u + LOOK_AHEAD, 1), rail.entry.lookAt);
+    }
+
+    if (t >= 1) this.stopRail();
+  }
+
+  /**
+   * Shake and tilt the posed camera (CameraRig calls this after posing it)
+   * @param {import('three').PerspectiveCamera} camera
+   */
+  apply(camera) {
+    const shake = this.reducedMotion ? 0 : this.trauma * this.trauma;
+    if (shake === 0 && this.tilt === 0) return;
+
+    const t = this._time * this.shakeFrequency;
+    if (shake > 0) {
+      const offset = this._tmpOffset.set(
+        this._noise(t, 0.0),
+        this._noise(t, 1.7),
+        0
+      ).multiplyScalar(this.maxShakeOffset * shake);
+      camera.position.add(offset.applyQuaternion(camera.quaternion));
+    }
+
+    const angle = this.maxShakeAngle * shake;
+    this._tmpEuler.set(
+      this._noise(t, 3.1) * angle,
+      this._noise(t, 4.6) * angle,
+      this._noise(t, 6.2) * angle + this.tilt
+    );
+    camera.quaternion.multiply(this._tmpQuaternion.setFromEuler(this._tmpEuler));
+  }
+
+  /**
+   * Smooth pseudo-noise in [-1, 1] (a few incommensurate sines per channel)
+   */
+  _noise(t, seed) {
+    return (Math.sin(t + seed * 12.9) + 0.6 * Math.sin(t * 2.17 + seed * 7.3) + 0.3 * Math.sin(t * 4.31 + seed * 3.1)) / 1.9;
+  }
+}
@@ -5,11 +5,62 @@
  * - Orbit around target (yaw/pitch)
  * - Shoulder offset for over-the-shoulder view
  * - Smooth follow
- * - Collision raycast to prevent clipping
+ * - Sphere-cast against Rapier colliders (by collision group) to keep the camera out of walls
+ * - Report when the camera dips below a water surface (underwater effects)
+ * - Fade meshes that come between the camera and the player, and restore them afterward
+ * - Zoom (mouse wheel), optional auto-recentre behind the player, soft lock-on to a point of interest
+ * - Host a CameraEffects stack (shake, FOV kicks, tilt, rails) on top of the posed camera
+ * - Mode stack: orbit / first-person base modes, with free-fly and fixed shots
+ *   pushed on top, and smooth blends whenever the active mode changes
+ *
+ * Modes: 'orbit' | 'firstPerson' | 'freeFly' | 'fixed'
+ */
+
+import { Vector3, Quaternion, Matrix4, MathUtils, Raycaster } from 'three';
+import { clamp, damp, dampAngle, smoothstep } from '../utils/math.js';
+
+export const CAMERA_MODES = ['orbit', 'firstPerson', 'freeFly', 'fixed'];
+
+const UP = new Vector3(0, 1, 0);
+
+/**
+ * Meshes under root that may fade when they hide the player (see CameraRig.setOccluders).
+ * Skips the excluded subtrees (the player's own visuals), hidden objects and subtrees (collider,
+ * climb and water proxies; raycasts would still hit them) and any object or subtree with
+ * userData.fadeOccluder === false.
+ * @param {import('three').Object3D} root
+ * @param {import('three').Object3D[]} [exclude]
+ * @returns {import('three').Mesh[]}
  */
+export function collectOccluders(root, exclude = []) {
+  const skip = new Set(exclude.filter(Boolean));
+  const meshes = [];
+  const visit = (object) => {
+    if (skip.has(object) || !object.visible || object.userData.fadeOccluder === false) return;
+    if (object.isMesh && object.geometry) meshes.push(object);
+    for (const child of object.children) visit(child);
+  };
+  visit(root);
+  return meshes;
+}
+
+function forEachMaterial(material, callback) {
+  if (Array.isArray(material)) {
+    material.forEach(callback);
+  } else {
+    callback(material);
+  }
+}
 
-import { Vector3, Raycaster } from 'three';
-import { clamp, damp } from '../utils/math.js';
+/**
+ * @typedef {Object} CameraModeEntry
+ * @property {'orbit'|'firstPerson'|'freeFly'|'fixed'} mode
+ * @property {string|null} name - Fixed shots: the shot name
+ * @property {Vector3|null} position - Fixed shots: camera position
+ * @property {Vector3|null} lookAt - Fixed shots: point to frame (null tracks the player)
+ * @property {number|null} fov - Field of view while active (null keeps the rig's)
+ * @property {number|null} blendTime - Seconds to blend in and back out (null uses the rig's blendTime, 0 cuts)
+ */
 
 export class CameraRig {
   constructor(camera) {
@@ -39,17 +90,90 @@ export class CameraRig {
     this.positionSharpness = 12.0;
     this.rotationSharpness = 15.0;
 
-    // Collision
+    // Collision: a sphere swept from the pivot towards the camera through the physics
+    // world (set externally). Only static geometry and platforms block it, so invisible
+    // COLLIDER_ shapes count while the player and loose props don't.
+    this.physics = null;
     this.collisionEnabled = true;
-    this.collisionOffset = 0.2; // Pull camera forward by this amount when colliding
+    this.collisionGroups = ['GROUND', 'PLATFORM'];
+    this.collisionRadius = 0.2; // Never smaller than the near plane (see _getCollisionRadius)
+    this.collisionOffset = 0.1; // Extra pull-in beyond the sphere when colliding
+
+    // First person: eye above the capsule center, a little forward of the face
+    this.eyeHeight = 0.65;
+    this.eyeForwardOffset = 0.15;
+    this.firstPersonMinPitch = -1.4;
+    this.firstPersonMaxPitch = 1.4;
+
+    // Free-fly (debug): detached from the player
+    this.freeFlySpeed = 8.0;
+    this.freeFlyFastMultiplier = 3.0;
+    this.freeFly = { position: new Vector3(), yaw: 0, pitch: 0 };
+    this._freeFlyInput = { x: 0, y: 0, z: 0, fast: false };
+
+    // Mode stack: the bottom entry is the base mode, the top one is active
+    /** @type {CameraModeEntry[]} */
+    this._modeStack = [this._createEntry('orbit')];
+    this._activeEntry = this._modeStack[0];
+    this.modeChanges = 0; // Bumped on every active mode change (cuts and blends)
+    this.onModeChange = null; // (mode, previousMode, entry) => void
+
+    // Blending between modes
+    this.blendTime = 0.6;
+    this.fov = camera.fov;
+    this._blend = { active: false, time: 0, duration: 0, fromFov: 0 };
+    this._blendFromPosition = new Vector3();
+    this._blendFromQuaternion = new Quaternion();
+
+    // Movement yaw of the active mode (fixed shots use their view direction)
+    this._modeYaw = 0;
+
+    // Zoom (mouse wheel / gamepad): scales distance between minDistance and maxDistance
+    this.zoomEnabled = true;
+
+    // Auto-recentre behind the player (optional): once look and move input have been idle for
+    // autoRecenterDelay, or while sprinting forward
+    this.autoRecenterEnabled = false;
+    this.autoRecenterDelay = 3.0;
+    this.autoRecenterRunDelay = 0.5; // Look idle time before recentring while sprinting
+    this.autoRecenterSharpness = 2.0;
+    this.autoRecenterPitch = 0.3;
+
+    // Soft lock-on: swing round to frame a point of interest (setLockOnTarget) while the
+    // player stands still; looking around overrides it for lockOnResumeDelay seconds
+    this.lockOnEnabled = true;
+    this.lockOnSharpness = 3.0;
+    this.lockOnResumeDelay = 1.0;
+    this.lockOnTarget = null;
+    this._lockOnPoint = new Vector3();
+
+    // Player state for the assists (see setPlayerHeading)
+    this._heading = { yaw: 0, idle: true, running: false };
+    this._lookIdleTime = 0;
+
+    // Occluder fading: meshes hiding the player fade to occluderOpacity (orbit and fixed shots)
+    this.occluderFadeEnabled = true;
+    this.occluderOpacity = 0.3;
+    this.occluderFadeSharpness = 10.0;
+    this._occluders = [];
+    this._fadedOccluders = new Map(); // mesh -> { original, faded, baseOpacities, opacity }
+    this._occludingNow = new Set();
+    this._occluderHits = [];
+    this._raycaster = new Raycaster();
+
+    // Effects stack (set externally, see CameraEffects)
+    this.effects = null;
+
+    // Water level provider (set externally, see WaterSystem)
+    this.waterQuery = null;
+    this.isUnderwater = false;
+    this.onUnderwaterChange = null; // (underwater) => void
 
     // Internal state
     this._currentDistance = this.distance;
     this._smoothedPosition = new Vector3();
-    this._raycaster = new Raycaster();
-
-    // Collision layers (set this to your collision objects)
-    this._collisionObjects = [];
+    this._collisionShape = { type: 'sphere', radius: this.collisionRadius };
+    this._collisionQuery = { groups: this.collisionGroups };
 
     // Pre-allocated temp vectors to avoid per-frame GC pressure
     this._tmpPivot = new Vector3();
@@ -60,6 +184,12 @@ export class CameraRig {
     this._tmpTargetPos = new Vector3();
     this._tmpLookTarget = new Vector3();
     this._tmpDirection = new Vector3();
+    this._tmpPosePosition = new Vector3();
+    this._tmpPoseQuaternion = new Quaternion();
+    this._tmpMatrix = new Matrix4();
+    this._tmpMove = new Vector3();
+    this._fixedLookTarget = new Vector3();
+    this._tmpOccluderPoint = new Vector3();
   }
 
   /**
@@ -76,17 +206,343 @@ export class CameraRig {
    * @param {number} deltaY - Pitch change
    */
   applyInput(deltaX, deltaY) {
+    if (deltaX !== 0 || deltaY !== 0) this._lookIdleTime = 0;
+
+    const { mode } = this._activeEntry;
+    if (mode === 'fixed') return; // Fixed shots frame themselves
+
+    if (mode === 'freeFly') {
+      this.freeFly.yaw -= deltaX;
+      this.freeFly.pitch = clamp(this.freeFly.pitch + deltaY, this.firstPersonMinPitch, this.firstPersonMaxPitch);
+      return;
+    }
+
     this.yaw -= deltaX;
     this.pitch += deltaY;
-    this.pitch = clamp(this.pitch, this.minPitch, this.maxPitch);
+    this._clampPitch();
+  }
+
+  _clampPitch() {
+    const firstPerson = this._modeStack[0].mode === 'firstPerson';
+    this.pitch = clamp(
+      this.pitch,
+      firstPerson ? this.firstPersonMinPitch : this.minPitch,
+      firstPerson ? this.firstPersonMaxPitch : this.maxPitch
+    );
+  }
+
+  /**
+   * Free-fly movement for the next updates
+   * @param {{ x: number, z: number }} move - Screen-relative (x right, z back), like InputManager
+   * @param {number} vertical - Up (1) / down (-1)
+   * @param {boolean} fast
+   */
+  setFreeFlyInput(move, vertical = 0, fast = false) {
+    this._freeFlyInput.x = move.x;
+    this._freeFlyInput.z = move.z;
+    this._freeFlyInput.y = vertical;
+    this._freeFlyInput.fast = fast;
+  }
+
+  /**
+   * Zoom the orbit camera in or out
+   * @param {number} delta - Positive zooms out; 0.1 is about 10% of the current distance
+   */
+  applyZoom(delta) {
+    if (!this.zoomEnabled || delta === 0 || this._activeEntry.mode !== 'orbit') return;
+    this.distance = clamp(this.distance * Math.exp(delta), this.minDistance, this.maxDistance);
+  }
+
+  /**
+   * Where the player faces and what they're doing, for auto-recentre and lock-on (call every frame)
+   * @param {number} yaw - Facing yaw (same convention as the camera yaw)
+   * @param {boolean} idle - No movement input
+   * @param {boolean} running - Sprinting forward
+   */
+  setPlayerHeading(yaw, idle, running) {
+    this._heading.yaw = yaw;
+    this._heading.idle = idle;
+    this._heading.running = running;
+  }
+
+  /**
+   * Softly frame a point of interest (an interactable, an NPC in conversation); null releases it
+   * @param {{ x: number, y: number, z: number }|null} position
+   */
+  setLockOnTarget(position) {
+    this.lockOnTarget = position ? this._lockOnPoint.copy(position) : null;
+  }
+
+  /**
+   * Soft lock-on, then auto-recentre: steer the orbit while the player isn't looking around
+   */
+  _updateAssists(dt) {
+    const heading = this._heading;
+
+    if (this.lockOnEnabled && this.lockOnTarget) {
+      if (heading.idle && this._lookIdleTime >= this.lockOnResumeDelay) {
+        const dx = this.lockOnTarget.x - this.target.x;
+        const dz = this.lockOnTarget.z - this.target.z;
+        if (dx * dx + dz * dz > 0.01) {
+          this.yaw = dampAngle(this.yaw, Math.atan2(dx, dz), this.lockOnSharpness, dt);
+        }
+      }
+      return;
+    }
+
+    if (!this.autoRecenterEnabled) return;
+    const idle = heading.idle && this._lookIdleTime >= this.autoRecenterDelay;
+    const running = heading.running && this._lookIdleTime >= this.autoRecenterRunDelay;
+    if (!idle && !running) return;
+
+    this.yaw = dampAngle(this.yaw, heading.yaw, this.autoRecenterSharpness, dt);
+    if (idle) {
+      this.pitch = damp(this.pitch, this.autoRecenterPitch, this.autoRecenterSharpness, dt);
+    }
+  }
+
+  // --- Mode stack ---
+
+  _createEntry(mode, options = {}) {
+    if (!CAMERA_MODES.includes(mode)) {
+      throw new Error(`[CameraRig] Unknown camera mode: ${mode}`);
+    }
+    return {
+      mode,
+      name: options.name ?? null,
+      position: options.position ? new Vector3().copy(options.position) : null,
+      lookAt: options.lookAt ? new Vector3().copy(options.lookAt) : null,
+      fov: options.fov ?? null,
+      blendTime: options.blendTime ?? null,
+    };
+  }
+
+  /**
+   * Switch the base mode under any pushed modes
+   * @param {'orbit'|'firstPerson'} mode
+   */
+  setBaseMode(mode) {
+    if (mode !== 'orbit' && mode !== 'firstPerson') {
+      throw new Error(`[CameraRig] Base mode must be orbit or firstPerson, not ${mode}`);
+    }
+    if (this._modeStack[0].mode === mode) return;
+    this._modeStack[0] = this._createEntry(mode);
+    this._clampPitch();
+  }
+
+  /**
+   * Active mode on top of the stack until removed
+   * @param {'freeFly'|'fixed'} mode
+   * @param {Object} [options] - name, position, lookAt, fov, blendTime (see CameraModeEntry)
+   * @returns {CameraModeEntry} - Handle for removeMode
+   */
+  pushMode(mode, options = {}) {
+    if (mode === 'fixed' && !options.position) {
+      throw new Error('[CameraRig] Fixed shots need a position');
+    }
+    const entry = this._createEntry(mode, options);
+    this._modeStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Remove a pushed mode (from anywhere in the stack)
+   */
+  removeMode(entry) {
+    const index = this._modeStack.indexOf(entry);
+    if (index > 0) this._modeStack.splice(index, 1);
+  }
+
+  /**
+   * Active mode name
+   */
+  getMode() {
+    return this._modeStack[this._modeStack.length - 1].mode;
+  }
+
+  /**
+   * Active mode entry (fixed shots carry their name)
+   * @returns {CameraModeEntry}
+   */
+  getActiveEntry() {
+    return this._modeStack[this._modeStack.length - 1];
+  }
+
+  getBaseMode() {
+    return this._modeStack[0].mode;
+  }
+
+  /**
+   * Whether a blend between modes is in progress
+   */
+  isBlending() {
+    return this._blend.active;
+  }
+
+  _updateActiveEntry() {
+    const entry = this.getActiveEntry();
+    if (entry === this._activeEntry) return;
+
+    const previous = this._activeEntry;
+    this._activeEntry = entry;
+    this.modeChanges += 1;
+
+    // Blend from wherever the camera is now; a removed mode blends back out at its own rate
+    const removed = !this._modeStack.includes(previous);
+    const duration = entry.blendTime ?? (removed ? previous.blendTime : null) ?? this.blendTime;
+    this._blend.active = duration > 0;
+    this._blend.time = 0;
+    this._blend.duration = duration;
+    this._blend.fromFov = this.camera.fov;
+    this._blendFromPosition.copy(this.camera.position);
+    this._blendFromQuaternion.copy(this.camera.quaternion);
+
+    if (entry.mode === 'orbit') {
+      this.resetPosition();
+    } else if (entry.mode === 'freeFly') {
+      this._startFreeFly();
+    } else if (entry.mode === 'fixed') {
+      this._fixedLookTarget.set(this.target.x, this.target.y + this.lookAtHeight, this.target.z);
+    }
+
+    this.onModeChange?.(entry.mode, previous.mode, entry);
   }
 
   /**
    * Update camera position and orientation
    * @param {number} dt - Delta time
-   * @param {THREE.Scene} scene - Scene for collision raycast (optional)
    */
-  update(dt, scene = null) {
+  update(dt) {
+    this.effects?.update(dt);
+    this._updateActiveEntry();
+    this._lookIdleTime += dt;
+
+    const position = this._tmpPosePosition;
+    const quaternion = this._tmpPoseQuaternion;
+    const entry = this._activeEntry;
+    switch (entry.mode) {
+      case 'firstPerson':
+        this._updateFirstPerson(position, quaternion);
+        break;
+      case 'freeFly':
+        this._updateFreeFly(dt, position, quaternion);
+        break;
+      case 'fixed':
+        this._updateFixed(dt, entry, position, quaternion);
+        break;
+      default:
+        this._updateAssists(dt);
+        this._updateOrbit(dt, position, quaternion);
+        break;
+    }
+
+    this._applyPose(dt, position, quaternion, (entry.fov ?? this.fov) + (this.effects?.fovOffset ?? 0));
+    this._updateOccluders(dt);
+    this.effects?.apply(this.camera);
+    this._updateUnderwater();
+  }
+
+  /**
+   * Move the camera to a mode's pose, through the blend if one is running
+   */
+  _applyPose(dt, position, quaternion, fov) {
+    const blend = this._blend;
+    if (blend.active) {
+      blend.time += dt;
+      const t = smoothstep(0, 1, blend.time / blend.duration);
+      this.camera.position.lerpVectors(this._blendFromPosition, position, t);
+      this.camera.quaternion.slerpQuaternions(this._blendFromQuaternion, quaternion, t);
+      fov = blend.fromFov + (fov - blend.fromFov) * t;
+      if (blend.time >= blend.duration) blend.active = false;
+    } else {
+      this.camera.position.copy(position);
+      this.camera.quaternion.copy(quaternion);
+    }
+
+    if (this.camera.fov !== fov) {
+      this.camera.fov = fov;
+      this.camera.updateProjectionMatrix();
+    }
+  }
+
+  /**
+   * Rotation that looks from eye to target
+   */
+  _lookRotation(eye, target, out) {
+    this._tmpMatrix.lookAt(eye, target, UP);
+    return out.setFromRotationMatrix(this._tmpMatrix);
+  }
+
+  _updateFirstPerson(position, quaternion) {
+    const look = this._tmpForward.set(
+      Math.sin(this.yaw) * Math.cos(this.pitch),
+      Math.sin(this.pitch),
+      Math.cos(this.yaw) * Math.cos(this.pitch)
+    );
+
+    position.set(
+      this.target.x + Math.sin(this.yaw) * this.eyeForwardOffset,
+      this.target.y + this.eyeHeight,
+      this.target.z + Math.cos(this.yaw) * this.eyeForwardOffset
+    );
+    this._lookRotation(position, this._tmpLookTarget.copy(position).add(look), quaternion);
+    this._modeYaw = this.yaw;
+  }
+
+  _startFreeFly() {
+    const { freeFly } = this;
+    freeFly.position.copy(this.camera.position);
+    const look = this._tmpDirection.set(0, 0, -1).applyQuaternion(this.camera.quaternion);
+    freeFly.yaw = Math.atan2(look.x, look.z);
+    freeFly.pitch = Math.asin(clamp(look.y, -1, 1));
+  }
+
+  _updateFreeFly(dt, position, quaternion) {
+    const { freeFly } = this;
+    const input = this._freeFlyInput;
+
+    const look = this._tmpForward.set(
+      Math.sin(freeFly.yaw) * Math.cos(freeFly.pitch),
+      Math.sin(freeFly.pitch),
+      Math.cos(freeFly.yaw) * Math.cos(freeFly.pitch)
+    );
+    const right = this._tmpRight.set(-Math.cos(freeFly.yaw), 0, Math.sin(freeFly.yaw));
+
+    const speed = this.freeFlySpeed * (input.fast ? this.freeFlyFastMultiplier : 1);
+    const move = this._tmpMove.set(0, 0, 0)
+      .addScaledVector(look, -input.z)
+      .addScaledVector(right, input.x)
+      .addScaledVector(UP, input.y);
+    if (move.lengthSq() > 1) move.normalize();
+    freeFly.position.addScaledVector(move, speed * dt);
+
+    position.copy(freeFly.position);
+    this._lookRotation(position, this._tmpLookTarget.copy(position).add(look), quaternion);
+    this._modeYaw = this.yaw;
+  }
+
+  _updateFixed(dt, entry, position, quaternion) {
+    position.copy(entry.position);
+
+    // Track the player (smoothed), or hold a fixed framing
+    const lookTarget = this._fixedLookTarget;
+    if (entry.lookAt) {
+      lookTarget.copy(entry.lookAt);
+    } else {
+      lookTarget.x = damp(lookTarget.x, this.target.x, this.rotationSharpness, dt);
+      lookTarget.y = damp(lookTarget.y, this.target.y + this.lookAtHeight, this.rotationSharpness, dt);
+      lookTarget.z = damp(lookTarget.z, this.target.z, this.rotationSharpness, dt);
+    }
+    this._lookRotation(position, lookTarget, quaternion);
+
+    // Move relative to the view direction across the ground
+    const view = this._tmpDirection.subVectors(lookTarget, position);
+    if (view.x * view.x + view.z * view.z > 0.0001) {
+      this._modeYaw = Math.atan2(view.x, view.z);
+    }
+  }
+
+  _updateOrbit(dt, position, quaternion) {
     // Calculate pivot point (above target)
     const pivot = this._tmpPivot.set(
       this.target.x,
@@ -113,8 +569,8 @@ export class CameraRig {
     desiredPos.addScaledVector(right, this.shoulderOffset);
 
     // Collision check
-    if (this.collisionEnabled && scene) {
-      desiredDistance = this._checkCollision(pivot, desiredPos, scene);
+    if (this.collisionEnabled && this.physics) {
+      desiredDistance = this._checkCollision(pivot, desiredPos);
     }
 
     // Smooth distance
@@ -130,7 +586,7 @@ export class CameraRig {
     this._smoothedPosition.y = damp(this._smoothedPosition.y, targetPos.y, this.positionSharpness, dt);
     this._smoothedPosition.z = damp(this._smoothedPosition.z, targetPos.z, this.positionSharpness, dt);
 
-    this.camera.position.copy(this._smoothedPosition);
+    position.copy(this._smoothedPosition);
 
     // Look at target (offset by lookAtHeight)
     const lookTarget = this._tmpLookTarget.set(
@@ -138,67 +594,154 @@ export class CameraRig {
       this.target.y + this.lookAtHeight,
       this.target.z
     );
-    this.camera.lookAt(lookTarget);
+    this._lookRotation(position, lookTarget, quaternion);
+    this._modeYaw = this.yaw;
   }
 
   /**
-   * Check collision between pivot and desired camera position
-   * @returns {number} - Safe distance
+   * Meshes that may fade when they hide the player (see collectOccluders).
+   * Call again when scene geometry changes.
+   * @param {import('three').Mesh[]} meshes
    */
-  _checkCollision(pivot, desiredPos, scene) {
-    // Cast ray from pivot toward camera
-    const direction = this._tmpDirection.subVectors(desiredPos, pivot).normalize();
-    const maxDistance = pivot.distanceTo(desiredPos);
+  setOccluders(meshes) {
+    this._occluders = meshes;
+  }
 
-    this._raycaster.set(pivot, direction);
-    this._raycaster.far = maxDistance;
+  /**
+   * Whether a mesh is currently faded (or fading back in)
+   */
+  isOccluderFaded(mesh) {
+    return this._fadedOccluders.has(mesh);
+  }
 
-    // Use cached collision objects (set via setCollisionObjects)
-    const collisionTargets = this._collisionObjects.length > 0
-      ? this._collisionObjects
-      : this._getCollisionMeshes(scene);
+  /**
+   * Fade meshes between the camera and the player; bring back the ones that no longer are
+   */
+  _updateOccluders(dt) {
+    const occluding = this._occludingNow;
+    occluding.clear();
+
+    const { mode } = this._activeEntry;
+    if (this.occluderFadeEnabled && (mode === 'orbit' || mode === 'fixed')) {
+      // Rays to the body center and the head
+      this._findOccluders(0, occluding);
+      this._findOccluders(this.eyeHeight, occluding);
+    }
 
-    const intersects = this._raycaster.intersectObjects(collisionTargets, false);
+    for (const mesh of occluding) {
+      if (!this._fadedOccluders.has(mesh)) this._startFade(mesh);
+    }
 
-    if (intersects.length > 0) {
-      // Found collision - pull camera forward
-      const hitDistance = intersects[0].distance - this.collisionOffset;
-      return Math.max(this.minDistance, hitDistance);
+    for (const [mesh, fade] of this._fadedOccluders) {
+      const goal = occluding.has(mesh) ? this.occluderOpacity : 1;
+      fade.opacity = damp(fade.opacity, goal, this.occluderFadeSharpness, dt);
+      if (goal === 1 && fade.opacity > 0.99) {
+        this._endFade(mesh, fade);
+        continue;
+      }
+
+      let i = 0;
+      forEachMaterial(fade.faded, (material) => {
+        material.opacity = fade.baseOpacities[i++] * fade.opacity;
+      });
     }
+  }
 
-    return this.distance;
+  _findOccluders(height, out) {
+    const point = this._tmpOccluderPoint.set(this.target.x, this.target.y + height, this.target.z);
+    const direction = this._tmpDirection.subVectors(point, this.camera.position);
+    const distance = direction.length();
+    if (distance < 0.001) return;
+
+    this._raycaster.set(this.camera.position, direction.divideScalar(distance));
+    this._raycaster.far = distance;
+
+    const hits = this._raycaster.intersectObjects(this._occluders, false, this._occluderHits);
+    for (const hit of hits) {
+      if (hit.object.userData.fadeOccluder !== false) out.add(hit.object);
+    }
+    hits.length = 0;
   }
 
   /**
-   * Get meshes that should block camera (exclude debug, particles, etc.)
-   * Fallback when collision objects haven't been explicitly cached.
+   * Swap in see-through copies of a mesh's materials (shared materials stay untouched)
    */
-  _getCollisionMeshes(scene) {
-    const meshes = [];
-    scene.traverse((obj) => {
-      if (obj.isMesh &&
-          obj.visible &&
-          !obj.name.includes('debug') &&
-          !obj.name.includes('particle') &&
-          obj.geometry) {
-        meshes.push(obj);
-      }
-    });
-    return meshes;
+  _startFade(mesh) {
+    const original = mesh.material;
+    const baseOpacities = [];
+    const makeFaded = (material) => {
+      baseOpacities.push(material.opacity);
+      const faded = material.clone();
+      faded.transparent = true;
+      faded.depthWrite = false;
+      return faded;
+    };
+    const faded = Array.isArray(original) ? original.map(makeFaded) : makeFaded(original);
+
+    mesh.material = faded;
+    this._fadedOccluders.set(mesh, { original, faded, baseOpacities, opacity: 1 });
+  }
+
+  _endFade(mesh, fade) {
+    mesh.material = fade.original;
+    forEachMaterial(fade.faded, (material) => material.dispose());
+    this._fadedOccluders.delete(mesh);
+  }
+
+  /**
+   * Water surface height over the camera, or null when not over water
+   * @returns {number|null}
+   */
+  getWaterLevel() {
+    return this.waterQuery?.getWaterLevel(this.camera.position) ?? null;
+  }
+
+  _updateUnderwater() {
+    const level = this.getWaterLevel();
+    const underwater = level !== null && this.camera.position.y < level;
+    if (underwater === this.isUnderwater) return;
+    this.isUnderwater = underwater;
+    this.onUnderwaterChange?.(underwater);
+  }
+
+  /**
+   * Sweep a sphere from the pivot toward the desired camera position
+   * @returns {number} - Safe distance
+   */
+  _checkCollision(pivot, desiredPos) {
+    const direction = this._tmpDirection.subVectors(desiredPos, pivot);
+    const maxDistance = direction.length();
+
+    this._collisionShape.radius = this._getCollisionRadius();
+    this._collisionQuery.groups = this.collisionGroups;
+    const hit = this.physics.shapeCast(
+      this._collisionShape, pivot, null, direction, maxDistance, this._collisionQuery
+    );
+
+    if (hit) {
+      // Found collision - pull camera forward
+      const hitDistance = hit.distance - this.collisionOffset;
+      return Math.max(this.minDistance, hitDistance);
+    }
+
+    return this.distance;
   }
 
   /**
-   * Set objects for collision (call once after scene setup, and whenever scene geometry changes)
+   * Sphere radius that also covers the near plane's corners, so walls never slice the view
    */
-  setCollisionObjects(objects) {
-    this._collisionObjects = objects;
+  _getCollisionRadius() {
+    const { near, fov, aspect } = this.camera;
+    const halfHeight = near * Math.tan(MathUtils.degToRad(fov) / 2);
+    const nearCorner = Math.hypot(near, halfHeight, halfHeight * aspect);
+    return Math.max(this.collisionRadius, nearCorner);
   }
 
   /**
-   * Get yaw for character movement
+   * Get yaw for character movement (fixed shots: the shot's view direction)
    */
   getYaw() {
-    return this.yaw;
+    return this._activeEntry.mode === 'fixed' ? this._modeYaw : this.yaw;
   }
 
   /**
@@ -0,0 +1,136 @@
+/**
+ * CameraShotSystem - Fixed "security camera" shots bound to trigger zones
+ *
+ * Responsibilities:
+ * - Register shots: a camera position, what it frames, and the zone that triggers it
+ * - Push the shot onto the CameraRig mode stack while the player is inside its zone
+ * - Pop it again on leaving (the rig blends or cuts back)
+ *
+ * When zones overlap, the most recently entered shot wins.
+ * Call update() once per fixed step.
+ */
+
+import { Vector3 } from 'three';
+
+/**
+ * @typedef {Object} CameraShot
+ * @property {string} name
+ * @property {Object} trigger - PhysicsWorld trigger for the zone
+ * @property {Object} options - CameraRig.pushMode('fixed') options
+ * @property {import('./CameraRig.js').CameraModeEntry|null} entry - Mode stack entry while active
+ */
+
+export class CameraShotSystem {
+  /**
+   * @param {import('../core/PhysicsWorld.js').PhysicsWorld} physicsWorld
+   * @param {import('./CameraRig.js').CameraRig} cameraRig
+   */
+  constructor(physicsWorld, cameraRig) {
+    this.physics = physicsWorld;
+    this.cameraRig = cameraRig;
+
+    /** @type {import('../physics/CharacterMotor.js').CharacterMotor|null} */
+    this.motor = null; // Character that triggers the shots (set externally)
+
+    // Turn every shot off (e.g. while the debug free-fly camera is in use)
+    this.enabled = true;
+
+    /** @type {CameraShot[]} */
+    this.shots = [];
+
+    this.onShotChange = null; // (shot | null) => void
+  }
+
+  /**
+   * Register a fixed shot
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {Vector3} options.position - Camera position
+   * @param {Vector3|null} [options.lookAt=null] - Point to frame (null tracks the player)
+   * @param {number|null} [options.fov=null] - Field of view during the shot
+   * @param {number|null} [options.blendTime=null] - Blend in/out seconds (null uses the rig's, 0 cuts)
+   * @param {Object} options.zone - Trigger volume: { position, halfExtents, rotation? }
+   * @returns {CameraShot}
+   */
+  addShot({ name, position, lookAt = null, fov = null, blendTime = null, zone }) {
+    if (this.getShot(name)) {
+      throw new Error(`[CameraShotSystem] Duplicate shot: ${name}`);
+    }
+
+    const trigger = this.physics.createBoxTrigger(zone.position, zone.halfExtents, {
+      name: `shot_${name}`,
+      rotation: zone.rotation ?? null,
+      filter: this.physics.GROUPS.PLAYER,
+    });
+
+    const shot = {
+      name,
+      trigger,
+      options: {
+        name,
+        position: new Vector3().copy(position),
+        lookAt: lookAt ? new Vector3().copy(lookAt) : null,
+        fov,
+        blendTime,
+      },
+      entry: null,
+    };
+    trigger.userData = { cameraShot: shot };
+
+    this.shots.push(shot);
+    return shot;
+  }
+
+  /**
+   * Remove a shot, its trigger and its camera mode
+   */
+  removeShot(shot) {
+    const index = this.shots.indexOf(shot);
+    if (index === -1) return;
+    this.shots.splice(index, 1);
+    this._leave(shot);
+    this.physics.removeTrigger(shot.trigger);
+  }
+
+  /**
+   * Look up a shot by name
+   * @returns {CameraShot|null}
+   */
+  getShot(name) {
+    return this.shots.find((shot) => shot.name === name) ?? null;
+  }
+
+  /**
+   * Shot currently framing the player, if any
+   * @returns {CameraShot|null}
+   */
+  getActiveShot() {
+    const entry = this.cameraRig.getActiveEntry();
+    return this.shots.find((shot) => shot.entry === entry) ?? null;
+  }
+
+  /**
+   * Push / pop shots as the player enters and leaves their zones
+   */
+  update() {
+    const handle = this.motor?.collider?.handle;
+    if (handle === undefined) return;
+
+    for (const shot of this.shots) {
+      const inside = this.enabled && shot.trigger.overlaps.has(handle);
+      if (inside && !shot.entry) {
+        shot.entry = this.cameraRig.pushMode('fixed', shot.options);
+        this.onShotChange?.(shot);
+      } else if (!inside && shot.entry) {
+        this._leave(shot);
+        this.onShotChange?.(this.getActiveShot());
+      }
+    }
+  }
+
+  _leave(shot) {
+    if (!shot.entry) return;
+    this.cameraRig.removeMode(shot.entry);
+    shot.entry = null;
+  }
+}
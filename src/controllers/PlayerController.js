@@ -6,8 +6,19 @@
  * - Connect CharacterMotor -> VisualRig
  * - Connect InputManager -> CameraRig
  * - Handle possession (swap visual rig)
+ * - Keep movement camera-relative across camera modes (see CameraRig): hold the
+ *   old direction through cuts, hide the head in first person, and steer the
+ *   free-fly camera instead of the player
  */
 
+import { Vector3 } from 'three';
+
+// Held keys while the free-fly camera has the keyboard
+const IDLE_KEYS = Object.freeze({
+  forward: false, backward: false, left: false, right: false,
+  jump: false, sprint: false, walk: false, crouch: false,
+});
+
 export class PlayerController {
   /**
    * @param {import('../core/InputManager.js').InputManager} input
@@ -29,38 +40,74 @@ export class PlayerController {
     this.jumpCooldown = 0;
     this.maxAirJumps = 1;
     this.airJumpsRemaining = this.maxAirJumps;
+
+    // Most recent landing reported by the motor (debug HUD)
+    this.lastLanding = null;
+    motor.events.on('land', (landing) => {
+      this.lastLanding = landing;
+    });
+
+    // Movement basis: kept from before a camera change until the stick is released,
+    // so a cut to a new shot doesn't turn held input around
+    this._movementYaw = cameraRig.getYaw();
+    this._seenCameraChanges = cameraRig.modeChanges;
+    this._holdMovementYaw = false;
+
+    // Idle input handed to the motor while the free-fly camera has the keys
+    this._noInput = { x: 0, z: 0 };
+
+    // Pre-allocated temp vectors to avoid per-frame GC pressure
+    this._tmpVisualPosition = new Vector3();
   }
 
   /**
-   * Update player systems
-   * @param {number} dt - Delta time
+   * Fixed-step update: drives the motor in lockstep with the physics world
+   * @param {number} dt - Fixed delta time
    */
-  update(dt) {
-    // --- Input -> Camera ---
-    const mouseDelta = this.input.consumeMouseDelta();
-    this.cameraRig.applyInput(mouseDelta.x, mouseDelta.y);
-
+  fixedUpdate(dt) {
     // --- Platform velocity ---
     if (this.platformCarrier && this.motor.collider) {
       const charPos = this.motor.getPosition();
-      const platformVel = this.platformCarrier.getPlatformVelocity(null, charPos);
+      const groundCollider = this.motor.getGroundCollider();
+      const platformVel = this.platformCarrier.getPlatformVelocity(groundCollider, charPos);
       this.motor.setPlatformVelocity(platformVel);
     }
 
-    // --- Input -> Motor ---
-    const moveInput = this.input.getMovementInput();
+    // --- Input -> Motor (the free-fly camera takes the movement keys) ---
+    const freeFly = this.cameraRig.getMode() === 'freeFly';
+    const moveInput = freeFly ? this._noInput : this.input.getMovementInput();
     moveInput.x *= -1; // Fix inverted left/right controls
-    const cameraYaw = this.cameraRig.getYaw();
+    const cameraYaw = this._updateMovementYaw(moveInput);
+
+    const keys = freeFly ? IDLE_KEYS : this.input.keys;
+    const jumpRequested = keys.jump && this.jumpCooldown <= 0 && !this.motor.isControlLocked();
+
+    // --- Hanging / climbing: jump pulls up or leaps off, crouch lets go ---
+    const traversal = this.motor.getTraversalState();
+    if (traversal === 'hang' || traversal === 'climb') {
+      this.airJumpsRemaining = this.maxAirJumps;
+      this.motor.setTraversalInput({ jump: jumpRequested, drop: keys.crouch });
+      if (jumpRequested) this.jumpCooldown = 0.2;
+    }
 
+    // --- Swimming: jump rises, crouch dives ---
+    if (traversal === 'swim') {
+      this.airJumpsRemaining = this.maxAirJumps;
+    }
+    this.motor.setSwimInput({ up: keys.jump, down: keys.crouch });
+
+    this.motor.setGaitInput(keys);
     this.motor.update(dt, moveInput, cameraYaw);
 
-    // --- Jump ---
+    // --- Jump (vault / mantle when something is in the way) ---
     if (this.motor.isGrounded) {
       this.airJumpsRemaining = this.maxAirJumps;
     }
-    if (this.input.keys.jump && this.jumpCooldown <= 0) {
+    if (jumpRequested && this.jumpCooldown <= 0 && this.motor.getTraversalState() === 'none') {
       if (this.motor.canJump()) {
-        this.motor.jump(this.jumpStrength);
+        if (!this.motor.tryVaultOrMantle()) {
+          this.motor.jump(this.jumpStrength);
+        }
         this.jumpCooldown = 0.2; // Prevent spam
       } else if (this.airJumpsRemaining > 0) {
         this.motor.jump(this.jumpStrength, true);
@@ -69,12 +116,68 @@ export class PlayerController {
       }
     }
     this.jumpCooldown -= dt;
+  }
 
-    // --- Motor -> Visual ---
-    const position = this.motor.getPosition();
+  /**
+   * Camera yaw to move relative to. Follows the camera, except that after a
+   * camera change held input keeps its old basis until it is released.
+   */
+  _updateMovementYaw(moveInput) {
+    const moving = moveInput.x !== 0 || moveInput.z !== 0;
+    if (this.cameraRig.modeChanges !== this._seenCameraChanges) {
+      this._seenCameraChanges = this.cameraRig.modeChanges;
+      this._holdMovementYaw = moving;
+    }
+    if (!moving) this._holdMovementYaw = false;
+
+    if (!this._holdMovementYaw) {
+      this._movementYaw = this.cameraRig.getYaw();
+    }
+    return this._movementYaw;
+  }
+
+  /**
+   * Per-frame update: camera input and interpolated visuals
+   * @param {number} dt - Delta time
+   */
+  update(dt) {
+    // --- Input -> Camera ---
+    const mouseDelta = this.input.consumeMouseDelta();
+    this.cameraRig.applyInput(mouseDelta.x, mouseDelta.y);
+    this.cameraRig.applyZoom(this.input.consumeZoomDelta());
+
+    if (this.cameraRig.getMode() === 'freeFly') {
+      const { keys } = this.input;
+      this.cameraRig.setFreeFlyInput(
+        this.input.getMovementInput(),
+        (keys.jump ? 1 : 0) - (keys.crouch ? 1 : 0),
+        keys.sprint
+      );
+    }
+
+    // --- Hide our own head when looking out through it ---
+    this.visualRig.setHeadVisible(this.cameraRig.getMode() !== 'firstPerson');
+
+    // --- Turn with rotating platforms ---
+    const platformYawRate = this.platformCarrier?.getPlatformAngularVelocity?.().y ?? 0;
+    if (platformYawRate !== 0) {
+      this.visualRig.setFacing(this.visualRig.getFacing() + platformYawRate * dt);
+    }
+
+    // --- Motor -> Visual (interpolated between physics steps) ---
+    const position = this.motor.getInterpolatedPosition();
     const facingYaw = this.motor.getFacingYaw();
 
-    this.visualRig.update(dt, position, facingYaw);
+    // The visual is aligned to the standing capsule; keep its feet down while crouched
+    const visualPosition = this._tmpVisualPosition.copy(position);
+    visualPosition.y += this.motor.getCrouchOffsetY();
+    this.visualRig.update(dt, visualPosition, facingYaw);
+    this.motor.syncDebugMesh();
+
+    // --- Camera assists: recentre behind the player, unless they're steering sideways ---
+    const move = this.input.getMovementInput();
+    const running = this.motor.gait === 'sprint' && move.z < 0 && Math.abs(move.x) < 0.5;
+    this.cameraRig.setPlayerHeading(this.visualRig.getFacing(), move.x === 0 && move.z === 0, running);
 
     // --- Motor -> Camera (setTarget copies, safe with reusable vector) ---
     this.cameraRig.setTarget(position);
@@ -84,8 +187,8 @@ export class PlayerController {
    * Late update (after physics step, before render)
    * @param {number} dt
    */
-  lateUpdate(dt, scene) {
-    this.cameraRig.update(dt, scene);
+  lateUpdate(dt) {
+    this.cameraRig.update(dt);
   }
 
   /**
@@ -119,6 +222,9 @@ export class PlayerController {
     const vel = this.motor.getVelocity();
     const hover = this.motor.computeHoverMeters();
     const visOffsetY = this.visualRig?.getVisualOffsetY?.();
+    const slopeAngle = this.motor.getSlopeAngle();
+    const landing = this.lastLanding;
+    const safe = this.motor.getSafePosition();
 
     return {
       position: `${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)}`,
@@ -126,8 +232,27 @@ export class PlayerController {
       speed: vel.length().toFixed(2),
       grounded: this.motor.isGrounded,
       platform: this.platformCarrier?.getCurrentPlatformName() || 'none',
+      surface: this.motor.isGrounded ? this.motor.surface.name : '—',
+      slope: slopeAngle === null ? '—' : `${Math.round(slopeAngle)}°${this.motor.isSliding ? ' (sliding)' : ''}`,
+      traversal: this.motor.getTraversalState(),
+      push: this._describePush(),
+      landing: landing
+        ? `${landing.hard ? 'hard' : 'soft'} ${landing.fallHeight.toFixed(1)}m @ ${landing.impactSpeed.toFixed(1)} m/s`
+        : '—',
+      safe: safe ? `${safe.x.toFixed(1)}, ${safe.y.toFixed(1)}, ${safe.z.toFixed(1)}` : '—',
+      gait: `${this.motor.getGait()} (stamina ${Math.round(this.motor.getStaminaFraction() * 100)}%)`,
       hover: hover === null ? '—' : `${hover.toFixed(3)}m`,
       visOffsetY: Number.isFinite(visOffsetY) ? visOffsetY.toFixed(3) : '—',
     };
   }
+
+  _describePush() {
+    const push = this.motor.getPushState();
+    const parts = [];
+    if (push.speed > 0) parts.push(`${push.speed.toFixed(2)} m/s`);
+    if (push.forces > 0) parts.push(`${push.forces} force${push.forces > 1 ? 's' : ''}`);
+    if (push.carries > 0) parts.push('carried');
+    if (push.locked) parts.push('locked');
+    return parts.length > 0 ? parts.join(', ') : 'none';
+  }
 }
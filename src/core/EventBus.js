@@ -0,0 +1,81 @@
+/**
+ * EventBus - Minimal publish/subscribe hub
+ *
+ * Responsibilities:
+ * - Register handlers per event name
+ * - Deliver payloads to handlers in subscription order
+ * - Return unsubscribe functions for easy cleanup
+ */
+
+export class EventBus {
+  constructor() {
+    /** @type {Map<string, Function[]>} */
+    this._handlers = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event
+   * @param {(payload: any) => void} handler
+   * @returns {() => void} - Unsubscribe function
+   */
+  on(event, handler) {
+    let list = this._handlers.get(event);
+    if (!list) {
+      list = [];
+      this._handlers.set(event, list);
+    }
+    list.push(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   */
+  once(event, handler) {
+    const off = this.on(event, (payload) => {
+      off();
+      handler(payload);
+    });
+    return off;
+  }
+
+  /**
+   * Unsubscribe a handler
+   */
+  off(event, handler) {
+    const list = this._handlers.get(event);
+    if (!list) return;
+
+    const index = list.indexOf(handler);
+    if (index !== -1) list.splice(index, 1);
+    if (list.length === 0) this._handlers.delete(event);
+  }
+
+  /**
+   * Check whether anyone listens to an event (skip building payloads when nobody does)
+   */
+  has(event) {
+    return this._handlers.has(event);
+  }
+
+  /**
+   * Deliver a payload to all handlers of an event
+   */
+  emit(event, payload) {
+    const list = this._handlers.get(event);
+    if (!list) return;
+
+    // Copy so handlers can unsubscribe while being called
+    for (const handler of list.slice()) {
+      handler(payload);
+    }
+  }
+
+  /**
+   * Remove all handlers
+   */
+  clear() {
+    this._handlers.clear();
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * GamepadInput - Polls the Gamepad API for InputManager
+ *
+ * Responsibilities:
+ * - Pick the first connected pad each poll (hot-plugging just works; reports connect / disconnect)
+ * - Radial dead zones on both sticks, rescaled so movement starts from zero at the edge
+ * - Right-stick look with a response curve and a ramp-up when held at full tilt
+ * - Pressed buttons as 'Gamepad*' codes (standard mapping) for InputBindings
+ * - Guess the controller family for button glyphs
+ *
+ * DOM-free apart from the default navigator.getGamepads(); pass getGamepads to drive it from code.
+ */
+
+import { clamp } from '../utils/math.js';
+
+// Standard-mapping button index -> binding code
+export const GAMEPAD_BUTTONS = [
+  'GamepadA', 'GamepadB', 'GamepadX', 'GamepadY',
+  'GamepadLB', 'GamepadRB', 'GamepadLT', 'GamepadRT',
+  'GamepadBack', 'GamepadStart', 'GamepadLS', 'GamepadRS',
+  'GamepadUp', 'GamepadDown', 'GamepadLeft', 'GamepadRight',
+  'GamepadHome',
+];
+
+/**
+ * Controller family from a Gamepad.id, for glyphs
+ * @returns {'xbox'|'playstation'|'nintendo'}
+ */
+export function detectPadStyle(id = '') {
+  if (/playstation|dualshock|dualsense|054c/i.test(id)) return 'playstation';
+  if (/nintendo|pro controller|joy-con|057e/i.test(id)) return 'nintendo';
+  return 'xbox';
+}
+
+export class GamepadInput {
+  /**
+   * @param {Object} [options]
+   * @param {() => ArrayLike<Gamepad|null>} [options.getGamepads] - Defaults to navigator.getGamepads()
+   */
+  constructor(options = {}) {
+    this.getGamepads = options.getGamepads ?? (() => globalThis.navigator?.getGamepads?.() ?? []);
+
+    // Sticks
+    this.moveDeadZone = 0.15;
+    this.lookDeadZone = 0.12;
+    this.outerDeadZone = 0.05; // Full deflection a little before the physical edge
+    this.buttonThreshold = 0.5; // Analog triggers count as pressed past this
+
+    // Right-stick look (radians per second at full tilt)
+    this.lookSpeedX = 3.2;
+    this.lookSpeedY = 2.2;
+    this.lookExponent = 2; // Response curve: fine aim near the centre, fast turns at the edge
+    this.lookBoost = 0.75; // Extra speed fraction after holding full tilt...
+    this.lookBoostTime = 0.4; // ...ramped in over this many seconds
+    this.invertY = false;
+
+    // State after poll()
+    this.connected = false;
+    this.id = null;
+    this.style = 'xbox';
+    this.move = { x: 0, y: 0 }; // Left stick, dead-zoned, y down (+) like the Gamepad API
+    this.look = { x: 0, y: 0 }; // Right stick, dead-zoned and curved (before speed)
+    this.buttons = new Set(); // Codes held this poll
+    this.active = false; // Any stick or button in use this poll
+
+    this.onConnectionChange = null; // (connected, id) => void
+
+    this._boost = 0;
+  }
+
+  /**
+   * Read the current pad
+   * @returns {boolean} - Whether a pad is connected
+   */
+  poll() {
+    const pad = this._findPad();
+    if ((pad?.id ?? null) !== this.id) {
+      this.id = pad?.id ?? null;
+      this.connected = Boolean(pad);
+      this.style = detectPadStyle(this.id ?? '');
+      this.onConnectionChange?.(this.connected, this.id);
+    }
+
+    this.buttons.clear();
+    if (!pad) {
+      this.move.x = this.move.y = 0;
+      this.look.x = this.look.y = 0;
+      this.active = false;
+      return false;
+    }
+
+    this._applyDeadZone(pad.axes[0] ?? 0, pad.axes[1] ?? 0, this.moveDeadZone, this.move);
+    this._applyDeadZone(pad.axes[2] ?? 0, pad.axes[3] ?? 0, this.lookDeadZone, this.look);
+    const lookMagnitude = Math.hypot(this.look.x, this.look.y);
+    if (lookMagnitude > 0) {
+      const curved = Math.pow(lookMagnitude, this.lookExponent) / lookMagnitude;
+      this.look.x *= curved;
+      this.look.y *= curved;
+    }
+
+    pad.buttons.forEach((button, index) => {
+      const code = GAMEPAD_BUTTONS[index];
+      if (code && (button.pressed || button.value > this.buttonThreshold)) {
+        this.buttons.add(code);
+      }
+    });
+
+    this.active = this.buttons.size > 0 ||
+      this.move.x !== 0 || this.move.y !== 0 ||
+      this.look.x !== 0 || this.look.y !== 0;
+    return true;
+  }
+
+  /**
+   * Camera rotation for this frame in radians (mouse-delta units)
+   * @param {number} dt
+   * @param {{ x: number, y: number }} out
+   */
+  getLookDelta(dt, out) {
+    const magnitude = Math.hypot(this.look.x, this.look.y);
+    // Held near full tilt: ramp the boost in; otherwise drop it
+    this._boost = magnitude > 0.9
+      ? Math.min(this._boost + dt / this.lookBoostTime, 1)
+      : 0;
+    const speed = 1 + this.lookBoost * this._boost;
+
+    out.x = this.look.x * this.lookSpeedX * speed * dt;
+    out.y = this.look.y * this.lookSpeedY * speed * dt * (this.invertY ? -1 : 1);
+    return out;
+  }
+
+  _findPad() {
+    for (const pad of this.getGamepads() ?? []) {
+      if (pad?.connected) return pad;
+    }
+    return null;
+  }
+
+  /**
+   * Radial dead zone: nothing inside it, then 0..1 from its edge to (1 - outerDeadZone)
+   */
+  _applyDeadZone(x, y, deadZone, out) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadZone) {
+      out.x = out.y = 0;
+      return;
+    }
+    const scaled = clamp((magnitude - deadZone) / (1 - deadZone - this.outerDeadZone), 0, 1);
+    out.x = (x / magnitude) * scaled;
+    out.y = (y / magnitude) * scaled;
+  }
+}
@@ -0,0 +1,407 @@
+/**
+ * InputBindings - Named input actions and the keys bound to them
+ *
+ * Responsibilities:
+ * - Describe the actions (held ones like forward / sprint, presses like interact / toggleDayNight)
+ * - Up to MAX_BINDINGS key codes and one gamepad button per action, with defaults
+ * - Rebind with conflict detection (one key drives one action)
+ * - Persist changes to localStorage
+ * - Human-readable key labels, following the keyboard layout when the browser reports it,
+ *   and button glyphs for the connected controller family
+ *
+ * Bindings use KeyboardEvent.code (physical keys), so the defaults sit in the same place on
+ * AZERTY / QWERTZ keyboards; setKeyLabels() makes the labels match what is printed on the keys.
+ * DOM-free; InputManager and ScriptedInput resolve codes through it, BindingsPanel is the UI.
+ */
+
+/**
+ * @typedef {Object} InputAction
+ * @property {string} action - Stable id, e.g. 'interact'
+ * @property {string} label
+ * @property {string} group - Panel section
+ * @property {'hold'|'press'} type - Held state (InputManager.keys) or one-shot press (consumeAction)
+ * @property {string[]} defaults - Default KeyboardEvent.codes
+ * @property {string|null} [pad] - Default gamepad button ('Gamepad*' code, see GamepadInput)
+ */
+
+export const MAX_BINDINGS = 2;
+export const PAD_SLOT = 'pad'; // bind() / unbind() slot for the gamepad button
+
+/** @type {InputAction[]} */
+export const INPUT_ACTIONS = [
+  { group: 'Movement', action: 'forward', label: 'Forward', type: 'hold', defaults: ['KeyW', 'ArrowUp'], pad: 'GamepadUp' },
+  { group: 'Movement', action: 'backward', label: 'Back', type: 'hold', defaults: ['KeyS', 'ArrowDown'], pad: 'GamepadDown' },
+  { group: 'Movement', action: 'left', label: 'Left', type: 'hold', defaults: ['KeyA', 'ArrowLeft'], pad: 'GamepadLeft' },
+  { group: 'Movement', action: 'right', label: 'Right', type: 'hold', defaults: ['KeyD', 'ArrowRight'], pad: 'GamepadRight' },
+  { group: 'Movement', action: 'jump', label: 'Jump', type: 'hold', defaults: ['Space'], pad: 'GamepadA' },
+  { group: 'Movement', action: 'sprint', label: 'Sprint', type: 'hold', defaults: ['ShiftLeft', 'ShiftRight'], pad: 'GamepadLS' },
+  { group: 'Movement', action: 'walk', label: 'Walk', type: 'hold', defaults: ['AltLeft', 'AltRight'] },
+  { group: 'Movement', action: 'crouch', label: 'Crouch', type: 'hold', defaults: ['KeyC'], pad: 'GamepadB' },
+  { group: 'Camera', action: 'zoomIn', label: 'Zoom in', type: 'hold', defaults: ['Equal'], pad: 'GamepadRB' },
+  { group: 'Camera', action: 'zoomOut', label: 'Zoom out', type: 'hold', defaults: ['Minus'], pad: 'GamepadLB' },
+  { group: 'Camera', action: 'toggleView', label: 'First / third person', type: 'press', defaults: ['KeyV'], pad: 'GamepadRS' },
+  { group: 'World', action: 'interact', label: 'Interact', type: 'press', defaults: ['KeyE'], pad: 'GamepadX' },
+  { group: 'World', action: 'toggleDayNight', label: 'Day / night', type: 'press', defaults: ['KeyN'], pad: 'GamepadBack' },
+  { group: 'Debug', action: 'debug', label: 'Debug view', type: 'press', defaults: ['Backquote'] },
+  { group: 'Debug', action: 'freeFly', label: 'Free-fly camera', type: 'press', defaults: ['KeyF'] },
+  { group: 'Debug', action: 'tuning', label: 'Tuning panel', type: 'press', defaults: ['KeyT'] },
+  { group: 'Debug', action: 'rewind', label: 'Rewind', type: 'press', defaults: ['KeyR'] },
+  { group: 'Debug', action: 'visualOffsetDown', label: 'Lower visual', type: 'press', defaults: ['BracketLeft'] },
+  { group: 'Debug', action: 'visualOffsetUp', label: 'Raise visual', type: 'press', defaults: ['BracketRight'] },
+];
+
+const STORAGE_KEY = 'thornvale.bindings';
+
+// Labels for codes that don't read well as-is (letters and digits are shortened below)
+const KEY_LABELS = {
+  Space: 'Space',
+  ShiftLeft: 'Shift',
+  ShiftRight: 'Right Shift',
+  ControlLeft: 'Ctrl',
+  ControlRight: 'Right Ctrl',
+  AltLeft: 'Alt',
+  AltRight: 'Right Alt',
+  MetaLeft: 'Meta',
+  MetaRight: 'Right Meta',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Backquote: '`',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Minus: '-',
+  Equal: '=',
+  Semicolon: ';',
+  Quote: "'",
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+  Backslash: '\\',
+};
+
+// Gamepad glyphs by controller family (codes follow the standard mapping's Xbox layout)
+const PAD_LABELS = {
+  xbox: {
+    GamepadA: 'A', GamepadB: 'B', GamepadX: 'X', GamepadY: 'Y',
+    GamepadLB: 'LB', GamepadRB: 'RB', GamepadLT: 'LT', GamepadRT: 'RT',
+    GamepadBack: 'View', GamepadStart: 'Menu', GamepadLS: 'LS', GamepadRS: 'RS',
+  },
+  playstation: {
+    GamepadA: '✕', GamepadB: '○', GamepadX: '□', GamepadY: '△',
+    GamepadLB: 'L1', GamepadRB: 'R1', GamepadLT: 'L2', GamepadRT: 'R2',
+    GamepadBack: 'Share', GamepadStart: 'Options', GamepadLS: 'L3', GamepadRS: 'R3',
+  },
+  nintendo: {
+    GamepadA: 'B', GamepadB: 'A', GamepadX: 'Y', GamepadY: 'X',
+    GamepadLB: 'L', GamepadRB: 'R', GamepadLT: 'ZL', GamepadRT: 'ZR',
+    GamepadBack: '−', GamepadStart: '+', GamepadLS: 'L-stick', GamepadRS: 'R-stick',
+  },
+};
+const DPAD_LABELS = {
+  GamepadUp: 'D-pad ↑', GamepadDown: 'D-pad ↓', GamepadLeft: 'D-pad ←', GamepadRight: 'D-pad →', GamepadHome: 'Home',
+};
+
+/**
+ * Whether a binding code is a gamepad button rather than a key
+ */
+export function isPadCode(code) {
+  return code.startsWith('Gamepad');
+}
+
+export class InputBindings {
+  /**
+   * @param {Object} [options]
+   * @param {Storage|null} [options.storage] - Defaults to localStorage when available (null keeps nothing)
+   * @param {string} [options.storageKey]
+   * @param {InputAction[]} [options.actions]
+   */
+  constructor(options = {}) {
+    this.actions = options.actions ?? INPUT_ACTIONS;
+    this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage ?? null);
+    this.storageKey = options.storageKey ?? STORAGE_KEY;
+
+    // action -> key codes, and action -> gamepad button code (or null)
+    this.bindings = new Map();
+    this.padBindings = new Map();
+    // code -> action (rebuilt whenever bindings change)
+    this._actionByCode = new Map();
+    // code -> label printed on the key (from the browser's keyboard layout map)
+    this._keyLabels = new Map();
+    this.padStyle = 'xbox'; // Glyph set: 'xbox' | 'playstation' | 'nintendo'
+
+    this.onChange = null; // (action | null) => void; null when everything may have changed
+
+    this._applyDefaults();
+  }
+
+  /**
+   * Restore saved bindings
+   * @returns {this}
+   */
+  init() {
+    let saved = this._readStorage();
+    if (saved && typeof saved === 'object' && !('keys' in saved) && !('pad' in saved)) {
+      saved = { keys: saved }; // Older saves: a flat action -> key codes map
+    }
+    for (const [action, codes] of Object.entries(saved?.keys ?? {})) {
+      if (!this.getAction(action) || !Array.isArray(codes)) continue;
+      const valid = codes.filter((code) => typeof code === 'string' && code && !isPadCode(code)).slice(0, MAX_BINDINGS);
+      this.bindings.set(action, [...new Set(valid)]);
+    }
+    for (const [action, code] of Object.entries(saved?.pad ?? {})) {
+      if (!this.getAction(action)) continue;
+      this.padBindings.set(action, typeof code === 'string' && isPadCode(code) ? code : null);
+    }
+    this._resolveDuplicates();
+    this._rebuildIndex();
+    return this;
+  }
+
+  /**
+   * @returns {InputAction|null}
+   */
+  getAction(action) {
+    return this.actions.find((item) => item.action === action) ?? null;
+  }
+
+  /**
+   * Key codes bound to an action
+   * @returns {string[]}
+   */
+  getBindings(action) {
+    this._requireAction(action);
+    return this.bindings.get(action);
+  }
+
+  /**
+   * Gamepad button bound to an action
+   * @returns {string|null}
+   */
+  getPadBinding(action) {
+    this._requireAction(action);
+    return this.padBindings.get(action);
+  }
+
+  /**
+   * Action a key code or gamepad button triggers, if any
+   * @param {string} code - KeyboardEvent.code or 'Gamepad*'
+   * @returns {string|null}
+   */
+  getActionForCode(code) {
+    return this._actionByCode.get(code) ?? null;
+  }
+
+  /**
+   * Action (other than the given one) already using a code
+   * @returns {string|null}
+   */
+  findConflict(code, action = null) {
+    const owner = this.getActionForCode(code);
+    return owner && owner !== action ? owner : null;
+  }
+
+  /**
+   * Bind a key or gamepad button to one of an action's slots
+   * @param {string} action
+   * @param {number|'pad'} slot - 0 (primary) to MAX_BINDINGS - 1 for keys, PAD_SLOT for the gamepad button
+   * @param {string} code - KeyboardEvent.code, or a 'Gamepad*' code for PAD_SLOT
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Take the key from the action using it instead of throwing
+   */
+  bind(action, slot, code, { replace = false } = {}) {
+    this._requireAction(action);
+    const pad = slot === PAD_SLOT;
+    if (!pad && (!Number.isInteger(slot) || slot < 0 || slot >= MAX_BINDINGS)) {
+      throw new Error(`[InputBindings] Slot out of range: ${slot}`);
+    }
+    if (pad !== isPadCode(code)) {
+      throw new Error(`[InputBindings] ${this.getKeyLabel(code)} ${pad ? 'is not a gamepad button' : 'goes in the gamepad slot'}`);
+    }
+
+    const conflict = this.findConflict(code, action);
+    if (conflict) {
+      if (!replace) {
+        throw new Error(`[InputBindings] ${this.getKeyLabel(code)} is already bound to ${this.getAction(conflict).label}`);
+      }
+      if (pad) {
+        this.padBindings.set(conflict, null);
+      } else {
+        this.bindings.set(conflict, this.bindings.get(conflict).filter((bound) => bound !== code));
+      }
+    }
+
+    if (pad) {
+      this.padBindings.set(action, code);
+    } else {
+      // Drop the key from the action's other slot so a key appears once
+      const codes = this.bindings.get(action).filter((bound) => bound !== code);
+      if (slot < codes.length) {
+        codes[slot] = code;
+      } else {
+        codes.push(code);
+      }
+      this.bindings.set(action, codes);
+    }
+
+    this._changed(action);
+    if (conflict) this.onChange?.(conflict);
+  }
+
+  /**
+   * Clear one slot of an action
+   */
+  unbind(action, slot) {
+    if (slot === PAD_SLOT) {
+      if (this.getPadBinding(action) === null) return;
+      this.padBindings.set(action, null);
+      this._changed(action);
+      return;
+    }
+    const codes = this.getBindings(action);
+    if (slot >= codes.length) return;
+    this.bindings.set(action, codes.filter((_, index) => index !== slot));
+    this._changed(action);
+  }
+
+  /**
+   * Put every action back on its default keys
+   */
+  resetDefaults() {
+    this._applyDefaults();
+    this.storage?.removeItem(this.storageKey);
+    this.onChange?.(null);
+  }
+
+  /**
+   * Whether an action still uses its default keys and button
+   */
+  isDefault(action) {
+    const { defaults, pad = null } = this._requireAction(action);
+    const codes = this.bindings.get(action);
+    return codes.length === defaults.length &&
+      codes.every((code, index) => code === defaults[index]) &&
+      this.padBindings.get(action) === pad;
+  }
+
+  /**
+   * Use the labels printed on the player's keyboard (e.g. from navigator.keyboard.getLayoutMap())
+   * @param {Map<string, string>|Iterable<[string, string]>} labels - code -> key text
+   */
+  setKeyLabels(labels) {
+    this._keyLabels = new Map(labels);
+    this.onChange?.(null);
+  }
+
+  /**
+   * Button glyphs to show ('xbox' | 'playstation' | 'nintendo', see detectPadStyle)
+   */
+  setPadStyle(style) {
+    if (!PAD_LABELS[style] || style === this.padStyle) return;
+    this.padStyle = style;
+    this.onChange?.(null);
+  }
+
+  /**
+   * Readable name for a key code or gamepad button, e.g. 'KeyW' -> 'W' ('Z' on an AZERTY
+   * layout map), 'GamepadX' -> 'X' ('□' with the PlayStation style)
+   */
+  getKeyLabel(code) {
+    if (isPadCode(code)) return PAD_LABELS[this.padStyle][code] ?? DPAD_LABELS[code] ?? code;
+    const printed = this._keyLabels.get(code);
+    if (printed && printed.trim()) return printed.toUpperCase();
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Numpad/.test(code)) return `Num ${code.slice(6)}`;
+    return code;
+  }
+
+  /**
+   * Label for an action's primary key (for prompts like "Press E"), or its button when playing
+   * on a gamepad; '—' when unbound
+   * @param {string} action
+   * @param {'keyboard'|'gamepad'} [device='keyboard']
+   */
+  getActionLabel(action, device = 'keyboard') {
+    const [key] = this.getBindings(action);
+    const code = device === 'gamepad' ? (this.getPadBinding(action) ?? key) : key;
+    return code ? this.getKeyLabel(code) : '—';
+  }
+
+  _applyDefaults() {
+    this.bindings.clear();
+    this.padBindings.clear();
+    for (const { action, defaults, pad = null } of this.actions) {
+      this.bindings.set(action, [...defaults]);
+      this.padBindings.set(action, pad);
+    }
+    this._rebuildIndex();
+  }
+
+  _changed(action) {
+    this._rebuildIndex();
+    this._writeStorage();
+    this.onChange?.(action);
+  }
+
+  /**
+   * A key saved on two actions (hand-edited storage, or new defaults clashing with old
+   * saves) stays on the first action in the list
+   */
+  _resolveDuplicates() {
+    const seen = new Set();
+    for (const { action } of this.actions) {
+      const codes = this.bindings.get(action).filter((code) => !seen.has(code));
+      codes.forEach((code) => seen.add(code));
+      this.bindings.set(action, codes);
+
+      const pad = this.padBindings.get(action);
+      if (seen.has(pad)) this.padBindings.set(action, null);
+      if (pad) seen.add(pad);
+    }
+  }
+
+  _rebuildIndex() {
+    this._actionByCode.clear();
+    for (const [action, codes] of this.bindings) {
+      for (const code of codes) {
+        this._actionByCode.set(code, action);
+      }
+    }
+    for (const [action, code] of this.padBindings) {
+      if (code) this._actionByCode.set(code, action);
+    }
+  }
+
+  _requireAction(action) {
+    const item = this.getAction(action);
+    if (!item) {
+      throw new Error(`[InputBindings] Unknown action: ${action}`);
+    }
+    return item;
+  }
+
+  _readStorage() {
+    if (!this.storage) return null;
+    try {
+      return JSON.parse(this.storage.getItem(this.storageKey) ?? 'null');
+    } catch (error) {
+      console.warn('[InputBindings] Ignoring unreadable saved bindings:', error);
+      return null;
+    }
+  }
+
+  _writeStorage() {
+    if (!this.storage) return;
+    // Only what differs from the defaults, so later default changes reach existing players
+    const keys = {};
+    const pad = {};
+    for (const { action } of this.actions) {
+      if (this.isDefault(action)) continue;
+      keys[action] = this.bindings.get(action);
+      pad[action] = this.padBindings.get(action);
+    }
+    this.storage.setItem(this.storageKey, JSON.stringify({ keys, pad }));
+  }
+}
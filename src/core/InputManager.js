@@ -2,31 +2,63 @@
  * InputManager - Unified input handling with pointer lock support
  *
  * Responsibilities:
- * - Capture keyboard (WASD, Space, Shift)
+ * - Capture keyboard through InputBindings (rebindable named actions)
+ * - Held actions as booleans in keys, presses queued for consumeAction()
+ * - Poll a gamepad (GamepadInput): buttons through the same bindings, left stick movement,
+ *   right stick look
+ * - Touch screens (TouchInput): virtual joystick, drag-to-look and on-screen action buttons
  * - Capture mouse with pointer lock
- * - Provide normalized movement axes
+ * - Provide movement axes (analog from a stick or the touch joystick, unit length from keys)
  * - Track mouse delta for camera
+ * - Track mouse wheel and held zoom actions for camera
+ * - Capture a single key or button for rebinding
+ * - Report the device last used ('keyboard' | 'gamepad' | 'touch'), so prompts can show keys or button glyphs
+ *
+ * Call update(dt) once per frame before reading input.
  */
 
+import { InputBindings } from './InputBindings.js';
+import { GamepadInput } from './GamepadInput.js';
+import { TouchInput } from './TouchInput.js';
+
+// On-screen button names, for prompts while playing on touch
+const TOUCH_LABELS = {
+  jump: 'Jump',
+  interact: 'Use',
+};
+
 export class InputManager {
-  constructor() {
-    // Keyboard state
-    this.keys = {
-      forward: false,
-      backward: false,
-      left: false,
-      right: false,
-      jump: false,
-      sprint: false,
-    };
+  /**
+   * @param {InputBindings} [bindings] - Key -> action map (defaults, without saved changes, if omitted)
+   * @param {Object} [options]
+   * @param {() => ArrayLike<Gamepad|null>} [options.getGamepads] - Gamepad source (defaults to the browser's)
+   */
+  constructor(bindings = new InputBindings({ storage: null }), options = {}) {
+    this.bindings = bindings;
+    this.gamepad = new GamepadInput({ getGamepads: options.getGamepads });
+    this.touch = new TouchInput(); // Inert until attached (TouchControls does on touch screens)
+
+    // Held actions (forward, backward, left, right, jump, sprint, walk, crouch)
+    this.keys = {};
+    for (const { action, type } of bindings.actions) {
+      if (type === 'hold') this.keys[action] = false;
+    }
 
-    this.activeKeys = new Set();
-    this.pressedKeys = new Set();
+    this.activeKeys = new Set(); // KeyboardEvent.codes and gamepad buttons currently down
+    this.pressedActions = new Set(); // Actions pressed since last consumed
+    this._touchHeld = new Set(); // Actions held on on-screen buttons
+    this._captureCallback = null;
 
     // Mouse state
     this.mouseDelta = { x: 0, y: 0 };
     this.mouseButtons = { left: false, right: false };
     this.sensitivity = 0.002;
+    this.zoomDelta = 0;
+    this.zoomSensitivity = 0.001; // Per wheel pixel (a notch is ~100)
+    this.zoomRate = 1.2; // Per second while zoomIn / zoomOut is held
+
+    // 'keyboard' (and mouse), 'gamepad' or 'touch', whichever was used last
+    this.lastDevice = 'keyboard';
 
     // Pointer lock state
     this.isLocked = false;
@@ -34,10 +66,20 @@ export class InputManager {
 
     // Callbacks
     this.onLockChange = null;
+    this.onDeviceChange = null; // (device) => void
+    this.onGamepadChange = null; // (connected, id) => void
 
     // Pre-allocated reusable return objects
     this._moveResult = { x: 0, z: 0 };
     this._deltaResult = { x: 0, y: 0 };
+    this._lookResult = { x: 0, y: 0 };
+
+    this.gamepad.onConnectionChange = (connected, id) => {
+      if (connected) this.bindings.setPadStyle(this.gamepad.style);
+      if (!connected) this._releasePadButtons();
+      this.onGamepadChange?.(connected, id);
+    };
+    this.touch.onButton = (action, down) => this._onTouchButton(action, down);
 
     // Bind handlers
     this._onKeyDown = this._onKeyDown.bind(this);
@@ -45,6 +87,7 @@ export class InputManager {
     this._onMouseMove = this._onMouseMove.bind(this);
     this._onMouseDown = this._onMouseDown.bind(this);
     this._onMouseUp = this._onMouseUp.bind(this);
+    this._onWheel = this._onWheel.bind(this);
     this._onPointerLockChange = this._onPointerLockChange.bind(this);
   }
 
@@ -63,14 +106,63 @@ export class InputManager {
     document.addEventListener('mousemove', this._onMouseMove);
     document.addEventListener('mousedown', this._onMouseDown);
     document.addEventListener('mouseup', this._onMouseUp);
+    document.addEventListener('wheel', this._onWheel, { passive: true });
 
     // Pointer lock
     document.addEventListener('pointerlockchange', this._onPointerLockChange);
 
+    // Label keys as printed on the player's layout (e.g. AZERTY), where the browser can tell
+    navigator.keyboard?.getLayoutMap?.()
+      .then((layoutMap) => this.bindings.setKeyLabels(layoutMap))
+      .catch(() => {});
+
     console.log('[InputManager] Initialized');
     return this;
   }
 
+  /**
+   * Per-frame update: poll the gamepad, take the touch drag and apply held zoom
+   * @param {number} dt
+   */
+  update(dt) {
+    const { touch } = this;
+    if (touch.active) this._setDevice('touch');
+    const drag = touch.consumeLook();
+    this.mouseDelta.x += drag.x;
+    this.mouseDelta.y += drag.y;
+
+    const { gamepad } = this;
+    if (gamepad.poll()) {
+      // Buttons go through the bindings like keys
+      for (const code of this.activeKeys) {
+        if (code.startsWith('Gamepad') && !gamepad.buttons.has(code)) this._codeUp(code);
+      }
+      for (const code of gamepad.buttons) {
+        if (!this.activeKeys.has(code)) this._codeDown(code);
+      }
+
+      const look = gamepad.getLookDelta(dt, this._lookResult);
+      this.mouseDelta.x += look.x;
+      this.mouseDelta.y += look.y;
+
+      if (gamepad.active) this._setDevice('gamepad');
+    }
+
+    const zoom = (this.keys.zoomOut ? 1 : 0) - (this.keys.zoomIn ? 1 : 0);
+    this.zoomDelta += zoom * this.zoomRate * dt;
+  }
+
+  /**
+   * Label to show for an action on the device in use (e.g. "E", "X" / "□" on a gamepad,
+   * or the on-screen button's name on touch)
+   */
+  getActionLabel(action) {
+    if (this.lastDevice === 'touch') {
+      return TOUCH_LABELS[action] ?? this.bindings.getActionLabel(action);
+    }
+    return this.bindings.getActionLabel(action, this.lastDevice);
+  }
+
   /**
    * Request pointer lock
    */
@@ -88,10 +180,19 @@ export class InputManager {
   }
 
   /**
-   * Get normalized movement direction (returns reusable object — do not store)
+   * Get movement direction (returns reusable object — do not store). The left stick gives
+   * partial lengths (CharacterMotor walks to runs with it); keys give unit length.
    * @returns {{ x: number, z: number }} - Movement input (-1 to 1)
    */
   getMovementInput() {
+    for (const stick of [this.gamepad.move, this.touch.move]) {
+      if (stick.x !== 0 || stick.y !== 0) {
+        this._moveResult.x = stick.x;
+        this._moveResult.z = stick.y;
+        return this._moveResult;
+      }
+    }
+
     let x = 0;
     let z = 0;
 
@@ -124,87 +225,117 @@ export class InputManager {
     return this._deltaResult;
   }
 
+  /**
+   * Get and reset the zoom input (positive zooms out)
+   * @returns {number}
+   */
+  consumeZoomDelta() {
+    const delta = this.zoomDelta;
+    this.zoomDelta = 0;
+    return delta;
+  }
+
+  /**
+   * Consume a single press of an action (see INPUT_ACTIONS)
+   * @param {string} action - e.g. 'interact'
+   */
+  consumeAction(action) {
+    return this.pressedActions.delete(action);
+  }
+
+  /**
+   * Send the next key press to a callback instead of the actions (rebinding)
+   * @param {(code: string) => void} callback
+   */
+  captureNextKey(callback) {
+    this._captureCallback = callback;
+  }
+
+  cancelCapture() {
+    this._captureCallback = null;
+  }
+
   // --- Private handlers ---
 
   _onKeyDown(e) {
     // Ignore if typing in input field
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
-    if (!this.activeKeys.has(e.code)) {
-      this.pressedKeys.add(e.code);
-      this.activeKeys.add(e.code);
+    this._setDevice('keyboard');
+    if (this._captureCallback) e.preventDefault();
+    if (this.bindings.getActionForCode(e.code) && e.code.startsWith('Alt')) {
+      e.preventDefault(); // Keep the browser menu bar from taking focus
     }
+    if (!e.repeat) this._codeDown(e.code);
+  }
+
+  _onKeyUp(e) {
+    this._codeUp(e.code);
+  }
 
-    switch (e.code) {
-      case 'KeyW':
-      case 'ArrowUp':
-        this.keys.forward = true;
-        break;
-      case 'KeyS':
-      case 'ArrowDown':
-        this.keys.backward = true;
-        break;
-      case 'KeyA':
-      case 'ArrowLeft':
-        this.keys.left = true;
-        break;
-      case 'KeyD':
-      case 'ArrowRight':
-        this.keys.right = true;
-        break;
-      case 'Space':
-        this.keys.jump = true;
-        break;
-      case 'ShiftLeft':
-      case 'ShiftRight':
-        this.keys.sprint = true;
-        break;
+  /**
+   * A key or gamepad button went down
+   */
+  _codeDown(code) {
+    if (this._captureCallback) {
+      const callback = this._captureCallback;
+      this._captureCallback = null;
+      this.activeKeys.add(code); // Its release mustn't count as anything either
+      callback(code);
+      return;
     }
+
+    if (this.activeKeys.has(code)) return;
+    this.activeKeys.add(code);
+    const action = this.bindings.getActionForCode(code);
+    if (!action) return;
+    this.pressedActions.add(action);
+    if (action in this.keys) this.keys[action] = true;
   }
 
-  _onKeyUp(e) {
-    this.activeKeys.delete(e.code);
-    switch (e.code) {
-      case 'KeyW':
-      case 'ArrowUp':
-        this.keys.forward = false;
-        break;
-      case 'KeyS':
-      case 'ArrowDown':
-        this.keys.backward = false;
-        break;
-      case 'KeyA':
-      case 'ArrowLeft':
-        this.keys.left = false;
-        break;
-      case 'KeyD':
-      case 'ArrowRight':
-        this.keys.right = false;
-        break;
-      case 'Space':
-        this.keys.jump = false;
-        break;
-      case 'ShiftLeft':
-      case 'ShiftRight':
-        this.keys.sprint = false;
-        break;
+  _codeUp(code) {
+    this.activeKeys.delete(code);
+    const action = this.bindings.getActionForCode(code);
+    if (action) this._refreshHeld(action);
+  }
+
+  _onTouchButton(action, down) {
+    this._setDevice('touch');
+    if (down) {
+      this._touchHeld.add(action);
+      this.pressedActions.add(action);
+    } else {
+      this._touchHeld.delete(action);
     }
+    this._refreshHeld(action);
   }
 
   /**
-   * Consume a single key press event
-   * @param {string} code - KeyboardEvent.code
+   * Whether a held action is still down through any key, button or touch
    */
-  consumeKeyPress(code) {
-    if (this.pressedKeys.has(code)) {
-      this.pressedKeys.delete(code);
-      return true;
+  _refreshHeld(action) {
+    if (!(action in this.keys)) return;
+    const pad = this.bindings.getPadBinding(action);
+    this.keys[action] = this._touchHeld.has(action) ||
+      this.bindings.getBindings(action).some((bound) => this.activeKeys.has(bound)) ||
+      (pad !== null && this.activeKeys.has(pad));
+  }
+
+  _releasePadButtons() {
+    for (const code of this.activeKeys) {
+      if (code.startsWith('Gamepad')) this._codeUp(code);
     }
-    return false;
+  }
+
+  _setDevice(device) {
+    if (device === this.lastDevice) return;
+    this.lastDevice = device;
+    this.onDeviceChange?.(device);
   }
 
   _onMouseMove(e) {
     if (!this.isLocked) return;
+    this._setDevice('keyboard');
 
     this.mouseDelta.x += e.movementX * this.sensitivity;
     this.mouseDelta.y += e.movementY * this.sensitivity;
@@ -220,6 +351,14 @@ export class InputManager {
     if (e.button === 2) this.mouseButtons.right = false;
   }
 
+  _onWheel(e) {
+    if (!this.isLocked) return; // Let panels scroll while the cursor is free
+
+    // Line-based wheels (Firefox) report a few lines per notch
+    const pixels = e.deltaMode === 1 ? e.deltaY * 33 : e.deltaY;
+    this.zoomDelta += pixels * this.zoomSensitivity;
+  }
+
   _onPointerLockChange() {
     this.isLocked = document.pointerLockElement === this.canvas;
 
@@ -232,11 +371,13 @@ export class InputManager {
    * Clean up
    */
   dispose() {
+    this.touch.dispose();
     document.removeEventListener('keydown', this._onKeyDown);
     document.removeEventListener('keyup', this._onKeyUp);
     document.removeEventListener('mousemove', this._onMouseMove);
     document.removeEventListener('mousedown', this._onMouseDown);
     document.removeEventListener('mouseup', this._onMouseUp);
+    document.removeEventListener('wheel', this._onWheel);
     document.removeEventListener('pointerlockchange', this._onPointerLockChange);
   }
 }
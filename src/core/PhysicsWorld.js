@@ -5,13 +5,29 @@
  * - Initialize Rapier WASM
  * - Create and step the physics world
  * - Manage colliders and rigidbodies
+ * - Surface material tags on colliders
+ * - Own dynamic props (sync, distance culling, pooling, disposal)
+ * - Interpolate tracked body transforms between fixed steps
+ * - Trigger volumes and contact events (via an EventBus)
+ * - Spatial queries (raycast, shape cast, overlap, point projection)
+ * - World snapshots and restore
  * - Debug rendering
+ *
+ * Events on `physicsWorld.events`:
+ * - triggerEnter / triggerStay / triggerExit: { trigger, other, otherHandle }
+ * - contactBegin: { collider1, collider2, impulse }
+ * - contactEnd: { collider1, collider2 }
+ * - worldRestored: { time }
  */
 
 import {
   BoxGeometry, MeshStandardMaterial, Mesh, SphereGeometry,
   BufferGeometry, Float32BufferAttribute, LineBasicMaterial, LineSegments,
+  Vector3, Quaternion,
 } from 'three';
+import { EventBus } from './EventBus.js';
+import { DynamicBody } from '../physics/DynamicBody.js';
+import { getSurfaceMaterial, hasSurfaceMaterial } from '../physics/SurfaceMaterials.js';
 
 export class PhysicsWorld {
   constructor() {
@@ -21,11 +37,26 @@ export class PhysicsWorld {
     /** @type {import('@dimforge/rapier3d-compat')} */
     this.RAPIER = null;
 
+    // World gravity (m/s²); the character motor and buoyancy read it from here too
+    this.gravity = { x: 0, y: -20, z: 0 };
+
     // Fixed timestep accumulator
     this.fixedDt = 1 / 60;
     this.accumulator = 0;
     this.maxSubSteps = 5;
 
+    // Fraction of a fixed step left in the accumulator, for render interpolation
+    this.interpolationAlpha = 0;
+
+    // Simulated time in seconds (advances by fixedDt per step)
+    this.time = 0;
+
+    // Called before every fixed step with fixedDt (gameplay that drives bodies)
+    this.onFixedStep = null;
+
+    // Previous/current transforms of tracked bodies, keyed by body handle
+    this.interpolatedBodies = new Map();
+
     // Debug rendering
     this.debugLines = null;
     this.debugEnabled = false;
@@ -33,12 +64,41 @@ export class PhysicsWorld {
     // Tracked kinematic platform visuals
     this.kinematicVisuals = [];
 
+    // Registered dynamic props (DynamicBody instances) and reuse pools
+    this.dynamicBodies = new Set();
+    this.dynamicPools = new Map();
+    this.dynamicCullDistance = 40; // Sleep + hide props farther than this from the focus point
+
+    // Collision/trigger events
+    this.events = new EventBus();
+    this.eventQueue = null;
+
+    // Trigger volumes, keyed by sensor collider handle
+    this.triggers = new Map();
+
+    // Contact impulses reported this step, keyed by collider pair
+    this._contactImpulses = new Map();
+
+    // Game object owning each collider (returned by spatial queries), keyed by collider handle
+    this.colliderOwners = new Map();
+
+    // Surface material name per collider handle (untagged colliders use the default surface)
+    this.colliderSurfaces = new Map();
+
+    // Objects saved/restored alongside world snapshots, keyed by name
+    this.snapshotParticipants = new Map();
+
+    // Contacts that began last step without a force report yet. Rapier reports the
+    // impact force one step after the collision starts, so contactBegin waits a step.
+    this._pendingContacts = new Map();
+
     // Collision groups
     this.GROUPS = {
       GROUND: 0x0001,
       PLAYER: 0x0002,
       DYNAMIC: 0x0004,
       PLATFORM: 0x0008,
+      TRIGGER: 0x0010,
       ALL: 0xFFFF,
     };
   }
@@ -54,13 +114,36 @@ export class PhysicsWorld {
     this.RAPIER = RAPIER;
 
     // Create world with gravity
-    const gravity = { x: 0, y: -20, z: 0 };
-    this.world = new RAPIER.World(gravity);
+    this.world = new RAPIER.World({ ...this.gravity });
+    this.eventQueue = new RAPIER.EventQueue(true);
 
     console.log('[PhysicsWorld] Rapier initialized');
     return this;
   }
 
+  /**
+   * Current world gravity (returns internal reference — do not mutate, use setGravity)
+   * @returns {{ x: number, y: number, z: number }}
+   */
+  getGravity() {
+    return this.gravity;
+  }
+
+  /**
+   * Change world gravity for every body and the character motor
+   * @param {{ x?: number, y?: number, z?: number }} gravity
+   */
+  setGravity(gravity) {
+    this.gravity = {
+      x: gravity.x ?? this.gravity.x,
+      y: gravity.y ?? this.gravity.y,
+      z: gravity.z ?? this.gravity.z,
+    };
+    if (this.world) {
+      this.world.gravity = { ...this.gravity };
+    }
+  }
+
   /**
    * Step the physics simulation with fixed timestep
    * @param {number} dt - Delta time in seconds
@@ -72,7 +155,14 @@ export class PhysicsWorld {
 
     let steps = 0;
     while (this.accumulator >= this.fixedDt && steps < this.maxSubSteps) {
-      this.world.step();
+      if (this.onFixedStep) {
+        this.onFixedStep(this.fixedDt);
+      }
+      this._storePreviousTransforms();
+      this.world.step(this.eventQueue);
+      this.time += this.fixedDt;
+      this._storeCurrentTransforms();
+      this._processEvents();
       this.accumulator -= this.fixedDt;
       steps++;
     }
@@ -81,13 +171,321 @@ export class PhysicsWorld {
     if (this.accumulator > this.fixedDt * 2) {
       this.accumulator = 0;
     }
+
+    this.interpolationAlpha = this.accumulator / this.fixedDt;
+  }
+
+  /**
+   * Get the render interpolation factor between the last two fixed steps
+   * @returns {number} - 0..1
+   */
+  getInterpolationAlpha() {
+    return this.interpolationAlpha;
+  }
+
+  /**
+   * Start keeping previous/current transforms for a body so it can be rendered interpolated
+   */
+  trackBody(body) {
+    if (!body || this.interpolatedBodies.has(body.handle)) return;
+
+    const pos = body.translation();
+    const rot = body.rotation();
+    const position = new Vector3(pos.x, pos.y, pos.z);
+    const rotation = new Quaternion(rot.x, rot.y, rot.z, rot.w);
+
+    this.interpolatedBodies.set(body.handle, {
+      body,
+      prevPosition: position.clone(),
+      prevRotation: rotation.clone(),
+      position,
+      rotation,
+    });
+  }
+
+  /**
+   * Stop tracking a body (call before removing it from the world)
+   */
+  untrackBody(body) {
+    if (body) {
+      this.interpolatedBodies.delete(body.handle);
+    }
+  }
+
+  /**
+   * Render a body where it is now, with nothing to lerp from (teleports).
+   * Takes effect at once, so the frame that moved it never shows the old spot.
+   */
+  snapBody(body) {
+    const entry = body ? this.interpolatedBodies.get(body.handle) : null;
+    if (!entry) return;
+
+    const pos = body.translation();
+    const rot = body.rotation();
+    entry.position.set(pos.x, pos.y, pos.z);
+    entry.rotation.set(rot.x, rot.y, rot.z, rot.w);
+    entry.prevPosition.copy(entry.position);
+    entry.prevRotation.copy(entry.rotation);
+  }
+
+  /**
+   * Get a body's translation interpolated between fixed steps
+   * @param {Vector3} out
+   * @returns {Vector3} out
+   */
+  getInterpolatedTranslation(body, out) {
+    const entry = this.interpolatedBodies.get(body.handle);
+    if (!entry) {
+      const pos = body.translation();
+      return out.set(pos.x, pos.y, pos.z);
+    }
+    return out.lerpVectors(entry.prevPosition, entry.position, this.interpolationAlpha);
+  }
+
+  /**
+   * Get a body's rotation interpolated between fixed steps
+   * @param {Quaternion} out
+   * @returns {Quaternion} out
+   */
+  getInterpolatedRotation(body, out) {
+    const entry = this.interpolatedBodies.get(body.handle);
+    if (!entry) {
+      const rot = body.rotation();
+      return out.set(rot.x, rot.y, rot.z, rot.w);
+    }
+    return out.slerpQuaternions(entry.prevRotation, entry.rotation, this.interpolationAlpha);
+  }
+
+  _storePreviousTransforms() {
+    for (const entry of this.interpolatedBodies.values()) {
+      entry.prevPosition.copy(entry.position);
+      entry.prevRotation.copy(entry.rotation);
+    }
+  }
+
+  _storeCurrentTransforms() {
+    for (const entry of this.interpolatedBodies.values()) {
+      const pos = entry.body.translation();
+      const rot = entry.body.rotation();
+      entry.position.set(pos.x, pos.y, pos.z);
+      entry.rotation.set(rot.x, rot.y, rot.z, rot.w);
+    }
+  }
+
+  /**
+   * Register an object whose state is saved with world snapshots.
+   * It must implement captureState() -> data and restoreState(data), and re-fetch
+   * any Rapier bodies/colliders it holds from `physicsWorld.world` when restoring.
+   * @param {string} key
+   * @param {{ captureState: () => any, restoreState: (state: any) => void }} participant
+   */
+  registerSnapshotParticipant(key, participant) {
+    this.snapshotParticipants.set(key, participant);
+  }
+
+  unregisterSnapshotParticipant(key) {
+    this.snapshotParticipants.delete(key);
+  }
+
+  /**
+   * Capture the full simulation state: Rapier world bytes plus the
+   * visual/trigger bindings and participant state that live outside Rapier.
+   * Holds live references (meshes, triggers), so it is only valid in this session.
+   */
+  takeSnapshot() {
+    if (!this.world) return null;
+
+    const participants = {};
+    for (const [key, participant] of this.snapshotParticipants) {
+      participants[key] = participant.captureState();
+    }
+
+    return {
+      time: this.time,
+      bytes: this.world.takeSnapshot(),
+      trackedBodies: [...this.interpolatedBodies.keys()],
+      kinematicVisuals: this.kinematicVisuals.map(({ body, mesh }) => ({
+        handle: body.handle,
+        mesh,
+        parent: mesh.parent,
+      })),
+      triggers: [...this.triggers.values()].map((trigger) => ({
+        trigger,
+        overlaps: [...trigger.overlaps],
+      })),
+      dynamicBodies: [...this.dynamicBodies],
+      dynamicPools: [...this.dynamicPools].map(([key, pool]) => [key, pool.free.slice()]),
+      colliderOwners: [...this.colliderOwners],
+      colliderSurfaces: [...this.colliderSurfaces],
+      participants,
+    };
+  }
+
+  /**
+   * Replace the simulation with a snapshot taken by takeSnapshot().
+   * Rapier restores into a brand-new World, so every body/collider wrapper
+   * is re-fetched by handle and participants rebind themselves.
+   * @returns {boolean}
+   */
+  restoreSnapshot(snapshot) {
+    if (!this.world || !snapshot) return false;
+
+    const world = this.RAPIER.World.restoreSnapshot(snapshot.bytes);
+    if (!world) return false;
+
+    const oldWorld = this.world;
+    this.world = world;
+    this.gravity = { ...world.gravity };
+    this.time = snapshot.time;
+    this.accumulator = 0;
+    this.interpolationAlpha = 0;
+
+    // Interpolation restarts from the restored pose
+    this.interpolatedBodies.clear();
+    for (const handle of snapshot.trackedBodies) {
+      const body = world.getRigidBody(handle);
+      if (body) this.trackBody(body);
+    }
+
+    // Meshes whose bodies were created after the snapshot leave the scene;
+    // meshes removed since the snapshot come back
+    const restoredMeshes = new Set(snapshot.kinematicVisuals.map(({ mesh }) => mesh));
+    for (const { mesh } of this.kinematicVisuals) {
+      if (!restoredMeshes.has(mesh)) mesh.removeFromParent();
+    }
+    this.kinematicVisuals = [];
+    for (const { handle, mesh, parent } of snapshot.kinematicVisuals) {
+      const body = world.getRigidBody(handle);
+      if (!body) continue;
+      if (!mesh.parent && parent) parent.add(mesh);
+      this.kinematicVisuals.push({ body, mesh });
+      this.syncMeshToBody(body, mesh);
+    }
+
+    this.triggers.clear();
+    for (const { trigger, overlaps } of snapshot.triggers) {
+      trigger.body = world.getRigidBody(trigger.body.handle);
+      trigger.collider = world.getCollider(trigger.collider.handle);
+      trigger.overlaps = new Set(overlaps);
+      this.triggers.set(trigger.collider.handle, trigger);
+    }
+
+    this.colliderOwners = new Map(snapshot.colliderOwners);
+    this.colliderSurfaces = new Map(snapshot.colliderSurfaces);
+    this._restoreDynamicBodies(snapshot, world);
+
+    this.eventQueue.clear();
+    this._pendingContacts.clear();
+
+    for (const [key, participant] of this.snapshotParticipants) {
+      participant.restoreState(snapshot.participants[key] ?? null);
+    }
+
+    // Also frees character controllers created on the old world
+    oldWorld.free();
+
+    this.events.emit('worldRestored', { time: this.time });
+    return true;
+  }
+
+  /**
+   * Rebind registered props to a restored world.
+   * Props spawned after the snapshot lose their meshes; props disposed since
+   * the snapshot are removed again from the restored world.
+   */
+  _restoreDynamicBodies(snapshot, world) {
+    const savedPools = new Map(snapshot.dynamicPools);
+    const saved = new Set(snapshot.dynamicBodies);
+    for (const free of savedPools.values()) {
+      for (const dynamicBody of free) saved.add(dynamicBody);
+    }
+
+    const current = [...this.dynamicBodies];
+    for (const pool of this.dynamicPools.values()) {
+      current.push(...pool.free);
+    }
+    for (const dynamicBody of current) {
+      if (saved.has(dynamicBody)) continue;
+      // Its body never existed in the restored world: only the visual needs cleanup
+      dynamicBody.physics = null;
+      dynamicBody.dispose();
+    }
+
+    const rebind = (dynamicBody) => {
+      const body = world.getRigidBody(dynamicBody.body.handle);
+      if (dynamicBody.disposed) {
+        if (body) world.removeRigidBody(body);
+        this.colliderOwners.delete(dynamicBody.collider.handle);
+        this.untrackBody(dynamicBody.body);
+        return false;
+      }
+      dynamicBody.body = body;
+      dynamicBody.collider = world.getCollider(dynamicBody.collider.handle);
+      dynamicBody.culled = false;
+      return !!body;
+    };
+
+    this.dynamicBodies = new Set();
+    for (const dynamicBody of snapshot.dynamicBodies) {
+      if (!rebind(dynamicBody)) continue;
+      if (dynamicBody.mesh) dynamicBody.mesh.visible = true;
+      this.dynamicBodies.add(dynamicBody);
+      dynamicBody.syncMesh();
+    }
+
+    for (const [key, pool] of this.dynamicPools) {
+      pool.free = (savedPools.get(key) ?? []).filter((dynamicBody) => {
+        if (!rebind(dynamicBody)) return false;
+        if (dynamicBody.mesh) dynamicBody.mesh.visible = false;
+        return true;
+      });
+    }
+  }
+
+  /**
+   * Tag a collider with a surface material and apply its Rapier friction.
+   * Can be called at any time (e.g. a path turning slick at night).
+   * @param {string|null} surface - Surface name; null clears the tag
+   */
+  setColliderSurface(collider, surface) {
+    if (!collider) return;
+    if (surface == null) {
+      this.colliderSurfaces.delete(collider.handle);
+      collider.setFriction(getSurfaceMaterial(null).colliderFriction);
+      return;
+    }
+    if (!hasSurfaceMaterial(surface)) {
+      console.warn(`[PhysicsWorld] Unknown surface "${surface}", using default`);
+    }
+    this.colliderSurfaces.set(collider.handle, surface);
+    collider.setFriction(getSurfaceMaterial(surface).colliderFriction);
+  }
+
+  /**
+   * Surface material of a collider (the default surface when untagged or null)
+   * @returns {import('../physics/SurfaceMaterials.js').SurfaceMaterial}
+   */
+  getColliderSurface(collider) {
+    return getSurfaceMaterial(collider ? this.colliderSurfaces.get(collider.handle) ?? null : null);
+  }
+
+  _surfaceFriction(surface) {
+    return getSurfaceMaterial(surface ?? null).colliderFriction;
+  }
+
+  // Record a creation-time surface tag without touching the friction set by the caller
+  _tagSurface(collider, surface) {
+    if (surface) {
+      this.colliderSurfaces.set(collider.handle, surface);
+    }
   }
 
   /**
    * Create a static ground plane
    * @param {number} size - Size of the ground plane
+   * @param {{ surface?: string }} options
    */
-  createGround(size = 50, scene) {
+  createGround(size = 50, scene, options = {}) {
     const { RAPIER } = this;
 
     // Rapier collider - thin box as ground (mesh top aligned at y = 0)
@@ -97,7 +495,8 @@ export class PhysicsWorld {
 
     const groundColliderDesc = RAPIER.ColliderDesc.cuboid(size, 0.1, size)
       .setCollisionGroups(this.makeCollisionGroups(this.GROUPS.GROUND, this.GROUPS.ALL));
-    this.world.createCollider(groundColliderDesc, groundBody);
+    const groundCollider = this.world.createCollider(groundColliderDesc, groundBody);
+    this.setColliderSurface(groundCollider, options.surface ?? 'grass');
 
     // Three.js visual
     if (scene) {
@@ -127,11 +526,12 @@ export class PhysicsWorld {
     const body = this.world.createRigidBody(bodyDesc);
 
     const colliderDesc = RAPIER.ColliderDesc.cuboid(size.x / 2, size.y / 2, size.z / 2)
-      .setFriction(options.friction ?? 0.9)
+      .setFriction(options.friction ?? this._surfaceFriction(options.surface))
       .setCollisionGroups(
         this.makeCollisionGroups(this.GROUPS.GROUND, this.GROUPS.ALL)
       );
     const collider = this.world.createCollider(colliderDesc, body);
+    this._tagSurface(collider, options.surface);
 
     let mesh = null;
     if (scene) {
@@ -150,10 +550,264 @@ export class PhysicsWorld {
     return { body, collider, mesh };
   }
 
+  /**
+   * Create a fixed body at a transform and attach a prepared collider to it
+   * @param {import('@dimforge/rapier3d-compat').ColliderDesc} colliderDesc
+   * @param {{ x: number, y: number, z: number }} position
+   * @param {{ x: number, y: number, z: number, w: number }|null} rotation
+   * @param {{ friction?: number, groups?: number, surface?: string }} options
+   */
+  createStaticCollider(colliderDesc, position = { x: 0, y: 0, z: 0 }, rotation = null, options = {}) {
+    const { RAPIER } = this;
+
+    const bodyDesc = RAPIER.RigidBodyDesc.fixed()
+      .setTranslation(position.x, position.y, position.z);
+    if (rotation) {
+      bodyDesc.setRotation({ x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w });
+    }
+    const body = this.world.createRigidBody(bodyDesc);
+
+    colliderDesc
+      .setFriction(options.friction ?? this._surfaceFriction(options.surface))
+      .setCollisionGroups(
+        options.groups ?? this.makeCollisionGroups(this.GROUPS.GROUND, this.GROUPS.ALL)
+      );
+    const collider = this.world.createCollider(colliderDesc, body);
+    this._tagSurface(collider, options.surface);
+
+    return { body, collider };
+  }
+
+  /**
+   * Create a static oriented box collider (no visual)
+   * @param {{ x: number, y: number, z: number }} halfExtents
+   */
+  createStaticCuboid(position, halfExtents, rotation = null, options = {}) {
+    const desc = this.RAPIER.ColliderDesc.cuboid(halfExtents.x, halfExtents.y, halfExtents.z);
+    return this.createStaticCollider(desc, position, rotation, options);
+  }
+
+  /**
+   * Create a static sphere collider (no visual)
+   */
+  createStaticBall(position, radius, options = {}) {
+    const desc = this.RAPIER.ColliderDesc.ball(radius);
+    return this.createStaticCollider(desc, position, null, options);
+  }
+
+  /**
+   * Create a static capsule collider aligned to the body's local Y axis (no visual)
+   */
+  createStaticCapsule(position, halfHeight, radius, rotation = null, options = {}) {
+    const desc = this.RAPIER.ColliderDesc.capsule(halfHeight, radius);
+    return this.createStaticCollider(desc, position, rotation, options);
+  }
+
+  /**
+   * Create a static convex hull collider from a flat xyz point array (no visual)
+   * @param {Float32Array} points
+   * @returns {{ body, collider }|null} - null if the points are degenerate
+   */
+  createStaticConvexHull(points, position = { x: 0, y: 0, z: 0 }, rotation = null, options = {}) {
+    const desc = this.RAPIER.ColliderDesc.convexHull(points);
+    if (!desc) return null;
+    return this.createStaticCollider(desc, position, rotation, options);
+  }
+
+  /**
+   * Create a static triangle mesh collider (no visual)
+   * @param {Float32Array} vertices - Flat xyz vertex array
+   * @param {Uint32Array} indices - Triangle indices
+   */
+  createStaticTrimesh(vertices, indices, position = { x: 0, y: 0, z: 0 }, rotation = null, options = {}) {
+    const desc = this.RAPIER.ColliderDesc.trimesh(vertices, indices);
+    return this.createStaticCollider(desc, position, rotation, options);
+  }
+
+  /**
+   * Create a box trigger volume
+   * @param {{ x: number, y: number, z: number }} halfExtents
+   */
+  createBoxTrigger(position, halfExtents, options = {}) {
+    const desc = this.RAPIER.ColliderDesc.cuboid(halfExtents.x, halfExtents.y, halfExtents.z);
+    return this._createTrigger(desc, 'box', position, options);
+  }
+
+  /**
+   * Create a sphere trigger volume
+   */
+  createSphereTrigger(position, radius, options = {}) {
+    const desc = this.RAPIER.ColliderDesc.ball(radius);
+    return this._createTrigger(desc, 'sphere', position, options);
+  }
+
+  /**
+   * Create a capsule trigger volume (aligned to local Y)
+   */
+  createCapsuleTrigger(position, halfHeight, radius, options = {}) {
+    const desc = this.RAPIER.ColliderDesc.capsule(halfHeight, radius);
+    return this._createTrigger(desc, 'capsule', position, options);
+  }
+
+  /**
+   * Build a sensor collider on a fixed body and register it as a trigger.
+   * Options:
+   * - name, userData: carried on the trigger for handlers
+   * - rotation: { x, y, z, w }
+   * - filter: groups that set the trigger off (default PLAYER | DYNAMIC)
+   * - onEnter / onStay / onExit: per-trigger callbacks, same payload as the bus
+   */
+  _createTrigger(colliderDesc, shape, position, options) {
+    const { RAPIER } = this;
+
+    const bodyDesc = RAPIER.RigidBodyDesc.fixed()
+      .setTranslation(position.x, position.y, position.z);
+    if (options.rotation) {
+      const rot = options.rotation;
+      bodyDesc.setRotation({ x: rot.x, y: rot.y, z: rot.z, w: rot.w });
+    }
+    const body = this.world.createRigidBody(bodyDesc);
+
+    colliderDesc
+      .setSensor(true)
+      .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS)
+      // The player is kinematic, so kinematic-vs-fixed pairs must be enabled too
+      .setActiveCollisionTypes(RAPIER.ActiveCollisionTypes.DEFAULT | RAPIER.ActiveCollisionTypes.KINEMATIC_FIXED)
+      .setCollisionGroups(this.makeCollisionGroups(
+        this.GROUPS.TRIGGER,
+        options.filter ?? (this.GROUPS.PLAYER | this.GROUPS.DYNAMIC)
+      ));
+    const collider = this.world.createCollider(colliderDesc, body);
+
+    const trigger = {
+      name: options.name ?? `trigger_${collider.handle}`,
+      shape,
+      body,
+      collider,
+      userData: options.userData ?? null,
+      overlaps: new Set(),
+      onEnter: options.onEnter ?? null,
+      onStay: options.onStay ?? null,
+      onExit: options.onExit ?? null,
+    };
+    this.triggers.set(collider.handle, trigger);
+    this.setColliderOwner(collider, trigger);
+
+    return trigger;
+  }
+
+  /**
+   * Remove a trigger volume and its body
+   */
+  removeTrigger(trigger) {
+    if (!trigger || !this.triggers.has(trigger.collider.handle)) return;
+    this.triggers.delete(trigger.collider.handle);
+    this.colliderOwners.delete(trigger.collider.handle);
+    trigger.overlaps.clear();
+    this.world.removeRigidBody(trigger.body);
+  }
+
+  /**
+   * Opt a collider into contactBegin/contactEnd events
+   * @param {number} forceThreshold - Minimum contact force to report an impulse
+   */
+  enableContactEvents(collider, forceThreshold = 0) {
+    const { ActiveEvents } = this.RAPIER;
+    collider.setActiveEvents(ActiveEvents.COLLISION_EVENTS | ActiveEvents.CONTACT_FORCE_EVENTS);
+    collider.setContactForceEventThreshold(forceThreshold);
+  }
+
+  /**
+   * Drain the Rapier event queue after a step and publish on the bus
+   */
+  _processEvents() {
+    const { events } = this;
+    const impulses = this._contactImpulses;
+    impulses.clear();
+
+    this.eventQueue.drainContactForceEvents((event) => {
+      const key = pairKey(event.collider1(), event.collider2());
+      const impulse = event.totalForceMagnitude() * this.fixedDt;
+      impulses.set(key, Math.max(impulses.get(key) ?? 0, impulse));
+    });
+
+    // Contacts from last step get whatever impulse arrived this step
+    const pending = this._pendingContacts;
+    for (const [key, { handle1, handle2 }] of pending) {
+      this._emitContactBegin(handle1, handle2, impulses.get(key) ?? 0);
+    }
+    pending.clear();
+
+    this.eventQueue.drainCollisionEvents((handle1, handle2, started) => {
+      const trigger = this.triggers.get(handle1) ?? this.triggers.get(handle2);
+      if (trigger) {
+        const otherHandle = trigger.collider.handle === handle1 ? handle2 : handle1;
+        if (started) {
+          trigger.overlaps.add(otherHandle);
+          this._emitTrigger('triggerEnter', trigger.onEnter, trigger, otherHandle);
+        } else if (trigger.overlaps.delete(otherHandle)) {
+          this._emitTrigger('triggerExit', trigger.onExit, trigger, otherHandle);
+        }
+        return;
+      }
+
+      if (!events.has('contactBegin') && !events.has('contactEnd')) return;
+
+      const key = pairKey(handle1, handle2);
+      if (started) {
+        if (impulses.has(key)) {
+          this._emitContactBegin(handle1, handle2, impulses.get(key));
+        } else {
+          pending.set(key, { handle1, handle2 });
+        }
+        return;
+      }
+
+      if (pending.has(key)) {
+        pending.delete(key);
+        this._emitContactBegin(handle1, handle2, 0);
+      }
+      events.emit('contactEnd', {
+        collider1: this.world.getCollider(handle1) ?? null,
+        collider2: this.world.getCollider(handle2) ?? null,
+      });
+    });
+
+    // Stay events for everything still inside a trigger
+    for (const trigger of this.triggers.values()) {
+      if (trigger.overlaps.size === 0) continue;
+      if (!trigger.onStay && !events.has('triggerStay')) continue;
+      for (const otherHandle of trigger.overlaps) {
+        this._emitTrigger('triggerStay', trigger.onStay, trigger, otherHandle);
+      }
+    }
+  }
+
+  _emitContactBegin(handle1, handle2, impulse) {
+    this.events.emit('contactBegin', {
+      collider1: this.world.getCollider(handle1) ?? null,
+      collider2: this.world.getCollider(handle2) ?? null,
+      impulse,
+    });
+  }
+
+  _emitTrigger(eventName, callback, trigger, otherHandle) {
+    if (!callback && !this.events.has(eventName)) return;
+
+    const payload = {
+      trigger,
+      other: this.world.getCollider(otherHandle) ?? null,
+      otherHandle,
+    };
+    callback?.(payload);
+    this.events.emit(eventName, payload);
+  }
+
   /**
    * Create a dynamic box
+   * Options: color, buoyancy (multiplier on water buoyancy, 0 sinks)
    */
-  createDynamicBox(position, size = { x: 1, y: 1, z: 1 }, scene) {
+  createDynamicBox(position, size = { x: 1, y: 1, z: 1 }, scene, options = {}) {
     const { RAPIER } = this;
 
     const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
@@ -165,14 +819,15 @@ export class PhysicsWorld {
       .setFriction(0.5)
       .setRestitution(0.2)
       .setCollisionGroups(this.makeCollisionGroups(this.GROUPS.DYNAMIC, this.GROUPS.ALL));
-    this.world.createCollider(colliderDesc, body);
+    const collider = this.world.createCollider(colliderDesc, body);
+    this.enableContactEvents(collider, 30);
 
     // Visual
     let mesh = null;
     if (scene) {
       const geo = new BoxGeometry(size.x, size.y, size.z);
       const mat = new MeshStandardMaterial({
-        color: 0xFF6B35,
+        color: options.color ?? 0xFF6B35,
         roughness: 0.4,
       });
       mesh = new Mesh(geo, mat);
@@ -181,13 +836,15 @@ export class PhysicsWorld {
       scene.add(mesh);
     }
 
-    return { body, mesh };
+    const dynamicBody = this.addDynamicBody(body, collider, mesh);
+    dynamicBody.buoyancy = options.buoyancy ?? dynamicBody.buoyancy;
+    return dynamicBody;
   }
 
   /**
-   * Create a dynamic sphere
+   * Create a dynamic sphere (same options as createDynamicBox)
    */
-  createDynamicSphere(position, radius = 0.5, scene) {
+  createDynamicSphere(position, radius = 0.5, scene, options = {}) {
     const { RAPIER } = this;
 
     const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
@@ -199,14 +856,15 @@ export class PhysicsWorld {
       .setFriction(0.3)
       .setRestitution(0.5)
       .setCollisionGroups(this.makeCollisionGroups(this.GROUPS.DYNAMIC, this.GROUPS.ALL));
-    this.world.createCollider(colliderDesc, body);
+    const collider = this.world.createCollider(colliderDesc, body);
+    this.enableContactEvents(collider, 30);
 
     // Visual
     let mesh = null;
     if (scene) {
       const geo = new SphereGeometry(radius, 24, 16);
       const mat = new MeshStandardMaterial({
-        color: 0x4ECDC4,
+        color: options.color ?? 0x4ECDC4,
         roughness: 0.3,
       });
       mesh = new Mesh(geo, mat);
@@ -215,17 +873,151 @@ export class PhysicsWorld {
       scene.add(mesh);
     }
 
-    return { body, mesh };
+    const dynamicBody = this.addDynamicBody(body, collider, mesh);
+    dynamicBody.buoyancy = options.buoyancy ?? dynamicBody.buoyancy;
+    return dynamicBody;
   }
 
   /**
-   * Create a kinematic platform
+   * Register a dynamic body + mesh pair so it is synced, culled and disposed with the world
+   * @returns {DynamicBody}
+   */
+  addDynamicBody(body, collider, mesh) {
+    const dynamicBody = new DynamicBody(body, collider, mesh, this);
+    this.trackBody(body);
+    this.dynamicBodies.add(dynamicBody);
+    this.setColliderOwner(collider, dynamicBody);
+    dynamicBody.syncMesh();
+    return dynamicBody;
+  }
+
+  /**
+   * Remove a dynamic prop from the registry, the Rapier world and the scene
+   */
+  removeDynamicBody(dynamicBody) {
+    this.dynamicBodies.delete(dynamicBody);
+    this.setColliderOwner(dynamicBody.collider, null);
+    dynamicBody.dispose();
+  }
+
+  /**
+   * Sync registered prop meshes; sleep and hide props far from the focus point
+   * @param {{ x: number, y: number, z: number }|null} focus - Usually the player position
+   */
+  syncDynamicBodies(focus = null) {
+    // Slightly closer un-cull distance so props at the boundary don't flicker
+    const cullSq = this.dynamicCullDistance * this.dynamicCullDistance;
+    const uncullSq = cullSq * 0.81;
+
+    for (const dynamicBody of this.dynamicBodies) {
+      if (focus) {
+        const pos = dynamicBody.body.translation();
+        const dx = pos.x - focus.x;
+        const dy = pos.y - focus.y;
+        const dz = pos.z - focus.z;
+        const distSq = dx * dx + dy * dy + dz * dz;
+
+        if (!dynamicBody.culled && distSq > cullSq) {
+          this._setCulled(dynamicBody, true);
+        } else if (dynamicBody.culled && distSq < uncullSq) {
+          this._setCulled(dynamicBody, false);
+        }
+      }
+
+      if (!dynamicBody.culled) {
+        dynamicBody.syncMesh();
+      }
+    }
+  }
+
+  _setCulled(dynamicBody, culled) {
+    dynamicBody.culled = culled;
+    if (dynamicBody.mesh) {
+      dynamicBody.mesh.visible = !culled;
+    }
+    if (culled) {
+      dynamicBody.body.sleep();
+    } else {
+      dynamicBody.body.wakeUp();
+    }
+  }
+
+  /**
+   * Register a pool of reusable props (dropped apples, pebbles...)
+   * @param {string} key
+   * @param {(position: { x: number, y: number, z: number }) => DynamicBody} factory - Creates a registered prop,
+   *   e.g. `(pos) => physicsWorld.createDynamicSphere(pos, 0.08, scene)`
+   * @param {{ maxSize?: number }} options - Released props beyond maxSize are disposed instead
+   */
+  createDynamicPool(key, factory, options = {}) {
+    this.dynamicPools.set(key, {
+      factory,
+      maxSize: options.maxSize ?? 32,
+      free: [],
+    });
+  }
+
+  /**
+   * Take a prop from a pool (or create one) and place it
+   * @returns {DynamicBody}
+   */
+  spawnFromPool(key, position, rotation = null) {
+    const pool = this.dynamicPools.get(key);
+    if (!pool) {
+      throw new Error(`[PhysicsWorld] Unknown dynamic pool: ${key}`);
+    }
+
+    let dynamicBody = pool.free.pop();
+    if (dynamicBody) {
+      dynamicBody.body.setEnabled(true);
+      dynamicBody.reset(position, rotation);
+      this.trackBody(dynamicBody.body);
+      this.dynamicBodies.add(dynamicBody);
+      if (dynamicBody.mesh) {
+        dynamicBody.mesh.visible = true;
+      }
+    } else {
+      dynamicBody = pool.factory(position);
+      dynamicBody.poolKey = key;
+      if (rotation) {
+        dynamicBody.reset(position, rotation);
+      }
+    }
+
+    dynamicBody.culled = false;
+    dynamicBody.syncMesh();
+    return dynamicBody;
+  }
+
+  /**
+   * Return a pooled prop for reuse (disables its body and hides its mesh).
+   * Props without a pool, or when the pool is full, are removed instead.
+   */
+  releaseDynamicBody(dynamicBody) {
+    const pool = this.dynamicPools.get(dynamicBody.poolKey);
+    if (!pool || pool.free.length >= pool.maxSize) {
+      this.removeDynamicBody(dynamicBody);
+      return;
+    }
+
+    this.dynamicBodies.delete(dynamicBody);
+    this.untrackBody(dynamicBody.body);
+    dynamicBody.body.setEnabled(false);
+    if (dynamicBody.mesh) {
+      dynamicBody.mesh.visible = false;
+    }
+    pool.free.push(dynamicBody);
+  }
+
+  /**
+   * Create a moving platform. Moved by code like a kinematic body, but the body is fixed and
+   * PlatformSystem places it each step: Rapier's character controller stalls on kinematic ground.
    */
   createKinematicPlatform(position, size = { x: 4, y: 0.5, z: 4 }, scene) {
     const { RAPIER } = this;
 
     // Mesh centered on body translation; top surface at y = position.y + size.y / 2
-    const bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
+    const bodyDesc = RAPIER.RigidBodyDesc.fixed()
       .setTranslation(position.x, position.y, position.z);
     const body = this.world.createRigidBody(bodyDesc);
 
@@ -233,6 +1025,7 @@ export class PhysicsWorld {
       .setFriction(0.8)
       .setCollisionGroups(this.makeCollisionGroups(this.GROUPS.PLATFORM, this.GROUPS.ALL));
     const collider = this.world.createCollider(colliderDesc, body);
+    this.trackBody(body);
 
     // Visual
     let mesh = null;
@@ -254,14 +1047,12 @@ export class PhysicsWorld {
   }
 
   /**
-   * Sync a visual mesh transform to a rigid body
+   * Sync a visual mesh transform to a rigid body (interpolated if the body is tracked)
    */
   syncMeshToBody(body, mesh) {
     if (!body || !mesh) return;
-    const pos = body.translation();
-    const rot = body.rotation();
-    mesh.position.set(pos.x, pos.y, pos.z);
-    mesh.quaternion.set(rot.x, rot.y, rot.z, rot.w);
+    this.getInterpolatedTranslation(body, mesh.position);
+    this.getInterpolatedRotation(body, mesh.quaternion);
   }
 
   /**
@@ -282,6 +1073,240 @@ export class PhysicsWorld {
     return (membership << 16) | filter;
   }
 
+  /**
+   * Associate a collider with the game object that owns it (reported by queries)
+   */
+  setColliderOwner(collider, owner) {
+    if (!collider) return;
+    if (owner == null) {
+      this.colliderOwners.delete(collider.handle);
+    } else {
+      this.colliderOwners.set(collider.handle, owner);
+    }
+  }
+
+  /**
+   * Game object owning a collider, or null
+   */
+  getColliderOwner(collider) {
+    return collider ? this.colliderOwners.get(collider.handle) ?? null : null;
+  }
+
+  // ============================================================
+  // SPATIAL QUERIES
+  // ============================================================
+  //
+  // Shared query options:
+  // - groups: GROUPS name(s) to hit, e.g. 'GROUND' or ['GROUND', 'DYNAMIC'], or a raw mask (default ALL)
+  // - exclude: colliders, rigid bodies or objects with a collider/body (DynamicBody, trigger...) to ignore
+  // - includeSensors: also hit trigger volumes (default false)
+
+  /**
+   * Cast a ray and return the first hit
+   * @param {{ x: number, y: number, z: number }} origin
+   * @param {{ x: number, y: number, z: number }} direction - Need not be normalized
+   * @param {number} maxDistance
+   * @returns {{ point: Vector3, normal: Vector3, distance: number, collider, body, owner }|null}
+   */
+  raycast(origin, direction, maxDistance = 100, options = {}) {
+    const { RAPIER } = this;
+    const dir = _tmpQueryDir.set(direction.x, direction.y, direction.z);
+    if (dir.lengthSq() === 0) return null;
+    dir.normalize();
+
+    const ray = new RAPIER.Ray(
+      { x: origin.x, y: origin.y, z: origin.z },
+      { x: dir.x, y: dir.y, z: dir.z }
+    );
+    const filter = this._resolveQueryFilter(options);
+    const hit = this.world.castRayAndGetNormal(
+      ray, maxDistance, true,
+      filter.flags, filter.groups, undefined, undefined, filter.predicate
+    );
+    if (!hit) return null;
+
+    const distance = hit.timeOfImpact;
+    return this._makeHit(
+      hit.collider,
+      new Vector3().copy(dir).multiplyScalar(distance).add(origin),
+      new Vector3(hit.normal.x, hit.normal.y, hit.normal.z),
+      distance
+    );
+  }
+
+  /**
+   * Sweep a shape along a direction and return the first hit
+   * @param {{ type: 'sphere', radius: number }|{ type: 'box', halfExtents: { x, y, z } }|{ type: 'capsule', halfHeight: number, radius: number }} shape
+   * @param {{ x: number, y: number, z: number }} position - Start position of the shape center
+   * @param {{ x: number, y: number, z: number, w: number }|null} rotation
+   * @param {{ x: number, y: number, z: number }} direction - Need not be normalized
+   * @param {number} maxDistance
+   * @returns {{ point: Vector3, normal: Vector3, distance: number, collider, body, owner }|null}
+   *   point/normal are on the hit surface; distance is how far the shape traveled
+   */
+  shapeCast(shape, position, rotation, direction, maxDistance = 100, options = {}) {
+    const dir = _tmpQueryDir.set(direction.x, direction.y, direction.z);
+    if (dir.lengthSq() === 0) return null;
+    dir.normalize();
+
+    const filter = this._resolveQueryFilter(options);
+    const hit = this.world.castShape(
+      { x: position.x, y: position.y, z: position.z },
+      toRapierRotation(rotation),
+      { x: dir.x, y: dir.y, z: dir.z },
+      this._makeQueryShape(shape),
+      0, maxDistance, true,
+      filter.flags, filter.groups, undefined, undefined, filter.predicate
+    );
+    if (!hit) return null;
+
+    return this._makeHit(
+      hit.collider,
+      new Vector3(hit.witness1.x, hit.witness1.y, hit.witness1.z),
+      new Vector3(hit.normal1.x, hit.normal1.y, hit.normal1.z),
+      hit.time_of_impact
+    );
+  }
+
+  /**
+   * Find every collider overlapping a sphere
+   * @returns {{ collider, body, owner }[]}
+   */
+  overlapSphere(center, radius, options = {}) {
+    return this._overlapShape(new this.RAPIER.Ball(radius), center, null, options);
+  }
+
+  /**
+   * Find every collider overlapping an (optionally rotated) box
+   * @param {{ x: number, y: number, z: number }} halfExtents
+   * @returns {{ collider, body, owner }[]}
+   */
+  overlapBox(center, halfExtents, rotation = null, options = {}) {
+    const shape = new this.RAPIER.Cuboid(halfExtents.x, halfExtents.y, halfExtents.z);
+    return this._overlapShape(shape, center, rotation, options);
+  }
+
+  /**
+   * Find the closest point on any collider to a point
+   * @param {number} maxDistance - Ignore colliders farther than this
+   * @returns {{ point: Vector3, distance: number, isInside: boolean, collider, body, owner }|null}
+   */
+  projectPoint(point, maxDistance = Infinity, options = {}) {
+    const filter = this._resolveQueryFilter(options);
+    const projection = this.world.projectPoint(
+      { x: point.x, y: point.y, z: point.z }, true,
+      filter.flags, filter.groups, undefined, undefined, filter.predicate
+    );
+    if (!projection) return null;
+
+    const projected = new Vector3(projection.point.x, projection.point.y, projection.point.z);
+    const distance = projection.isInside ? 0 : projected.distanceTo(point);
+    if (distance > maxDistance) return null;
+
+    return {
+      point: projected,
+      distance,
+      isInside: projection.isInside,
+      collider: projection.collider,
+      body: projection.collider.parent(),
+      owner: this.getColliderOwner(projection.collider),
+    };
+  }
+
+  _overlapShape(shape, center, rotation, options) {
+    const filter = this._resolveQueryFilter(options);
+    const results = [];
+    this.world.intersectionsWithShape(
+      { x: center.x, y: center.y, z: center.z },
+      toRapierRotation(rotation),
+      shape,
+      (collider) => {
+        results.push({ collider, body: collider.parent(), owner: this.getColliderOwner(collider) });
+        return true;
+      },
+      filter.flags, filter.groups, undefined, undefined, filter.predicate
+    );
+    return results;
+  }
+
+  _makeHit(collider, point, normal, distance) {
+    return {
+      point,
+      normal,
+      distance,
+      collider,
+      body: collider.parent(),
+      owner: this.getColliderOwner(collider),
+    };
+  }
+
+  _makeQueryShape(shape) {
+    const { RAPIER } = this;
+    switch (shape.type) {
+      case 'sphere':
+        return new RAPIER.Ball(shape.radius);
+      case 'box':
+        return new RAPIER.Cuboid(shape.halfExtents.x, shape.halfExtents.y, shape.halfExtents.z);
+      case 'capsule':
+        return new RAPIER.Capsule(shape.halfHeight, shape.radius);
+      default:
+        throw new Error(`[PhysicsWorld] Unknown query shape: ${shape.type}`);
+    }
+  }
+
+  /**
+   * Turn shared query options into Rapier filter arguments
+   */
+  _resolveQueryFilter(options) {
+    const { QueryFilterFlags } = this.RAPIER;
+    const mask = this.resolveGroupMask(options.groups ?? this.GROUPS.ALL);
+
+    let predicate;
+    if (options.exclude?.length) {
+      const colliders = new Set();
+      const bodies = new Set();
+      for (const item of options.exclude) {
+        if (!item) continue;
+        if (item.collider) colliders.add(item.collider.handle);
+        if (item.body) bodies.add(item.body.handle);
+        // Raw Rapier objects: colliders have a parent body, rigid bodies a collider count
+        if (typeof item.parent === 'function') colliders.add(item.handle);
+        if (typeof item.numColliders === 'function') bodies.add(item.handle);
+      }
+      predicate = (collider) => {
+        if (colliders.has(collider.handle)) return false;
+        const parent = collider.parent();
+        return !(parent && bodies.has(parent.handle));
+      };
+    }
+
+    return {
+      flags: options.includeSensors ? undefined : QueryFilterFlags.EXCLUDE_SENSORS,
+      // Query is a member of every group and only tests the requested ones
+      groups: this.makeCollisionGroups(this.GROUPS.ALL, mask),
+      predicate,
+    };
+  }
+
+  /**
+   * Resolve GROUPS names (or an array of names / raw mask) to a bitmask
+   * @param {string|string[]|number} groups
+   * @returns {number}
+   */
+  resolveGroupMask(groups) {
+    if (typeof groups === 'number') return groups;
+
+    let mask = 0;
+    for (const name of Array.isArray(groups) ? groups : [groups]) {
+      const bits = this.GROUPS[name];
+      if (bits === undefined) {
+        throw new Error(`[PhysicsWorld] Unknown collision group: ${name}`);
+      }
+      mask |= bits;
+    }
+    return mask;
+  }
+
   /**
    * Update debug line rendering
    */
@@ -336,9 +1361,45 @@ export class PhysicsWorld {
    * Clean up
    */
   dispose() {
+    // Props and pooled spares leave the scene with their geometry and materials
+    for (const dynamicBody of this.dynamicBodies) {
+      dynamicBody.dispose();
+    }
+    for (const pool of this.dynamicPools.values()) {
+      for (const dynamicBody of pool.free) {
+        dynamicBody.dispose();
+      }
+    }
+    this.interpolatedBodies.clear();
+    this.dynamicBodies.clear();
+    this.dynamicPools.clear();
+    this.triggers.clear();
+    this.colliderOwners.clear();
+    this.colliderSurfaces.clear();
+    this._pendingContacts.clear();
+    this.snapshotParticipants.clear();
+    this.events.clear();
+    if (this.eventQueue) {
+      this.eventQueue.free();
+      this.eventQueue = null;
+    }
     if (this.world) {
       this.world.free();
       this.world = null;
     }
   }
 }
+
+const _tmpQueryDir = new Vector3();
+const IDENTITY_ROTATION = { x: 0, y: 0, z: 0, w: 1 };
+
+function toRapierRotation(rotation) {
+  return rotation ? { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w } : IDENTITY_ROTATION;
+}
+
+/**
+ * Order-independent key for a collider handle pair
+ */
+function pairKey(handle1, handle2) {
+  return handle1 < handle2 ? `${handle1}:${handle2}` : `${handle2}:${handle1}`;
+}
@@ -0,0 +1,180 @@
+/**
+ * PlayerSettings - On/off gameplay options the player picks, saved between sessions
+ *
+ * Responsibilities:
+ * - Describe the options (owner, property path, label)
+ * - Read and write them on the live camera rig and its effects
+ * - Persist the player's choices to localStorage, separate from the debug tuning presets
+ * - Start from the system preference (a media query) for options the player hasn't chosen yet
+ *
+ * DOM-free; SettingsPanel (src/ui/SettingsPanel.js) is the UI on top.
+ */
+
+/**
+ * @typedef {Object} PlayerSetting
+ * @property {string} key - Stable id used in storage, e.g. 'zoom'
+ * @property {string} label
+ * @property {string} group - Panel section
+ * @property {'camera'} owner - Which target object holds it
+ * @property {string} path - Property path on the owner, e.g. 'zoomEnabled'
+ * @property {string} [media] - Media query giving the value until the player picks one
+ */
+
+/** @type {PlayerSetting[]} */
+export const PLAYER_SETTINGS = [
+  { group: 'Camera', key: 'zoom', owner: 'camera', path: 'zoomEnabled', label: 'Scroll zoom' },
+  { group: 'Camera', key: 'autoRecenter', owner: 'camera', path: 'autoRecenterEnabled', label: 'Auto-recentre' },
+  { group: 'Camera', key: 'lockOn', owner: 'camera', path: 'lockOnEnabled', label: 'Soft lock-on' },
+  {
+    group: 'Accessibility', key: 'reducedMotion', owner: 'camera', path: 'effects.reducedMotion', label: 'Reduced motion',
+    media: '(prefers-reduced-motion: reduce)',
+  },
+];
+
+const STORAGE_KEY = 'thornvale.settings';
+
+export class PlayerSettings {
+  /**
+   * @param {{ camera: Object }} targets - Objects the options live on
+   * @param {Object} [options]
+   * @param {Storage|null} [options.storage] - Defaults to localStorage when available (null keeps nothing)
+   * @param {string} [options.storageKey]
+   * @param {PlayerSetting[]} [options.settings]
+   * @param {(query: string) => { matches: boolean }} [options.matchMedia] - Defaults to window.matchMedia
+   */
+  constructor(targets, options = {}) {
+    this.targets = targets;
+    this.settings = options.settings ?? PLAYER_SETTINGS;
+    this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage ?? null);
+    this.storageKey = options.storageKey ?? STORAGE_KEY;
+    this.matchMedia = options.matchMedia ?? globalThis.matchMedia?.bind(globalThis) ?? null;
+
+    // The defaults are whatever the code starts with
+    this.defaults = this.getValues();
+    // key -> value the player chose (only these are saved)
+    this._chosen = new Map();
+
+    this.onChange = null; // (setting, value) => void
+  }
+
+  /**
+   * Restore saved choices; the rest follow their media query, if any
+   * @returns {this}
+   */
+  init() {
+    const saved = this._readStorage();
+    for (const [key, value] of Object.entries(saved ?? {})) {
+      if (this.getSetting(key) && typeof value === 'boolean') {
+        this._chosen.set(key, value);
+        this._apply(key, value);
+      }
+    }
+    this._applySystemDefaults();
+    return this;
+  }
+
+  /**
+   * @returns {PlayerSetting|null}
+   */
+  getSetting(key) {
+    return this.settings.find((setting) => setting.key === key) ?? null;
+  }
+
+  get(key) {
+    const { object, property } = this._resolve(this._requireSetting(key));
+    return object[property];
+  }
+
+  /**
+   * Change an option and save it
+   */
+  set(key, value) {
+    this._requireSetting(key);
+    const next = Boolean(value);
+    this._chosen.set(key, next);
+    this._apply(key, next);
+    this._writeStorage();
+  }
+
+  /**
+   * Current live values of every option
+   * @returns {Object<string, boolean>}
+   */
+  getValues() {
+    const values = {};
+    for (const setting of this.settings) {
+      values[setting.key] = this.get(setting.key);
+    }
+    return values;
+  }
+
+  /**
+   * Put every option back to its default (or system preference) and forget the saved choices
+   */
+  resetDefaults() {
+    this._chosen.clear();
+    for (const [key, value] of Object.entries(this.defaults)) {
+      this._apply(key, value);
+    }
+    this._applySystemDefaults();
+    this.storage?.removeItem(this.storageKey);
+  }
+
+  /**
+   * Options the player hasn't chosen take their media query's answer (e.g. the OS reduced-motion switch)
+   */
+  _applySystemDefaults() {
+    if (!this.matchMedia) return;
+    for (const { key, media } of this.settings) {
+      if (media && !this._chosen.has(key)) {
+        this._apply(key, this.matchMedia(media).matches);
+      }
+    }
+  }
+
+  _apply(key, value) {
+    const setting = this.getSetting(key);
+    const { object, property } = this._resolve(setting);
+    object[property] = value;
+    this.onChange?.(setting, value);
+  }
+
+  _requireSetting(key) {
+    const setting = this.getSetting(key);
+    if (!setting) {
+      throw new Error(`[PlayerSettings] Unknown setting: ${key}`);
+    }
+    return setting;
+  }
+
+  /**
+   * Owner object and final property name for a setting's path
+   */
+  _resolve(setting) {
+    const parts = setting.path.split('.');
+    const property = parts.pop();
+    let object = this.targets[setting.owner];
+    for (const part of parts) {
+      object = object?.[part];
+    }
+    if (!object) {
+      throw new Error(`[PlayerSettings] Missing target for ${setting.key}`);
+    }
+    return { object, property };
+  }
+
+  _readStorage() {
+    if (!this.storage) return null;
+    try {
+      return JSON.parse(this.storage.getItem(this.storageKey) ?? 'null');
+    } catch (error) {
+      console.warn('[PlayerSettings] Ignoring unreadable saved settings:', error);
+      return null;
+    }
+  }
+
+  _writeStorage() {
+    if (!this.storage) return;
+    this.storage.setItem(this.storageKey, JSON.stringify(Object.fromEntries(this._chosen)));
+  }
+}
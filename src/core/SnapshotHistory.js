@@ -0,0 +1,69 @@
+/**
+ * SnapshotHistory - Rolling buffer of PhysicsWorld snapshots
+ *
+ * Responsibilities:
+ * - Capture a snapshot at a fixed simulated-time interval
+ * - Keep only the most recent `duration` seconds
+ * - Rewind the world by a number of seconds (debug "rewind")
+ */
+
+export class SnapshotHistory {
+  /**
+   * @param {import('./PhysicsWorld.js').PhysicsWorld} physicsWorld
+   * @param {{ interval?: number, duration?: number }} options
+   */
+  constructor(physicsWorld, options = {}) {
+    this.physics = physicsWorld;
+
+    this.interval = options.interval ?? 0.25;  // Seconds between captures
+    this.duration = options.duration ?? 10;    // Seconds of history to keep
+
+    this.snapshots = [];
+  }
+
+  /**
+   * Capture a snapshot if enough simulated time has passed (call after physics step)
+   */
+  update() {
+    const now = this.physics.time;
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (last && now - last.time < this.interval) return;
+
+    const snapshot = this.physics.takeSnapshot();
+    if (!snapshot) return;
+    this.snapshots.push(snapshot);
+
+    while (this.snapshots.length > 0 && now - this.snapshots[0].time > this.duration) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Restore the newest snapshot at least `seconds` old (or the oldest one available).
+   * Snapshots after the restored one are discarded.
+   * @returns {boolean}
+   */
+  rewind(seconds) {
+    if (this.snapshots.length === 0) return false;
+
+    const targetTime = this.physics.time - seconds;
+    let index = 0;
+    for (let i = this.snapshots.length - 1; i >= 0; i--) {
+      if (this.snapshots[i].time <= targetTime) {
+        index = i;
+        break;
+      }
+    }
+
+    const snapshot = this.snapshots[index];
+    this.snapshots.length = index + 1;
+    return this.physics.restoreSnapshot(snapshot);
+  }
+
+  /**
+   * Drop all captured snapshots
+   */
+  clear() {
+    this.snapshots.length = 0;
+  }
+}
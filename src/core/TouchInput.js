@@ -0,0 +1,180 @@
+/**
+ * TouchInput - Touch screen input for InputManager
+ *
+ * Responsibilities:
+ * - Floating virtual joystick on the left half of the screen (appears where the thumb lands)
+ * - Drag-to-look on the right half
+ * - On-screen buttons (elements with data-touch-action) held as actions
+ * - Several fingers at once, tracked by pointer id
+ *
+ * attach(root) listens for pointer events on a full-screen element; TouchControls builds it.
+ * The handle* methods take plain coordinates, so they can be driven without a DOM.
+ */
+
+import { clamp } from '../utils/math.js';
+
+export class TouchInput {
+  constructor() {
+    this.root = null;
+    this.width = globalThis.innerWidth ?? 1; // Splits the joystick and look halves
+
+    // Joystick
+    this.stickRadius = 60; // Pixels from the centre to full deflection
+    this.stickDeadZone = 0.12;
+    this.stick = null; // { id, originX, originY, x, y } while a thumb is on it
+    this.move = { x: 0, y: 0 }; // Dead-zoned deflection, y down (+) like screen space
+
+    // Look (radians per dragged pixel, in mouse-delta units)
+    this.lookSensitivity = 0.006;
+    this.look = { x: 0, y: 0 };
+
+    // pointerId -> { kind: 'stick' | 'look' | 'button', x, y, action }
+    this.pointers = new Map();
+    this.active = false; // Any finger down, or touched since the last consumeLook()
+
+    this.onButton = null; // (action, down) => void
+
+    this._lookResult = { x: 0, y: 0 };
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onResize = this._onResize.bind(this);
+  }
+
+  /**
+   * Start listening on a full-screen element
+   * @param {HTMLElement} root
+   */
+  attach(root) {
+    this.root = root;
+    root.addEventListener('pointerdown', this._onPointerDown);
+    root.addEventListener('pointermove', this._onPointerMove);
+    root.addEventListener('pointerup', this._onPointerUp);
+    root.addEventListener('pointercancel', this._onPointerUp);
+    window.addEventListener('resize', this._onResize);
+    this._onResize();
+    return this;
+  }
+
+  /**
+   * A finger went down
+   * @param {number} id - Pointer id
+   * @param {number} x - Screen pixels
+   * @param {number} y
+   * @param {string|null} [action] - On-screen button under the finger, if any
+   */
+  handlePointerDown(id, x, y, action = null) {
+    this.active = true;
+    if (action) {
+      this.pointers.set(id, { kind: 'button', x, y, action });
+      this.onButton?.(action, true);
+    } else if (x < this.width / 2 && !this.stick) {
+      this.pointers.set(id, { kind: 'stick', x, y, action: null });
+      this.stick = { id, originX: x, originY: y, x: 0, y: 0 };
+      this._updateStick(x, y);
+    } else {
+      this.pointers.set(id, { kind: 'look', x, y, action: null });
+    }
+  }
+
+  handlePointerMove(id, x, y) {
+    const pointer = this.pointers.get(id);
+    if (!pointer) return;
+    this.active = true;
+
+    if (pointer.kind === 'stick') {
+      this._updateStick(x, y);
+    } else if (pointer.kind === 'look') {
+      this.look.x += (x - pointer.x) * this.lookSensitivity;
+      this.look.y += (y - pointer.y) * this.lookSensitivity;
+    }
+    pointer.x = x;
+    pointer.y = y;
+  }
+
+  handlePointerUp(id) {
+    const pointer = this.pointers.get(id);
+    if (!pointer) return;
+    this.pointers.delete(id);
+
+    if (pointer.kind === 'stick') {
+      this.stick = null;
+      this.move.x = this.move.y = 0;
+    } else if (pointer.kind === 'button') {
+      this.onButton?.(pointer.action, false);
+    }
+  }
+
+  /**
+   * Get and reset the look drag (returns reusable object — do not store)
+   */
+  consumeLook() {
+    this._lookResult.x = this.look.x;
+    this._lookResult.y = this.look.y;
+    this.look.x = this.look.y = 0;
+    this.active = this.pointers.size > 0;
+    return this._lookResult;
+  }
+
+  /**
+   * Lift every finger (e.g. when the page is hidden mid-touch)
+   */
+  releaseAll() {
+    for (const id of [...this.pointers.keys()]) {
+      this.handlePointerUp(id);
+    }
+  }
+
+  _updateStick(x, y) {
+    const { stick } = this;
+    const dx = x - stick.originX;
+    const dy = y - stick.originY;
+    const distance = Math.hypot(dx, dy);
+    const magnitude = Math.min(distance / this.stickRadius, 1);
+
+    // Knob offset for the on-screen stick, kept inside the ring
+    const scale = distance > 0 ? (magnitude * this.stickRadius) / distance : 0;
+    stick.x = dx * scale;
+    stick.y = dy * scale;
+
+    if (magnitude <= this.stickDeadZone) {
+      this.move.x = this.move.y = 0;
+      return;
+    }
+    const scaled = clamp((magnitude - this.stickDeadZone) / (1 - this.stickDeadZone), 0, 1);
+    this.move.x = (dx / distance) * scaled;
+    this.move.y = (dy / distance) * scaled;
+  }
+
+  _onPointerDown(e) {
+    if (e.pointerType === 'mouse') return;
+    e.preventDefault();
+    this.root.setPointerCapture?.(e.pointerId);
+    const action = e.target.closest?.('[data-touch-action]')?.dataset.touchAction ?? null;
+    this.handlePointerDown(e.pointerId, e.clientX, e.clientY, action);
+  }
+
+  _onPointerMove(e) {
+    if (e.pointerType === 'mouse') return;
+    this.handlePointerMove(e.pointerId, e.clientX, e.clientY);
+  }
+
+  _onPointerUp(e) {
+    this.handlePointerUp(e.pointerId);
+  }
+
+  _onResize() {
+    this.width = this.root?.clientWidth || window.innerWidth;
+  }
+
+  dispose() {
+    if (!this.root) return;
+    this.root.removeEventListener('pointerdown', this._onPointerDown);
+    this.root.removeEventListener('pointermove', this._onPointerMove);
+    this.root.removeEventListener('pointerup', this._onPointerUp);
+    this.root.removeEventListener('pointercancel', this._onPointerUp);
+    window.removeEventListener('resize', this._onResize);
+    this.root = null;
+  }
+}
@@ -0,0 +1,286 @@
+/**
+ * TuningPresets - Live-tunable motor, jump and camera settings with named presets
+ *
+ * Responsibilities:
+ * - Describe the tunable settings (owner, property path, slider range)
+ * - Read and write them on the live motor, player controller and camera rig
+ * - Named presets saved to localStorage, with the built-in "Default" captured at startup
+ * - Export / import presets as JSON
+ *
+ * DOM-free; TuningPanel (src/ui/TuningPanel.js) is the slider UI on top.
+ */
+
+/**
+ * @typedef {Object} TuningParam
+ * @property {string} key - Stable id used in presets, e.g. 'motor.friction'
+ * @property {string} label
+ * @property {string} group - Panel section
+ * @property {'motor'|'player'|'camera'} owner - Which target object holds it
+ * @property {string} path - Property path on the owner, e.g. 'gaits.jog.maxSpeed'
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ */
+
+/** @type {TuningParam[]} */
+export const TUNING_PARAMS = [
+  { group: 'Movement', owner: 'motor', path: 'gaits.walk.maxSpeed', label: 'Walk speed', min: 0.5, max: 5, step: 0.1 },
+  { group: 'Movement', owner: 'motor', path: 'gaits.jog.maxSpeed', label: 'Jog speed', min: 1, max: 12, step: 0.1 },
+  { group: 'Movement', owner: 'motor', path: 'gaits.sprint.maxSpeed', label: 'Sprint speed', min: 2, max: 16, step: 0.1 },
+  { group: 'Movement', owner: 'motor', path: 'gaits.crouch.maxSpeed', label: 'Crouch speed', min: 0.5, max: 5, step: 0.1 },
+  { group: 'Movement', owner: 'motor', path: 'gaits.jog.acceleration', label: 'Jog acceleration', min: 5, max: 100, step: 1 },
+  { group: 'Movement', owner: 'motor', path: 'gaits.sprint.acceleration', label: 'Sprint acceleration', min: 5, max: 100, step: 1 },
+  { group: 'Movement', owner: 'motor', path: 'friction', label: 'Friction', min: 0, max: 40, step: 0.5 },
+  { group: 'Movement', owner: 'motor', path: 'airControl', label: 'Air control', min: 0, max: 1, step: 0.05 },
+  { group: 'Movement', owner: 'motor', path: 'maxStamina', label: 'Stamina (s)', min: 1, max: 20, step: 0.5 },
+  { group: 'Jumping', owner: 'player', path: 'jumpStrength', label: 'Jump strength', min: 2, max: 20, step: 0.1 },
+  { group: 'Jumping', owner: 'player', path: 'maxAirJumps', label: 'Air jumps', min: 0, max: 3, step: 1 },
+  { group: 'Jumping', owner: 'motor', path: 'coyoteTime', label: 'Coyote time (s)', min: 0, max: 0.5, step: 0.01 },
+  { group: 'Jumping', owner: 'motor', path: 'terminalVelocity', label: 'Terminal velocity', min: 10, max: 100, step: 1 },
+  { group: 'Jumping', owner: 'motor', path: 'hardLandingSpeed', label: 'Hard landing speed', min: 4, max: 30, step: 0.5 },
+  { group: 'Camera', owner: 'camera', path: 'distance', label: 'Distance', min: 1, max: 15, step: 0.1 },
+  { group: 'Camera', owner: 'camera', path: 'pivotHeight', label: 'Pivot height', min: 0.5, max: 3, step: 0.05 },
+  { group: 'Camera', owner: 'camera', path: 'shoulderOffset', label: 'Shoulder offset', min: -2, max: 2, step: 0.05 },
+  { group: 'Camera', owner: 'camera', path: 'lookAtHeight', label: 'Look-at height', min: 0, max: 3, step: 0.05 },
+  { group: 'Camera', owner: 'camera', path: 'positionSharpness', label: 'Position sharpness', min: 1, max: 40, step: 0.5 },
+  { group: 'Camera', owner: 'camera', path: 'rotationSharpness', label: 'Rotation sharpness', min: 1, max: 40, step: 0.5 },
+  { group: 'Camera', owner: 'camera', path: 'collisionOffset', label: 'Collision offset', min: 0, max: 1, step: 0.05 },
+  { group: 'Camera', owner: 'camera', path: 'autoRecenterDelay', label: 'Recentre delay (s)', min: 0.5, max: 10, step: 0.5 },
+].map((param) => ({ ...param, key: `${param.owner}.${param.path}` }));
+
+export const DEFAULT_PRESET = 'Default';
+
+const STORAGE_KEY = 'thornvale.tuning';
+
+export class TuningPresets {
+  /**
+   * @param {{ motor: Object, player: Object, camera: Object }} targets - Objects the settings live on
+   * @param {Object} [options]
+   * @param {Storage|null} [options.storage] - Defaults to localStorage when available (null keeps nothing)
+   * @param {string} [options.storageKey]
+   * @param {TuningParam[]} [options.params]
+   */
+  constructor(targets, options = {}) {
+    this.targets = targets;
+    this.params = options.params ?? TUNING_PARAMS;
+    this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage ?? null);
+    this.storageKey = options.storageKey ?? STORAGE_KEY;
+
+    // name -> { key: value }; the built-in default is whatever the code starts with
+    this.presets = new Map([[DEFAULT_PRESET, this.getValues()]]);
+    this.activePreset = DEFAULT_PRESET;
+    this.isModified = false; // Values edited since the active preset was loaded or saved
+
+    this.onChange = null; // (param, value) => void
+    this.onPresetChange = null; // (name) => void
+  }
+
+  /**
+   * Restore saved presets and re-apply the last active one
+   * @returns {this}
+   */
+  init() {
+    const saved = this._readStorage();
+    for (const [name, values] of Object.entries(saved?.presets ?? {})) {
+      if (name !== DEFAULT_PRESET) this.presets.set(name, this._sanitize(values));
+    }
+    if (saved?.active && this.presets.has(saved.active)) {
+      this.loadPreset(saved.active);
+    }
+    return this;
+  }
+
+  /**
+   * @returns {TuningParam|null}
+   */
+  getParam(key) {
+    return this.params.find((param) => param.key === key) ?? null;
+  }
+
+  get(key) {
+    const param = this._requireParam(key);
+    const { object, property } = this._resolve(param);
+    return object[property];
+  }
+
+  /**
+   * Set a live value (clamped to the slider range)
+   */
+  set(key, value) {
+    const param = this._requireParam(key);
+    const { object, property } = this._resolve(param);
+    const clamped = Math.min(Math.max(Number(value), param.min), param.max);
+    if (!Number.isFinite(clamped)) return;
+
+    object[property] = clamped;
+    this.isModified = true;
+    this.onChange?.(param, clamped);
+  }
+
+  /**
+   * Current live values of every setting
+   * @returns {Object<string, number>}
+   */
+  getValues() {
+    const values = {};
+    for (const param of this.params) {
+      values[param.key] = this.get(param.key);
+    }
+    return values;
+  }
+
+  /**
+   * @returns {string[]} - Built-in default first, then saved presets by name
+   */
+  listPresets() {
+    const saved = [...this.presets.keys()].filter((name) => name !== DEFAULT_PRESET).sort();
+    return [DEFAULT_PRESET, ...saved];
+  }
+
+  /**
+   * Apply a preset to the live objects
+   */
+  loadPreset(name) {
+    const values = this.presets.get(name);
+    if (!values) {
+      throw new Error(`[TuningPresets] Unknown preset: ${name}`);
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      if (this.getParam(key)) this.set(key, value);
+    }
+    this._setActive(name);
+  }
+
+  /**
+   * Save the live values under a name (overwrites a saved preset of the same name)
+   */
+  savePreset(name) {
+    const presetName = String(name ?? '').trim();
+    if (!presetName) {
+      throw new Error('[TuningPresets] Preset name is empty');
+    }
+    if (presetName === DEFAULT_PRESET) {
+      throw new Error(`[TuningPresets] "${DEFAULT_PRESET}" is built in and can't be overwritten`);
+    }
+
+    this.presets.set(presetName, this.getValues());
+    this._setActive(presetName);
+  }
+
+  deletePreset(name) {
+    if (name === DEFAULT_PRESET || !this.presets.delete(name)) return;
+    if (this.activePreset === name) {
+      this.loadPreset(DEFAULT_PRESET);
+    } else {
+      this._writeStorage();
+    }
+  }
+
+  /**
+   * Preset as JSON ({ name, values }); the live values when no name is given
+   * @returns {string}
+   */
+  exportJSON(name = null) {
+    const values = name ? this.presets.get(name) : this.getValues();
+    if (!values) {
+      throw new Error(`[TuningPresets] Unknown preset: ${name}`);
+    }
+    return JSON.stringify({ name: name ?? this.activePreset, values }, null, 2);
+  }
+
+  /**
+   * Save and load a preset from exported JSON (unknown settings are ignored)
+   * @param {string} json
+   * @param {string} [name] - Save under this name instead of the one in the JSON
+   * @returns {string} - Name the preset was saved under
+   */
+  importJSON(json, name = null) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`[TuningPresets] Invalid preset JSON: ${error.message}`);
+    }
+    if (!data || typeof data.values !== 'object' || data.values === null) {
+      throw new Error('[TuningPresets] Preset JSON needs a "values" object');
+    }
+
+    let presetName = String(name ?? data.name ?? '').trim() || 'Imported';
+    if (presetName === DEFAULT_PRESET) presetName = `${DEFAULT_PRESET} (imported)`;
+
+    this.presets.set(presetName, this._sanitize(data.values));
+    this.loadPreset(presetName);
+    return presetName;
+  }
+
+  /**
+   * Preset name for the debug HUD ("*" once edited)
+   */
+  getLabel() {
+    return `${this.activePreset}${this.isModified ? '*' : ''}`;
+  }
+
+  _setActive(name) {
+    this.activePreset = name;
+    this.isModified = false;
+    this._writeStorage();
+    this.onPresetChange?.(name);
+  }
+
+  _requireParam(key) {
+    const param = this.getParam(key);
+    if (!param) {
+      throw new Error(`[TuningPresets] Unknown setting: ${key}`);
+    }
+    return param;
+  }
+
+  /**
+   * Owner object and final property name for a param's path
+   */
+  _resolve(param) {
+    const parts = param.path.split('.');
+    const property = parts.pop();
+    let object = this.targets[param.owner];
+    for (const part of parts) {
+      object = object?.[part];
+    }
+    if (!object) {
+      throw new Error(`[TuningPresets] Missing target for ${param.key}`);
+    }
+    return { object, property };
+  }
+
+  /**
+   * Keep known, numeric settings only
+   */
+  _sanitize(values) {
+    const clean = {};
+    for (const [key, value] of Object.entries(values ?? {})) {
+      if (this.getParam(key) && Number.isFinite(Number(value))) {
+        clean[key] = Number(value);
+      }
+    }
+    return clean;
+  }
+
+  _readStorage() {
+    if (!this.storage) return null;
+    try {
+      return JSON.parse(this.storage.getItem(this.storageKey) ?? 'null');
+    } catch (error) {
+      console.warn('[TuningPresets] Ignoring unreadable saved presets:', error);
+      return null;
+    }
+  }
+
+  _writeStorage() {
+    if (!this.storage) return;
+    const presets = {};
+    for (const [name, values] of this.presets) {
+      if (name !== DEFAULT_PRESET) presets[name] = values;
+    }
+    this.storage.setItem(this.storageKey, JSON.stringify({ active: this.activePreset, presets }));
+  }
+}
@@ -3,6 +3,13 @@ export class InteractableSystem {
     this.hud = hud;
     this.interactables = [];
     this.activeInteractable = null;
+    this._promptText = null;
+
+    // The interactable the player is in conversation with: started by interacting with one marked
+    // `conversation: true`, ended by endConversation() or by walking out of its range
+    this.conversation = null;
+    this.onConversationStart = null; // (interactable) => void
+    this.onConversationEnd = null; // (interactable) => void
   }
 
   register(interactable) {
@@ -21,25 +28,53 @@ export class InteractableSystem {
       }
     }
 
-    if (closest !== this.activeInteractable) {
+    if (this.conversation && closest !== this.conversation) {
+      this.endConversation();
+    }
+
+    // Re-shown when the interact key's label changes (rebinding, keyboard <-> gamepad)
+    const promptText = closest ? `Press ${inputManager.getActionLabel('interact')} — ${closest.prompt}` : null;
+    if (closest !== this.activeInteractable || promptText !== this._promptText) {
       this.activeInteractable = closest;
+      this._promptText = promptText;
       if (closest) {
-        this.hud.showPrompt(`Press E — ${closest.prompt}`);
+        this.hud.showPrompt(promptText);
       } else {
         this.hud.hidePrompt();
       }
     }
 
     if (!closest) {
-      inputManager.consumeKeyPress('KeyE');
+      inputManager.consumeAction('interact');
       return;
     }
 
-    if (inputManager.consumeKeyPress('KeyE')) {
+    if (inputManager.consumeAction('interact')) {
       const message = closest.onInteract?.();
       if (message) {
         this.hud.setStatus(message);
       }
+      if (closest.conversation) this.startConversation(closest);
     }
   }
+
+  /**
+   * Begin talking to an interactable (ends any other conversation first)
+   */
+  startConversation(interactable) {
+    if (interactable === this.conversation) return;
+    this.endConversation();
+    this.conversation = interactable;
+    this.onConversationStart?.(interactable);
+  }
+
+  /**
+   * End the current conversation, e.g. when its dialogue closes
+   */
+  endConversation() {
+    const { conversation } = this;
+    if (!conversation) return;
+    this.conversation = null;
+    this.onConversationEnd?.(conversation);
+  }
 }
@@ -0,0 +1,337 @@
+/**
+ * RespawnSystem - Out-of-bounds, kill volumes, checkpoints and respawning
+ *
+ * Responsibilities:
+ * - Catch the player falling off the world (below killY or past the ground's edge)
+ * - Kill volumes: player-only trigger boxes that send the player back
+ * - Named checkpoints that activate when walked through
+ * - Respawn flow: fade out, PlayerController.teleport, fade in, with input locked throughout
+ *
+ * Falls put the player back on the last safe ground the motor remembered; kill
+ * volumes default to the active checkpoint. Gameplay can call respawn() directly
+ * (e.g. an anomaly where the town puts you back somewhere).
+ * Call update(dt) once per fixed step, before the player's fixed update.
+ */
+
+import { Vector3 } from 'three';
+
+/**
+ * @typedef {Object} Checkpoint
+ * @property {string} name
+ * @property {Vector3} position - Capsule center to respawn at
+ * @property {Object} trigger - PhysicsWorld trigger that activates it
+ */
+
+/**
+ * @typedef {Object} KillZone
+ * @property {string} name
+ * @property {Object} trigger - PhysicsWorld trigger for the volume
+ * @property {'safe'|'checkpoint'} respawnTo - Where touching it sends the player
+ * @property {string|null} checkpoint - Specific checkpoint (instead of the active one)
+ * @property {string|null} message - Status line shown on respawn
+ */
+
+/**
+ * @typedef {Object} RespawnRequest
+ * @property {string} [reason='manual'] - 'outOfBounds' | 'killZone' | 'anomaly' | ...
+ * @property {'safe'|'checkpoint'} [to='safe'] - Last safe ground, or a checkpoint
+ * @property {string|null} [checkpoint] - Named checkpoint (defaults to the active one)
+ * @property {string|null} [message] - Status line shown on respawn
+ */
+
+export const RESPAWN_TARGETS = ['safe', 'checkpoint'];
+
+export class RespawnSystem {
+  /**
+   * @param {import('../core/PhysicsWorld.js').PhysicsWorld} physicsWorld
+   * @param {Object} hud - HUD (or HeadlessHUD) for the fade and status line
+   */
+  constructor(physicsWorld, hud) {
+    this.physics = physicsWorld;
+    this.hud = hud;
+
+    /** @type {import('../controllers/PlayerController.js').PlayerController|null} */
+    this.player = null; // Player to respawn (set externally)
+
+    // Fallback when there is no safe ground or checkpoint yet
+    this.spawnPoint = new Vector3(0, 2, 0);
+
+    // World bounds: below killY, or further than worldHalfSize from the origin on X/Z
+    this.killY = -20;
+    this.worldHalfSize = Infinity;
+
+    // Fade timing (seconds)
+    this.fadeOutTime = 0.35;
+    this.fadeInTime = 0.5;
+
+    /** @type {Checkpoint[]} */
+    this.checkpoints = [];
+    /** @type {Checkpoint|null} */
+    this.activeCheckpoint = null;
+
+    /** @type {KillZone[]} */
+    this.killZones = [];
+
+    // 'none' | 'fadeOut' | 'fadeIn'
+    this.phase = 'none';
+    this._timer = 0;
+    /** @type {RespawnRequest|null} */
+    this._pending = null;
+
+    this.onRespawn = null; // ({ reason, to, checkpoint, position }) => void
+    this.onCheckpoint = null; // (checkpoint) => void
+  }
+
+  /**
+   * Respawn anyone who leaves the ground plane
+   * @param {number} groundSize - Half size passed to PhysicsWorld.createGround
+   * @param {number} [margin=2] - Distance past the edge before it counts
+   */
+  setGroundBounds(groundSize, margin = 2) {
+    this.worldHalfSize = groundSize + margin;
+  }
+
+  /**
+   * Register a named checkpoint
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {Vector3} options.position - Capsule center to respawn at
+   * @param {number} [options.radius=2] - Half size of the activation box
+   * @param {boolean} [options.active=false] - Start as the active checkpoint
+   * @returns {Checkpoint}
+   */
+  addCheckpoint({ name, position, radius = 2, active = false }) {
+    if (this.getCheckpoint(name)) {
+      throw new Error(`[RespawnSystem] Duplicate checkpoint: ${name}`);
+    }
+
+    const trigger = this.physics.createBoxTrigger(position, { x: radius, y: 2, z: radius }, {
+      name: `checkpoint_${name}`,
+      filter: this.physics.GROUPS.PLAYER,
+    });
+
+    const checkpoint = {
+      name,
+      position: new Vector3(position.x, position.y, position.z),
+      trigger,
+    };
+    trigger.userData = { checkpoint };
+
+    this.checkpoints.push(checkpoint);
+    if (active) this.activeCheckpoint = checkpoint;
+    return checkpoint;
+  }
+
+  /**
+   * Look up a checkpoint by name
+   * @returns {Checkpoint|null}
+   */
+  getCheckpoint(name) {
+    return this.checkpoints.find((checkpoint) => checkpoint.name === name) ?? null;
+  }
+
+  /**
+   * Make a checkpoint the one kill volumes send the player to
+   */
+  activateCheckpoint(name) {
+    const checkpoint = this.getCheckpoint(name);
+    if (!checkpoint) {
+      throw new Error(`[RespawnSystem] Unknown checkpoint: ${name}`);
+    }
+    if (checkpoint === this.activeCheckpoint) return;
+    this.activeCheckpoint = checkpoint;
+    this.onCheckpoint?.(checkpoint);
+  }
+
+  /**
+   * Register a kill volume
+   * @param {Object} options
+   * @param {string} [options.name]
+   * @param {Vector3} options.position - Center of the volume
+   * @param {Vector3} options.halfExtents - Local half size
+   * @param {import('three').Quaternion} [options.rotation]
+   * @param {'safe'|'checkpoint'} [options.respawnTo='checkpoint']
+   * @param {string} [options.checkpoint] - Specific checkpoint (instead of the active one)
+   * @param {string} [options.message] - Status line shown on respawn
+   * @returns {KillZone}
+   */
+  addKillZone({ name, position, halfExtents, rotation = null, respawnTo = 'checkpoint', checkpoint = null, message = null }) {
+    if (!RESPAWN_TARGETS.includes(respawnTo)) {
+      throw new Error(`[RespawnSystem] Unknown respawn target: ${respawnTo}`);
+    }
+
+    const zoneName = name ?? `kill_${this.killZones.length}`;
+    const trigger = this.physics.createBoxTrigger(position, halfExtents, {
+      name: `kill_${zoneName}`,
+      rotation,
+      filter: this.physics.GROUPS.PLAYER,
+    });
+
+    const zone = { name: zoneName, trigger, respawnTo, checkpoint, message };
+    trigger.userData = { killZone: zone };
+
+    this.killZones.push(zone);
+    return zone;
+  }
+
+  /**
+   * Remove a kill volume and its trigger
+   */
+  removeKillZone(zone) {
+    const index = this.killZones.indexOf(zone);
+    if (index === -1) return;
+    this.killZones.splice(index, 1);
+    this.physics.removeTrigger(zone.trigger);
+  }
+
+  /**
+   * Whether a respawn fade is in progress
+   */
+  isRespawning() {
+    return this.phase !== 'none';
+  }
+
+  /**
+   * Start the respawn flow (ignored while one is already running)
+   * @param {RespawnRequest} [request]
+   * @returns {boolean} - Whether a respawn started
+   */
+  respawn({ reason = 'manual', to = 'safe', checkpoint = null, message = null } = {}) {
+    if (!RESPAWN_TARGETS.includes(to)) {
+      throw new Error(`[RespawnSystem] Unknown respawn target: ${to}`);
+    }
+    if (checkpoint && !this.getCheckpoint(checkpoint)) {
+      throw new Error(`[RespawnSystem] Unknown checkpoint: ${checkpoint}`);
+    }
+    if (!this.player || this.isRespawning()) return false;
+
+    this._pending = { reason, to, checkpoint, message };
+    this.phase = 'fadeOut';
+    this._timer = 0;
+
+    // Don't remember the ground we're being taken away from
+    const { motor } = this.player;
+    motor.trackSafeGround = false;
+    motor.lockControl(this.fadeOutTime + this.fadeInTime);
+    return true;
+  }
+
+  /**
+   * Check bounds, kill volumes and checkpoints, and run the fade
+   * @param {number} dt - Fixed delta time
+   */
+  update(dt) {
+    const motor = this.player?.motor;
+    if (!motor?.collider) return;
+
+    const handle = motor.collider.handle;
+    for (const checkpoint of this.checkpoints) {
+      if (checkpoint.trigger.overlaps.has(handle)) {
+        this.activateCheckpoint(checkpoint.name);
+      }
+    }
+
+    if (this.phase === 'none') {
+      this._checkHazards(motor, handle);
+    }
+
+    if (this.phase === 'fadeOut') {
+      this._timer += dt;
+      this.hud?.setFade(Math.min(this._timer / this.fadeOutTime, 1));
+      if (this._timer >= this.fadeOutTime) {
+        this._respawnNow();
+        this.phase = 'fadeIn';
+        this._timer = 0;
+      }
+    } else if (this.phase === 'fadeIn') {
+      this._timer += dt;
+      this.hud?.setFade(Math.max(1 - this._timer / this.fadeInTime, 0));
+      if (this._timer >= this.fadeInTime) {
+        this.phase = 'none';
+        this._timer = 0;
+        motor.trackSafeGround = true;
+      }
+    }
+  }
+
+  _checkHazards(motor, handle) {
+    const pos = motor.getPosition();
+    const limit = this.worldHalfSize;
+    if (pos.y < this.killY || Math.abs(pos.x) > limit || Math.abs(pos.z) > limit) {
+      this.respawn({ reason: 'outOfBounds', to: 'safe' });
+      return;
+    }
+
+    for (const zone of this.killZones) {
+      if (zone.trigger.overlaps.has(handle)) {
+        this.respawn({
+          reason: 'killZone',
+          to: zone.respawnTo,
+          checkpoint: zone.checkpoint,
+          message: zone.message,
+        });
+        return;
+      }
+    }
+  }
+
+  _respawnNow() {
+    const request = this._pending ?? { reason: 'manual', to: 'safe', checkpoint: null, message: null };
+    this._pending = null;
+
+    const { position, checkpoint } = this._resolveTarget(request);
+    this.player.teleport(position);
+    this.player.motor.lockControl(this.fadeInTime);
+
+    if (request.message) {
+      this.hud?.setStatus(request.message);
+    }
+    this.onRespawn?.({
+      reason: request.reason,
+      to: request.to,
+      checkpoint: checkpoint?.name ?? null,
+      position: position.clone(),
+    });
+  }
+
+  /**
+   * Where a request puts the player: safe ground, then the named or active
+   * checkpoint, then the spawn point
+   * @returns {{ position: Vector3, checkpoint: Checkpoint|null }}
+   */
+  _resolveTarget({ to, checkpoint }) {
+    if (to === 'safe') {
+      const safe = this.player.motor.getSafePosition();
+      if (safe) return { position: safe.clone(), checkpoint: null };
+    }
+
+    const target = (checkpoint ? this.getCheckpoint(checkpoint) : null) ?? this.activeCheckpoint;
+    if (target) return { position: target.position.clone(), checkpoint: target };
+    return { position: this.spawnPoint.clone(), checkpoint: null };
+  }
+
+  /**
+   * Checkpoint and fade state (snapshot participant)
+   */
+  captureState() {
+    return {
+      activeCheckpoint: this.activeCheckpoint?.name ?? null,
+      phase: this.phase,
+      timer: this._timer,
+      pending: this._pending ? { ...this._pending } : null,
+    };
+  }
+
+  restoreState(state) {
+    this.activeCheckpoint = state?.activeCheckpoint ? this.getCheckpoint(state.activeCheckpoint) : null;
+    this.phase = state?.phase ?? 'none';
+    this._timer = state?.timer ?? 0;
+    this._pending = state?.pending ? { ...state.pending } : null;
+
+    if (this.player) this.player.motor.trackSafeGround = this.phase === 'none';
+    let fade = 0;
+    if (this.phase === 'fadeOut') fade = Math.min(this._timer / this.fadeOutTime, 1);
+    if (this.phase === 'fadeIn') fade = Math.max(1 - this._timer / this.fadeInTime, 0);
+    this.hud?.setFade(fade);
+  }
+}
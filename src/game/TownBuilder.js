@@ -1,14 +1,63 @@
 import {
   Vector3, MeshStandardMaterial, Group, Mesh,
-  CylinderGeometry, BoxGeometry, SphereGeometry, Box3,
+  CylinderGeometry, BoxGeometry, SphereGeometry, Quaternion, Box3,
 } from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
+import { ConvexGeometry } from 'three/addons/geometries/ConvexGeometry.js';
+
+const COLLIDER_PREFIX = 'COLLIDER_';
+
+// Name prefixes for authored collider shapes; a bare COLLIDER_ is an oriented box.
+// The same choice can be made from Blender custom properties via glTF extras:
+// { "collider": "mesh" | "hull" | "box" | "ball" | "capsule", "friction": 0.9, "surface": "mud" }
+const COLLIDER_SHAPE_PREFIXES = [
+  ['COLLIDER_MESH_', 'mesh'],
+  ['COLLIDER_HULL_', 'hull'],
+  ['COLLIDER_BOX_', 'box'],
+  ['COLLIDER_BALL_', 'ball'],
+  ['COLLIDER_CAPSULE_', 'capsule'],
+];
+const COLLIDER_SHAPES = new Set(COLLIDER_SHAPE_PREFIXES.map(([, shape]) => shape));
+
+// Climbable volumes (hidden boxes straddling the climbable face, local +Z pointing out
+// towards the climber). A bare CLIMB_ is a ladder; extras can say { "climbable": "trellis" }.
+const CLIMB_PREFIX = 'CLIMB_';
+const CLIMB_KIND_PREFIXES = [
+  ['CLIMB_LADDER_', 'ladder'],
+  ['CLIMB_TRELLIS_', 'trellis'],
+];
+
+// Water volumes (hidden; the world-space bounds are the volume and their top is the surface).
+// Extras can set { "buoyancy": 2, "linearDrag": 3, "flowX": 0, "flowZ": 0.8 }.
+const WATER_PREFIX = 'WATER_';
+
+// Kill volumes (hidden oriented boxes) send the player back; extras can set
+// { "respawnTo": "safe" | "checkpoint", "checkpoint": "town_square", "message": "..." }.
+const KILL_PREFIX = 'KILL_';
+
+// Checkpoints (hidden); the rest of the name is the checkpoint name, the player respawns
+// standing on the bottom of the bounds and walking through the bounds activates it.
+const CHECKPOINT_PREFIX = 'CHECKPOINT_';
 
 export async function buildTown(physicsWorld, scene) {
   const interactables = [];
+  const platforms = [];
+  const climbables = [];
+  const waterVolumes = [];
+  const forceZones = [];
+  const killZones = [];
+  const cameraShots = [];
+  const cameraRails = [];
   const spawnPoint = new Vector3(0, 2, 14);
 
+  // Named respawn points; the square is active from the start
+  const checkpoints = [
+    { name: 'town_square', position: spawnPoint.clone(), radius: 3, active: true },
+    { name: 'mill_pond', position: new Vector3(-28, 2, 37), radius: 2.5 },
+    { name: 'garden', position: new Vector3(-8, 2, -27), radius: 2 },
+    { name: 'knoll', position: new Vector3(25, 2, -12), radius: 2.5 },
+  ];
+
   const buildingMaterial = new MeshStandardMaterial({
     color: 0xb8b8b8,
     roughness: 0.95,
@@ -21,7 +70,7 @@ export async function buildTown(physicsWorld, scene) {
     { position: new Vector3(-6, 1.8, 8), size: new Vector3(6, 3.6, 5) },
   ];
 
-  // Create physics colliders for buildings (no visual meshes — we'll merge below)
+  // Create physics colliders for buildings (no visual meshes — added below)
   for (const building of buildingData) {
     physicsWorld.createStaticBox(
       { x: building.position.x, y: building.position.y, z: building.position.z },
@@ -30,25 +79,30 @@ export async function buildTown(physicsWorld, scene) {
     );
   }
 
-  // Merge building geometries into a single draw call
-  const buildingGeometries = buildingData.map(({ position, size }) => {
-    const geo = new BoxGeometry(size.x, size.y, size.z);
-    geo.translate(position.x, position.y, position.z);
-    return geo;
-  });
-
-  const mergedBuildingGeo = BufferGeometryUtils.mergeGeometries(buildingGeometries);
-  const mergedBuildingMesh = new Mesh(mergedBuildingGeo, new MeshStandardMaterial({
+  // One mesh per building (sharing a material) so each can fade on its own when it
+  // hides the player from the camera
+  const townBuildingMaterial = new MeshStandardMaterial({
     color: 0xb1b1b1,
     roughness: 0.9,
-  }));
-  mergedBuildingMesh.castShadow = true;
-  mergedBuildingMesh.receiveShadow = true;
-  scene.add(mergedBuildingMesh);
+  });
+  for (const [index, { position, size }] of buildingData.entries()) {
+    const buildingMesh = new Mesh(new BoxGeometry(size.x, size.y, size.z), townBuildingMaterial);
+    buildingMesh.name = `building_${index}`;
+    buildingMesh.position.copy(position);
+    buildingMesh.castShadow = true;
+    buildingMesh.receiveShadow = true;
+    scene.add(buildingMesh);
+  }
 
-  // Dispose individual geometries (data now lives in merged geometry)
-  for (const geo of buildingGeometries) {
-    geo.dispose();
+  // Ground patches with their own surface material (thin slabs flush with the ground)
+  const surfacePatches = [
+    { surface: 'boardwalk', position: new Vector3(12, 0, 12), size: new Vector3(2, 0.04, 8), color: 0x8a6a45 },
+    { surface: 'mud', position: new Vector3(-13, 0, 2), size: new Vector3(4, 0.04, 4), color: 0x5c4630 },
+    { surface: 'ice', position: new Vector3(14, 0, 3), size: new Vector3(5, 0.04, 5), color: 0xcfe8f2 },
+    { surface: 'shallowWater', position: new Vector3(-13, 0, -12), size: new Vector3(5, 0.04, 5), color: 0x5b8fa8 },
+  ];
+  for (const { surface, position, size, color } of surfacePatches) {
+    physicsWorld.createStaticBox(position, size, scene, { surface, color });
   }
 
   const ledgerPosition = new Vector3(-2, 0.8, 3);
@@ -66,6 +120,7 @@ export async function buildTown(physicsWorld, scene) {
     position: ledgerPosition,
     radius: 2,
     prompt: 'Check the Community Ledger',
+    conversation: true, // Reading it holds the camera on it, like talking to someone
   });
 
   interactables.push({
@@ -75,9 +130,217 @@ export async function buildTown(physicsWorld, scene) {
     prompt: 'Ring the Town Bell',
   });
 
-  await loadOptionalTownGLB(physicsWorld, scene);
+  // Ring the bell at night and the camera slowly circles the square, every window turned to it
+  cameraRails.push({
+    name: 'bell_night',
+    points: [
+      new Vector3(10, 7, 10),
+      new Vector3(13, 6, -2),
+      new Vector3(6, 5, -13),
+      new Vector3(-4, 5, -11),
+      new Vector3(-7, 6, 0),
+    ],
+    lookAt: new Vector3(bellPosition.x, bellPosition.y + 1, bellPosition.z),
+    duration: 5,
+    blendTime: 1.2,
+  });
+
+  // Moving platforms: a lift up to the east roof and the town-square carousel
+  const lift = physicsWorld.createKinematicPlatform(
+    { x: 12.6, y: 0.05, z: -6 },
+    { x: 3, y: 0.4, z: 3 },
+    scene
+  );
+  platforms.push({
+    name: 'lift',
+    ...lift,
+    path: {
+      waypoints: [new Vector3(12.6, 0.05, -6), new Vector3(12.6, 3.0, -6)],
+      mode: 'pingpong',
+      speed: 1.2,
+      waitTime: 2,
+    },
+  });
+
+  const carousel = physicsWorld.createKinematicPlatform(
+    { x: 0, y: 0.1, z: -12 },
+    { x: 5, y: 0.2, z: 5 },
+    scene
+  );
+  platforms.push({
+    name: 'carousel',
+    ...carousel,
+    spin: { speed: 0.6 },
+  });
+
+  // Loose props by the west houses (registered with the PhysicsWorld for sync/culling)
+  physicsWorld.createDynamicBox({ x: -11, y: 0.3, z: 12 }, { x: 0.6, y: 0.6, z: 0.6 }, scene, { color: 0x8B5A2B });
+  physicsWorld.createDynamicBox({ x: -11.7, y: 0.3, z: 12.2 }, { x: 0.6, y: 0.6, z: 0.6 }, scene, { color: 0x8B5A2B });
+  physicsWorld.createDynamicBox({ x: -11.3, y: 0.9, z: 12.1 }, { x: 0.6, y: 0.6, z: 0.6 }, scene, { color: 0x8B5A2B });
+  physicsWorld.createDynamicSphere({ x: -10.5, y: 0.3, z: 14 }, 0.3, scene);
+
+  // Climbables: a ladder up the west hall and ivy on the cottage's south wall
+  const ladderRotation = new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), Math.PI / 2);
+  const ladder = createLadderMesh(4, buildingMaterial);
+  ladder.position.set(-5.5, 0, -4);
+  ladder.quaternion.copy(ladderRotation);
+  scene.add(ladder);
+  climbables.push({
+    name: 'hall_ladder',
+    kind: 'ladder',
+    position: new Vector3(-5.5, 2, -4),
+    halfExtents: new Vector3(0.4, 2, 0.3),
+    rotation: ladderRotation,
+  });
+
+  const ivy = new Mesh(
+    new BoxGeometry(3, 3.6, 0.08),
+    new MeshStandardMaterial({ color: 0x3f6b34, roughness: 1 })
+  );
+  ivy.position.set(-6, 1.8, 10.54);
+  ivy.receiveShadow = true;
+  scene.add(ivy);
+  climbables.push({
+    name: 'cottage_ivy',
+    kind: 'trellis',
+    position: new Vector3(-6, 1.8, 10.5),
+    halfExtents: new Vector3(1.5, 1.8, 0.3),
+  });
+
+  // Mill pond: a stone-walled basin west of the square with a ramp up to its rim
+  const pondCenter = new Vector3(-28, 0, 24);
+  const pondWalls = [
+    { position: new Vector3(-28, 1.3, 19.5), size: new Vector3(10, 2.6, 1) },
+    { position: new Vector3(-28, 1.3, 28.5), size: new Vector3(10, 2.6, 1) },
+    { position: new Vector3(-32.5, 1.3, 24), size: new Vector3(1, 2.6, 8) },
+    { position: new Vector3(-23.5, 1.3, 24), size: new Vector3(1, 2.6, 8) },
+  ];
+  for (const { position, size } of pondWalls) {
+    physicsWorld.createStaticBox(position, size, scene, { surface: 'cobblestone', color: 0x8f8a80 });
+  }
+
+  // Ramp from the ground (z = 35) to the top of the south wall (z = 29, y = 2.6)
+  const rampSlope = Math.atan2(2.6, 6);
+  const rampRotation = new Quaternion().setFromAxisAngle(new Vector3(1, 0, 0), rampSlope);
+  const rampCenter = new Vector3(0, -0.15, 0).applyQuaternion(rampRotation).add(new Vector3(-28, 1.3, 32));
+  const rampHalfExtents = new Vector3(1.5, 0.15, Math.hypot(2.6, 6) / 2);
+  physicsWorld.createStaticCuboid(rampCenter, rampHalfExtents, rampRotation, { surface: 'boardwalk' });
+  const ramp = new Mesh(
+    new BoxGeometry(rampHalfExtents.x * 2, rampHalfExtents.y * 2, rampHalfExtents.z * 2),
+    new MeshStandardMaterial({ color: 0x8a6a45, roughness: 0.9 })
+  );
+  ramp.position.copy(rampCenter);
+  ramp.quaternion.copy(rampRotation);
+  ramp.castShadow = true;
+  ramp.receiveShadow = true;
+  scene.add(ramp);
+
+  waterVolumes.push({
+    name: 'mill_pond',
+    position: new Vector3(pondCenter.x, 1.25, pondCenter.z),
+    halfExtents: new Vector3(4, 1.25, 4),
+  });
+  const pondSurface = new Mesh(
+    new BoxGeometry(8, 0.02, 8),
+    new MeshStandardMaterial({ color: 0x3d6f8a, roughness: 0.2, transparent: true, opacity: 0.65 })
+  );
+  pondSurface.position.set(pondCenter.x, 2.49, pondCenter.z);
+  pondSurface.userData.fadeOccluder = false; // Swimmers are seen through it already
+  scene.add(pondSurface);
+
+  // Something to float
+  physicsWorld.createDynamicBox({ x: -27, y: 3.5, z: 23 }, { x: 0.6, y: 0.6, z: 0.6 }, scene, { color: 0x8B5A2B });
+
+  // Rocky knoll east of the square: a walkable 30° path up the south face,
+  // a 55° scree face to the north that is too steep to stand on
+  const knollPoints = [
+    new Vector3(-3, 0, 5.2), new Vector3(3, 0, 5.2),
+    new Vector3(-3, 0, -2.1), new Vector3(3, 0, -2.1),
+    new Vector3(-3, 3, 0), new Vector3(3, 3, 0),
+  ];
+  const knollPosition = new Vector3(25, 0, -20);
+  physicsWorld.createStaticConvexHull(
+    new Float32Array(knollPoints.flatMap((point) => point.toArray())),
+    knollPosition,
+    null,
+    { surface: 'cobblestone' }
+  );
+  const knoll = new Mesh(
+    new ConvexGeometry(knollPoints),
+    new MeshStandardMaterial({ color: 0x7d776c, roughness: 1, flatShading: true })
+  );
+  knoll.position.copy(knollPosition);
+  knoll.castShadow = true;
+  knoll.receiveShadow = true;
+  scene.add(knoll);
+
+  // A gusty ridge: wind along the top of the knoll
+  forceZones.push({
+    name: 'knoll_wind',
+    kind: 'wind',
+    position: new Vector3(25, 4, -20),
+    halfExtents: new Vector3(3, 1.5, 1.2),
+    vector: new Vector3(6, 0, 0),
+  });
+
+  // The approved path through the garden: step into the hedges and they nudge you back
+  const hedgeMaterial = new MeshStandardMaterial({ color: 0x2f5a2a, roughness: 1 });
+  for (const side of [-1, 1]) {
+    const hedge = new Mesh(new BoxGeometry(10, 1.1, 1), hedgeMaterial);
+    hedge.position.set(-15, 0.55, -27 + side * 1.5);
+    hedge.castShadow = true;
+    hedge.receiveShadow = true;
+    scene.add(hedge);
+
+    forceZones.push({
+      name: `garden_hedge_${side < 0 ? 'north' : 'south'}`,
+      kind: 'shove',
+      position: new Vector3(-15, 0.9, -27 + side * 1.5),
+      halfExtents: new Vector3(5, 0.9, 0.5),
+      vector: new Vector3(0, 1.5, -side * 4),
+    });
+  }
+
+  // Someone is watching the garden path: a hard cut to a high corner while you're on it
+  cameraShots.push({
+    name: 'garden_watcher',
+    position: new Vector3(-9, 5, -22),
+    fov: 50,
+    blendTime: 0,
+    zone: { position: new Vector3(-15, 1.5, -27), halfExtents: new Vector3(5, 1.5, 1) },
+  });
+
+  // Mist along the north edge: walk into it and the town puts you back
+  const mist = new Mesh(
+    new BoxGeometry(100, 6, 2),
+    new MeshStandardMaterial({ color: 0xdfe6ea, transparent: true, opacity: 0.35, depthWrite: false })
+  );
+  mist.name = 'north_mist';
+  mist.userData.fadeOccluder = false; // Already see-through
+  mist.position.set(0, 3, -47);
+  scene.add(mist);
+  killZones.push({
+    name: 'north_mist',
+    position: new Vector3(0, 3, -47),
+    halfExtents: new Vector3(50, 3, 1),
+    respawnTo: 'checkpoint',
+    message: 'The town put you back.',
+  });
 
-  return { interactables, spawnPoint };
+  // Climbing the pond ramp, the camera drifts off to frame the water instead of you
+  cameraShots.push({
+    name: 'pond_ramp',
+    position: new Vector3(-24, 6, 40),
+    lookAt: new Vector3(pondCenter.x, 1, pondCenter.z),
+    zone: { position: new Vector3(-28, 2, 32), halfExtents: new Vector3(1.5, 2, 3) },
+  });
+
+  await loadOptionalTownGLB(physicsWorld, scene, { climbables, waterVolumes, killZones, checkpoints });
+
+  return {
+    interactables, platforms, climbables, waterVolumes, forceZones, killZones, checkpoints,
+    cameraShots, cameraRails, spawnPoint,
+  };
 }
 
 function createLedgerMesh(material) {
@@ -114,7 +377,7 @@ function createBellMesh(material) {
   return group;
 }
 
-async function loadOptionalTownGLB(physicsWorld, scene) {
+async function loadOptionalTownGLB(physicsWorld, scene, { climbables, waterVolumes, killZones, checkpoints }) {
   try {
     const response = await fetch('/assets/town.glb', { method: 'HEAD' });
     if (!response.ok) {
@@ -130,26 +393,35 @@ async function loadOptionalTownGLB(physicsWorld, scene) {
       '/assets/town.glb',
       (gltf) => {
         scene.add(gltf.scene);
+        gltf.scene.updateMatrixWorld(true);
         gltf.scene.traverse((child) => {
           if (!child.isMesh) return;
 
           child.castShadow = true;
           child.receiveShadow = true;
 
-          if (child.name.startsWith('COLLIDER_')) {
+          if (child.name.startsWith(COLLIDER_PREFIX)) {
+            child.visible = false;
+            createColliderFromMesh(physicsWorld, child);
+          } else if (child.name.startsWith(CLIMB_PREFIX)) {
+            child.visible = false;
+            const climbable = getClimbableFromMesh(child);
+            if (climbable) climbables.push(climbable);
+          } else if (child.name.startsWith(WATER_PREFIX)) {
+            child.visible = false;
+            const volume = getWaterVolumeFromMesh(child);
+            if (volume) waterVolumes.push(volume);
+          } else if (child.name.startsWith(KILL_PREFIX)) {
+            child.visible = false;
+            const zone = getKillZoneFromMesh(child);
+            if (zone) killZones.push(zone);
+          } else if (child.name.startsWith(CHECKPOINT_PREFIX)) {
             child.visible = false;
-            const bounds = new Box3().setFromObject(child);
-            const size = new Vector3();
-            const center = new Vector3();
-            bounds.getSize(size);
-            bounds.getCenter(center);
-            if (size.lengthSq() > 0.0001) {
-              physicsWorld.createStaticBox(
-                { x: center.x, y: center.y, z: center.z },
-                { x: size.x, y: size.y, z: size.z },
-                null
-              );
-            }
+            const checkpoint = getCheckpointFromMesh(child);
+            if (checkpoint) checkpoints.push(checkpoint);
+          } else if (child.userData?.collider) {
+            // Visible mesh that doubles as its own collider
+            createColliderFromMesh(physicsWorld, child);
           }
         });
         resolve();
@@ -159,3 +431,229 @@ async function loadOptionalTownGLB(physicsWorld, scene) {
     );
   });
 }
+
+function createLadderMesh(height, material) {
+  const group = new Group();
+  const railGeometry = new BoxGeometry(0.08, height, 0.08);
+  for (const x of [-0.3, 0.3]) {
+    const rail = new Mesh(railGeometry, material);
+    rail.position.set(x, height / 2, 0.1);
+    rail.castShadow = true;
+    group.add(rail);
+  }
+
+  const rungGeometry = new CylinderGeometry(0.03, 0.03, 0.6, 8);
+  for (let y = 0.3; y < height; y += 0.35) {
+    const rung = new Mesh(rungGeometry, material);
+    rung.rotation.z = Math.PI / 2;
+    rung.position.set(0, y, 0.1);
+    rung.castShadow = true;
+    group.add(rung);
+  }
+
+  return group;
+}
+
+/**
+ * Climbable definition (for ClimbableSystem.addClimbable) from a CLIMB_ mesh in town.glb.
+ * Expects the mesh's world matrix to be up to date.
+ */
+function getClimbableFromMesh(mesh) {
+  const geometry = mesh.geometry;
+  if (!geometry?.attributes?.position) return null;
+  if (!geometry.boundingBox) geometry.computeBoundingBox();
+
+  const position = new Vector3();
+  const rotation = new Quaternion();
+  const scale = new Vector3();
+  mesh.matrixWorld.decompose(position, rotation, scale);
+
+  const halfExtents = geometry.boundingBox.getSize(new Vector3())
+    .multiply(scale)
+    .multiplyScalar(0.5);
+  halfExtents.set(Math.abs(halfExtents.x), Math.abs(halfExtents.y), Math.abs(halfExtents.z));
+  if (halfExtents.lengthSq() < 0.0001) return null;
+
+  let kind = 'ladder';
+  const extrasKind = mesh.userData?.climbable;
+  if (typeof extrasKind === 'string') {
+    kind = extrasKind.toLowerCase();
+  } else {
+    for (const [prefix, prefixKind] of CLIMB_KIND_PREFIXES) {
+      if (mesh.name.startsWith(prefix)) kind = prefixKind;
+    }
+  }
+
+  return {
+    name: mesh.name,
+    kind,
+    position: geometry.boundingBox.getCenter(new Vector3()).applyMatrix4(mesh.matrixWorld),
+    halfExtents,
+    rotation,
+  };
+}
+
+/**
+ * Water volume definition (for WaterSystem.addVolume) from a WATER_ mesh in town.glb.
+ * Uses the mesh's world-space bounds, so rotated meshes grow to an axis-aligned box.
+ */
+function getWaterVolumeFromMesh(mesh) {
+  const bounds = new Box3().setFromObject(mesh);
+  if (bounds.isEmpty()) return null;
+
+  const extras = mesh.userData ?? {};
+  return {
+    name: mesh.name,
+    position: bounds.getCenter(new Vector3()),
+    halfExtents: bounds.getSize(new Vector3()).multiplyScalar(0.5),
+    buoyancy: extras.buoyancy,
+    linearDrag: extras.linearDrag,
+    flow: new Vector3(extras.flowX ?? 0, 0, extras.flowZ ?? 0),
+  };
+}
+
+/**
+ * Kill volume definition (for RespawnSystem.addKillZone) from a KILL_ mesh in town.glb.
+ * Expects the mesh's world matrix to be up to date.
+ */
+function getKillZoneFromMesh(mesh) {
+  const geometry = mesh.geometry;
+  if (!geometry?.attributes?.position) return null;
+  if (!geometry.boundingBox) geometry.computeBoundingBox();
+
+  const position = new Vector3();
+  const rotation = new Quaternion();
+  const scale = new Vector3();
+  mesh.matrixWorld.decompose(position, rotation, scale);
+
+  const halfExtents = geometry.boundingBox.getSize(new Vector3())
+    .multiply(scale)
+    .multiplyScalar(0.5);
+  halfExtents.set(Math.abs(halfExtents.x), Math.abs(halfExtents.y), Math.abs(halfExtents.z));
+  if (halfExtents.lengthSq() < 0.0001) return null;
+
+  const extras = mesh.userData ?? {};
+  return {
+    name: mesh.name,
+    position: geometry.boundingBox.getCenter(new Vector3()).applyMatrix4(mesh.matrixWorld),
+    halfExtents,
+    rotation,
+    respawnTo: extras.respawnTo,
+    checkpoint: extras.checkpoint,
+    message: extras.message,
+  };
+}
+
+/**
+ * Checkpoint definition (for RespawnSystem.addCheckpoint) from a CHECKPOINT_ mesh in town.glb.
+ */
+function getCheckpointFromMesh(mesh) {
+  const bounds = new Box3().setFromObject(mesh);
+  if (bounds.isEmpty()) return null;
+
+  const size = bounds.getSize(new Vector3());
+  const position = bounds.getCenter(new Vector3());
+  position.y = bounds.min.y + 1;
+  return {
+    name: mesh.name.slice(CHECKPOINT_PREFIX.length),
+    position,
+    radius: Math.max(size.x, size.z) / 2,
+  };
+}
+
+function getColliderShape(object) {
+  const extrasShape = object.userData?.collider;
+  if (typeof extrasShape === 'string' && COLLIDER_SHAPES.has(extrasShape.toLowerCase())) {
+    return extrasShape.toLowerCase();
+  }
+
+  for (const [prefix, shape] of COLLIDER_SHAPE_PREFIXES) {
+    if (object.name.startsWith(prefix)) return shape;
+  }
+  return 'box';
+}
+
+/**
+ * Build a static Rapier collider matching a COLLIDER_ mesh from town.glb.
+ * Expects the mesh's world matrix to be up to date.
+ */
+function createColliderFromMesh(physicsWorld, mesh) {
+  const geometry = mesh.geometry;
+  if (!geometry?.attributes?.position) return null;
+
+  const shape = getColliderShape(mesh);
+  const options = { friction: mesh.userData?.friction, surface: mesh.userData?.surface };
+
+  // Arbitrary shapes: bake the full world transform (incl. scale) into the points
+  if (shape === 'mesh' || shape === 'hull') {
+    const vertices = getWorldVertices(mesh);
+    if (shape === 'mesh') {
+      return physicsWorld.createStaticTrimesh(vertices, getTriangleIndices(geometry), undefined, null, options);
+    }
+
+    const hull = physicsWorld.createStaticConvexHull(vertices, undefined, null, options);
+    if (!hull) {
+      console.warn(`[TownBuilder] Could not build convex hull for ${mesh.name}`);
+    }
+    return hull;
+  }
+
+  // Primitive shapes: size from local bounds, keep the mesh's world rotation
+  if (!geometry.boundingBox) geometry.computeBoundingBox();
+
+  const position = new Vector3();
+  const rotation = new Quaternion();
+  const scale = new Vector3();
+  mesh.matrixWorld.decompose(position, rotation, scale);
+
+  const halfExtents = geometry.boundingBox.getSize(new Vector3())
+    .multiply(scale)
+    .multiplyScalar(0.5);
+  halfExtents.set(Math.abs(halfExtents.x), Math.abs(halfExtents.y), Math.abs(halfExtents.z));
+  if (halfExtents.lengthSq() < 0.0001) return null;
+
+  const center = geometry.boundingBox.getCenter(new Vector3()).applyMatrix4(mesh.matrixWorld);
+
+  if (shape === 'ball') {
+    const radius = Math.max(halfExtents.x, halfExtents.y, halfExtents.z);
+    return physicsWorld.createStaticBall(center, radius, options);
+  }
+
+  if (shape === 'capsule') {
+    // Capsule runs along the mesh's local Y axis
+    const radius = Math.max(halfExtents.x, halfExtents.z);
+    const halfHeight = Math.max(halfExtents.y - radius, 0);
+    return physicsWorld.createStaticCapsule(center, halfHeight, radius, rotation, options);
+  }
+
+  return physicsWorld.createStaticCuboid(center, halfExtents, rotation, options);
+}
+
+function getWorldVertices(mesh) {
+  const positions = mesh.geometry.attributes.position;
+  const vertices = new Float32Array(positions.count * 3);
+  const vertex = new Vector3();
+
+  for (let i = 0; i < positions.count; i++) {
+    vertex.fromBufferAttribute(positions, i).applyMatrix4(mesh.matrixWorld);
+    vertices[i * 3] = vertex.x;
+    vertices[i * 3 + 1] = vertex.y;
+    vertices[i * 3 + 2] = vertex.z;
+  }
+
+  return vertices;
+}
+
+function getTriangleIndices(geometry) {
+  if (geometry.index) {
+    return Uint32Array.from(geometry.index.array);
+  }
+
+  // Non-indexed geometry: every three vertices form a triangle
+  const count = geometry.attributes.position.count;
+  const indices = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    indices[i] = i;
+  }
+  return indices;
+}
@@ -0,0 +1,30 @@
+/**
+ * Gameplay responses for the town's interactables
+ * @param {Array<{ id: string, onInteract?: Function }>} interactables
+ * @param {{ gameState: { kindnessCount: number }, hud, dayNightSystem, cameraEffects? }} context
+ */
+export function bindTownInteractions(interactables, { gameState, hud, dayNightSystem, cameraEffects = null }) {
+  for (const interactable of interactables) {
+    if (interactable.id === 'ledger') {
+      interactable.onInteract = () => {
+        gameState.kindnessCount += 1;
+        if (dayNightSystem.isNight) {
+          hud.showKindness(gameState.kindnessCount);
+        }
+        return 'Kindness recorded.';
+      };
+    }
+
+    if (interactable.id === 'bell') {
+      interactable.onInteract = () => {
+        if (dayNightSystem.isNight && cameraEffects) {
+          cameraEffects.playRail('bell_night');
+          cameraEffects.play('anomaly');
+        } else {
+          cameraEffects?.play('bell');
+        }
+        return 'The town heard you.';
+      };
+    }
+  }
+}
@@ -0,0 +1,282 @@
+/**
+ * HeadlessGame - The playable slice without a renderer, DOM or browser
+ *
+ * Responsibilities:
+ * - Boot PhysicsWorld, the greybox town and the player stack in Node
+ * - Drive PlayerController from a ScriptedInput
+ * - Advance the same update order as main.js with a fixed frame time
+ * - Small helpers for scenario tests (run until, walk to, face towards)
+ */
+
+import { Scene, PerspectiveCamera, Vector3 } from 'three';
+import { PhysicsWorld } from '../core/PhysicsWorld.js';
+import { CharacterMotor } from '../physics/CharacterMotor.js';
+import { PlatformSystem } from '../physics/PlatformSystem.js';
+import { ClimbableSystem } from '../physics/ClimbableSystem.js';
+import { WaterSystem } from '../physics/WaterSystem.js';
+import { ForceZoneSystem } from '../physics/ForceZoneSystem.js';
+import { CameraRig, collectOccluders } from '../controllers/CameraRig.js';
+import { CameraShotSystem } from '../controllers/CameraShotSystem.js';
+import { CameraEffects } from '../controllers/CameraEffects.js';
+import { PlayerController } from '../controllers/PlayerController.js';
+import { VisualRig } from '../visuals/VisualRig.js';
+import { DayNightSystem } from '../game/DayNightSystem.js';
+import { InteractableSystem } from '../game/InteractableSystem.js';
+import { RespawnSystem } from '../game/RespawnSystem.js';
+import { bindTownInteractions } from '../game/TownInteractions.js';
+import { buildTown } from '../game/TownBuilder.js';
+import { ScriptedInput } from './ScriptedInput.js';
+import { HeadlessHUD } from './HeadlessHUD.js';
+
+const GROUND_SIZE = 50;
+
+export class HeadlessGame {
+  constructor() {
+    this.scene = null;
+    this.camera = null;
+    this.hud = null;
+    this.input = null;
+
+    this.physicsWorld = null;
+    this.platformSystem = null;
+    this.climbableSystem = null;
+    this.waterSystem = null;
+    this.forceZoneSystem = null;
+    this.respawnSystem = null;
+    this.cameraShotSystem = null;
+    this.cameraEffects = null;
+    this.dayNightSystem = null;
+    this.interactableSystem = null;
+
+    this.motor = null;
+    this.visualRig = null;
+    this.cameraRig = null;
+    this.playerController = null;
+
+    this.gameState = {
+      kindnessCount: 0,
+    };
+
+    this.frameDt = 1 / 60;
+    this.elapsed = 0;
+  }
+
+  /**
+   * Build the world and player
+   * @param {{ spawnPoint?: Vector3, bindings?: import('../core/InputBindings.js').InputBindings, input?: Object }} options -
+   *   Override the town's spawn point and the default key bindings, or drive the player from another
+   *   input source with the ScriptedInput / InputManager surface (e.g. an InputManager on fake gamepads)
+   */
+  async init(options = {}) {
+    this.scene = new Scene();
+    this.camera = new PerspectiveCamera(75, 16 / 9, 0.1, 1000);
+    this.hud = new HeadlessHUD().init();
+    this.input = options.input ?? new ScriptedInput(options.bindings);
+
+    this.dayNightSystem = new DayNightSystem(this.scene);
+    this.dayNightSystem.init();
+
+    this.physicsWorld = new PhysicsWorld();
+    await this.physicsWorld.init();
+    this.physicsWorld.createGround(GROUND_SIZE, this.scene);
+
+    const {
+      interactables, platforms, climbables, waterVolumes, forceZones, killZones, checkpoints, cameraShots, cameraRails, spawnPoint,
+    } = await buildTown(this.physicsWorld, this.scene);
+
+    this.platformSystem = new PlatformSystem(this.physicsWorld);
+    for (const platform of platforms) {
+      this.platformSystem.addPlatform(platform);
+    }
+
+    this.climbableSystem = new ClimbableSystem(this.physicsWorld);
+    for (const climbable of climbables) {
+      this.climbableSystem.addClimbable(climbable);
+    }
+
+    this.waterSystem = new WaterSystem(this.physicsWorld);
+    for (const volume of waterVolumes) {
+      this.waterSystem.addVolume(volume);
+    }
+
+    this.forceZoneSystem = new ForceZoneSystem(this.physicsWorld);
+    for (const zone of forceZones) {
+      this.forceZoneSystem.addZone(zone);
+    }
+
+    this.respawnSystem = new RespawnSystem(this.physicsWorld, this.hud);
+    this.respawnSystem.spawnPoint.copy(spawnPoint);
+    this.respawnSystem.setGroundBounds(GROUND_SIZE);
+    for (const zone of killZones) {
+      this.respawnSystem.addKillZone(zone);
+    }
+    for (const checkpoint of checkpoints) {
+      this.respawnSystem.addCheckpoint(checkpoint);
+    }
+
+    this.motor = new CharacterMotor(this.physicsWorld);
+    this.motor.init(options.spawnPoint ?? spawnPoint, null);
+    this.motor.climbables = this.climbableSystem;
+    this.motor.water = this.waterSystem;
+    this.forceZoneSystem.motor = this.motor;
+
+    this.visualRig = new VisualRig();
+    this.visualRig.addToScene(this.scene);
+
+    this.cameraRig = new CameraRig(this.camera);
+    this.cameraRig.setTarget(this.motor.getPosition());
+    this.cameraRig.resetPosition();
+    this.cameraRig.physics = this.physicsWorld;
+    this.cameraRig.waterQuery = this.waterSystem;
+    this.cameraRig.onUnderwaterChange = (underwater) => this.hud.setUnderwater(underwater);
+    this.cameraRig.setOccluders(collectOccluders(this.scene, [this.visualRig.group, this.motor.debugMesh]));
+
+    this.cameraEffects = new CameraEffects(this.cameraRig);
+    this.cameraEffects.attachMotor(this.motor);
+    for (const rail of cameraRails) {
+      this.cameraEffects.defineRail(rail.name, rail);
+    }
+    this.cameraRig.effects = this.cameraEffects;
+
+    this.cameraShotSystem = new CameraShotSystem(this.physicsWorld, this.cameraRig);
+    this.cameraShotSystem.motor = this.motor;
+    for (const shot of cameraShots) {
+      this.cameraShotSystem.addShot(shot);
+    }
+
+    this.playerController = new PlayerController(
+      this.input,
+      this.motor,
+      this.cameraRig,
+      this.visualRig
+    );
+    this.playerController.platformCarrier = this.platformSystem;
+    this.respawnSystem.player = this.playerController;
+
+    // Same snapshot participants as main.js, so rewinds match the game
+    this.physicsWorld.registerSnapshotParticipant('player', this.motor);
+    this.physicsWorld.registerSnapshotParticipant('platforms', this.platformSystem);
+    this.physicsWorld.registerSnapshotParticipant('forceZones', this.forceZoneSystem);
+    this.physicsWorld.registerSnapshotParticipant('respawn', this.respawnSystem);
+
+    this.physicsWorld.onFixedStep = (fixedDt) => {
+      this.platformSystem.update(fixedDt);
+      this.waterSystem.update(fixedDt);
+      this.forceZoneSystem.update(fixedDt);
+      this.respawnSystem.update(fixedDt);
+      this.cameraShotSystem.update();
+      this.playerController.fixedUpdate(fixedDt);
+    };
+
+    this.interactableSystem = new InteractableSystem(this.hud);
+    this.interactableSystem.onConversationStart = (interactable) => {
+      this.cameraRig.setLockOnTarget(interactable.position);
+    };
+    this.interactableSystem.onConversationEnd = () => {
+      this.cameraRig.setLockOnTarget(null);
+    };
+    bindTownInteractions(interactables, {
+      gameState: this.gameState,
+      hud: this.hud,
+      dayNightSystem: this.dayNightSystem,
+      cameraEffects: this.cameraEffects,
+    });
+    for (const interactable of interactables) {
+      this.interactableSystem.register(interactable);
+    }
+
+    return this;
+  }
+
+  /**
+   * Advance one frame (same order as main.js animate)
+   */
+  step(dt = this.frameDt) {
+    this.input.update(dt);
+
+    this.physicsWorld.step(dt);
+    this.physicsWorld.syncKinematicVisuals();
+    this.physicsWorld.syncDynamicBodies(this.motor.getPosition());
+
+    this.playerController.update(dt);
+    this.playerController.lateUpdate(dt);
+
+    this.interactableSystem.update(this.motor.getPosition(), this.input);
+
+    // Stands in for renderer.render, which updates world matrices (CameraRig raycasts use them)
+    this.scene.updateMatrixWorld();
+
+    this.elapsed += dt;
+  }
+
+  /**
+   * Advance for a duration of simulated time
+   */
+  runFor(seconds, dt = this.frameDt) {
+    const frames = Math.round(seconds / dt);
+    for (let i = 0; i < frames; i++) {
+      this.step(dt);
+    }
+  }
+
+  /**
+   * Advance until predicate(game) is true or the timeout passes
+   * @returns {boolean} - Whether the predicate was met
+   */
+  runUntil(predicate, timeout = 10, dt = this.frameDt) {
+    const frames = Math.round(timeout / dt);
+    for (let i = 0; i < frames; i++) {
+      if (predicate(this)) return true;
+      this.step(dt);
+    }
+    return predicate(this);
+  }
+
+  /**
+   * Point the camera (and so "forward") at a world position
+   */
+  faceTowards(point) {
+    const pos = this.motor.getPosition();
+    this.cameraRig.yaw = Math.atan2(point.x - pos.x, point.z - pos.z);
+  }
+
+  /**
+   * Hold forward, steering toward a target on the XZ plane, until within tolerance
+   * @returns {boolean} - Whether the target was reached
+   */
+  walkTo(target, { tolerance = 0.5, timeout = 10 } = {}) {
+    const reached = this.runUntil((game) => {
+      const pos = game.motor.getPosition();
+      const dx = target.x - pos.x;
+      const dz = target.z - pos.z;
+      if (dx * dx + dz * dz <= tolerance * tolerance) return true;
+
+      game.faceTowards(target);
+      game.input.hold('forward');
+      return false;
+    }, timeout);
+
+    this.input.release('forward');
+    return reached;
+  }
+
+  /**
+   * Current player position (copy)
+   * @returns {Vector3}
+   */
+  getPosition() {
+    return this.motor.getPosition().clone();
+  }
+
+  /**
+   * Height of the capsule bottom (feet) above y = 0
+   */
+  getFeetHeight() {
+    return this.motor.getCapsuleBottomY();
+  }
+
+  dispose() {
+    this.motor?.dispose();
+    this.physicsWorld?.dispose();
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * HeadlessHUD - HUD stand-in that records what would be shown
+ *
+ * Mirrors the HUD methods gameplay code calls, so tests can assert on
+ * prompts, status lines and counters without a DOM.
+ */
+
+export class HeadlessHUD {
+  constructor() {
+    this.elements = {};
+
+    this.status = '';
+    this.statusLog = [];
+    this.prompt = null;
+    this.kindness = null;
+    this.dayNight = 'DAY';
+    this.underwater = false;
+    this.fade = 0;
+    this.debugVisible = false;
+    this.debugInfo = null;
+  }
+
+  init() {
+    return this;
+  }
+
+  setStatus(text) {
+    this.status = text;
+    this.statusLog.push(text);
+  }
+
+  setDayNight(mode) {
+    this.dayNight = mode;
+  }
+
+  showPrompt(text) {
+    this.prompt = text;
+  }
+
+  hidePrompt() {
+    this.prompt = null;
+  }
+
+  showKindness(value) {
+    this.kindness = value;
+  }
+
+  hideKindness() {
+    this.kindness = null;
+  }
+
+  setUnderwater(underwater) {
+    this.underwater = underwater;
+  }
+
+  setFade(amount) {
+    this.fade = amount;
+  }
+
+  setDebugVisible(visible) {
+    this.debugVisible = visible;
+  }
+
+  updateFPS() {}
+
+  updateDebug(info) {
+    this.debugInfo = info;
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * ScriptedInput - Drop-in InputManager replacement driven by code
+ *
+ * Responsibilities:
+ * - Expose the same polling surface as InputManager (keys, movement, mouse delta, zoom, action presses)
+ * - Let tests hold/release held actions and queue one-shot key or action presses
+ * - Analog movement like a gamepad's left stick (setStick)
+ * - Resolve pressed keys through InputBindings, like InputManager
+ * - No DOM, no pointer lock
+ */
+
+import { InputBindings } from '../core/InputBindings.js';
+
+export class ScriptedInput {
+  /**
+   * @param {InputBindings} [bindings] - Defaults, never saved
+   */
+  constructor(bindings = new InputBindings({ storage: null })) {
+    this.bindings = bindings;
+
+    // Same shape as InputManager.keys
+    this.keys = {};
+    for (const { action, type } of bindings.actions) {
+      if (type === 'hold') this.keys[action] = false;
+    }
+
+    this.pressedActions = new Set();
+    this.mouseDelta = { x: 0, y: 0 };
+    this.zoomDelta = 0;
+    this.zoomRate = 1.2; // Per second while zoomIn / zoomOut is held
+    this.stick = { x: 0, y: 0 }; // Left stick, y down (+) like the Gamepad API
+    this.lastDevice = 'keyboard';
+
+    // Always "locked" so gameplay reacts as if the player clicked in
+    this.isLocked = true;
+    this.onLockChange = null;
+
+    // Pre-allocated reusable return objects
+    this._moveResult = { x: 0, z: 0 };
+    this._deltaResult = { x: 0, y: 0 };
+  }
+
+  /**
+   * Hold an action (forward, backward, left, right, jump, sprint, walk, crouch)
+   */
+  hold(key) {
+    if (!(key in this.keys)) throw new Error(`[ScriptedInput] Unknown key: ${key}`);
+    this.keys[key] = true;
+  }
+
+  /**
+   * Release a held action
+   */
+  release(key) {
+    if (!(key in this.keys)) throw new Error(`[ScriptedInput] Unknown key: ${key}`);
+    this.keys[key] = false;
+  }
+
+  /**
+   * Release every held key
+   */
+  releaseAll() {
+    for (const key of Object.keys(this.keys)) {
+      this.keys[key] = false;
+    }
+  }
+
+  /**
+   * Queue a one-shot key press by KeyboardEvent.code (e.g. 'KeyE'); unbound keys do nothing
+   */
+  press(code) {
+    const action = this.bindings.getActionForCode(code);
+    if (action) this.pressedActions.add(action);
+  }
+
+  /**
+   * Queue a one-shot press of an action, whatever key it is on
+   */
+  pressAction(action) {
+    if (!this.bindings.getAction(action)) throw new Error(`[ScriptedInput] Unknown action: ${action}`);
+    this.pressedActions.add(action);
+  }
+
+  /**
+   * Deflect the virtual left stick (0, 0 releases it); overrides held movement while deflected
+   */
+  setStick(x, y) {
+    this.stick.x = x;
+    this.stick.y = y;
+  }
+
+  /**
+   * Add mouse movement (already scaled to radians, like InputManager deltas)
+   */
+  moveMouse(x, y) {
+    this.mouseDelta.x += x;
+    this.mouseDelta.y += y;
+  }
+
+  /**
+   * Add zoom input (positive zooms out, like InputManager wheel deltas)
+   */
+  zoom(delta) {
+    this.zoomDelta += delta;
+  }
+
+  /**
+   * Per-frame update: apply held zoom (no gamepad to poll)
+   */
+  update(dt) {
+    const zoom = (this.keys.zoomOut ? 1 : 0) - (this.keys.zoomIn ? 1 : 0);
+    this.zoomDelta += zoom * this.zoomRate * dt;
+  }
+
+  getActionLabel(action) {
+    return this.bindings.getActionLabel(action, this.lastDevice);
+  }
+
+  requestLock() {}
+
+  exitLock() {}
+
+  /**
+   * Get normalized movement direction (returns reusable object — do not store)
+   * @returns {{ x: number, z: number }}
+   */
+  getMovementInput() {
+    if (this.stick.x !== 0 || this.stick.y !== 0) {
+      this._moveResult.x = this.stick.x;
+      this._moveResult.z = this.stick.y;
+      return this._moveResult;
+    }
+
+    let x = 0;
+    let z = 0;
+
+    if (this.keys.forward) z -= 1;
+    if (this.keys.backward) z += 1;
+    if (this.keys.left) x -= 1;
+    if (this.keys.right) x += 1;
+
+    const length = Math.sqrt(x * x + z * z);
+    if (length > 1) {
+      x /= length;
+      z /= length;
+    }
+
+    this._moveResult.x = x;
+    this._moveResult.z = z;
+    return this._moveResult;
+  }
+
+  /**
+   * Get and reset mouse delta (returns reusable object — do not store)
+   */
+  consumeMouseDelta() {
+    this._deltaResult.x = this.mouseDelta.x;
+    this._deltaResult.y = this.mouseDelta.y;
+    this.mouseDelta.x = 0;
+    this.mouseDelta.y = 0;
+    return this._deltaResult;
+  }
+
+  /**
+   * Get and reset the zoom input
+   */
+  consumeZoomDelta() {
+    const delta = this.zoomDelta;
+    this.zoomDelta = 0;
+    return delta;
+  }
+
+  /**
+   * Consume a single press of an action
+   * @param {string} action
+   */
+  consumeAction(action) {
+    return this.pressedActions.delete(action);
+  }
+
+  dispose() {}
+}
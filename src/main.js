@@ -14,15 +14,31 @@ import {
   PCFSoftShadowMap, ACESFilmicToneMapping,
 } from 'three';
 import { PhysicsWorld } from './core/PhysicsWorld.js';
+import { SnapshotHistory } from './core/SnapshotHistory.js';
 import { InputManager } from './core/InputManager.js';
+import { InputBindings } from './core/InputBindings.js';
 import { CharacterMotor } from './physics/CharacterMotor.js';
-import { CameraRig } from './controllers/CameraRig.js';
+import { CameraRig, collectOccluders } from './controllers/CameraRig.js';
+import { CameraShotSystem } from './controllers/CameraShotSystem.js';
+import { CameraEffects } from './controllers/CameraEffects.js';
 import { PlayerController } from './controllers/PlayerController.js';
 import { VisualRig } from './visuals/VisualRig.js';
 import { CharacterLoader } from './visuals/CharacterLoader.js';
 import { HUD } from './ui/HUD.js';
+import { TuningPanel } from './ui/TuningPanel.js';
+import { BindingsPanel } from './ui/BindingsPanel.js';
+import { SettingsPanel } from './ui/SettingsPanel.js';
+import { TouchControls } from './ui/TouchControls.js';
+import { TuningPresets } from './core/TuningPresets.js';
+import { PlayerSettings } from './core/PlayerSettings.js';
 import { DayNightSystem } from './game/DayNightSystem.js';
 import { InteractableSystem } from './game/InteractableSystem.js';
+import { PlatformSystem } from './physics/PlatformSystem.js';
+import { ClimbableSystem } from './physics/ClimbableSystem.js';
+import { WaterSystem } from './physics/WaterSystem.js';
+import { ForceZoneSystem } from './physics/ForceZoneSystem.js';
+import { RespawnSystem } from './game/RespawnSystem.js';
+import { bindTownInteractions } from './game/TownInteractions.js';
 import { buildTown } from './game/TownBuilder.js';
 
 // ============================================================
@@ -39,10 +55,27 @@ let playerController;
 let hud;
 let dayNightSystem;
 let interactableSystem;
+let platformSystem;
+let climbableSystem;
+let waterSystem;
+let forceZoneSystem;
+let respawnSystem;
+let cameraShotSystem;
+let cameraEffects;
+let freeFlyEntry = null;
+let snapshotHistory;
+let tuningPresets;
+let tuningPanel;
+let bindingsPanel;
+let playerSettings;
+let settingsPanel;
+let touchControls = null;
 let characterLoader;
 let debugEnabled = false;
 const VISUAL_OFFSET_STORAGE_KEY = 'thornvale.visualOffsetY';
 const VISUAL_OFFSET_STEP = 0.002;
+const DEBUG_REWIND_SECONDS = 5;
+const GROUND_SIZE = 50;
 
 const gameState = {
   kindnessCount: 0,
@@ -97,22 +130,92 @@ async function init() {
   hud.setStatus('Building Thornvale...');
 
   // Ground
-  physicsWorld.createGround(50, scene);
+  physicsWorld.createGround(GROUND_SIZE, scene);
 
   // Greybox town
-  const { interactables, spawnPoint } = await buildTown(physicsWorld, scene);
+  const {
+    interactables, platforms, climbables, waterVolumes, forceZones, killZones, checkpoints, cameraShots, cameraRails, spawnPoint,
+  } = await buildTown(physicsWorld, scene);
+
+  // --- Moving Platforms ---
+  platformSystem = new PlatformSystem(physicsWorld);
+  for (const platform of platforms) {
+    platformSystem.addPlatform(platform);
+  }
+
+  // --- Ladders & Trellises ---
+  climbableSystem = new ClimbableSystem(physicsWorld);
+  for (const climbable of climbables) {
+    climbableSystem.addClimbable(climbable);
+  }
+
+  // --- Water ---
+  waterSystem = new WaterSystem(physicsWorld);
+  for (const volume of waterVolumes) {
+    waterSystem.addVolume(volume);
+  }
+
+  // --- Wind, conveyors and hedges ---
+  forceZoneSystem = new ForceZoneSystem(physicsWorld);
+  for (const zone of forceZones) {
+    forceZoneSystem.addZone(zone);
+  }
 
-  // --- Input ---
-  inputManager = new InputManager();
+  // --- Kill volumes, checkpoints and falling off the world ---
+  respawnSystem = new RespawnSystem(physicsWorld, hud);
+  respawnSystem.spawnPoint.copy(spawnPoint);
+  respawnSystem.setGroundBounds(GROUND_SIZE);
+  for (const zone of killZones) {
+    respawnSystem.addKillZone(zone);
+  }
+  for (const checkpoint of checkpoints) {
+    respawnSystem.addCheckpoint(checkpoint);
+  }
+
+  // --- Input (rebindable actions, saved in localStorage) ---
+  const inputBindings = new InputBindings().init();
+  inputManager = new InputManager(inputBindings);
   inputManager.init(renderer.domElement);
 
+  bindingsPanel = new BindingsPanel(inputBindings, inputManager).init();
+  const showKeyLabels = () => {
+    hud.setKeyLabels((action) => inputManager.getActionLabel(action));
+    bindingsPanel.refresh();
+  };
+  inputBindings.onChange = showKeyLabels;
+  showKeyLabels();
+
   inputManager.onLockChange = (locked) => {
     hud.elements.lockOverlay?.classList.toggle('hidden', locked);
+    if (locked) {
+      bindingsPanel.setVisible(false);
+      settingsPanel?.setVisible(false);
+    }
   };
 
+  // Gamepads need no pointer lock: playing on one clears the click-to-begin overlay
+  inputManager.onDeviceChange = (device) => {
+    showKeyLabels();
+    if (device === 'gamepad' && !bindingsPanel.visible && !settingsPanel?.visible) {
+      hud.elements.lockOverlay?.classList.add('hidden');
+    }
+  };
+  inputManager.onGamepadChange = (connected, id) => {
+    hud.setStatus(connected ? `Controller connected: ${id}` : 'Controller disconnected.');
+  };
+
+  // Phones and tablets: on-screen joystick and buttons instead of pointer lock
+  if (window.matchMedia?.('(pointer: coarse)').matches) {
+    touchControls = new TouchControls(inputManager.touch).init();
+    hud.setTouchMode(true);
+  }
+
   // --- Character Motor ---
   characterMotor = new CharacterMotor(physicsWorld);
   characterMotor.init(spawnPoint, scene);
+  characterMotor.climbables = climbableSystem;
+  characterMotor.water = waterSystem;
+  forceZoneSystem.motor = characterMotor;
   characterMotor.setDebugVisible(false);
 
   // --- Visual Rig (debug capsule for now) ---
@@ -150,9 +253,27 @@ async function init() {
   cameraRig = new CameraRig(camera);
   cameraRig.setTarget(characterMotor.getPosition());
   cameraRig.resetPosition();
+  cameraRig.physics = physicsWorld;
+  cameraRig.waterQuery = waterSystem;
+  cameraRig.onUnderwaterChange = (underwater) => hud.setUnderwater(underwater);
+
+  // Scene meshes that fade when they hide the player (not the player's own)
+  cameraRig.setOccluders(collectOccluders(scene, [visualRig.group, characterMotor.debugMesh]));
+
+  // --- Camera effects (shake, FOV, tilt, rails) ---
+  cameraEffects = new CameraEffects(cameraRig);
+  cameraEffects.attachMotor(characterMotor);
+  for (const rail of cameraRails) {
+    cameraEffects.defineRail(rail.name, rail);
+  }
+  cameraRig.effects = cameraEffects;
 
-  // Cache collision objects once so CameraRig doesn't traverse scene every frame
-  cacheCollisionObjects();
+  // --- Fixed camera shots ---
+  cameraShotSystem = new CameraShotSystem(physicsWorld, cameraRig);
+  cameraShotSystem.motor = characterMotor;
+  for (const shot of cameraShots) {
+    cameraShotSystem.addShot(shot);
+  }
 
   // --- Player Controller ---
   playerController = new PlayerController(
@@ -161,24 +282,54 @@ async function init() {
     cameraRig,
     visualRig
   );
+  playerController.platformCarrier = platformSystem;
+  respawnSystem.player = playerController;
+
+  // --- Tuning (debug sliders + saved presets) ---
+  tuningPresets = new TuningPresets({
+    motor: characterMotor,
+    player: playerController,
+    camera: cameraRig,
+  });
+  const showPreset = () => hud.setPreset(tuningPresets.getLabel());
+  tuningPresets.onChange = showPreset;
+  tuningPresets.onPresetChange = showPreset;
+  tuningPresets.init();
+  showPreset();
+  tuningPanel = new TuningPanel(tuningPresets).init();
+
+  // --- Player settings (saved camera and accessibility options, separate from the debug presets) ---
+  playerSettings = new PlayerSettings({ camera: cameraRig }).init();
+  settingsPanel = new SettingsPanel(playerSettings).init();
+
+  // --- Snapshots (debug rewind) ---
+  physicsWorld.registerSnapshotParticipant('player', characterMotor);
+  physicsWorld.registerSnapshotParticipant('platforms', platformSystem);
+  physicsWorld.registerSnapshotParticipant('forceZones', forceZoneSystem);
+  physicsWorld.registerSnapshotParticipant('respawn', respawnSystem);
+  snapshotHistory = new SnapshotHistory(physicsWorld, { duration: DEBUG_REWIND_SECONDS * 2 });
+
+  // Gameplay that moves bodies runs in lockstep with the fixed physics step
+  physicsWorld.onFixedStep = (fixedDt) => {
+    platformSystem.update(fixedDt);
+    waterSystem.update(fixedDt);
+    forceZoneSystem.update(fixedDt);
+    respawnSystem.update(fixedDt);
+    cameraShotSystem.update();
+    playerController.fixedUpdate(fixedDt);
+  };
 
   // --- Interactables ---
   interactableSystem = new InteractableSystem(hud);
+  // Soft lock-on frames whoever (or whatever) the player is talking to
+  interactableSystem.onConversationStart = (interactable) => {
+    cameraRig.setLockOnTarget(interactable.position);
+  };
+  interactableSystem.onConversationEnd = () => {
+    cameraRig.setLockOnTarget(null);
+  };
+  bindTownInteractions(interactables, { gameState, hud, dayNightSystem, cameraEffects });
   for (const interactable of interactables) {
-    if (interactable.id === 'ledger') {
-      interactable.onInteract = () => {
-        gameState.kindnessCount += 1;
-        if (dayNightSystem.isNight) {
-          hud.showKindness(gameState.kindnessCount);
-        }
-        return 'Kindness recorded.';
-      };
-    }
-
-    if (interactable.id === 'bell') {
-      interactable.onInteract = () => 'The town heard you.';
-    }
-
     interactableSystem.register(interactable);
   }
 
@@ -186,9 +337,17 @@ async function init() {
   hud.elements.lockOverlay?.addEventListener('click', () => {
     inputManager.requestLock();
   });
+  hud.elements.controlsButton?.addEventListener('click', (e) => {
+    e.stopPropagation(); // Stay unlocked to rebind
+    bindingsPanel.toggle();
+  });
+  hud.elements.settingsButton?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    settingsPanel.toggle();
+  });
 
   renderer.domElement.addEventListener('click', () => {
-    if (!inputManager.isLocked) {
+    if (!inputManager.isLocked && !touchControls) {
       inputManager.requestLock();
     }
   });
@@ -202,24 +361,6 @@ async function init() {
   animate();
 }
 
-/**
- * Collect all visible meshes and cache them for camera collision.
- * Call again if scene geometry changes significantly.
- */
-function cacheCollisionObjects() {
-  const meshes = [];
-  scene.traverse((obj) => {
-    if (obj.isMesh &&
-        obj.visible &&
-        !obj.name.includes('debug') &&
-        !obj.name.includes('particle') &&
-        obj.geometry) {
-      meshes.push(obj);
-    }
-  });
-  cameraRig.setCollisionObjects(meshes);
-}
-
 function createCapsuleMesh(radius, halfHeight) {
   const group = new Group();
 
@@ -257,21 +398,32 @@ function animate() {
 
   const dt = Math.min(clock.getDelta(), 0.1);
 
+  inputManager.update(dt);
   handleGlobalInput();
 
-  // --- Physics Step ---
+  // --- Physics Step (fixed-step gameplay runs inside) ---
   physicsWorld.step(dt);
   physicsWorld.syncKinematicVisuals();
+  physicsWorld.syncDynamicBodies(characterMotor?.getPosition());
+
+  // --- Rewind history (debug only) ---
+  if (debugEnabled) {
+    snapshotHistory.update();
+  }
 
   // --- Player Controller ---
   if (playerController) {
     playerController.update(dt);
-    playerController.lateUpdate(dt, scene);
+    playerController.lateUpdate(dt);
   }
 
   // --- Interactables ---
   if (interactableSystem) {
     interactableSystem.update(characterMotor.getPosition(), inputManager);
+    touchControls?.update({
+      canInteract: Boolean(interactableSystem.activeInteractable),
+      traversal: characterMotor.getTraversalState(),
+    });
   }
 
   // --- Debug Render ---
@@ -291,7 +443,7 @@ function animate() {
 }
 
 function handleGlobalInput() {
-  if (inputManager.consumeKeyPress('KeyN')) {
+  if (inputManager.consumeAction('toggleDayNight')) {
     const mode = dayNightSystem.toggle();
     hud.setDayNight(mode);
     if (dayNightSystem.isNight && gameState.kindnessCount > 0) {
@@ -302,21 +454,59 @@ function handleGlobalInput() {
     hud.setStatus(mode === 'NIGHT' ? 'Night settles over Thornvale.' : 'Daylight returns to Thornvale.');
   }
 
-  if (inputManager.consumeKeyPress('Backquote')) {
+  if (inputManager.consumeAction('debug')) {
     debugEnabled = !debugEnabled;
     physicsWorld.setDebugEnabled(debugEnabled);
     characterMotor.setDebugVisible(debugEnabled);
     hud.setDebugVisible(debugEnabled);
     hud.setStatus(debugEnabled ? 'Debug view enabled.' : 'Debug view disabled.');
+    if (!debugEnabled) {
+      snapshotHistory.clear();
+      tuningPanel.setVisible(false);
+      setFreeFly(false);
+    }
+  }
+
+  if (inputManager.consumeAction('toggleView')) {
+    const firstPerson = cameraRig.getBaseMode() !== 'firstPerson';
+    cameraRig.setBaseMode(firstPerson ? 'firstPerson' : 'orbit');
+    hud.setStatus(firstPerson ? 'First-person view.' : 'Third-person view.');
+  }
+
+  // Debug actions are consumed either way, so a press made with debug off doesn't fire once it's on
+  const freeFlyPressed = inputManager.consumeAction('freeFly');
+  const tuningPressed = inputManager.consumeAction('tuning');
+  const rewindPressed = inputManager.consumeAction('rewind');
+  const visualOffsetDownPressed = inputManager.consumeAction('visualOffsetDown');
+  const visualOffsetUpPressed = inputManager.consumeAction('visualOffsetUp');
+
+  if (debugEnabled && freeFlyPressed) {
+    setFreeFly(!freeFlyEntry);
+    hud.setStatus(freeFlyEntry ? 'Free-fly camera: WASD, Space/C up/down, Shift fast.' : 'Camera back on the player.');
+  }
+
+  if (debugEnabled && tuningPressed) {
+    // Sliders need the cursor back
+    if (tuningPanel.toggle()) {
+      inputManager.exitLock();
+    }
+  }
+
+  if (debugEnabled && rewindPressed) {
+    if (snapshotHistory.rewind(DEBUG_REWIND_SECONDS)) {
+      cameraRig.setTarget(characterMotor.getPosition());
+      cameraRig.resetPosition();
+      hud.setStatus(`Rewound ${DEBUG_REWIND_SECONDS} seconds.`);
+    }
   }
 
   if (debugEnabled && visualRig) {
-    if (inputManager.consumeKeyPress('BracketLeft')) {
+    if (visualOffsetDownPressed) {
       const nextOffset = visualRig.getVisualOffsetY() - VISUAL_OFFSET_STEP;
       visualRig.setVisualOffsetY(nextOffset);
       localStorage.setItem(VISUAL_OFFSET_STORAGE_KEY, nextOffset.toFixed(3));
     }
-    if (inputManager.consumeKeyPress('BracketRight')) {
+    if (visualOffsetUpPressed) {
       const nextOffset = visualRig.getVisualOffsetY() + VISUAL_OFFSET_STEP;
       visualRig.setVisualOffsetY(nextOffset);
       localStorage.setItem(VISUAL_OFFSET_STORAGE_KEY, nextOffset.toFixed(3));
@@ -324,6 +514,20 @@ function handleGlobalInput() {
   }
 }
 
+/**
+ * Detach the camera for free flight (debug); shots stay off meanwhile
+ */
+function setFreeFly(enabled) {
+  if (enabled === Boolean(freeFlyEntry)) return;
+  if (enabled) {
+    freeFlyEntry = cameraRig.pushMode('freeFly', { blendTime: 0 });
+  } else {
+    cameraRig.removeMode(freeFlyEntry);
+    freeFlyEntry = null;
+  }
+  cameraShotSystem.enabled = !enabled;
+}
+
 function updateFPS(dt) {
   frameCount++;
   lastFpsUpdate += dt;
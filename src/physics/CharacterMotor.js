@@ -8,9 +8,30 @@
  * - Autostep over small obstacles
  * - Snap to ground
  * - Apply platform motion
+ * - Scale movement by the surface material underfoot
+ * - Gaits (walk / jog / sprint / crouch), sprint stamina and crouch capsule resizing
+ * - Ledge grab, mantle and vault (via LedgeTraversal)
+ * - Ladder and trellis climbing (via ClimbLocomotion)
+ * - Swimming in water volumes (via SwimLocomotion)
+ * - Ground-aligned movement, sliding down steep slopes
+ * - Landing detection (fall height, impact speed, soft/hard) reported on `events`
+ * - External pushes layered on top of input: impulses, continuous forces,
+ *   carry velocities (conveyors) and knockbacks that lock control briefly
+ * - Remember the last safe grounded position (respawns after falls)
  */
 
 import { Vector3, Group, CylinderGeometry, SphereGeometry, MeshStandardMaterial, Mesh } from 'three';
+import { EventBus } from '../core/EventBus.js';
+import { getSurfaceMaterial } from './SurfaceMaterials.js';
+import { LedgeTraversal } from './LedgeTraversal.js';
+import { ClimbLocomotion } from './ClimbLocomotion.js';
+import { SwimLocomotion } from './SwimLocomotion.js';
+
+const DOWN = new Vector3(0, -1, 0);
+const UP = new Vector3(0, 1, 0);
+
+// Contacts flatter than this (normal.y) count as ground, walkable or not
+const MIN_GROUND_NORMAL_Y = 0.2;
 
 export class CharacterMotor {
   constructor(physicsWorld) {
@@ -27,13 +48,112 @@ export class CharacterMotor {
 
     // Capsule dimensions
     this.radius = 0.35;
-    this.halfHeight = 0.55; // Total height = 2 * halfHeight + 2 * radius ≈ 1.8m
+    this.standHalfHeight = 0.55; // Total height = 2 * halfHeight + 2 * radius ≈ 1.8m
+    this.crouchHalfHeight = 0.2; // ≈ 1.1m
+    this.halfHeight = this.standHalfHeight;
 
     // Movement settings
-    this.maxSpeed = 6.0;
-    this.acceleration = 40.0;
     this.friction = 15.0;
     this.airControl = 0.3;
+    this.terminalVelocity = 50.0;
+    this.groundStickSpeed = 2.0; // Downward push that keeps the capsule on the ground
+
+    // Slopes: walkable up to maxSlopeAngle, steeper ground slides
+    this.maxSlopeAngle = Math.PI / 4; // 45 degrees
+    this.slideMaxSpeed = 12.0;
+    this.slideFriction = 0.5;          // Speed damping per second while sliding (scaled by the surface)
+    this.slideSteerAcceleration = 8.0; // Sideways control across the slope
+    this.slideBrake = 2.0;             // Extra damping per second when pushing uphill
+    this.isSliding = false;
+
+    // Landing: impacts at or above hardLandingSpeed (m/s) are hard and slow the player briefly
+    this.hardLandingSpeed = 12.0;
+    this.minLandingAirTime = 0.15; // Shorter hops (and grounded flickers) don't count
+    this.landingRecovery = {
+      soft: { duration: 0.1, speedScale: 1.0 },
+      hard: { duration: 0.4, speedScale: 0.35 },
+    };
+    this.landingState = 'none'; // 'none' | 'soft' | 'hard' (while recovering)
+    this._landingTimer = 0;
+    this._airTime = 0;
+    this._peakFeetY = 0;
+
+    // External pushes (see applyImpulse / setForce / setCarryVelocity / knockback).
+    // Their horizontal velocity is kept apart from the input-driven velocity and decays on its own.
+    this.mass = 80; // kg
+    this.externalVelocity = new Vector3();
+    this.externalGroundDrag = 6.0; // Damping per second on the ground (scaled by the surface)
+    this.externalAirDrag = 0.5;    // Damping per second in the air
+    this._forces = new Map();          // id -> force (N)
+    this._carryVelocities = new Map(); // id -> velocity (m/s)
+    this._controlLockTimer = 0;
+
+    // Safe ground: the last spot stood on steadily (fixed ground, not sliding), for respawns
+    this.safeGroundDelay = 0.3; // Seconds grounded before a spot counts as safe
+    this.trackSafeGround = true; // Paused while a respawn is in progress
+    this.lastSafePosition = new Vector3();
+    this.hasSafePosition = false;
+    this._safeGroundTimer = 0;
+
+    // Motor events:
+    // - 'land' { hard, fallHeight, impactSpeed, airTime, surface, position }
+    // - 'slideStart' / 'slideEnd' { position, surface }
+    this.events = new EventBus();
+
+    // Gaits: top speed (m/s) and acceleration. Jog is the default moving gait.
+    this.gaits = {
+      walk: { maxSpeed: 2.2, acceleration: 30.0 },
+      jog: { maxSpeed: 6.0, acceleration: 40.0 },
+      sprint: { maxSpeed: 9.0, acceleration: 25.0 },
+      crouch: { maxSpeed: 2.0, acceleration: 30.0 },
+    };
+    this.analogWalkThreshold = 0.5; // Stick deflection below this walks
+    // Partial stick deflection eases speed from a standstill up to walk, then walk up to jog
+    // (keys are always full deflection). Multiplies the gait's maxSpeed; set by _updateGait.
+    this.analogSpeedScale = 1;
+
+    // Current gait: 'idle' | 'walk' | 'jog' | 'sprint' | 'crouch' | 'swim'
+    this.gait = 'idle';
+    this.onGaitChange = null; // (gait, previousGait) => void
+
+    // Gait requests from the controller (see setGaitInput)
+    this.gaitInput = { sprint: false, walk: false, crouch: false };
+
+    // Crouch state (stays crouched while a ceiling blocks standing up)
+    this.isCrouching = false;
+
+    // Sprint stamina, in seconds of sprinting
+    this.maxStamina = 5.0;
+    this.stamina = this.maxStamina;
+    this.staminaRegenRate = 1.25; // per second
+    this.staminaRegenDelay = 0.8; // seconds after sprinting stops
+    this.staminaRecoverThreshold = 1.5; // Exhausted until stamina refills to this
+    this.isExhausted = false;
+    this._staminaRegenTimer = 0;
+
+    // Ledge grab / hang / mantle / vault; takes over the capsule while active
+    this.ledges = new LedgeTraversal(this);
+
+    // Ladder / trellis climbing; takes over the capsule while active
+    this.climbing = new ClimbLocomotion(this);
+
+    // Climbable provider (set externally, see ClimbableSystem)
+    this.climbables = null;
+
+    // Swimming; takes over the capsule in deep water
+    this.swimming = new SwimLocomotion(this);
+
+    // Water provider (set externally, see WaterSystem)
+    this.water = null;
+
+    // Held swim requests from the controller (see setSwimInput)
+    this.swimInput = { up: false, down: false };
+
+    // Normalized horizontal input direction of the last step (zero when idle)
+    this.moveDirection = new Vector3();
+
+    // Hang / climb requests from the controller (see setTraversalInput)
+    this._traversalActions = { jump: false, drop: false };
 
     // State
     this.velocity = new Vector3();
@@ -43,7 +163,18 @@ export class CharacterMotor {
 
     // Platform tracking
     this.platformVelocity = new Vector3();
-    this.lastPlatformCollider = null;
+
+    // Collider we're standing on or sliding down (null while airborne)
+    this.groundCollider = null;
+    this.groundNormal = new Vector3(0, 1, 0);
+
+    // Surface material of the ground collider (scales ground acceleration/friction/speed)
+    this.surface = getSurfaceMaterial(null);
+
+    // Footsteps: onFootstep({ surface, sound, position }) every stepLength meters walked
+    this.stepLength = 1.4;
+    this.onFootstep = null;
+    this._strideDistance = 0;
 
     // Visual mesh (debug)
     this.debugMesh = null;
@@ -58,6 +189,12 @@ export class CharacterMotor {
     this._tmpTargetVel = new Vector3();
     this._tmpMovement = new Vector3();
     this._tmpPosition = new Vector3();
+    this._tmpRenderPosition = new Vector3();
+    this._tmpHeadPosition = new Vector3();
+    this._tmpSlopeDown = new Vector3();
+    this._tmpSlopeAcross = new Vector3();
+    this._tmpForce = new Vector3();
+    this._tmpFooting = new Vector3();
   }
 
   /**
@@ -77,23 +214,15 @@ export class CharacterMotor {
       .setCollisionGroups(
         this.physics.makeCollisionGroups(
           this.physics.GROUPS.PLAYER,
-          this.physics.GROUPS.GROUND | this.physics.GROUPS.DYNAMIC | this.physics.GROUPS.PLATFORM
+          this.physics.GROUPS.GROUND | this.physics.GROUPS.DYNAMIC |
+            this.physics.GROUPS.PLATFORM | this.physics.GROUPS.TRIGGER
         )
       );
     this.collider = world.createCollider(colliderDesc, this.body);
+    this.physics.trackBody(this.body);
+    this.physics.setColliderOwner(this.collider, this);
 
-    // Create character controller
-    this.controller = world.createCharacterController(this.controllerSkin); // skin width
-
-    // Configure controller
-    this.controller.enableAutostep(0.3, 0.2, true);  // maxHeight, minWidth, includeDynamic
-    this.controller.enableSnapToGround(0.3);          // distance
-    this.controller.setApplyImpulsesToDynamicBodies(true);
-    this.controller.setCharacterMass(80);             // kg
-
-    // Slope handling
-    this.controller.setMaxSlopeClimbAngle(Math.PI / 4); // 45 degrees
-    this.controller.setMinSlopeSlideAngle(Math.PI / 4); // Start sliding at 45 degrees
+    this._createController();
 
     // Debug mesh
     if (scene) {
@@ -105,8 +234,25 @@ export class CharacterMotor {
   }
 
   /**
-   * Update the character motor
-   * @param {number} dt - Delta time
+   * Create and configure the Rapier character controller on the current world
+   */
+  _createController() {
+    this.controller = this.physics.world.createCharacterController(this.controllerSkin); // skin width
+
+    // Configure controller
+    this.controller.enableAutostep(0.3, 0.2, true);  // maxHeight, minWidth, includeDynamic
+    this.controller.enableSnapToGround(0.3);          // distance
+    this.controller.setApplyImpulsesToDynamicBodies(true);
+    this.controller.setCharacterMass(this.mass);
+
+    // Slope handling (the motor's own slide takes over beyond this, see _applySlide)
+    this.controller.setMaxSlopeClimbAngle(this.maxSlopeAngle);
+    this.controller.setMinSlopeSlideAngle(this.maxSlopeAngle);
+  }
+
+  /**
+   * Update the character motor (call once per fixed physics step)
+   * @param {number} dt - Fixed delta time
    * @param {{ x: number, z: number }} inputDir - Input direction (camera-relative)
    * @param {number} cameraYaw - Camera yaw for movement direction
    */
@@ -125,64 +271,91 @@ export class CharacterMotor {
       -Math.sin(cameraYaw)
     );
 
-    // Desired horizontal velocity
+    // Desired horizontal velocity (none while a knockback holds control)
     const desiredDir = this._tmpDesiredDir.set(0, 0, 0);
-    desiredDir.addScaledVector(forward, -inputDir.z);
-    desiredDir.addScaledVector(right, inputDir.x);
+    if (this._controlLockTimer > 0) {
+      this._controlLockTimer = Math.max(this._controlLockTimer - dt, 0);
+    } else {
+      desiredDir.addScaledVector(forward, -inputDir.z);
+      desiredDir.addScaledVector(right, inputDir.x);
+    }
 
-    const hasInput = desiredDir.lengthSq() > 0.001;
+    const inputMagnitude = desiredDir.length();
+    const hasInput = inputMagnitude > 0.03;
 
-    // Acceleration / friction
     if (hasInput) {
-      desiredDir.normalize();
-      const targetVel = this._tmpTargetVel.copy(desiredDir).multiplyScalar(this.maxSpeed);
-
-      // Interpolate toward target velocity
-      const accelRate = this.isGrounded ? this.acceleration : this.acceleration * this.airControl;
-      const accelVec = targetVel.sub(this.velocity).multiplyScalar(accelRate * dt);
-
-      this.velocity.x += accelVec.x;
-      this.velocity.z += accelVec.z;
+      this.moveDirection.copy(desiredDir).normalize();
     } else {
-      // Apply friction
-      const frictionRate = this.isGrounded ? this.friction : this.friction * this.airControl;
-      const friction = Math.exp(-frictionRate * dt);
-      this.velocity.x *= friction;
-      this.velocity.z *= friction;
+      this.moveDirection.set(0, 0, 0);
+    }
 
-      // Stop if very slow
-      if (Math.abs(this.velocity.x) < 0.01) this.velocity.x = 0;
-      if (Math.abs(this.velocity.z) < 0.01) this.velocity.z = 0;
+    // Climbing, swimming, hanging, mantling and vaulting move the capsule themselves
+    const actions = this._traversalActions;
+    const traversing = this.climbing.update(dt, desiredDir, this.moveDirection, actions) ||
+      this.swimming.update(dt, desiredDir, this.moveDirection, this.swimInput) ||
+      this.ledges.update(dt, this.moveDirection, actions);
+    actions.jump = false;
+    actions.drop = false;
+    if (traversing) {
+      this.isGrounded = false;
+      this.groundCollider = null;
+      this.externalVelocity.set(0, 0, 0);
+      this._setSliding(false);
+      this._resetAirborne();
+      if (this.swimming.isActive()) this._setGait('swim');
+      return;
     }
 
-    // Gravity
-    if (!this.isGrounded) {
-      this.velocity.y += -20 * dt; // Gravity
-      this.velocity.y = Math.max(this.velocity.y, -50); // Terminal velocity
+    this._updateCrouch();
+    this._updateGait(dt, hasInput, inputMagnitude);
+    this._updateLandingRecovery(dt);
+    const gait = this.gaits[this.gait] ?? this.gaits.jog;
+    const gravity = this.physics.getGravity().y;
+
+    if (this.isSliding) {
+      this._applySlide(dt, gravity, hasInput);
     } else {
-      // Small downward force to maintain ground contact
-      this.velocity.y = -2;
+      this._applyLocomotion(dt, gait, desiredDir, hasInput, gravity);
     }
+    this._applyExternalForces(dt);
+    const fallSpeed = Math.max(-this.velocity.y, 0);
 
-    // Add platform velocity
     const movement = this._tmpMovement.copy(this.velocity).multiplyScalar(dt);
+
+    // Press into the ground (or the slope being slid down) to maintain contact
+    if (this.isGrounded || this.isSliding) {
+      movement.addScaledVector(this.groundNormal, -this.groundStickSpeed * dt);
+    }
+
+    // Platform carry across the surface goes through the controller, so walls still stop it.
+    // Up and down is added afterwards: the controller sees the platform where it was, and
+    // would otherwise press a rising rider into it
     movement.x += this.platformVelocity.x * dt;
-    movement.y += this.platformVelocity.y * dt;
     movement.z += this.platformVelocity.z * dt;
 
-    // Compute movement with collision
+    // Add external pushes and conveyor carry
+    movement.addScaledVector(this.externalVelocity, dt);
+    for (const carry of this._carryVelocities.values()) {
+      movement.addScaledVector(carry, dt);
+    }
+
+    // Compute movement with collision (trigger volumes never block)
     this.controller.computeColliderMovement(
       this.collider,
       { x: movement.x, y: movement.y, z: movement.z },
-      undefined,  // filterFlags
+      this.physics.RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
       undefined   // filterGroups
     );
 
     // Get corrected movement
     const corrected = this.controller.computedMovement();
 
-    // Update grounded state
+    // Update grounded state (standing on ground too steep to walk is sliding, not grounded)
+    const wasSupported = this.isGrounded || this.isSliding;
     this.isGrounded = this.controller.computedGrounded();
+    this._updateGroundCollider();
+    this._updateSliding();
+    this.surface = this.physics.getColliderSurface(this.groundCollider);
 
     if (this.isGrounded) {
       this.groundedTimer = this.coyoteTime;
@@ -194,21 +367,541 @@ export class CharacterMotor {
     }
 
     // Apply movement to rigidbody
+    const crouchShift = this._applyCrouchShape();
     const currentPos = this.body.translation();
+    this._updateSafeGround(dt, currentPos);
     const newPos = {
       x: currentPos.x + corrected.x,
-      y: currentPos.y + corrected.y,
+      y: currentPos.y + corrected.y + crouchShift + this.platformVelocity.y * dt,
       z: currentPos.z + corrected.z,
     };
 
     this.body.setNextKinematicTranslation(newPos);
 
-    // Update debug mesh
-    if (this.debugMesh) {
-      this.debugMesh.position.set(newPos.x, newPos.y, newPos.z);
+    this._updateAirborne(dt, wasSupported, fallSpeed, newPos);
+    this._updateFootsteps(dt, newPos);
+  }
+
+  /**
+   * Walking and air control: accelerate toward the input, friction when idle,
+   * gravity in the air and ground-plane following on the ground
+   */
+  _applyLocomotion(dt, gait, desiredDir, hasInput, gravity) {
+    // Acceleration / friction (the surface underfoot only matters on the ground)
+    const { surface } = this;
+    if (hasInput) {
+      desiredDir.normalize();
+      let maxSpeed = (this.isGrounded ? gait.maxSpeed * surface.maxSpeed : gait.maxSpeed) * this.analogSpeedScale;
+      if (this.landingState !== 'none') {
+        maxSpeed *= this.landingRecovery[this.landingState].speedScale;
+      }
+      const targetVel = this._tmpTargetVel.copy(desiredDir).multiplyScalar(maxSpeed);
+
+      // Interpolate toward target velocity
+      const accelRate = this.isGrounded
+        ? gait.acceleration * surface.acceleration
+        : gait.acceleration * this.airControl;
+      const accelVec = targetVel.sub(this.velocity).multiplyScalar(accelRate * dt);
+
+      this.velocity.x += accelVec.x;
+      this.velocity.z += accelVec.z;
+    } else {
+      // Apply friction
+      const frictionRate = this.isGrounded
+        ? this.friction * surface.friction
+        : this.friction * this.airControl;
+      const friction = Math.exp(-frictionRate * dt);
+      this.velocity.x *= friction;
+      this.velocity.z *= friction;
+
+      // Stop if very slow
+      if (Math.abs(this.velocity.x) < 0.01) this.velocity.x = 0;
+      if (Math.abs(this.velocity.z) < 0.01) this.velocity.z = 0;
+    }
+
+    // Gravity
+    if (!this.isGrounded) {
+      this.velocity.y += gravity * dt;
+      this.velocity.y = Math.max(this.velocity.y, -this.terminalVelocity);
+    } else {
+      // Follow the ground plane down slopes instead of skipping off them
+      // (the controller climbs walkable slopes on its own)
+      const n = this.groundNormal;
+      this.velocity.y = Math.min(-(n.x * this.velocity.x + n.z * this.velocity.z) / n.y, 0);
+    }
+  }
+
+  /**
+   * Integrate continuous forces into the push velocity and let it decay.
+   * Vertical forces only act in the air (the ground holds the player up).
+   */
+  _applyExternalForces(dt) {
+    const push = this.externalVelocity;
+    if (this._forces.size > 0) {
+      const force = this._tmpForce.set(0, 0, 0);
+      for (const f of this._forces.values()) force.add(f);
+
+      push.x += force.x / this.mass * dt;
+      push.z += force.z / this.mass * dt;
+      if (!this.isGrounded) {
+        this.velocity.y += force.y / this.mass * dt;
+      }
+    }
+
+    if (push.x === 0 && push.z === 0) return;
+    const drag = this.isGrounded ? this.externalGroundDrag * this.surface.friction : this.externalAirDrag;
+    push.multiplyScalar(Math.exp(-drag * dt));
+    if (push.lengthSq() < 0.0001) push.set(0, 0, 0);
+  }
+
+  /**
+   * Slide down ground that is too steep to stand on. Gravity pulls along the
+   * slope (faster on steeper ground), input steers across it and pushing
+   * uphill brakes, but never climbs.
+   */
+  _applySlide(dt, gravity, hasInput) {
+    const n = this.groundNormal;
+    const velocity = this.velocity;
+
+    // Keep only the motion along the slope surface, and none of it uphill
+    velocity.addScaledVector(n, -velocity.dot(n));
+    const fallLine = this._tmpSlopeDown.set(0, -1, 0).addScaledVector(n, n.y).normalize();
+    const alongFallLine = velocity.dot(fallLine);
+    if (alongFallLine < 0) velocity.addScaledVector(fallLine, -alongFallLine);
+
+    // Gravity minus the part the slope holds up
+    const slopeGravity = -gravity * Math.sqrt(1 - n.y * n.y);
+    velocity.addScaledVector(fallLine, slopeGravity * dt);
+
+    let damping = this.slideFriction * this.surface.friction;
+    if (hasInput) {
+      const across = this._tmpSlopeAcross.crossVectors(fallLine, n);
+      velocity.addScaledVector(across, this.moveDirection.dot(across) * this.slideSteerAcceleration * dt);
+
+      const uphill = -(this.moveDirection.x * fallLine.x + this.moveDirection.z * fallLine.z);
+      if (uphill > 0) damping += uphill * this.slideBrake;
+    }
+
+    velocity.multiplyScalar(Math.exp(-damping * dt));
+    if (velocity.length() > this.slideMaxSpeed) {
+      velocity.setLength(this.slideMaxSpeed);
+    }
+  }
+
+  /**
+   * Decide whether the ground underfoot is too steep to stand on.
+   * Capsules resting on an edge see a tilted contact normal, so a steep
+   * contact only counts when the ground straight below is steep (or missing) too.
+   */
+  _updateSliding() {
+    let sliding = false;
+    if (this.groundCollider && this.groundNormal.y < Math.cos(this.maxSlopeAngle)) {
+      const pos = this.body.translation();
+      const rayOrigin = { x: pos.x, y: this.getCapsuleBottomY() + 0.05, z: pos.z };
+      const hit = this.physics.raycast(rayOrigin, DOWN, 0.4, { exclude: [this.collider] });
+      sliding = !hit || hit.normal.y < Math.cos(this.maxSlopeAngle);
+      if (!sliding) {
+        // Resting on an edge or against the foot of a slope: stand on what is below
+        this.groundCollider = hit.collider;
+        this.groundNormal.copy(hit.normal);
+      }
+    }
+    if (this.isSliding && !sliding && this.isGrounded) {
+      // Run out onto the ground below with the speed of the slide
+      const speed = this.velocity.length();
+      const horizontal = Math.hypot(this.velocity.x, this.velocity.z);
+      if (horizontal > 0.001) {
+        this.velocity.x *= speed / horizontal;
+        this.velocity.z *= speed / horizontal;
+      }
+    }
+    this._setSliding(sliding);
+
+    if (sliding) {
+      this.isGrounded = false;
+    } else if (!this.isGrounded) {
+      this.groundCollider = null;
+      this.groundNormal.set(0, 1, 0);
+    }
+  }
+
+  _setSliding(sliding) {
+    if (sliding === this.isSliding) return;
+    this.isSliding = sliding;
+    if (!this.body) return;
+    const pos = this.body.translation();
+    this.events.emit(sliding ? 'slideStart' : 'slideEnd', {
+      position: { x: pos.x, y: pos.y, z: pos.z },
+      surface: this.physics.getColliderSurface(this.groundCollider).name,
+    });
+  }
+
+  /**
+   * Track time and height in the air and report the landing when support returns
+   * @param {number} dt
+   * @param {boolean} wasSupported - Grounded or sliding before this step
+   * @param {number} fallSpeed - Downward speed going into this step's move
+   * @param {{ x: number, y: number, z: number }} position - Capsule center after the move
+   */
+  _updateAirborne(dt, wasSupported, fallSpeed, position) {
+    const supported = this.isGrounded || this.isSliding;
+    const feetY = position.y - (this.halfHeight + this.radius);
+
+    if (!supported) {
+      this._airTime += dt;
+      this._peakFeetY = Math.max(this._peakFeetY, feetY);
+      return;
+    }
+    if (wasSupported) {
+      this._resetAirborne(feetY);
+      return;
+    }
+
+    const airTime = this._airTime;
+    const fallHeight = Math.max(this._peakFeetY - feetY, 0);
+    this._resetAirborne(feetY);
+    if (airTime < this.minLandingAirTime) return;
+
+    const hard = fallSpeed >= this.hardLandingSpeed;
+    this.landingState = hard ? 'hard' : 'soft';
+    this._landingTimer = this.landingRecovery[this.landingState].duration;
+
+    this.events.emit('land', {
+      hard,
+      fallHeight,
+      impactSpeed: fallSpeed,
+      airTime,
+      surface: this.surface.name,
+      position: { x: position.x, y: position.y, z: position.z },
+    });
+  }
+
+  /**
+   * Remember where the player last stood steadily. Uses the position from the
+   * start of the step, so a step that walks into a kill volume is never recorded.
+   * @param {number} dt
+   * @param {{ x: number, y: number, z: number }} position - Capsule center before this step's move
+   */
+  _updateSafeGround(dt, position) {
+    // Coyote time bridges single-step grounded flickers; moving bodies are never safe
+    const steady = this.trackSafeGround && this.groundedTimer > 0 && !this.isSliding;
+    if (!steady || this._isMovingCollider(this.groundCollider)) {
+      this._safeGroundTimer = 0;
+      return;
+    }
+
+    this._safeGroundTimer += dt;
+    if (!this.isGrounded || this._safeGroundTimer < this.safeGroundDelay) return;
+
+    const feetY = position.y - (this.halfHeight + this.radius);
+    if (!this._hasFullFooting(position.x, feetY, position.z)) return;
+
+    // Stored for a standing capsule, so a crouched spot doesn't respawn into the ground
+    this.lastSafePosition.set(position.x, feetY + this.standHalfHeight + this.radius, position.z);
+    this.hasSafePosition = true;
+  }
+
+  /**
+   * Whether fixed ground lies under the middle and the four sides of the capsule's
+   * footprint (so a spot teetering on an edge isn't remembered)
+   */
+  _hasFullFooting(x, feetY, z) {
+    const r = this.radius;
+    const offsets = [[0, 0], [r, 0], [-r, 0], [0, r], [0, -r]];
+    for (const [dx, dz] of offsets) {
+      const origin = this._tmpFooting.set(x + dx, feetY + 0.2, z + dz);
+      const hit = this.physics.raycast(origin, DOWN, 0.5, { exclude: [this.collider] });
+      if (!hit || hit.normal.y < Math.cos(this.maxSlopeAngle) || this._isMovingCollider(hit.collider)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Whether a collider moves: props and platforms (fixed bodies that PlatformSystem places each step)
+   */
+  _isMovingCollider(collider) {
+    if (!collider) return false;
+    const body = collider.parent();
+    if (body && !body.isFixed()) return true;
+    return ((collider.collisionGroups() >>> 16) & this.physics.GROUPS.PLATFORM) !== 0;
+  }
+
+  /**
+   * Last safe grounded position (capsule center), or null before the player has stood anywhere
+   * @returns {Vector3|null}
+   */
+  getSafePosition() {
+    return this.hasSafePosition ? this.lastSafePosition : null;
+  }
+
+  _resetAirborne(feetY = this.getCapsuleBottomY()) {
+    this._airTime = 0;
+    this._peakFeetY = feetY;
+  }
+
+  /**
+   * Count down the post-landing recovery
+   */
+  _updateLandingRecovery(dt) {
+    if (this.landingState === 'none') return;
+    this._landingTimer -= dt;
+    if (this._landingTimer <= 0) {
+      this._landingTimer = 0;
+      this.landingState = 'none';
     }
   }
 
+  /**
+   * Set the gait requests for the next steps (held sprint / walk / crouch)
+   * @param {{ sprint?: boolean, walk?: boolean, crouch?: boolean }} input
+   */
+  setGaitInput(input) {
+    this.gaitInput.sprint = !!input.sprint;
+    this.gaitInput.walk = !!input.walk;
+    this.gaitInput.crouch = !!input.crouch;
+  }
+
+  /**
+   * Set the held swim requests (rise towards the surface / dive)
+   * @param {{ up?: boolean, down?: boolean }} input
+   */
+  setSwimInput(input) {
+    this.swimInput.up = !!input.up;
+    this.swimInput.down = !!input.down;
+  }
+
+  /**
+   * Request a jump or a let-go for the next step while hanging or climbing.
+   * Jumping pulls up from a hang and leaps off a ladder.
+   * @param {{ jump?: boolean, drop?: boolean }} actions
+   */
+  setTraversalInput(actions) {
+    this._traversalActions.jump ||= !!actions.jump;
+    this._traversalActions.drop ||= !!actions.drop;
+  }
+
+  /**
+   * Try to vault or mantle whatever is ahead in the current move direction
+   * @returns {boolean} - True if a move started
+   */
+  tryVaultOrMantle() {
+    if (!this.isGrounded || this.isCrouching) return false;
+    return this.ledges.tryVaultOrMantle(this.moveDirection);
+  }
+
+  /**
+   * Traversal state ('none' | 'climb' | 'swim' | 'hang' | 'mantle' | 'vault')
+   */
+  getTraversalState() {
+    if (this.climbing.isActive()) return this.climbing.state;
+    if (this.swimming.isActive()) return this.swimming.state;
+    return this.ledges.state;
+  }
+
+  /**
+   * Current gait ('idle' | 'walk' | 'jog' | 'sprint' | 'crouch')
+   */
+  getGait() {
+    return this.gait;
+  }
+
+  /**
+   * Stamina as a 0..1 fraction
+   */
+  getStaminaFraction() {
+    return this.stamina / this.maxStamina;
+  }
+
+  /**
+   * Pick the gait for this step and spend/refill sprint stamina
+   */
+  _updateGait(dt, hasInput, inputMagnitude) {
+    const { gaitInput } = this;
+
+    let gait;
+    if (this.isCrouching) {
+      gait = 'crouch';
+    } else if (!hasInput) {
+      gait = 'idle';
+    } else if (gaitInput.sprint && !this.isExhausted && this.stamina > 0) {
+      gait = 'sprint';
+    } else if (gaitInput.walk || inputMagnitude < this.analogWalkThreshold) {
+      gait = 'walk';
+    } else {
+      gait = 'jog';
+    }
+
+    if (gait === 'sprint') {
+      this.stamina = Math.max(this.stamina - dt, 0);
+      this._staminaRegenTimer = this.staminaRegenDelay;
+      if (this.stamina === 0) {
+        this.isExhausted = true;
+      }
+    } else if (this._staminaRegenTimer > 0) {
+      this._staminaRegenTimer -= dt;
+    } else {
+      this.stamina = Math.min(this.stamina + this.staminaRegenRate * dt, this.maxStamina);
+      if (this.isExhausted && this.stamina >= this.staminaRecoverThreshold) {
+        this.isExhausted = false;
+      }
+    }
+
+    this._setGait(gait);
+    this.analogSpeedScale = this._getAnalogSpeedScale(gait, inputMagnitude);
+  }
+
+  /**
+   * Gait speed fraction for a stick deflection (1 at full deflection and for sprinting)
+   */
+  _getAnalogSpeedScale(gait, inputMagnitude) {
+    const magnitude = Math.min(inputMagnitude, 1);
+    const threshold = this.analogWalkThreshold;
+    if (gait === 'walk' || gait === 'crouch') {
+      return Math.min(magnitude / threshold, 1);
+    }
+    if (gait === 'jog' && magnitude < 1) {
+      const t = (magnitude - threshold) / (1 - threshold);
+      const { walk, jog } = this.gaits;
+      return (walk.maxSpeed + (jog.maxSpeed - walk.maxSpeed) * t) / jog.maxSpeed;
+    }
+    return 1;
+  }
+
+  _setGait(gait) {
+    if (gait === this.gait) return;
+    const previous = this.gait;
+    this.gait = gait;
+    this.onGaitChange?.(gait, previous);
+  }
+
+  /**
+   * Crouch when requested; stand back up only when there is headroom
+   */
+  _updateCrouch() {
+    if (this.gaitInput.crouch) {
+      this.isCrouching = true;
+    } else if (this.isCrouching && this.canStandUp()) {
+      this.isCrouching = false;
+    }
+  }
+
+  /**
+   * Check for a ceiling in the space the standing capsule would need
+   */
+  canStandUp() {
+    if (!this.body) return false;
+    const rise = (this.standHalfHeight - this.halfHeight) * 2;
+    if (rise <= 0) return true;
+
+    // Sweep the top hemisphere up to where the standing capsule's top would be
+    const pos = this.body.translation();
+    const top = this._tmpHeadPosition.set(pos.x, pos.y + this.halfHeight, pos.z);
+    const hit = this.physics.shapeCast(
+      { type: 'sphere', radius: this.radius - this.controllerSkin },
+      top, null, UP, rise,
+      { groups: ['GROUND', 'DYNAMIC', 'PLATFORM'], exclude: [this.collider] }
+    );
+    return !hit;
+  }
+
+  /**
+   * Resize the capsule to match the crouch state.
+   * Applied after the move so the controller never sweeps a resized capsule
+   * from its old center; the caller shifts the center by the returned amount
+   * so the feet stay where they are.
+   * @returns {number} - Vertical center shift
+   */
+  _applyCrouchShape() {
+    const halfHeight = this.isCrouching ? this.crouchHalfHeight : this.standHalfHeight;
+    const shift = halfHeight - this.halfHeight;
+    if (shift === 0) return 0;
+
+    this.collider.setHalfHeight(halfHeight);
+    this.halfHeight = halfHeight;
+    this.physics.snapBody(this.body);
+    this._updateDebugMeshShape();
+    return shift;
+  }
+
+  /**
+   * How far the capsule center sits below its standing height (crouching lowers it)
+   */
+  getCrouchOffsetY() {
+    return this.standHalfHeight - this.halfHeight;
+  }
+
+  /**
+   * Accumulate walked distance and report a footstep every stepLength meters
+   */
+  _updateFootsteps(dt, position) {
+    // Coyote time keeps the stride going through single-step grounded flickers
+    if (!this.isGrounded) {
+      if (this.groundedTimer <= 0) this._strideDistance = 0;
+      return;
+    }
+
+    this._strideDistance += Math.hypot(this.velocity.x, this.velocity.z) * dt;
+    if (this._strideDistance < this.stepLength) return;
+
+    this._strideDistance -= this.stepLength;
+    this.onFootstep?.({
+      surface: this.surface.name,
+      sound: this.surface.footstep,
+      position,
+    });
+  }
+
+  /**
+   * Find the collider under the capsule after a move.
+   * Prefers the most upward-facing contact from the last computeColliderMovement,
+   * then falls back to a short ray (snap-to-ground can ground us without a contact).
+   */
+  _updateGroundCollider() {
+    this.groundCollider = null;
+    this.groundNormal.set(0, 1, 0);
+
+    // Steep contacts count too (they may be slopes to slide down)
+    let bestNormalY = MIN_GROUND_NORMAL_Y;
+    const count = this.controller.numComputedCollisions();
+    for (let i = 0; i < count; i++) {
+      const collision = this.controller.computedCollision(i);
+      if (!collision?.collider) continue;
+      if (collision.normal1.y > bestNormalY) {
+        bestNormalY = collision.normal1.y;
+        this.groundCollider = collision.collider;
+        this.groundNormal.set(collision.normal1.x, collision.normal1.y, collision.normal1.z);
+      }
+    }
+    if (this.groundCollider || !this.isGrounded) return;
+
+    const pos = this.body.translation();
+    const rayOrigin = { x: pos.x, y: this.getCapsuleBottomY() + 0.05, z: pos.z };
+    const hit = this.physics.raycast(rayOrigin, DOWN, 0.4, { exclude: [this.collider] });
+    if (hit) {
+      this.groundCollider = hit.collider;
+      this.groundNormal.copy(hit.normal);
+    }
+  }
+
+  /**
+   * Angle of the ground underfoot in degrees (null while airborne)
+   * @returns {number|null}
+   */
+  getSlopeAngle() {
+    if (!this.groundCollider) return null;
+    return Math.acos(Math.min(Math.max(this.groundNormal.y, -1), 1)) * 180 / Math.PI;
+  }
+
+  /**
+   * Get the collider currently underfoot
+   * @returns {import('@dimforge/rapier3d-compat').Collider|null}
+   */
+  getGroundCollider() {
+    return this.groundCollider;
+  }
+
   /**
    * Set platform velocity
    */
@@ -226,6 +919,15 @@ export class CharacterMotor {
     return this._tmpPosition.set(pos.x, pos.y, pos.z);
   }
 
+  /**
+   * Get render position interpolated between physics steps (returns reusable vector — do not store)
+   * @returns {Vector3}
+   */
+  getInterpolatedPosition() {
+    if (!this.body) return this._tmpRenderPosition.set(0, 0, 0);
+    return this.physics.getInterpolatedTranslation(this.body, this._tmpRenderPosition);
+  }
+
   /**
    * Get current velocity (returns internal reference — do not mutate)
    * @returns {Vector3}
@@ -239,6 +941,13 @@ export class CharacterMotor {
    * @returns {number} - Angle in radians
    */
   getFacingYaw() {
+    // Face the wall while climbing or hanging
+    if (this.climbing.isActive()) return this.climbing.getFacingYaw();
+    if (this.ledges.state === 'hang' && this.ledges.ledge) {
+      const normal = this.ledges.ledge.wallNormal;
+      return Math.atan2(-normal.x, -normal.z);
+    }
+
     const vel = this.velocity;
     if (vel.x * vel.x + vel.z * vel.z < 0.01) {
       return null; // No movement, keep current facing
@@ -264,20 +973,15 @@ export class CharacterMotor {
       return null;
     }
 
-    const { RAPIER, world } = this.physics;
-    if (!RAPIER || !world) return null;
+    if (!this.physics.world) return null;
 
     const pos = this.body.translation();
     const bottomY = this.getCapsuleBottomY();
     const rayOrigin = { x: pos.x, y: bottomY + 0.2, z: pos.z };
-    const rayDir = { x: 0, y: -1, z: 0 };
-    const ray = new RAPIER.Ray(rayOrigin, rayDir);
-    const maxToi = 1.0;
-    const hit = world.castRay(ray, maxToi, true, undefined, undefined, this.collider);
+    const hit = this.physics.raycast(rayOrigin, DOWN, 1.0, { exclude: [this.collider] });
     if (!hit) return null;
 
-    const hitY = rayOrigin.y - hit.toi;
-    const hover = bottomY - hitY;
+    const hover = bottomY - hit.point.y;
     return Number.isFinite(hover) ? hover : null;
   }
 
@@ -296,23 +1000,208 @@ export class CharacterMotor {
       this.velocity.y = strength;
       this.groundedTimer = 0;
       this.isGrounded = false;
+      this._setSliding(false);
     }
   }
 
+  /**
+   * Apply an instantaneous push (N·s). Horizontal motion is layered on top of
+   * input movement and decays; an upward push lifts the player off the ground.
+   * @param {{ x: number, y: number, z: number }} impulse
+   */
+  applyImpulse(impulse) {
+    this._addVelocityChange(impulse.x / this.mass, impulse.y / this.mass, impulse.z / this.mass);
+  }
+
+  /**
+   * Knock the player back: an immediate velocity change (m/s) that also
+   * ignores movement input for `lockTime` seconds. Knocks climbers off ladders
+   * and hanging players off ledges.
+   * @param {{ x: number, y: number, z: number }} velocity
+   * @param {{ lockTime?: number }} [options]
+   */
+  knockback(velocity, options = {}) {
+    this.climbing.drop();
+    this.ledges.drop();
+    this._addVelocityChange(velocity.x, velocity.y, velocity.z);
+    this.lockControl(options.lockTime ?? 0.3);
+  }
+
+  /**
+   * Ignore movement input for a while (knockbacks, respawns)
+   * @param {number} duration - Seconds
+   */
+  lockControl(duration) {
+    this._controlLockTimer = Math.max(this._controlLockTimer, duration);
+  }
+
+  _addVelocityChange(x, y, z) {
+    this.externalVelocity.x += x;
+    this.externalVelocity.z += z;
+    this.velocity.y += y;
+    if (y > 0) {
+      this.groundedTimer = 0;
+      this.isGrounded = false;
+      this._setSliding(false);
+    }
+  }
+
+  /**
+   * Add or replace a continuous force (N), e.g. a wind zone, until cleared
+   * @param {string} id
+   * @param {{ x: number, y: number, z: number }} force
+   */
+  setForce(id, force) {
+    const current = this._forces.get(id) ?? new Vector3();
+    this._forces.set(id, current.set(force.x, force.y, force.z));
+  }
+
+  clearForce(id) {
+    this._forces.delete(id);
+  }
+
+  /**
+   * Add or replace a velocity the player is carried along at (m/s), e.g. a
+   * conveyor, until cleared. Applied like platform motion, on top of input.
+   * @param {string} id
+   * @param {{ x: number, y: number, z: number }} velocity
+   */
+  setCarryVelocity(id, velocity) {
+    const current = this._carryVelocities.get(id) ?? new Vector3();
+    this._carryVelocities.set(id, current.set(velocity.x, velocity.y, velocity.z));
+  }
+
+  clearCarryVelocity(id) {
+    this._carryVelocities.delete(id);
+  }
+
+  /**
+   * Whether a knockback is holding movement input
+   */
+  isControlLocked() {
+    return this._controlLockTimer > 0;
+  }
+
+  /**
+   * Summary of what is pushing the player (debug HUD)
+   * @returns {{ speed: number, forces: number, carries: number, locked: boolean }}
+   */
+  getPushState() {
+    return {
+      speed: Math.hypot(this.externalVelocity.x, this.externalVelocity.z),
+      forces: this._forces.size,
+      carries: this._carryVelocities.size,
+      locked: this.isControlLocked(),
+    };
+  }
+
   /**
    * Teleport to position
    */
   teleport(position) {
     if (this.body) {
-      this.body.setNextKinematicTranslation({
-        x: position.x,
-        y: position.y,
-        z: position.z,
-      });
+      const target = { x: position.x, y: position.y, z: position.z };
+      // Move now as well, so an update later in this step starts from the new spot
+      this.body.setTranslation(target, true);
+      this.body.setNextKinematicTranslation(target);
+      this.physics.snapBody(this.body);
       this.velocity.set(0, 0, 0);
+      this.externalVelocity.set(0, 0, 0);
+      this._controlLockTimer = 0;
+      this.isGrounded = false;
+      this.groundedTimer = 0;
+      this.groundCollider = null;
+      this.groundNormal.set(0, 1, 0);
+      this._setSliding(false);
+      this.landingState = 'none';
+      this._landingTimer = 0;
+      this._resetAirborne(position.y - (this.halfHeight + this.radius));
+      this._safeGroundTimer = 0;
+      this.ledges.cancel();
+      this.climbing.cancel();
+      this.swimming.cancel();
     }
   }
 
+  /**
+   * Motor state that lives outside Rapier (snapshot participant)
+   */
+  captureState() {
+    return {
+      velocity: this.velocity.toArray(),
+      platformVelocity: this.platformVelocity.toArray(),
+      isGrounded: this.isGrounded,
+      groundedTimer: this.groundedTimer,
+      surface: this.surface.name,
+      gait: this.gait,
+      isCrouching: this.isCrouching,
+      stamina: this.stamina,
+      isExhausted: this.isExhausted,
+      staminaRegenTimer: this._staminaRegenTimer,
+      isSliding: this.isSliding,
+      groundNormal: this.groundNormal.toArray(),
+      landingState: this.landingState,
+      landingTimer: this._landingTimer,
+      airTime: this._airTime,
+      peakFeetY: this._peakFeetY,
+      ledges: this.ledges.captureState(),
+      climbing: this.climbing.captureState(),
+      swimming: this.swimming.captureState(),
+      externalVelocity: this.externalVelocity.toArray(),
+      forces: [...this._forces].map(([id, force]) => [id, force.toArray()]),
+      carryVelocities: [...this._carryVelocities].map(([id, velocity]) => [id, velocity.toArray()]),
+      controlLockTimer: this._controlLockTimer,
+      lastSafePosition: this.hasSafePosition ? this.lastSafePosition.toArray() : null,
+      safeGroundTimer: this._safeGroundTimer,
+    };
+  }
+
+  /**
+   * Rebind to the restored world and apply captured state (snapshot participant)
+   */
+  restoreState(state) {
+    const { world } = this.physics;
+    this.body = world.getRigidBody(this.body.handle);
+    this.collider = world.getCollider(this.collider.handle);
+    this._createController();
+
+    this.groundCollider = null;
+
+    // The restored collider keeps the capsule size it had at snapshot time
+    this.halfHeight = this.collider.halfHeight();
+    this._updateDebugMeshShape();
+    if (!state) return;
+
+    this.velocity.fromArray(state.velocity);
+    this.platformVelocity.fromArray(state.platformVelocity);
+    this.isGrounded = state.isGrounded;
+    this.groundedTimer = state.groundedTimer;
+    this.surface = getSurfaceMaterial(state.surface);
+    this.gait = state.gait;
+    this.isCrouching = state.isCrouching;
+    this.stamina = state.stamina;
+    this.isExhausted = state.isExhausted;
+    this._staminaRegenTimer = state.staminaRegenTimer;
+    this.isSliding = state.isSliding ?? false;
+    if (state.groundNormal) this.groundNormal.fromArray(state.groundNormal);
+    this.landingState = state.landingState ?? 'none';
+    this._landingTimer = state.landingTimer ?? 0;
+    this._airTime = state.airTime ?? 0;
+    this._peakFeetY = state.peakFeetY ?? this.getCapsuleBottomY();
+    this.ledges.restoreState(state.ledges);
+    this.climbing.restoreState(state.climbing);
+    this.swimming.restoreState(state.swimming);
+    this.externalVelocity.fromArray(state.externalVelocity ?? [0, 0, 0]);
+    this._forces = new Map((state.forces ?? []).map(([id, force]) => [id, new Vector3().fromArray(force)]));
+    this._carryVelocities = new Map(
+      (state.carryVelocities ?? []).map(([id, velocity]) => [id, new Vector3().fromArray(velocity)])
+    );
+    this._controlLockTimer = state.controlLockTimer ?? 0;
+    this.hasSafePosition = !!state.lastSafePosition;
+    if (state.lastSafePosition) this.lastSafePosition.fromArray(state.lastSafePosition);
+    this._safeGroundTimer = state.safeGroundTimer ?? 0;
+  }
+
   /**
    * Create debug visualization
    */
@@ -335,23 +1224,46 @@ export class CharacterMotor {
     });
     const cylinder = new Mesh(cylGeo, mat);
     group.add(cylinder);
+    cylinder.name = 'body';
 
     // Top hemisphere
     const topGeo = new SphereGeometry(this.radius, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2);
     const topSphere = new Mesh(topGeo, mat);
     topSphere.position.y = this.halfHeight;
+    topSphere.name = 'top';
     group.add(topSphere);
 
     // Bottom hemisphere
     const botGeo = new SphereGeometry(this.radius, 16, 8, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2);
     const botSphere = new Mesh(botGeo, mat);
     botSphere.position.y = -this.halfHeight;
+    botSphere.name = 'bottom';
     group.add(botSphere);
 
     this.debugMesh = group;
     scene.add(group);
   }
 
+  /**
+   * Match the debug capsule to the current (standing or crouched) half height
+   */
+  _updateDebugMeshShape() {
+    if (!this.debugMesh) return;
+    const { halfHeight } = this;
+    this.debugMesh.getObjectByName('body').scale.y = halfHeight / this.standHalfHeight;
+    this.debugMesh.getObjectByName('top').position.y = halfHeight;
+    this.debugMesh.getObjectByName('bottom').position.y = -halfHeight;
+  }
+
+  /**
+   * Move the debug mesh to the interpolated render position
+   */
+  syncDebugMesh() {
+    if (this.debugMesh && this.debugMesh.visible) {
+      this.debugMesh.position.copy(this.getInterpolatedPosition());
+    }
+  }
+
   /**
    * Toggle debug mesh visibility
    */
@@ -0,0 +1,281 @@
+/**
+ * ClimbLocomotion - Ladder and trellis climbing for CharacterMotor
+ *
+ * Responsibilities:
+ * - Mount a climbable when pushing into it (from the ground, mid-air or from the top)
+ * - Constrained movement along the climbable face (vertical; sideways on trellises)
+ * - Dismount at the bottom onto the ground and at the top over the ledge
+ * - Jump off and let go
+ *
+ * Climbables come from the motor's climbable provider (see ClimbableSystem).
+ * States: 'none' | 'climb'
+ */
+
+import { Vector3 } from 'three';
+
+export class ClimbLocomotion {
+  /**
+   * @param {import('./CharacterMotor.js').CharacterMotor} motor
+   */
+  constructor(motor) {
+    this.motor = motor;
+
+    this.mountThreshold = 0.5;   // How directly input must push into (or off the top of) the face
+    this.topMountReach = 0.4;    // Feet within this of the top can climb down from above
+    this.topExitHeight = 1.0;    // Climbing until the top is this far above the feet exits over it
+    this.surfaceGap = 0.05;      // Space between the capsule and the face
+    this.snapRate = 15;          // How quickly the capsule is pulled onto the climbing line (1/s)
+    this.jumpOffSpeed = 4.0;     // Away from the face
+    this.jumpOffUpSpeed = 5.0;
+    this.regrabDelay = 0.4;      // After jumping off or letting go
+
+    this.state = 'none';
+    this.onStateChange = null; // (state, previousState) => void
+
+    /** @type {import('./ClimbableSystem.js').Climbable|null} */
+    this.climbable = null;
+    this._regrabTimer = 0;
+
+    // Pre-allocated temp vectors to avoid per-frame GC pressure
+    this._tmpOffset = new Vector3();
+    this._tmpMovement = new Vector3();
+    this._tmpTarget = new Vector3();
+    this._tmpDirection = new Vector3();
+  }
+
+  /**
+   * Whether climbing currently drives the capsule
+   */
+  isActive() {
+    return this.state !== 'none';
+  }
+
+  /**
+   * Run climbing for one fixed step.
+   * @param {number} dt
+   * @param {Vector3} desiredDir - Camera-relative horizontal input (length = stick deflection)
+   * @param {Vector3} moveDirection - Normalized desiredDir (zero when idle)
+   * @param {{ jump?: boolean, drop?: boolean }} actions - Jump off / let go requests
+   * @returns {boolean} - True when climbing handled the step (the motor should skip locomotion)
+   */
+  update(dt, desiredDir, moveDirection, actions = {}) {
+    this._regrabTimer = Math.max(this._regrabTimer - dt, 0);
+
+    if (this.state === 'climb') {
+      return this._updateClimb(dt, desiredDir, actions);
+    }
+    return this._tryMount(moveDirection);
+  }
+
+  /**
+   * Leap away from the face
+   */
+  jumpOff() {
+    if (this.state !== 'climb') return;
+    const { motor } = this;
+    motor.velocity.copy(this.climbable.facing).multiplyScalar(this.jumpOffSpeed);
+    motor.velocity.y = this.jumpOffUpSpeed;
+    this._release();
+  }
+
+  /**
+   * Let go and fall
+   */
+  drop() {
+    if (this.state !== 'climb') return;
+    this.motor.velocity.set(0, 0, 0);
+    this._release();
+  }
+
+  /**
+   * Abort climbing (teleports, respawns)
+   */
+  cancel() {
+    this.climbable = null;
+    this._setState('none');
+  }
+
+  /**
+   * Yaw that faces the climbable face
+   * @returns {number|null}
+   */
+  getFacingYaw() {
+    if (!this.climbable) return null;
+    const { facing } = this.climbable;
+    return Math.atan2(-facing.x, -facing.z);
+  }
+
+  _tryMount(moveDirection) {
+    const { motor } = this;
+    if (!motor.climbables || motor.ledges.isActive() || motor.isCrouching) return false;
+    if (this._regrabTimer > 0 || moveDirection.lengthSq() < 0.5) return false;
+
+    const climbable = motor.climbables.getClimbable(motor.collider);
+    if (!climbable) return false;
+
+    const feetY = motor.getCapsuleBottomY();
+    const push = moveDirection.dot(climbable.facing);
+    const exitFeetY = climbable.top - this.topExitHeight;
+    const capsuleBottomOffset = motor.halfHeight + motor.radius;
+
+    if (-push > this.mountThreshold && feetY < exitFeetY) {
+      // Pushing into the face from below the top: grab on where we are
+      this._mount(climbable, Math.max(feetY, climbable.bottom) + capsuleBottomOffset);
+      return true;
+    }
+
+    if (push > this.mountThreshold && motor.isGrounded && Math.abs(feetY - climbable.top) < this.topMountReach) {
+      // Walking off the top towards the face side: swing round onto it
+      this._mount(climbable, exitFeetY - 0.1 + capsuleBottomOffset);
+      return true;
+    }
+
+    return false;
+  }
+
+  _mount(climbable, centerY) {
+    const { motor } = this;
+    this.climbable = climbable;
+
+    // Onto the climbing line, just off the face
+    const target = this._climbLineTarget(this._tmpTarget);
+    target.y = centerY;
+
+    motor.velocity.set(0, 0, 0);
+    motor.body.setNextKinematicTranslation(target);
+    this._setState('climb');
+  }
+
+  /**
+   * Closest point on the climbing line (ladders) or plane (trellises) at the current height
+   */
+  _climbLineTarget(out) {
+    const { motor, climbable } = this;
+    const pos = motor.body.translation();
+    const offset = this._tmpOffset.set(pos.x - climbable.center.x, 0, pos.z - climbable.center.z);
+    const across = climbable.allowLateral ? this._clampAcross(offset.dot(climbable.lateral)) : 0;
+
+    return out.copy(climbable.center)
+      .addScaledVector(climbable.facing, motor.radius + this.surfaceGap)
+      .addScaledVector(climbable.lateral, across)
+      .setY(pos.y);
+  }
+
+  /**
+   * Keep a sideways offset far enough inside the climbable for the whole capsule
+   */
+  _clampAcross(across) {
+    const limit = Math.max(this.climbable.halfExtents.x - this.motor.radius, 0);
+    return Math.min(Math.max(across, -limit), limit);
+  }
+
+  _updateClimb(dt, desiredDir, actions) {
+    const { motor, climbable } = this;
+
+    if (actions.jump) {
+      this.jumpOff();
+      return false;
+    }
+    if (actions.drop || !motor.climbables?.isTouching(climbable, motor.collider)) {
+      this.drop();
+      return false;
+    }
+
+    // Pushing into the face climbs up, pulling away climbs down
+    const vertical = -desiredDir.dot(climbable.facing) * climbable.speed;
+    const sideways = climbable.allowLateral ? desiredDir.dot(climbable.lateral) * climbable.speed : 0;
+
+    // Reached the top: climb over if there is somewhere to stand
+    const feetY = motor.getCapsuleBottomY();
+    if (vertical > 0 && feetY >= climbable.top - this.topExitHeight) {
+      const ledge = motor.ledges.detectLedge(
+        this._tmpDirection.copy(climbable.facing).negate(),
+        motor.ledges.vaultMinHeight,
+        motor.ledges.mantleMaxHeight
+      );
+      if (ledge?.canStand) {
+        this.climbable = null;
+        this._setState('none');
+        motor.ledges.mantleOnto(ledge);
+        return true;
+      }
+    }
+
+    // Pull onto the climbing line, then move along the face
+    const pos = motor.body.translation();
+    const offset = this._tmpOffset.set(pos.x - climbable.center.x, 0, pos.z - climbable.center.z);
+    const pull = 1 - Math.exp(-this.snapRate * dt);
+    const depthError = motor.radius + this.surfaceGap - offset.dot(climbable.facing);
+    const across = offset.dot(climbable.lateral);
+    const acrossStep = climbable.allowLateral
+      ? this._clampAcross(across + sideways * dt) - across
+      : -across * pull;
+
+    const movement = this._tmpMovement.set(0, vertical * dt, 0)
+      .addScaledVector(climbable.facing, depthError * pull)
+      .addScaledVector(climbable.lateral, acrossStep);
+
+    // Free-standing ladders stop with the top at chest height
+    const maxFeetY = climbable.top - this.topExitHeight;
+    if (feetY + movement.y > maxFeetY) {
+      movement.y = Math.max(maxFeetY - feetY, 0);
+    }
+
+    motor.controller.computeColliderMovement(
+      motor.collider,
+      { x: movement.x, y: movement.y, z: movement.z },
+      motor.physics.RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+      undefined
+    );
+    const corrected = motor.controller.computedMovement();
+
+    motor.velocity.set(corrected.x, corrected.y, corrected.z).divideScalar(dt);
+    motor.body.setNextKinematicTranslation({
+      x: pos.x + corrected.x,
+      y: pos.y + corrected.y,
+      z: pos.z + corrected.z,
+    });
+
+    // Climbing down onto the ground steps off
+    if (vertical < 0 && motor.controller.computedGrounded()) {
+      motor.velocity.set(0, 0, 0);
+      motor.groundedTimer = motor.coyoteTime;
+      this.climbable = null;
+      this._setState('none');
+    }
+
+    return true;
+  }
+
+  _release() {
+    this._regrabTimer = this.regrabDelay;
+    this.climbable = null;
+    this.motor.groundedTimer = 0;
+    this._setState('none');
+  }
+
+  _setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.onStateChange?.(state, previous);
+  }
+
+  /**
+   * Climbing state that lives outside Rapier (captured with the motor)
+   */
+  captureState() {
+    return {
+      state: this.state,
+      climbable: this.climbable?.name ?? null,
+      regrabTimer: this._regrabTimer,
+    };
+  }
+
+  restoreState(state) {
+    const climbable = state?.climbable ? this.motor.climbables?.getClimbableByName(state.climbable) ?? null : null;
+    this.climbable = climbable;
+    this.state = climbable ? state.state : 'none';
+    this._regrabTimer = state?.regrabTimer ?? 0;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * ClimbableSystem - Ladder and trellis volumes the player can climb
+ *
+ * Responsibilities:
+ * - Register climbable volumes as player-only trigger boxes
+ * - Derive each volume's climbing frame (outward facing, lateral axis, top, bottom)
+ * - Report which climbable a collider is touching (climbable provider for CharacterMotor)
+ *
+ * A volume straddles the climbable face: its center sits on the surface and
+ * its local +Z points away from the wall, towards the climber.
+ */
+
+import { Vector3, Quaternion } from 'three';
+
+/**
+ * Per-kind climbing rules
+ * - speed: climb speed in m/s
+ * - lateral: whether the climber can shuffle sideways (ladders pin to the center line)
+ */
+export const CLIMBABLE_KINDS = {
+  ladder: { speed: 2.0, lateral: false },
+  trellis: { speed: 1.4, lateral: true },
+};
+
+const LOCAL_FORWARD = new Vector3(0, 0, 1);
+const LOCAL_RIGHT = new Vector3(1, 0, 0);
+const LOCAL_UP = new Vector3(0, 1, 0);
+
+// The trigger pokes this far above the climbable so players standing on top can climb down
+const TOP_MOUNT_MARGIN = 0.3;
+
+/**
+ * @typedef {Object} Climbable
+ * @property {string} name
+ * @property {'ladder'|'trellis'} kind
+ * @property {Object} trigger - PhysicsWorld trigger for the volume
+ * @property {Vector3} center - Point on the climbable face
+ * @property {Vector3} halfExtents - Local half size (x across, y up, z through the face)
+ * @property {Vector3} facing - Horizontal outward normal of the face
+ * @property {Vector3} lateral - Horizontal axis along the face
+ * @property {number} top - World Y of the top of the volume
+ * @property {number} bottom - World Y of the bottom of the volume
+ * @property {number} speed - Climb speed in m/s
+ * @property {boolean} allowLateral
+ */
+
+export class ClimbableSystem {
+  /**
+   * @param {import('../core/PhysicsWorld.js').PhysicsWorld} physicsWorld
+   */
+  constructor(physicsWorld) {
+    this.physics = physicsWorld;
+
+    /** @type {Climbable[]} */
+    this.climbables = [];
+  }
+
+  /**
+   * Register a climbable volume
+   * @param {Object} options
+   * @param {string} [options.name]
+   * @param {Vector3} options.position - Center of the volume, on the climbable face
+   * @param {Vector3} options.halfExtents - Local half size (x across, y up, z through the face)
+   * @param {Quaternion} [options.rotation] - Orientation; local +Z points away from the wall
+   * @param {'ladder'|'trellis'} [options.kind='ladder']
+   * @returns {Climbable}
+   */
+  addClimbable({ name, position, halfExtents, rotation = null, kind = 'ladder' }) {
+    const rules = CLIMBABLE_KINDS[kind];
+    if (!rules) {
+      throw new Error(`[ClimbableSystem] Unknown climbable kind: ${kind}`);
+    }
+
+    const orientation = rotation ? new Quaternion(rotation.x, rotation.y, rotation.z, rotation.w) : new Quaternion();
+    const facing = LOCAL_FORWARD.clone().applyQuaternion(orientation).setY(0);
+    if (facing.lengthSq() < 0.0001) {
+      throw new Error(`[ClimbableSystem] Climbable ${name} faces straight up or down`);
+    }
+    facing.normalize();
+    const lateral = new Vector3().crossVectors(LOCAL_UP, facing);
+
+    // Vertical reach of the (possibly tilted) box
+    const height = Math.abs(LOCAL_RIGHT.clone().applyQuaternion(orientation).y) * halfExtents.x +
+      Math.abs(LOCAL_UP.clone().applyQuaternion(orientation).y) * halfExtents.y +
+      Math.abs(LOCAL_FORWARD.clone().applyQuaternion(orientation).y) * halfExtents.z;
+
+    const climbableName = name ?? `climbable_${this.climbables.length}`;
+    const triggerCenter = LOCAL_UP.clone().applyQuaternion(orientation)
+      .multiplyScalar(TOP_MOUNT_MARGIN * 0.5)
+      .add(position);
+    const triggerHalfExtents = { x: halfExtents.x, y: halfExtents.y + TOP_MOUNT_MARGIN * 0.5, z: halfExtents.z };
+    const trigger = this.physics.createBoxTrigger(triggerCenter, triggerHalfExtents, {
+      name: `climb_${climbableName}`,
+      rotation: orientation,
+      filter: this.physics.GROUPS.PLAYER,
+    });
+
+    const climbable = {
+      name: climbableName,
+      kind,
+      trigger,
+      center: new Vector3(position.x, position.y, position.z),
+      halfExtents: new Vector3(halfExtents.x, halfExtents.y, halfExtents.z),
+      facing,
+      lateral,
+      top: position.y + height,
+      bottom: position.y - height,
+      speed: rules.speed,
+      allowLateral: rules.lateral,
+    };
+    trigger.userData = { climbable };
+
+    this.climbables.push(climbable);
+    return climbable;
+  }
+
+  /**
+   * Remove a climbable and its trigger volume
+   */
+  removeClimbable(climbable) {
+    const index = this.climbables.indexOf(climbable);
+    if (index === -1) return;
+    this.climbables.splice(index, 1);
+    this.physics.removeTrigger(climbable.trigger);
+  }
+
+  /**
+   * Climbable whose volume the collider is inside (climbable provider interface)
+   * @param {import('@dimforge/rapier3d-compat').Collider} collider
+   * @returns {Climbable|null}
+   */
+  getClimbable(collider) {
+    if (!collider) return null;
+    for (const climbable of this.climbables) {
+      if (this.isTouching(climbable, collider)) return climbable;
+    }
+    return null;
+  }
+
+  /**
+   * Whether the collider is inside a climbable's volume
+   */
+  isTouching(climbable, collider) {
+    return !!collider && climbable.trigger.overlaps.has(collider.handle);
+  }
+
+  /**
+   * Look up a climbable by name (snapshot restore)
+   * @returns {Climbable|null}
+   */
+  getClimbableByName(name) {
+    return this.climbables.find((climbable) => climbable.name === name) ?? null;
+  }
+}
@@ -2,27 +2,49 @@
  * DynamicBody - Helper for creating physics toys
  *
  * A simple wrapper to keep track of dynamic rigidbody + mesh pairs.
- * Most functionality is in PhysicsWorld, this is for organization.
+ * Instances are created and owned by the PhysicsWorld registry, which syncs,
+ * culls, pools and disposes them.
  */
 
 import { Vector3 } from 'three';
 
 export class DynamicBody {
-  constructor(body, collider, mesh) {
+  /**
+   * @param {import('@dimforge/rapier3d-compat').RigidBody} body
+   * @param {import('@dimforge/rapier3d-compat').Collider} collider
+   * @param {import('three').Object3D|null} mesh
+   * @param {import('../core/PhysicsWorld.js').PhysicsWorld|null} physicsWorld - Owner (for interpolation and removal)
+   */
+  constructor(body, collider, mesh, physicsWorld = null) {
     this.body = body;
     this.collider = collider;
     this.mesh = mesh;
+    this.physics = physicsWorld;
+
+    // Pool this instance returns to on release (null = not pooled)
+    this.poolKey = null;
+
+    // Put to sleep and hidden because it is far from the focus point
+    this.culled = false;
+
+    // Multiplier on water buoyancy (0 sinks like a stone, see WaterSystem)
+    this.buoyancy = 1;
 
     // Track if disposed
     this.disposed = false;
   }
 
   /**
-   * Sync mesh transform to physics body
+   * Sync mesh transform to physics body (interpolated between steps when owned by a PhysicsWorld)
    */
   syncMesh() {
     if (!this.body || !this.mesh || this.disposed) return;
 
+    if (this.physics) {
+      this.physics.syncMeshToBody(this.body, this.mesh);
+      return;
+    }
+
     const pos = this.body.translation();
     const rot = this.body.rotation();
 
@@ -79,17 +101,27 @@ export class DynamicBody {
     if (rotation) {
       this.body.setRotation(rotation, true);
     }
+
+    this.physics?.snapBody(this.body);
   }
 
   /**
-   * Remove from scene and mark as disposed
+   * Remove from scene and physics world, and mark as disposed
    */
   dispose(scene) {
-    if (this.mesh && scene) {
-      scene.remove(this.mesh);
+    if (this.disposed) return;
+
+    if (this.mesh) {
+      (scene ?? this.mesh.parent)?.remove(this.mesh);
       this.mesh.geometry?.dispose();
       this.mesh.material?.dispose();
     }
+
+    if (this.physics?.world && this.body) {
+      this.physics.untrackBody(this.body);
+      this.physics.world.removeRigidBody(this.body);
+    }
+
     this.disposed = true;
   }
 }
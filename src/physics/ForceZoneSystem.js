@@ -0,0 +1,169 @@
+/**
+ * ForceZoneSystem - Volumes that push the player around
+ *
+ * Responsibilities:
+ * - Register force zones as player-only trigger boxes
+ * - Wind: a continuous acceleration while inside
+ * - Conveyor: carry the player along at a fixed velocity while inside
+ * - Shove: knock the player back on entering, and again every so often while they stay
+ *   (hedges nudging strays back onto the path)
+ *
+ * Pushes go through the CharacterMotor force API, keyed by zone name.
+ * Call update(dt) once per fixed step, before the player's fixed update.
+ */
+
+import { Vector3 } from 'three';
+
+/**
+ * @typedef {Object} ForceZone
+ * @property {string} name
+ * @property {'wind'|'conveyor'|'shove'} kind
+ * @property {Object} trigger - PhysicsWorld trigger for the volume
+ * @property {Vector3} vector - Wind acceleration (m/s²), conveyor velocity or shove velocity (m/s)
+ * @property {number} lockTime - Shove: seconds of ignored input
+ * @property {number} interval - Shove: seconds between repeat shoves while inside
+ * @property {boolean} inside - Whether the player was inside last step
+ * @property {number} cooldown - Shove: time until the next repeat shove
+ */
+
+export const FORCE_ZONE_KINDS = ['wind', 'conveyor', 'shove'];
+
+export class ForceZoneSystem {
+  /**
+   * @param {import('../core/PhysicsWorld.js').PhysicsWorld} physicsWorld
+   */
+  constructor(physicsWorld) {
+    this.physics = physicsWorld;
+
+    /** @type {import('./CharacterMotor.js').CharacterMotor|null} */
+    this.motor = null; // Character the zones push (set externally)
+
+    /** @type {ForceZone[]} */
+    this.zones = [];
+
+    // Pre-allocated temp vectors to avoid per-frame GC pressure
+    this._tmpForce = new Vector3();
+  }
+
+  /**
+   * Register a force zone
+   * @param {Object} options
+   * @param {string} [options.name]
+   * @param {'wind'|'conveyor'|'shove'} options.kind
+   * @param {Vector3} options.position - Center of the volume
+   * @param {Vector3} options.halfExtents - Local half size
+   * @param {import('three').Quaternion} [options.rotation]
+   * @param {Vector3} options.vector - Wind acceleration (m/s²), conveyor velocity or shove velocity (m/s)
+   * @param {number} [options.lockTime=0.3] - Shove: seconds of ignored input
+   * @param {number} [options.interval=0.8] - Shove: seconds between repeat shoves while inside
+   * @returns {ForceZone}
+   */
+  addZone({ name, kind, position, halfExtents, rotation = null, vector, lockTime = 0.3, interval = 0.8 }) {
+    if (!FORCE_ZONE_KINDS.includes(kind)) {
+      throw new Error(`[ForceZoneSystem] Unknown force zone kind: ${kind}`);
+    }
+
+    const zoneName = name ?? `${kind}_${this.zones.length}`;
+    const trigger = this.physics.createBoxTrigger(position, halfExtents, {
+      name: `force_${zoneName}`,
+      rotation,
+      filter: this.physics.GROUPS.PLAYER,
+    });
+
+    const zone = {
+      name: zoneName,
+      kind,
+      trigger,
+      vector: new Vector3(vector.x, vector.y, vector.z),
+      lockTime,
+      interval,
+      inside: false,
+      cooldown: 0,
+    };
+    trigger.userData = { forceZone: zone };
+
+    this.zones.push(zone);
+    return zone;
+  }
+
+  /**
+   * Remove a force zone, its trigger volume and any push it is applying
+   */
+  removeZone(zone) {
+    const index = this.zones.indexOf(zone);
+    if (index === -1) return;
+    this.zones.splice(index, 1);
+    this._release(zone);
+    this.physics.removeTrigger(zone.trigger);
+  }
+
+  /**
+   * Look up a force zone by name
+   * @returns {ForceZone|null}
+   */
+  getZoneByName(name) {
+    return this.zones.find((zone) => zone.name === name) ?? null;
+  }
+
+  /**
+   * Push the motor according to the zones it is inside
+   * @param {number} dt - Fixed delta time
+   */
+  update(dt) {
+    const { motor } = this;
+    if (!motor?.collider) return;
+
+    for (const zone of this.zones) {
+      const inside = zone.trigger.overlaps.has(motor.collider.handle);
+      if (!inside) {
+        if (zone.inside) this._release(zone);
+        continue;
+      }
+
+      const entered = !zone.inside;
+      zone.inside = true;
+
+      switch (zone.kind) {
+        case 'wind':
+          motor.setForce(zone.name, this._tmpForce.copy(zone.vector).multiplyScalar(motor.mass));
+          break;
+        case 'conveyor':
+          motor.setCarryVelocity(zone.name, zone.vector);
+          break;
+        case 'shove':
+          zone.cooldown -= dt;
+          if (entered || zone.cooldown <= 0) {
+            motor.knockback(zone.vector, { lockTime: zone.lockTime });
+            zone.cooldown = zone.interval;
+          }
+          break;
+      }
+    }
+  }
+
+  _release(zone) {
+    zone.inside = false;
+    zone.cooldown = 0;
+    this.motor?.clearForce(zone.name);
+    this.motor?.clearCarryVelocity(zone.name);
+  }
+
+  /**
+   * Zone occupancy that lives outside Rapier (snapshot participant)
+   */
+  captureState() {
+    return this.zones.map((zone) => ({
+      name: zone.name,
+      inside: zone.inside,
+      cooldown: zone.cooldown,
+    }));
+  }
+
+  restoreState(state) {
+    const saved = new Map((state ?? []).map((entry) => [entry.name, entry]));
+    for (const zone of this.zones) {
+      zone.inside = saved.get(zone.name)?.inside ?? false;
+      zone.cooldown = saved.get(zone.name)?.cooldown ?? 0;
+    }
+  }
+}
@@ -0,0 +1,432 @@
+/**
+ * LedgeTraversal - Ledge grab, hang, mantle and vault for CharacterMotor
+ *
+ * Responsibilities:
+ * - Detect ledges with a forward shape cast followed by a downward one
+ * - Grab ledges while falling past them and hang
+ * - Mantle onto ledges up to chest height (from the ground or a hang)
+ * - Vault over thin, waist-high obstacles
+ * - Move the capsule along scripted paths and report state changes
+ *
+ * States: 'none' | 'hang' | 'mantle' | 'vault'
+ */
+
+import { Vector3 } from 'three';
+
+const DOWN = new Vector3(0, -1, 0);
+const SOLID_GROUPS = ['GROUND', 'DYNAMIC', 'PLATFORM'];
+
+export class LedgeTraversal {
+  /**
+   * @param {import('./CharacterMotor.js').CharacterMotor} motor
+   */
+  constructor(motor) {
+    this.motor = motor;
+
+    // Heights are measured from the feet to the top of the obstacle
+    this.vaultMinHeight = 0.3;   // Below this, autostep handles it
+    this.vaultMaxHeight = 1.1;   // Waist high
+    this.mantleMaxHeight = 1.4;  // Chest high
+    this.grabMinHeight = 1.0;    // Airborne grab window
+    this.grabMaxHeight = 2.1;
+    this.maxVaultThickness = 0.9;
+    this.maxVaultDrop = 1.0;     // Landing may be this much lower than the takeoff
+
+    this.reach = 0.45;           // How far past the capsule we look for a wall
+    this.castRadius = 0.2;
+    this.hangDrop = 0.6;         // Capsule center below the ledge top while hanging
+    this.climbHoldTime = 0.2;    // Hold forward this long while hanging to pull up
+    this.regrabDelay = 0.5;      // After dropping off a ledge
+
+    // Durations of the scripted moves (seconds)
+    this.mantleDuration = 0.45;
+    this.pullUpDuration = 0.6;
+    this.vaultDuration = 0.5;
+
+    this.state = 'none';
+    this.onStateChange = null; // (state, previousState) => void
+
+    // Current ledge ({ wallNormal, top, standPosition, canStand }) and scripted path
+    this.ledge = null;
+    this.hangPosition = new Vector3();
+    this.path = {
+      start: new Vector3(),
+      control: new Vector3(),
+      end: new Vector3(),
+      exitVelocity: new Vector3(),
+      elapsed: 0,
+      duration: 0,
+    };
+    this._hangTimer = 0;
+    this._regrabTimer = 0;
+
+    // Pre-allocated temp vectors to avoid per-frame GC pressure
+    this._tmpOrigin = new Vector3();
+    this._tmpPoint = new Vector3();
+    this._tmpPrev = new Vector3();
+    this._tmpApex = new Vector3();
+  }
+
+  /**
+   * Whether traversal currently drives the capsule
+   */
+  isActive() {
+    return this.state !== 'none';
+  }
+
+  /**
+   * Run traversal for one fixed step.
+   * @param {number} dt
+   * @param {Vector3} moveDirection - Normalized horizontal input direction (zero when idle)
+   * @param {{ jump?: boolean, drop?: boolean }} actions - Pull-up/let-go requests while hanging
+   * @returns {boolean} - True when traversal handled the step (the motor should skip locomotion)
+   */
+  update(dt, moveDirection, actions = {}) {
+    this._regrabTimer = Math.max(this._regrabTimer - dt, 0);
+
+    switch (this.state) {
+      case 'hang':
+        this._updateHang(dt, moveDirection, actions);
+        return true;
+      case 'mantle':
+      case 'vault':
+        this._updatePath(dt);
+        return true;
+      default:
+        return this._tryGrab(moveDirection);
+    }
+  }
+
+  /**
+   * From the ground: vault a thin waist-high obstacle or mantle onto a chest-high ledge ahead
+   * @param {Vector3} direction - Normalized horizontal direction to look in
+   * @returns {boolean} - True if a move started
+   */
+  tryVaultOrMantle(direction) {
+    if (this.state !== 'none' || direction.lengthSq() < 0.5) return false;
+
+    const ledge = this.detectLedge(direction, this.vaultMinHeight, this.mantleMaxHeight);
+    if (!ledge) return false;
+
+    if (ledge.height <= this.vaultMaxHeight) {
+      const landing = this._findVaultLanding(ledge, direction);
+      if (landing) {
+        this._startVault(ledge, landing, direction);
+        return true;
+      }
+    }
+
+    if (!ledge.canStand) return false;
+    this._startPath('mantle', ledge.standPosition, this.mantleDuration);
+    return true;
+  }
+
+  /**
+   * Pull up from a hang (if there is room on top)
+   */
+  climbUp() {
+    if (this.state !== 'hang' || !this.ledge?.canStand) return false;
+    this._startPath('mantle', this.ledge.standPosition, this.pullUpDuration);
+    return true;
+  }
+
+  /**
+   * Climb over a ledge found with detectLedge (e.g. at the top of a ladder)
+   * @returns {boolean} - True if the move started
+   */
+  mantleOnto(ledge, duration = this.pullUpDuration) {
+    if (this.state !== 'none' || !ledge?.canStand) return false;
+    this._startPath('mantle', ledge.standPosition, duration);
+    return true;
+  }
+
+  /**
+   * Let go of the ledge
+   */
+  drop() {
+    if (this.state !== 'hang') return;
+    this._regrabTimer = this.regrabDelay;
+    this.ledge = null;
+    this._setState('none');
+  }
+
+  /**
+   * Abort any hang or scripted move (teleports, respawns)
+   */
+  cancel() {
+    this.ledge = null;
+    this._setState('none');
+  }
+
+  /**
+   * Find a ledge in front of the capsule.
+   * @param {Vector3} direction - Normalized horizontal direction
+   * @param {number} minHeight - Lowest ledge top above the feet
+   * @param {number} maxHeight - Highest ledge top above the feet
+   * @returns {{ wallPoint: Vector3, wallNormal: Vector3, top: number, height: number,
+   *   standPosition: Vector3, canStand: boolean }|null}
+   */
+  detectLedge(direction, minHeight, maxHeight) {
+    const { motor } = this;
+    const { physics } = motor;
+    const pos = motor.body.translation();
+    const feetY = motor.getCapsuleBottomY();
+    const exclude = [motor.collider];
+
+    // 1. Forward: is there a wall just below the lowest ledge height?
+    const castHeight = Math.max(minHeight - 0.1, this.castRadius + 0.05);
+    const origin = this._tmpOrigin.set(pos.x, feetY + castHeight, pos.z);
+    const wall = physics.shapeCast(
+      { type: 'sphere', radius: this.castRadius },
+      origin, null, direction, motor.radius + this.reach,
+      { groups: SOLID_GROUPS, exclude }
+    );
+    if (!wall || Math.abs(wall.normal.y) > 0.35 || wall.distance === 0) return null;
+
+    const wallNormal = new Vector3(wall.normal.x, 0, wall.normal.z).normalize();
+    if (wallNormal.dot(direction) > -0.5) return null; // Glancing hit
+
+    // 2. Down: find the top surface just past the wall face
+    const topProbe = this._tmpPoint.copy(wall.point).addScaledVector(direction, this.castRadius + 0.05);
+    topProbe.y = feetY + maxHeight + this.castRadius + 0.05;
+    const top = physics.shapeCast(
+      { type: 'sphere', radius: this.castRadius },
+      topProbe, null, DOWN, maxHeight - castHeight + 0.2,
+      { groups: SOLID_GROUPS, exclude }
+    );
+    // Starting inside geometry means the wall is taller than maxHeight
+    if (!top || top.distance === 0 || top.normal.y < 0.7) return null;
+
+    const height = top.point.y - feetY;
+    if (height < minHeight || height > maxHeight) return null;
+
+    // 3. Where the capsule would stand on top, and whether it fits
+    const standPosition = new Vector3()
+      .copy(wall.point)
+      .addScaledVector(direction, motor.radius + 0.15);
+    standPosition.y = top.point.y + motor.standHalfHeight + motor.radius + motor.controllerSkin * 2;
+
+    return {
+      wallPoint: wall.point,
+      wallNormal,
+      top: top.point.y,
+      height,
+      standPosition,
+      canStand: this._capsuleFits(standPosition),
+    };
+  }
+
+  /**
+   * Check that a standing capsule centered at position overlaps nothing solid
+   */
+  _capsuleFits(position) {
+    const { motor } = this;
+    const { physics } = motor;
+    const radius = motor.radius - 0.03;
+    const options = { groups: SOLID_GROUPS, exclude: [motor.collider] };
+    const point = this._tmpPrev;
+
+    for (const offset of [-motor.standHalfHeight, 0, motor.standHalfHeight]) {
+      point.set(position.x, position.y + offset, position.z);
+      if (physics.overlapSphere(point, radius, options).length > 0) return false;
+    }
+    return true;
+  }
+
+  /**
+   * A thin obstacle has ground again on the far side, not much lower than where we stand
+   * @returns {Vector3|null} - Capsule center to land at
+   */
+  _findVaultLanding(ledge, direction) {
+    const { motor } = this;
+    const feetY = motor.getCapsuleBottomY();
+
+    const probe = this._tmpPoint.copy(ledge.wallPoint)
+      .addScaledVector(direction, this.maxVaultThickness + motor.radius + 0.1);
+    probe.y = ledge.top + 0.3;
+
+    const ground = motor.physics.raycast(probe, DOWN, ledge.height + 0.3 + this.maxVaultDrop, {
+      groups: SOLID_GROUPS,
+      exclude: [motor.collider],
+    });
+    if (!ground || ground.normal.y < 0.7) return null;
+    if (ground.point.y > ledge.top - 0.25) return null; // Deep top: mantle instead
+
+    const landing = new Vector3(probe.x, ground.point.y, probe.z);
+    landing.y += motor.standHalfHeight + motor.radius + motor.controllerSkin * 2;
+    return this._capsuleFits(landing) ? landing : null;
+  }
+
+  /**
+   * While falling into a wall, catch any ledge between hands and hips
+   */
+  _tryGrab(moveDirection) {
+    const { motor } = this;
+    if (motor.isGrounded || motor.isCrouching || this._regrabTimer > 0) return false;
+    if (motor.velocity.y > 1 || moveDirection.lengthSq() < 0.5) return false;
+
+    const ledge = this.detectLedge(moveDirection, this.grabMinHeight, this.grabMaxHeight);
+    if (!ledge) return false;
+
+    // Hang facing the wall, just off its face
+    this.ledge = ledge;
+    this.hangPosition.copy(ledge.wallPoint).addScaledVector(ledge.wallNormal, motor.radius + motor.controllerSkin * 2);
+    this.hangPosition.y = ledge.top - this.hangDrop;
+    this._hangTimer = 0;
+
+    motor.velocity.set(0, 0, 0);
+    motor.body.setNextKinematicTranslation(this.hangPosition);
+    this._setState('hang');
+    return true;
+  }
+
+  _updateHang(dt, moveDirection, actions) {
+    const { motor } = this;
+    motor.velocity.set(0, 0, 0);
+    motor.body.setNextKinematicTranslation(this.hangPosition);
+    this._hangTimer += dt;
+
+    // Pushing away from the wall (or crouch) lets go; pushing into it pulls up
+    const intoWall = -moveDirection.dot(this.ledge.wallNormal);
+    if (actions.drop || intoWall < -0.5) {
+      this.drop();
+    } else if (actions.jump || (intoWall > 0.5 && this._hangTimer >= this.climbHoldTime)) {
+      this.climbUp();
+    }
+  }
+
+  _startVault(ledge, landing, direction) {
+    // Apex just over the obstacle, with the feet clearing its top
+    const { motor } = this;
+    const apex = this._tmpApex.copy(ledge.wallPoint).addScaledVector(direction, 0.3);
+    apex.y = ledge.top + motor.standHalfHeight + motor.radius + 0.15;
+
+    this._startPath('vault', landing, this.vaultDuration, apex);
+    this.path.exitVelocity.copy(direction).multiplyScalar(motor.gaits.jog.maxSpeed * 0.7);
+  }
+
+  /**
+   * Begin a scripted move from the current position to end.
+   * Without an apex the path rises first, then moves over the ledge.
+   */
+  _startPath(state, end, duration, apex = null) {
+    const { path, motor } = this;
+    const pos = motor.body.translation();
+
+    path.start.set(pos.x, pos.y, pos.z);
+    path.end.copy(end);
+    path.elapsed = 0;
+    path.duration = duration;
+    path.exitVelocity.set(0, 0, 0);
+
+    if (apex) {
+      // Quadratic curve through apex at its midpoint
+      path.control.copy(apex).multiplyScalar(2)
+        .addScaledVector(path.start, -0.5)
+        .addScaledVector(path.end, -0.5);
+    } else {
+      // Corner point straight above the start: rise, then step onto the ledge
+      path.control.set(path.start.x, end.y, path.start.z);
+    }
+
+    this._setState(state);
+  }
+
+  _updatePath(dt) {
+    const { path, motor } = this;
+    const prev = this._tmpPrev.copy(this._evaluatePath(path.elapsed / path.duration, this._tmpPoint));
+
+    path.elapsed = Math.min(path.elapsed + dt, path.duration);
+    const t = path.elapsed / path.duration;
+    const point = this._evaluatePath(t, this._tmpPoint);
+
+    motor.body.setNextKinematicTranslation(point);
+    motor.velocity.subVectors(point, prev).divideScalar(dt);
+
+    if (t >= 1) {
+      motor.velocity.copy(path.exitVelocity);
+      motor.groundedTimer = motor.coyoteTime;
+      this.ledge = null;
+      this._setState('none');
+    }
+  }
+
+  _evaluatePath(t, out) {
+    const { start, control, end } = this.path;
+
+    if (this.state === 'vault') {
+      // Quadratic Bézier
+      const u = 1 - t;
+      return out.copy(start).multiplyScalar(u * u)
+        .addScaledVector(control, 2 * u * t)
+        .addScaledVector(end, t * t);
+    }
+
+    // Mantle: first 60% rises to the corner, the rest moves over the top
+    const rise = 0.6;
+    if (t < rise) {
+      const k = t / rise;
+      return out.lerpVectors(start, control, 1 - (1 - k) * (1 - k));
+    }
+    const k = (t - rise) / (1 - rise);
+    return out.lerpVectors(control, end, k * k * (3 - 2 * k));
+  }
+
+  _setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.onStateChange?.(state, previous);
+  }
+
+  /**
+   * Traversal state that lives outside Rapier (captured with the motor)
+   */
+  captureState() {
+    const { path } = this;
+    return {
+      state: this.state,
+      ledge: this.ledge ? {
+        wallNormal: this.ledge.wallNormal.toArray(),
+        standPosition: this.ledge.standPosition.toArray(),
+        canStand: this.ledge.canStand,
+      } : null,
+      hangPosition: this.hangPosition.toArray(),
+      hangTimer: this._hangTimer,
+      regrabTimer: this._regrabTimer,
+      path: {
+        start: path.start.toArray(),
+        control: path.control.toArray(),
+        end: path.end.toArray(),
+        exitVelocity: path.exitVelocity.toArray(),
+        elapsed: path.elapsed,
+        duration: path.duration,
+      },
+    };
+  }
+
+  restoreState(state) {
+    if (!state) {
+      this.state = 'none';
+      this.ledge = null;
+      return;
+    }
+
+    const { path } = this;
+    this.state = state.state;
+    this.ledge = state.ledge ? {
+      wallNormal: new Vector3().fromArray(state.ledge.wallNormal),
+      standPosition: new Vector3().fromArray(state.ledge.standPosition),
+      canStand: state.ledge.canStand,
+    } : null;
+    this.hangPosition.fromArray(state.hangPosition);
+    this._hangTimer = state.hangTimer;
+    this._regrabTimer = state.regrabTimer;
+    path.start.fromArray(state.path.start);
+    path.control.fromArray(state.path.control);
+    path.end.fromArray(state.path.end);
+    path.exitVelocity.fromArray(state.path.exitVelocity);
+    path.elapsed = state.path.elapsed;
+    path.duration = state.path.duration;
+  }
+}
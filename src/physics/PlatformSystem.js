@@ -0,0 +1,326 @@
+/**
+ * PlatformSystem - Moves platforms and carries the player
+ *
+ * Responsibilities:
+ * - Drive platform bodies along waypoint paths (loop / ping-pong / once)
+ * - Spin platforms around an axis (carousels, turntables)
+ * - Report platform velocity under the character (platform carrier)
+ */
+
+import { Vector3, Quaternion } from 'three';
+
+/**
+ * @typedef {Object} PlatformPath
+ * @property {Vector3[]} waypoints - World-space body positions
+ * @property {'loop'|'pingpong'|'once'} [mode='loop']
+ * @property {number} [speed=2] - Travel speed in m/s
+ * @property {number} [waitTime=0] - Pause at each waypoint in seconds
+ */
+
+/**
+ * @typedef {Object} PlatformSpin
+ * @property {Vector3} [axis] - Rotation axis (defaults to world up)
+ * @property {number} speed - Angular speed in rad/s
+ */
+
+export class PlatformSystem {
+  /**
+   * @param {import('../core/PhysicsWorld.js').PhysicsWorld} physicsWorld
+   */
+  constructor(physicsWorld) {
+    this.physics = physicsWorld;
+
+    this.platforms = [];
+
+    // Collider handle -> platform, for ground contact lookups
+    this._byCollider = new Map();
+
+    // Platform the character is currently standing on
+    this.currentPlatform = null;
+
+    // Pre-allocated temp objects to avoid per-frame GC pressure
+    this._tmpVelocity = new Vector3();
+    this._tmpOffset = new Vector3();
+    this._tmpPrevPos = new Vector3();
+    this._tmpSpin = new Quaternion();
+    this._zero = new Vector3();
+  }
+
+  /**
+   * Register a platform (see PhysicsWorld.createKinematicPlatform)
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {import('@dimforge/rapier3d-compat').RigidBody} options.body
+   * @param {import('@dimforge/rapier3d-compat').Collider} options.collider
+   * @param {PlatformPath} [options.path]
+   * @param {PlatformSpin} [options.spin]
+   */
+  addPlatform({ name, body, collider, path = null, spin = null }) {
+    const pos = body.translation();
+    const rot = body.rotation();
+
+    const platform = {
+      name: name ?? `platform_${this.platforms.length}`,
+      body,
+      collider,
+
+      path: path ? {
+        waypoints: path.waypoints,
+        mode: path.mode ?? 'loop',
+        speed: path.speed ?? 2,
+        waitTime: path.waitTime ?? 0,
+      } : null,
+      fromIndex: 0,
+      toIndex: 1,
+      direction: 1,
+      segmentDistance: 0,
+      waitTimer: path?.waitTime ?? 0,
+      finished: false,
+
+      spinAxis: (spin?.axis ?? new Vector3(0, 1, 0)).clone().normalize(),
+      spinSpeed: spin?.speed ?? 0,
+      spinAngle: 0,
+      baseRotation: new Quaternion(rot.x, rot.y, rot.z, rot.w),
+
+      position: new Vector3(pos.x, pos.y, pos.z),
+      rotation: new Quaternion(rot.x, rot.y, rot.z, rot.w),
+      linearVelocity: new Vector3(),
+      angularVelocity: new Vector3(),
+    };
+
+    if (platform.path && platform.path.waypoints.length > 0) {
+      platform.position.copy(platform.path.waypoints[0]);
+    }
+
+    this.platforms.push(platform);
+    if (collider) {
+      this._byCollider.set(collider.handle, platform);
+      this.physics.setColliderOwner(collider, platform);
+    }
+
+    return platform;
+  }
+
+  /**
+   * Remove a platform (does not destroy the body)
+   */
+  removePlatform(platform) {
+    const index = this.platforms.indexOf(platform);
+    if (index !== -1) this.platforms.splice(index, 1);
+    if (platform.collider) {
+      this._byCollider.delete(platform.collider.handle);
+      this.physics.setColliderOwner(platform.collider, null);
+    }
+    if (this.currentPlatform === platform) this.currentPlatform = null;
+  }
+
+  /**
+   * Advance all platforms and place their bodies for the coming world step
+   * @param {number} dt - Delta time
+   */
+  update(dt) {
+    if (dt <= 0) return;
+
+    for (const platform of this.platforms) {
+      const prevPos = this._tmpPrevPos.copy(platform.position);
+
+      if (platform.path) {
+        this._advancePath(platform, dt);
+      }
+      platform.linearVelocity.subVectors(platform.position, prevPos).divideScalar(dt);
+
+      if (platform.spinSpeed !== 0) {
+        platform.spinAngle += platform.spinSpeed * dt;
+        this._tmpSpin.setFromAxisAngle(platform.spinAxis, platform.spinAngle);
+        platform.rotation.copy(this._tmpSpin).multiply(platform.baseRotation);
+        platform.angularVelocity.copy(platform.spinAxis).multiplyScalar(platform.spinSpeed);
+      } else {
+        platform.angularVelocity.set(0, 0, 0);
+      }
+
+      const { position, rotation } = platform;
+      platform.body.setTranslation({ x: position.x, y: position.y, z: position.z }, false);
+      platform.body.setRotation({ x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w }, false);
+    }
+  }
+
+  /**
+   * Move a platform along its path by dt seconds of travel
+   */
+  _advancePath(platform, dt) {
+    const { path } = platform;
+    const points = path.waypoints;
+    if (points.length < 2 || path.speed <= 0) return;
+
+    let time = dt;
+    while (time > 0 && !platform.finished) {
+      if (platform.waitTimer > 0) {
+        const waited = Math.min(platform.waitTimer, time);
+        platform.waitTimer -= waited;
+        time -= waited;
+        continue;
+      }
+
+      const from = points[platform.fromIndex];
+      const to = points[platform.toIndex];
+      const segmentLength = from.distanceTo(to);
+      const remaining = segmentLength - platform.segmentDistance;
+      const travel = path.speed * time;
+
+      if (travel < remaining) {
+        platform.segmentDistance += travel;
+        time = 0;
+      } else {
+        time -= remaining / path.speed;
+        this._nextSegment(platform);
+        platform.waitTimer = path.waitTime;
+      }
+    }
+
+    const from = points[platform.fromIndex];
+    const to = points[platform.toIndex];
+    const segmentLength = from.distanceTo(to);
+    const t = segmentLength > 0 ? platform.segmentDistance / segmentLength : 1;
+    platform.position.lerpVectors(from, to, Math.min(t, 1));
+  }
+
+  /**
+   * Pick the next waypoint pair according to the path mode
+   */
+  _nextSegment(platform) {
+    const count = platform.path.waypoints.length;
+    const arrived = platform.toIndex;
+
+    switch (platform.path.mode) {
+      case 'pingpong': {
+        let next = arrived + platform.direction;
+        if (next < 0 || next >= count) {
+          platform.direction *= -1;
+          next = arrived + platform.direction;
+        }
+        platform.fromIndex = arrived;
+        platform.toIndex = next;
+        break;
+      }
+      case 'once':
+        if (arrived >= count - 1) {
+          // Park at the final waypoint
+          platform.fromIndex = arrived;
+          platform.finished = true;
+          break;
+        }
+        platform.fromIndex = arrived;
+        platform.toIndex = arrived + 1;
+        break;
+      case 'loop':
+      default:
+        platform.fromIndex = arrived;
+        platform.toIndex = (arrived + 1) % count;
+        break;
+    }
+
+    platform.segmentDistance = 0;
+  }
+
+  /**
+   * Path/spin progress for every platform (snapshot participant)
+   */
+  captureState() {
+    return this.platforms.map((platform) => ({
+      name: platform.name,
+      fromIndex: platform.fromIndex,
+      toIndex: platform.toIndex,
+      direction: platform.direction,
+      segmentDistance: platform.segmentDistance,
+      waitTimer: platform.waitTimer,
+      finished: platform.finished,
+      spinAngle: platform.spinAngle,
+      position: platform.position.toArray(),
+      rotation: platform.rotation.toArray(),
+    }));
+  }
+
+  /**
+   * Rebind platforms to the restored world and rewind their progress (snapshot participant).
+   * Platforms whose bodies don't exist in the restored world are dropped.
+   */
+  restoreState(state) {
+    const { world } = this.physics;
+    const saved = new Map((state ?? []).map((entry) => [entry.name, entry]));
+
+    this._byCollider.clear();
+    this.currentPlatform = null;
+    this.platforms = this.platforms.filter((platform) => {
+      platform.body = world.getRigidBody(platform.body.handle);
+      platform.collider = platform.collider ? world.getCollider(platform.collider.handle) : null;
+      return !!platform.body;
+    });
+
+    for (const platform of this.platforms) {
+      if (platform.collider) {
+        this._byCollider.set(platform.collider.handle, platform);
+      }
+
+      const entry = saved.get(platform.name);
+      if (!entry) continue;
+
+      platform.fromIndex = entry.fromIndex;
+      platform.toIndex = entry.toIndex;
+      platform.direction = entry.direction;
+      platform.segmentDistance = entry.segmentDistance;
+      platform.waitTimer = entry.waitTimer;
+      platform.finished = entry.finished;
+      platform.spinAngle = entry.spinAngle;
+      platform.position.fromArray(entry.position);
+      platform.rotation.fromArray(entry.rotation);
+    }
+  }
+
+  /**
+   * Velocity of the platform surface at a point (platform carrier interface).
+   * Includes the tangential velocity of spinning platforms.
+   * @param {import('@dimforge/rapier3d-compat').Collider|null} groundCollider - Collider under the character
+   * @param {Vector3} position - Character position
+   * @returns {Vector3} - Reusable vector, do not store
+   */
+  getPlatformVelocity(groundCollider, position) {
+    const platform = groundCollider ? this._byCollider.get(groundCollider.handle) ?? null : null;
+    this.currentPlatform = platform;
+
+    if (!platform) {
+      return this._tmpVelocity.set(0, 0, 0);
+    }
+
+    if (platform.spinSpeed === 0) {
+      return this._tmpVelocity.copy(platform.linearVelocity);
+    }
+
+    // Chord the point sweeps in one fixed step, not the tangent (angular x offset):
+    // a straight tangent step lands a little further out each time, and riders drift off the rim
+    const dt = this.physics.fixedDt;
+    const offset = this._tmpOffset.subVectors(position, platform.position);
+    this._tmpSpin.setFromAxisAngle(platform.spinAxis, platform.spinSpeed * dt);
+    return this._tmpVelocity
+      .copy(offset)
+      .applyQuaternion(this._tmpSpin)
+      .sub(offset)
+      .divideScalar(dt)
+      .add(platform.linearVelocity);
+  }
+
+  /**
+   * Angular velocity of the current platform (returns internal reference — do not mutate)
+   * @returns {Vector3}
+   */
+  getPlatformAngularVelocity() {
+    return this.currentPlatform?.angularVelocity ?? this._zero.set(0, 0, 0);
+  }
+
+  /**
+   * Name of the platform the character is standing on
+   * @returns {string|null}
+   */
+  getCurrentPlatformName() {
+    return this.currentPlatform?.name ?? null;
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * SurfaceMaterials - How the ground under the player changes movement
+ *
+ * Responsibilities:
+ * - Named surface presets (grass, cobblestone, mud, ice, boardwalk, shallow water)
+ * - Multipliers CharacterMotor applies to acceleration, friction and top speed
+ * - Rapier friction for props resting on the surface
+ * - Footstep sound id for audio
+ *
+ * Colliders are tagged through PhysicsWorld (`surface` option or setColliderSurface).
+ */
+
+/**
+ * @typedef {Object} SurfaceMaterial
+ * @property {string} name
+ * @property {number} acceleration - Multiplier on the gait's acceleration
+ * @property {number} friction - Multiplier on CharacterMotor.friction (how fast you stop)
+ * @property {number} maxSpeed - Multiplier on the gait's top speed
+ * @property {number} colliderFriction - Rapier friction coefficient for the collider
+ * @property {string} footstep - Footstep sound id
+ */
+
+export const DEFAULT_SURFACE = 'default';
+
+/** @type {Map<string, SurfaceMaterial>} */
+const surfaces = new Map();
+
+/**
+ * Add or replace a surface preset. Missing values fall back to the default surface.
+ * @param {string} name
+ * @param {Partial<SurfaceMaterial>} properties
+ * @returns {SurfaceMaterial}
+ */
+export function defineSurfaceMaterial(name, properties = {}) {
+  const base = surfaces.get(DEFAULT_SURFACE);
+  const material = {
+    name,
+    acceleration: properties.acceleration ?? base?.acceleration ?? 1,
+    friction: properties.friction ?? base?.friction ?? 1,
+    maxSpeed: properties.maxSpeed ?? base?.maxSpeed ?? 1,
+    colliderFriction: properties.colliderFriction ?? base?.colliderFriction ?? 0.9,
+    footstep: properties.footstep ?? base?.footstep ?? 'stone',
+  };
+  surfaces.set(name, material);
+  return material;
+}
+
+/**
+ * Look up a surface preset (unknown names resolve to the default surface)
+ * @param {string|null} name
+ * @returns {SurfaceMaterial}
+ */
+export function getSurfaceMaterial(name) {
+  return surfaces.get(name) ?? surfaces.get(DEFAULT_SURFACE);
+}
+
+/**
+ * Check whether a surface preset exists
+ */
+export function hasSurfaceMaterial(name) {
+  return surfaces.has(name);
+}
+
+defineSurfaceMaterial(DEFAULT_SURFACE, {
+  acceleration: 1,
+  friction: 1,
+  maxSpeed: 1,
+  colliderFriction: 0.9,
+  footstep: 'stone',
+});
+
+defineSurfaceMaterial('grass', { colliderFriction: 0.8, footstep: 'grass' });
+defineSurfaceMaterial('cobblestone', { acceleration: 1.05, friction: 1.1, footstep: 'cobblestone' });
+defineSurfaceMaterial('mud', {
+  acceleration: 0.6,
+  friction: 1.8,
+  maxSpeed: 0.6,
+  colliderFriction: 1.0,
+  footstep: 'mud',
+});
+defineSurfaceMaterial('ice', {
+  acceleration: 0.12,
+  friction: 0.05,
+  maxSpeed: 1.1,
+  colliderFriction: 0.02,
+  footstep: 'ice',
+});
+defineSurfaceMaterial('boardwalk', { maxSpeed: 1.05, colliderFriction: 0.7, footstep: 'wood' });
+defineSurfaceMaterial('shallowWater', {
+  acceleration: 0.7,
+  friction: 1.3,
+  maxSpeed: 0.7,
+  colliderFriction: 0.5,
+  footstep: 'splash',
+});
@@ -0,0 +1,194 @@
+/**
+ * SwimLocomotion - Swimming for CharacterMotor
+ *
+ * Responsibilities:
+ * - Switch to swimming when the water underfoot is deeper than chest height
+ * - Float at the surface with a gentle bob; dive and rise on request
+ * - Slower, draggy horizontal movement, carried by the water's current
+ * - Climb out over banks ahead and walk out up shallow slopes
+ *
+ * Water comes from the motor's water provider (see WaterSystem).
+ * States: 'none' | 'swim'
+ */
+
+import { Vector3 } from 'three';
+
+export class SwimLocomotion {
+  /**
+   * @param {import('./CharacterMotor.js').CharacterMotor} motor
+   */
+  constructor(motor) {
+    this.motor = motor;
+
+    // Depth is measured from the feet up to the surface
+    this.enterDepth = 1.2;        // Start swimming when the water is this deep
+    this.exitDepth = 1.0;         // Stand up again when it gets this shallow
+    this.floatDepth = 0.3;        // Capsule center below the surface while floating (head out)
+
+    this.swimSpeed = 2.5;
+    this.acceleration = 6.0;
+    this.diveSpeed = 2.0;         // Down (crouch) or back up (jump)
+    this.riseSpeed = 1.5;         // Drifting back up to the surface
+    this.verticalAcceleration = 4.0;
+    this.entryDamping = 0.3;      // Fraction of falling speed kept when hitting the water
+
+    this.bobAmplitude = 0.05;
+    this.bobFrequency = 0.6;      // Hz
+
+    this.state = 'none';
+    this.onStateChange = null; // (state, previousState) => void
+
+    /** @type {import('./WaterSystem.js').WaterVolume|null} */
+    this.volume = null;
+
+    // Whether the head is below the surface
+    this.isSubmerged = false;
+    this._bobTime = 0;
+
+    // Pre-allocated temp vectors to avoid per-frame GC pressure
+    this._tmpTarget = new Vector3();
+    this._tmpMovement = new Vector3();
+  }
+
+  /**
+   * Whether swimming currently drives the capsule
+   */
+  isActive() {
+    return this.state !== 'none';
+  }
+
+  /**
+   * Run swimming for one fixed step.
+   * @param {number} dt
+   * @param {Vector3} desiredDir - Camera-relative horizontal input (length = stick deflection)
+   * @param {Vector3} moveDirection - Normalized desiredDir (zero when idle)
+   * @param {{ up?: boolean, down?: boolean }} input - Held rise / dive requests
+   * @returns {boolean} - True when swimming handled the step (the motor should skip locomotion)
+   */
+  update(dt, desiredDir, moveDirection, input = {}) {
+    const { motor } = this;
+    if (!motor.water || motor.ledges.isActive() || motor.climbing.isActive()) {
+      if (this.state !== 'none') this._exit();
+      return false;
+    }
+
+    const pos = motor.body.translation();
+    const volume = motor.water.getVolumeAt(pos, this.floatDepth + this.bobAmplitude + 0.5);
+    const depth = volume ? volume.surfaceY - motor.getCapsuleBottomY() : 0;
+
+    if (this.state === 'none') {
+      if (!volume || depth < this.enterDepth) return false;
+      this.volume = volume;
+      motor.velocity.y *= this.entryDamping;
+      this._setState('swim');
+    } else if (!volume || depth < this.exitDepth) {
+      // Walked out up a shallow bank
+      this._exit();
+      return false;
+    }
+    this.volume = volume;
+
+    // Pushing into a bank at the surface climbs out
+    const floatY = volume.surfaceY - this.floatDepth;
+    if (moveDirection.lengthSq() > 0.5 && pos.y > floatY - 0.3) {
+      const { ledges } = motor;
+      const ledge = ledges.detectLedge(moveDirection, ledges.vaultMinHeight, ledges.mantleMaxHeight);
+      if (ledge?.canStand) {
+        this._exit();
+        ledges.mantleOnto(ledge, ledges.mantleDuration);
+        return true;
+      }
+    }
+
+    this._updateVelocity(dt, desiredDir, input, pos, floatY);
+
+    const movement = this._tmpMovement.copy(motor.velocity).multiplyScalar(dt);
+    motor.controller.computeColliderMovement(
+      motor.collider,
+      { x: movement.x, y: movement.y, z: movement.z },
+      motor.physics.RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+      undefined
+    );
+    const corrected = motor.controller.computedMovement();
+
+    // Lose the speed that walls and the bottom soak up
+    if (Math.abs(corrected.y - movement.y) > 0.0001) {
+      motor.velocity.y = corrected.y / dt;
+    }
+
+    const newPos = {
+      x: pos.x + corrected.x,
+      y: pos.y + corrected.y,
+      z: pos.z + corrected.z,
+    };
+    motor.body.setNextKinematicTranslation(newPos);
+    this.isSubmerged = newPos.y + motor.halfHeight + motor.radius < volume.surfaceY;
+
+    return true;
+  }
+
+  _updateVelocity(dt, desiredDir, input, pos, floatY) {
+    const { motor, volume } = this;
+    const velocity = motor.velocity;
+
+    // Horizontal: slow and draggy, drifting with the current
+    const target = this._tmpTarget.copy(desiredDir).multiplyScalar(this.swimSpeed).add(volume.flow);
+    const blend = 1 - Math.exp(-this.acceleration * dt);
+    velocity.x += (target.x - velocity.x) * blend;
+    velocity.z += (target.z - velocity.z) * blend;
+
+    // Vertical: dive, rise, or settle at the (bobbing) floating height
+    this._bobTime += dt;
+    const restY = floatY + Math.sin(this._bobTime * Math.PI * 2 * this.bobFrequency) * this.bobAmplitude;
+
+    let targetVy;
+    if (input.down) {
+      targetVy = -this.diveSpeed;
+    } else if (input.up && pos.y < restY) {
+      targetVy = this.diveSpeed;
+    } else {
+      targetVy = Math.min(Math.max((restY - pos.y) * 4, -this.riseSpeed), this.riseSpeed);
+    }
+    velocity.y += (targetVy - velocity.y) * (1 - Math.exp(-this.verticalAcceleration * dt));
+  }
+
+  /**
+   * Leave the water (teleports, respawns)
+   */
+  cancel() {
+    this._exit();
+  }
+
+  _exit() {
+    this.volume = null;
+    this.isSubmerged = false;
+    this._setState('none');
+  }
+
+  _setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.onStateChange?.(state, previous);
+  }
+
+  /**
+   * Swimming state that lives outside Rapier (captured with the motor)
+   */
+  captureState() {
+    return {
+      state: this.state,
+      volume: this.volume?.name ?? null,
+      isSubmerged: this.isSubmerged,
+      bobTime: this._bobTime,
+    };
+  }
+
+  restoreState(state) {
+    const volume = state?.volume ? this.motor.water?.getVolumeByName(state.volume) ?? null : null;
+    this.volume = volume;
+    this.state = volume ? state.state : 'none';
+    this.isSubmerged = volume ? state.isSubmerged : false;
+    this._bobTime = state?.bobTime ?? 0;
+  }
+}
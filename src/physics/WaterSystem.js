@@ -0,0 +1,175 @@
+/**
+ * WaterSystem - Water volumes, buoyancy and drag
+ *
+ * Responsibilities:
+ * - Register axis-aligned water volumes (pond, creek) with a surface at their top
+ * - Answer water level queries (swimming, camera underwater effects)
+ * - Float DynamicBody props: buoyancy, drag and current, scaled by how submerged they are
+ *
+ * Call update(dt) once per fixed step, before the world steps.
+ */
+
+import { Vector3 } from 'three';
+
+/**
+ * @typedef {Object} WaterVolume
+ * @property {string} name
+ * @property {Vector3} min - Lower corner
+ * @property {Vector3} max - Upper corner (max.y is the surface)
+ * @property {number} surfaceY
+ * @property {number} buoyancy - Upward force on a fully submerged prop, in multiples of its weight
+ * @property {number} linearDrag - Velocity damping per second when fully submerged
+ * @property {number} angularDrag - Spin damping per second when fully submerged
+ * @property {Vector3} flow - Current velocity (m/s) that drag pulls props and swimmers towards
+ */
+
+export class WaterSystem {
+  /**
+   * @param {import('../core/PhysicsWorld.js').PhysicsWorld} physicsWorld
+   */
+  constructor(physicsWorld) {
+    this.physics = physicsWorld;
+
+    /** @type {WaterVolume[]} */
+    this.volumes = [];
+
+    // Pre-allocated temp vectors to avoid per-frame GC pressure
+    this._tmpVelocity = new Vector3();
+  }
+
+  /**
+   * Register a water volume
+   * @param {Object} options
+   * @param {string} [options.name]
+   * @param {Vector3} options.position - Center of the volume
+   * @param {Vector3} options.halfExtents - Half size; the surface is at position.y + halfExtents.y
+   * @param {number} [options.buoyancy=2]
+   * @param {number} [options.linearDrag=3]
+   * @param {number} [options.angularDrag=2]
+   * @param {Vector3} [options.flow] - Current velocity (creeks)
+   * @returns {WaterVolume}
+   */
+  addVolume({ name, position, halfExtents, buoyancy = 2, linearDrag = 3, angularDrag = 2, flow = null }) {
+    const volume = {
+      name: name ?? `water_${this.volumes.length}`,
+      min: new Vector3(position.x - halfExtents.x, position.y - halfExtents.y, position.z - halfExtents.z),
+      max: new Vector3(position.x + halfExtents.x, position.y + halfExtents.y, position.z + halfExtents.z),
+      surfaceY: position.y + halfExtents.y,
+      buoyancy,
+      linearDrag,
+      angularDrag,
+      flow: flow ? new Vector3(flow.x, flow.y, flow.z) : new Vector3(),
+    };
+
+    this.volumes.push(volume);
+    return volume;
+  }
+
+  /**
+   * Remove a water volume
+   */
+  removeVolume(volume) {
+    const index = this.volumes.indexOf(volume);
+    if (index !== -1) this.volumes.splice(index, 1);
+  }
+
+  /**
+   * Water volume whose column contains the point (anywhere from its floor up to
+   * `above` meters over its surface)
+   * @param {{ x: number, y: number, z: number }} point
+   * @param {number} [above=0]
+   * @returns {WaterVolume|null}
+   */
+  getVolumeAt(point, above = 0) {
+    for (const volume of this.volumes) {
+      const { min, max } = volume;
+      if (point.x < min.x || point.x > max.x || point.z < min.z || point.z > max.z) continue;
+      if (point.y < min.y || point.y > max.y + above) continue;
+      return volume;
+    }
+    return null;
+  }
+
+  /**
+   * Height of the water surface over a point (camera/player query)
+   * @param {{ x: number, y: number, z: number }} point
+   * @returns {number|null} - Surface Y, or null when the point is not over water
+   */
+  getWaterLevel(point) {
+    return this.getVolumeAt(point, Infinity)?.surfaceY ?? null;
+  }
+
+  /**
+   * Whether a point is below a water surface
+   */
+  isUnderwater(point) {
+    const volume = this.getVolumeAt(point);
+    return !!volume && point.y < volume.surfaceY;
+  }
+
+  /**
+   * Look up a water volume by name (snapshot restore)
+   * @returns {WaterVolume|null}
+   */
+  getVolumeByName(name) {
+    return this.volumes.find((volume) => volume.name === name) ?? null;
+  }
+
+  /**
+   * Apply buoyancy, drag and current to the PhysicsWorld's dynamic props
+   * @param {number} dt - Fixed delta time
+   */
+  update(dt) {
+    if (this.volumes.length === 0 || !this.physics.world) return;
+
+    const gravity = Math.abs(this.physics.getGravity().y);
+    for (const dynamicBody of this.physics.dynamicBodies) {
+      const { body, collider } = dynamicBody;
+      if (dynamicBody.disposed || dynamicBody.culled || !body?.isEnabled()) continue;
+
+      const pos = body.translation();
+      const halfHeight = this._halfHeight(collider);
+      const volume = this.getVolumeAt(pos, halfHeight);
+      if (!volume) continue;
+
+      // Fraction of the prop below the surface
+      const submerged = Math.min(Math.max((volume.surfaceY - (pos.y - halfHeight)) / (2 * halfHeight), 0), 1);
+      if (submerged <= 0) continue;
+
+      const lift = body.mass() * gravity * volume.buoyancy * dynamicBody.buoyancy * submerged * dt;
+      body.applyImpulse({ x: 0, y: lift, z: 0 }, true);
+
+      // Drag relative to the current
+      const linear = Math.exp(-volume.linearDrag * submerged * dt);
+      const vel = body.linvel();
+      const velocity = this._tmpVelocity.set(vel.x, vel.y, vel.z)
+        .sub(volume.flow)
+        .multiplyScalar(linear)
+        .add(volume.flow);
+      body.setLinvel(velocity, true);
+
+      const angular = Math.exp(-volume.angularDrag * submerged * dt);
+      const spin = body.angvel();
+      body.setAngvel({ x: spin.x * angular, y: spin.y * angular, z: spin.z * angular }, true);
+    }
+  }
+
+  /**
+   * Approximate vertical half size of a prop's collider
+   */
+  _halfHeight(collider) {
+    const { ShapeType } = this.physics.RAPIER;
+    switch (collider.shapeType()) {
+      case ShapeType.Ball:
+        return collider.radius();
+      case ShapeType.Cuboid: {
+        const half = collider.halfExtents();
+        return (half.x + half.y + half.z) / 3;
+      }
+      case ShapeType.Capsule:
+        return collider.halfHeight() + collider.radius();
+      default:
+        return 0.5;
+    }
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * BindingsPanel - Controls menu for rebinding keys
+ *
+ * Responsibilities:
+ * - One row per InputBindings action, grouped, with a button per key slot and one for the gamepad
+ * - Click a slot, press a key (or a pad button): Esc cancels, Backspace clears the slot
+ * - Report conflicts; pressing the same key again moves it from the other action
+ * - Reset everything to the defaults
+ *
+ * Opened from the lock overlay's Controls button (the cursor is free there).
+ */
+
+import { MAX_BINDINGS, PAD_SLOT, isPadCode } from '../core/InputBindings.js';
+
+const SLOTS = [...Array.from({ length: MAX_BINDINGS }, (_, index) => index), PAD_SLOT];
+
+export class BindingsPanel {
+  /**
+   * @param {import('../core/InputBindings.js').InputBindings} bindings
+   * @param {import('../core/InputManager.js').InputManager} inputManager - Captures the keys pressed
+   */
+  constructor(bindings, inputManager) {
+    this.bindings = bindings;
+    this.inputManager = inputManager;
+    this.elements = {};
+    this.visible = false;
+
+    // action -> slot buttons (key slots, then the pad slot)
+    this._buttons = new Map();
+    // Slot waiting for a key, and a conflicting key waiting for confirmation
+    this._capturing = null; // { action, slot }
+    this._pendingConflict = null; // { action, slot, code }
+  }
+
+  /**
+   * Build the panel inside #bindingsPanel
+   */
+  init() {
+    const root = document.getElementById('bindingsPanel');
+    if (!root) return this;
+
+    root.innerHTML = `
+      <div class="bindings-header">
+        <strong>Controls</strong>
+        <button data-action="close">Close</button>
+      </div>
+      <div data-ref="groups"></div>
+      <div class="bindings-row">
+        <button data-action="reset">Reset to defaults</button>
+        <span data-ref="message"></span>
+      </div>
+    `;
+
+    this.elements = { root };
+    for (const element of root.querySelectorAll('[data-ref]')) {
+      this.elements[element.dataset.ref] = element;
+    }
+
+    this._buildRows();
+    this._setupListeners();
+    this.setVisible(false);
+    return this;
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this.elements.root?.classList.toggle('hidden', !visible);
+    if (!visible) this._stopCapture();
+    this.refresh();
+  }
+
+  toggle() {
+    this.setVisible(!this.visible);
+    return this.visible;
+  }
+
+  /**
+   * Sync the slot buttons with the live bindings
+   */
+  refresh() {
+    for (const [action, buttons] of this._buttons) {
+      const codes = this.bindings.getBindings(action);
+      buttons.forEach((button, index) => {
+        const slot = SLOTS[index];
+        const code = slot === PAD_SLOT ? this.bindings.getPadBinding(action) : codes[slot];
+        const capturing = this._capturing?.action === action && this._capturing.slot === slot;
+        button.textContent = capturing
+          ? (slot === PAD_SLOT ? 'Press a button…' : 'Press a key…')
+          : (code ? this.bindings.getKeyLabel(code) : '—');
+        button.classList.toggle('capturing', capturing);
+      });
+    }
+  }
+
+  _buildRows() {
+    const groups = new Map();
+    for (const { action, label, group: groupName } of this.bindings.actions) {
+      let group = groups.get(groupName);
+      if (!group) {
+        group = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = groupName;
+        group.appendChild(legend);
+        this.elements.groups.appendChild(group);
+        groups.set(groupName, group);
+      }
+
+      const row = document.createElement('div');
+      row.className = 'bindings-action';
+      const name = document.createElement('span');
+      name.textContent = label;
+      row.appendChild(name);
+
+      const buttons = [];
+      for (const slot of SLOTS) {
+        const button = document.createElement('button');
+        button.dataset.action = 'bind';
+        button.dataset.binding = action;
+        button.dataset.slot = String(slot);
+        row.appendChild(button);
+        buttons.push(button);
+      }
+      group.appendChild(row);
+      this._buttons.set(action, buttons);
+    }
+  }
+
+  _setupListeners() {
+    this.elements.root.addEventListener('click', (e) => {
+      e.stopPropagation(); // The lock overlay underneath would grab the pointer
+      const { action, binding, slot } = e.target.dataset ?? {};
+      if (action === 'close') {
+        this.setVisible(false);
+      } else if (action === 'reset') {
+        this._stopCapture();
+        this.bindings.resetDefaults();
+        this._setMessage('Controls reset to defaults.');
+      } else if (action === 'bind') {
+        this._startCapture(binding, slot === PAD_SLOT ? PAD_SLOT : Number(slot));
+      }
+    });
+  }
+
+  _startCapture(action, slot) {
+    this._capturing = { action, slot };
+    this._pendingConflict = null;
+    const input = slot === PAD_SLOT ? 'a gamepad button' : 'a key';
+    this._setMessage(`Press ${input} for ${this.bindings.getAction(action).label} (Esc cancels, Backspace clears).`);
+    this.inputManager.captureNextKey((code) => this._onKey(code));
+    this.refresh();
+  }
+
+  _stopCapture() {
+    this._capturing = null;
+    this._pendingConflict = null;
+    this.inputManager.cancelCapture();
+    this.refresh();
+  }
+
+  _onKey(code) {
+    const { action, slot } = this._capturing;
+
+    if (code === 'Escape') {
+      this._stopCapture();
+      this._setMessage('');
+      return;
+    }
+    if (code === 'Backspace') {
+      this.bindings.unbind(action, slot);
+      this._stopCapture();
+      this._setMessage('');
+      return;
+    }
+
+    const pending = this._pendingConflict;
+    const replace = pending?.code === code && pending.action === action && pending.slot === slot;
+    const fits = (slot === PAD_SLOT) === isPadCode(code);
+    const previous = fits ? this.bindings.findConflict(code, action) : null;
+    try {
+      this.bindings.bind(action, slot, code, { replace });
+    } catch (error) {
+      // Conflict: wait for the same key again to confirm moving it (otherwise a key in the
+      // pad slot or the other way round: just wait for another)
+      const message = error.message.replace('[InputBindings] ', '');
+      this._pendingConflict = previous ? { action, slot, code } : null;
+      this._setMessage(previous ? `${message}. Press it again to move it here.` : `${message}.`);
+      this.inputManager.captureNextKey((next) => this._onKey(next));
+      return;
+    }
+
+    this._stopCapture();
+    this._setMessage(previous
+      ? `${this.bindings.getKeyLabel(code)} moved from ${this.bindings.getAction(previous).label}.`
+      : '');
+  }
+
+  _setMessage(text) {
+    if (this.elements.message) {
+      this.elements.message.textContent = text;
+    }
+  }
+}
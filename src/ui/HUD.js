@@ -10,12 +10,25 @@ export class HUD {
       prompt: document.getElementById('interactionPrompt'),
       kindness: document.getElementById('kindnessCounter'),
       lockOverlay: document.getElementById('lockOverlay'),
+      controlsButton: document.getElementById('controlsButton'),
+      settingsButton: document.getElementById('settingsButton'),
+      instructions: document.getElementById('instructions'),
+      underwater: document.getElementById('underwaterTint'),
+      fade: document.getElementById('screenFade'),
       debugPanel: document.getElementById('debug'),
       fps: document.getElementById('fps'),
+      preset: document.getElementById('preset'),
       pos: document.getElementById('pos'),
       vel: document.getElementById('vel'),
       grounded: document.getElementById('grounded'),
       platform: document.getElementById('platform'),
+      surface: document.getElementById('surface'),
+      slope: document.getElementById('slope'),
+      gait: document.getElementById('gait'),
+      traversal: document.getElementById('traversal'),
+      landing: document.getElementById('landing'),
+      push: document.getElementById('push'),
+      safe: document.getElementById('safe'),
       hover: document.getElementById('hover'),
       visOffsetY: document.getElementById('visOffsetY'),
     };
@@ -52,6 +65,24 @@ export class HUD {
     }
   }
 
+  /**
+   * Touch screens have no pointer lock or keyboard: drop the click-to-begin overlay and key hints
+   */
+  setTouchMode(enabled) {
+    document.body.classList.toggle('touch', enabled);
+    this.elements.lockOverlay?.classList.toggle('hidden', enabled);
+  }
+
+  /**
+   * Show the bound keys in the instructions bar
+   * @param {(action: string) => string} getLabel - Label of an action's primary key
+   */
+  setKeyLabels(getLabel) {
+    for (const kbd of this.elements.instructions?.querySelectorAll('kbd[data-action]') ?? []) {
+      kbd.textContent = getLabel(kbd.dataset.action);
+    }
+  }
+
   showKindness(value) {
     if (this.elements.kindness) {
       this.elements.kindness.textContent = `Kindness: ${value}`;
@@ -65,6 +96,22 @@ export class HUD {
     }
   }
 
+  setUnderwater(underwater) {
+    if (this.elements.underwater) {
+      this.elements.underwater.classList.toggle('hidden', !underwater);
+    }
+  }
+
+  /**
+   * Black out the screen (respawns)
+   * @param {number} amount - 0 (clear) to 1 (black)
+   */
+  setFade(amount) {
+    if (this.elements.fade) {
+      this.elements.fade.style.opacity = String(amount);
+    }
+  }
+
   setDebugVisible(visible) {
     if (this.elements.debugPanel) {
       this.elements.debugPanel.style.display = visible ? 'block' : 'none';
@@ -77,11 +124,27 @@ export class HUD {
     }
   }
 
+  /**
+   * Show the active tuning preset in the debug overlay
+   */
+  setPreset(name) {
+    if (this.elements.preset) {
+      this.elements.preset.textContent = name;
+    }
+  }
+
   updateDebug(info) {
     if (this.elements.pos) this.elements.pos.textContent = info.position;
     if (this.elements.vel) this.elements.vel.textContent = info.velocity;
     if (this.elements.grounded) this.elements.grounded.textContent = info.grounded ? 'YES' : 'NO';
     if (this.elements.platform) this.elements.platform.textContent = info.platform;
+    if (this.elements.surface) this.elements.surface.textContent = info.surface;
+    if (this.elements.slope) this.elements.slope.textContent = info.slope;
+    if (this.elements.gait) this.elements.gait.textContent = info.gait;
+    if (this.elements.traversal) this.elements.traversal.textContent = info.traversal;
+    if (this.elements.landing) this.elements.landing.textContent = info.landing;
+    if (this.elements.push) this.elements.push.textContent = info.push;
+    if (this.elements.safe) this.elements.safe.textContent = info.safe;
     if (this.elements.hover) this.elements.hover.textContent = info.hover;
     if (this.elements.visOffsetY) this.elements.visOffsetY.textContent = info.visOffsetY;
   }
@@ -0,0 +1,115 @@
+/**
+ * SettingsPanel - Settings menu for the player's on/off options
+ *
+ * Responsibilities:
+ * - One checkbox per PlayerSettings option, grouped
+ * - Changes apply and save immediately
+ * - Reset everything to the defaults
+ *
+ * Opened from the lock overlay's Settings button, next to the Controls menu.
+ */
+
+export class SettingsPanel {
+  /**
+   * @param {import('../core/PlayerSettings.js').PlayerSettings} settings
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.elements = {};
+    this.visible = false;
+
+    // key -> checkbox
+    this._checkboxes = new Map();
+  }
+
+  /**
+   * Build the panel inside #settingsPanel
+   */
+  init() {
+    const root = document.getElementById('settingsPanel');
+    if (!root) return this;
+
+    root.innerHTML = `
+      <div class="settings-header">
+        <strong>Settings</strong>
+        <button data-action="close">Close</button>
+      </div>
+      <div data-ref="groups"></div>
+      <div class="settings-row">
+        <button data-action="reset">Reset to defaults</button>
+      </div>
+    `;
+
+    this.elements = { root };
+    for (const element of root.querySelectorAll('[data-ref]')) {
+      this.elements[element.dataset.ref] = element;
+    }
+
+    this._buildRows();
+    this._setupListeners();
+    this.setVisible(false);
+    return this;
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this.elements.root?.classList.toggle('hidden', !visible);
+    if (visible) this.refresh();
+  }
+
+  toggle() {
+    this.setVisible(!this.visible);
+    return this.visible;
+  }
+
+  /**
+   * Sync the checkboxes with the live values
+   */
+  refresh() {
+    for (const [key, checkbox] of this._checkboxes) {
+      checkbox.checked = this.settings.get(key);
+    }
+  }
+
+  _buildRows() {
+    const groups = new Map();
+    for (const { key, label, group: groupName } of this.settings.settings) {
+      let group = groups.get(groupName);
+      if (!group) {
+        group = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = groupName;
+        group.appendChild(legend);
+        this.elements.groups.appendChild(group);
+        groups.set(groupName, group);
+      }
+
+      const row = document.createElement('label');
+      row.className = 'settings-option';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.setting = key;
+      row.append(checkbox, label);
+      group.appendChild(row);
+      this._checkboxes.set(key, checkbox);
+    }
+  }
+
+  _setupListeners() {
+    const { root } = this.elements;
+    root.addEventListener('click', (e) => {
+      e.stopPropagation(); // The lock overlay underneath would grab the pointer
+      const { action } = e.target.dataset ?? {};
+      if (action === 'close') {
+        this.setVisible(false);
+      } else if (action === 'reset') {
+        this.settings.resetDefaults();
+        this.refresh();
+      }
+    });
+    root.addEventListener('change', (e) => {
+      const { setting } = e.target.dataset ?? {};
+      if (setting) this.settings.set(setting, e.target.checked);
+    });
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * TouchControls - On-screen controls for touch screens
+ *
+ * Responsibilities:
+ * - Full-screen layer that TouchInput listens on (left half joystick, right half look)
+ * - Draw the floating joystick under the thumb
+ * - Contextual buttons: jump renamed for climbing / swimming, interact only near something to use
+ * - Portrait / landscape layouts (CSS on #touchControls)
+ *
+ * Shown from main.js on coarse-pointer devices; call update() once per frame.
+ */
+
+// Jump button name per traversal state
+const JUMP_LABELS = {
+  swim: 'Rise',
+  hang: 'Climb',
+  climb: 'Leap',
+};
+
+export class TouchControls {
+  /**
+   * @param {import('../core/TouchInput.js').TouchInput} touchInput
+   */
+  constructor(touchInput) {
+    this.touch = touchInput;
+    this.elements = {};
+    this.visible = false;
+
+    this._onVisibilityChange = () => {
+      if (document.hidden) this.touch.releaseAll();
+    };
+  }
+
+  /**
+   * Build the controls inside #touchControls and start listening
+   */
+  init() {
+    const root = document.getElementById('touchControls');
+    if (!root) return this;
+
+    root.innerHTML = `
+      <div class="touch-stick" data-ref="stick"><div class="touch-knob" data-ref="knob"></div></div>
+      <div class="touch-buttons">
+        <button class="touch-button" data-touch-action="interact" data-ref="interact">Use</button>
+        <button class="touch-button" data-touch-action="jump" data-ref="jump">Jump</button>
+      </div>
+    `;
+
+    this.elements = { root };
+    for (const element of root.querySelectorAll('[data-ref]')) {
+      this.elements[element.dataset.ref] = element;
+    }
+
+    this.touch.attach(root);
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+    this.setVisible(true);
+    return this;
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this.elements.root?.classList.toggle('hidden', !visible);
+    if (!visible) this.touch.releaseAll();
+  }
+
+  /**
+   * Follow the joystick and the player's situation
+   * @param {{ canInteract: boolean, traversal: string }} context
+   */
+  update({ canInteract, traversal }) {
+    const { stick, knob, jump, interact } = this.elements;
+    if (!this.visible || !stick) return;
+
+    const active = this.touch.stick;
+    stick.classList.toggle('active', Boolean(active));
+    if (active) {
+      stick.style.left = `${active.originX}px`;
+      stick.style.top = `${active.originY}px`;
+      knob.style.transform = `translate(${active.x}px, ${active.y}px)`;
+    } else {
+      stick.style.left = '';
+      stick.style.top = '';
+      knob.style.transform = '';
+    }
+
+    const jumpLabel = JUMP_LABELS[traversal] ?? 'Jump';
+    if (jump.textContent !== jumpLabel) jump.textContent = jumpLabel;
+    interact.classList.toggle('hidden', !canInteract);
+  }
+
+  dispose() {
+    this.touch.dispose();
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+  }
+}
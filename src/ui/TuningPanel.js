@@ -0,0 +1,194 @@
+/**
+ * TuningPanel - In-game debug panel for live motor / jump / camera tuning
+ *
+ * Responsibilities:
+ * - One slider per TuningPresets setting, grouped, with the live value
+ * - Pick, save and delete named presets
+ * - Export / import presets as JSON (textarea + clipboard)
+ *
+ * Toggled from main.js (T with the debug overlay on).
+ */
+
+import { DEFAULT_PRESET } from '../core/TuningPresets.js';
+
+export class TuningPanel {
+  /**
+   * @param {import('../core/TuningPresets.js').TuningPresets} presets
+   */
+  constructor(presets) {
+    this.presets = presets;
+    this.elements = {};
+    this.visible = false;
+
+    // key -> { input, value } slider elements
+    this._sliders = new Map();
+  }
+
+  /**
+   * Build the panel inside #tuningPanel
+   */
+  init() {
+    const root = document.getElementById('tuningPanel');
+    if (!root) return this;
+
+    root.innerHTML = `
+      <div class="tuning-header">
+        <strong>Tuning</strong>
+        <select data-ref="presetSelect"></select>
+      </div>
+      <div class="tuning-row">
+        <input data-ref="presetName" type="text" placeholder="Preset name" />
+        <button data-action="save">Save</button>
+        <button data-action="delete">Delete</button>
+      </div>
+      <div data-ref="groups"></div>
+      <textarea data-ref="json" rows="4" placeholder="Preset JSON"></textarea>
+      <div class="tuning-row">
+        <button data-action="export">Export</button>
+        <button data-action="import">Import</button>
+        <span data-ref="message"></span>
+      </div>
+    `;
+
+    this.elements = { root };
+    for (const element of root.querySelectorAll('[data-ref]')) {
+      this.elements[element.dataset.ref] = element;
+    }
+
+    this._buildSliders();
+    this._setupListeners();
+    this.refresh();
+    this.setVisible(false);
+    return this;
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this.elements.root?.classList.toggle('hidden', !visible);
+    if (visible) this.refresh();
+  }
+
+  toggle() {
+    this.setVisible(!this.visible);
+    return this.visible;
+  }
+
+  /**
+   * Sync sliders and the preset list with the live values
+   */
+  refresh() {
+    const { presetSelect } = this.elements;
+    if (!presetSelect) return;
+
+    presetSelect.innerHTML = '';
+    for (const name of this.presets.listPresets()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      presetSelect.appendChild(option);
+    }
+    presetSelect.value = this.presets.activePreset;
+
+    for (const [key, slider] of this._sliders) {
+      this._showValue(slider, this.presets.get(key));
+    }
+  }
+
+  _buildSliders() {
+    const groups = new Map();
+    for (const param of this.presets.params) {
+      let group = groups.get(param.group);
+      if (!group) {
+        group = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = param.group;
+        group.appendChild(legend);
+        this.elements.groups.appendChild(group);
+        groups.set(param.group, group);
+      }
+
+      const row = document.createElement('label');
+      row.className = 'tuning-slider';
+      const name = document.createElement('span');
+      name.textContent = param.label;
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = String(param.min);
+      input.max = String(param.max);
+      input.step = String(param.step);
+      const value = document.createElement('span');
+      value.className = 'tuning-value';
+      row.append(name, input, value);
+      group.appendChild(row);
+
+      const slider = { param, input, value };
+      input.addEventListener('input', () => {
+        this.presets.set(param.key, Number(input.value));
+        this._showValue(slider, this.presets.get(param.key));
+      });
+      this._sliders.set(param.key, slider);
+    }
+  }
+
+  _showValue(slider, value) {
+    slider.input.value = String(value);
+    const decimals = Math.max(0, -Math.floor(Math.log10(slider.param.step)));
+    slider.value.textContent = value.toFixed(decimals);
+  }
+
+  _setupListeners() {
+    const { root, presetSelect, presetName, json } = this.elements;
+
+    presetSelect.addEventListener('change', () => {
+      this._run(() => this.presets.loadPreset(presetSelect.value));
+    });
+
+    root.addEventListener('click', (e) => {
+      const action = e.target.dataset?.action;
+      if (!action) return;
+
+      if (action === 'save') {
+        this._run(() => {
+          this.presets.savePreset(presetName.value);
+          presetName.value = '';
+          return `Saved "${this.presets.activePreset}".`;
+        });
+      } else if (action === 'delete') {
+        const name = presetSelect.value;
+        if (name === DEFAULT_PRESET) {
+          this._setMessage(`"${DEFAULT_PRESET}" is built in.`);
+          return;
+        }
+        this._run(() => {
+          this.presets.deletePreset(name);
+          return `Deleted "${name}".`;
+        });
+      } else if (action === 'export') {
+        const text = this.presets.exportJSON(this.presets.isModified ? null : this.presets.activePreset);
+        json.value = text;
+        navigator.clipboard?.writeText(text).catch(() => {});
+        this._setMessage('Exported (copied to clipboard).');
+      } else if (action === 'import') {
+        this._run(() => `Imported "${this.presets.importJSON(json.value)}".`);
+      }
+    });
+  }
+
+  /**
+   * Run a preset action, show its result or error, and resync the panel
+   */
+  _run(action) {
+    try {
+      this._setMessage(action() ?? '');
+    } catch (error) {
+      this._setMessage(error.message.replace('[TuningPresets] ', ''));
+    }
+    this.refresh();
+  }
+
+  _setMessage(text) {
+    if (this.elements.message) {
+      this.elements.message.textContent = text;
+    }
+  }
+}
@@ -8,7 +8,6 @@
  * - Load/Remove character buttons
  * - Character list display
  * - Control/possession buttons
- * - Camera tuning sliders
  * - Status messages
  */
 
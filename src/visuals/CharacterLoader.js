@@ -158,11 +158,20 @@ export class CharacterLoader {
       group.add(headScene);
       group.updateMatrixWorld(true);
 
+      // Rigid head meshes get reparented onto body bones below, so collect them first
+      const headMeshes = new Set(collectMeshes(headScene));
+
       attachPartToBodySkeleton(headScene, bodySkeleton, bodySkinned);
       createSkinnedFaceOverlayFromHead(headScene, faceTexture, bodySkeleton, faceAnchor);
       retargetRigidAttachmentsToBodyBones(headScene, bodySkeleton);
       boostHeadEmissive(headScene, 2.3);
       tuneMaterialsForEnv(headScene);
+
+      // Head and face overlay meshes, hidden by VisualRig for first-person cameras
+      for (const mesh of [...collectMeshes(headScene), ...collectMeshes(faceAnchor)]) {
+        headMeshes.add(mesh);
+      }
+      group.userData.headMeshes = [...headMeshes];
     }
 
     const partTraits = traits.filter(
@@ -260,6 +269,15 @@ function loadTexture(textureLoader, url) {
   });
 }
 
+// Helper: All meshes under a root
+function collectMeshes(root) {
+  const meshes = [];
+  root.traverse((o) => {
+    if (o.isMesh) meshes.push(o);
+  });
+  return meshes;
+}
+
 // Helper: Find first skinned mesh
 function findFirstSkinnedMesh(root) {
   let result = null;
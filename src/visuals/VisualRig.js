@@ -6,6 +6,7 @@
  * - Smooth follow of physics position
  * - Smooth facing rotation toward velocity
  * - Can swap between different visual meshes (for character possession)
+ * - Hide the head meshes (visual.userData.headMeshes) for first-person cameras
  */
 
 import { Group, Box3 } from 'three';
@@ -34,6 +35,9 @@ export class VisualRig {
 
     // Calibrated offset from model bounds
     this.calibratedOffsetY = 0;
+
+    // Whether the visual's head meshes are shown
+    this.headVisible = true;
   }
 
   /**
@@ -61,6 +65,22 @@ export class VisualRig {
       if (options.autoAlign && options.capsuleHalfHeight !== undefined && options.capsuleRadius !== undefined) {
         this.calibrateVisualOffset(options.capsuleHalfHeight, options.capsuleRadius, options.clearance ?? 0.015);
       }
+      this._applyHeadVisibility();
+    }
+  }
+
+  /**
+   * Show or hide the head meshes the loader tagged on the visual
+   */
+  setHeadVisible(visible) {
+    if (visible === this.headVisible) return;
+    this.headVisible = visible;
+    this._applyHeadVisibility();
+  }
+
+  _applyHeadVisibility() {
+    for (const mesh of this.visual?.userData?.headMeshes ?? []) {
+      mesh.visible = this.headVisible;
     }
   }
 
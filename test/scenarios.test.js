@@ -0,0 +1,1542 @@
+/**
+ * Controller scenarios run headless against the real town and player stack.
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import { HeadlessGame } from '../src/headless/HeadlessGame.js';
+import { collectOccluders } from '../src/controllers/CameraRig.js';
+import { TuningPresets } from '../src/core/TuningPresets.js';
+import { PlayerSettings } from '../src/core/PlayerSettings.js';
+import { InputBindings } from '../src/core/InputBindings.js';
+import { InputManager } from '../src/core/InputManager.js';
+
+async function createGame(options) {
+  const game = await new HeadlessGame().init(options);
+  game.runFor(0.6); // Settle onto the ground
+  return game;
+}
+
+/**
+ * Tap jump for a single frame (PlayerController polls the held key)
+ */
+function tapJump(game) {
+  game.input.hold('jump');
+  game.step();
+  game.input.release('jump');
+}
+
+test('player settles on the ground at spawn', async () => {
+  const game = await createGame();
+
+  assert.equal(game.motor.isGrounded, true);
+  assert.ok(Math.abs(game.getFeetHeight()) < 0.05, `feet at ${game.getFeetHeight()}`);
+
+  game.dispose();
+});
+
+test('walk into the ledger and press E records kindness', async () => {
+  const game = await createGame();
+
+  const reached = game.walkTo(new Vector3(-2, 0, 4.2), { tolerance: 0.4 });
+  assert.ok(reached, 'player reached the ledger');
+  game.step();
+  assert.equal(game.hud.prompt, 'Press E — Check the Community Ledger');
+
+  game.input.press('KeyE');
+  game.step();
+  assert.equal(game.gameState.kindnessCount, 1);
+  assert.equal(game.hud.status, 'Kindness recorded.');
+
+  game.dispose();
+});
+
+test('pressing E away from interactables does nothing', async () => {
+  const game = await createGame();
+
+  game.input.press('KeyE');
+  game.step();
+  assert.equal(game.hud.prompt, null);
+  assert.equal(game.gameState.kindnessCount, 0);
+
+  game.dispose();
+});
+
+test('single jump height is within bounds', async () => {
+  const game = await createGame();
+  const base = game.getFeetHeight();
+  let peak = 0;
+
+  tapJump(game);
+  game.runUntil((g) => {
+    peak = Math.max(peak, g.getFeetHeight() - base);
+    return g.motor.isGrounded;
+  }, 3);
+
+  assert.ok(peak > 1.3 && peak < 1.8, `single jump peak ${peak.toFixed(2)}m`);
+
+  game.dispose();
+});
+
+test('double jump height is within bounds', async () => {
+  const game = await createGame();
+  const base = game.getFeetHeight();
+  let peak = 0;
+  const track = (g) => {
+    peak = Math.max(peak, g.getFeetHeight() - base);
+  };
+
+  tapJump(game);
+  game.runUntil((g) => {
+    track(g);
+    return g.motor.velocity.y <= 0;
+  }, 3);
+
+  tapJump(game);
+  game.runUntil((g) => {
+    track(g);
+    return g.motor.isGrounded;
+  }, 3);
+
+  assert.ok(peak > 2.8 && peak < 3.4, `double jump peak ${peak.toFixed(2)}m`);
+
+  game.dispose();
+});
+
+test('no third jump while airborne', async () => {
+  const game = await createGame();
+
+  tapJump(game);
+  game.runUntil((g) => g.motor.velocity.y <= 0, 3);
+  tapJump(game);
+  game.runFor(0.3);
+  assert.equal(game.playerController.airJumpsRemaining, 0);
+
+  const vyBefore = game.motor.velocity.y;
+  tapJump(game);
+  assert.ok(game.motor.velocity.y <= vyBefore, 'third jump was ignored');
+
+  game.dispose();
+});
+
+test('jump onto building roof with a double jump', async () => {
+  // South face of the 2.8m building at (7, 7)
+  const game = await createGame({ spawnPoint: new Vector3(7, 1, 11) });
+  const roofCenter = new Vector3(7, 0, 7);
+
+  game.faceTowards(roofCenter);
+  game.input.hold('forward');
+
+  tapJump(game);
+  game.runUntil((g) => g.motor.velocity.y <= 0, 3);
+  tapJump(game);
+  game.runUntil((g) => g.motor.isGrounded, 3);
+  game.runFor(0.3);
+
+  game.input.release('forward');
+  game.runFor(0.5);
+
+  const pos = game.getPosition();
+  assert.equal(game.motor.isGrounded, true);
+  assert.ok(Math.abs(game.getFeetHeight() - 2.8) < 0.1, `feet at ${game.getFeetHeight().toFixed(2)}m`);
+  assert.ok(pos.z > 5 && pos.z < 9, `standing over the roof (z = ${pos.z.toFixed(2)})`);
+
+  game.dispose();
+});
+
+test('walking into a wall does not pass through it', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(7, 1, 11) });
+
+  game.faceTowards(new Vector3(7, 0, 7));
+  game.input.hold('forward');
+  game.runFor(2);
+
+  const pos = game.getPosition();
+  assert.ok(pos.z >= 9 + game.motor.radius - 0.05, `stopped at wall (z = ${pos.z.toFixed(2)})`);
+
+  game.dispose();
+});
+
+test('the lift and the carousel carry a rider, who can still walk about on them', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(12.6, 1.5, -6) });
+  const { platformSystem } = game;
+  const lift = platformSystem.platforms.find((platform) => platform.name === 'lift');
+
+  // The lift waits at the bottom, then rises to the east roof with the player on it
+  game.runFor(0.5);
+  assert.equal(platformSystem.getCurrentPlatformName(), 'lift');
+  const startFeet = game.getFeetHeight();
+  assert.ok(game.runUntil(() => lift.position.y >= 3, 6), 'lift reached the top');
+  const risen = game.getFeetHeight() - startFeet;
+  assert.ok(Math.abs(risen - 2.95) < 0.02, `rose ${risen.toFixed(3)}m with the lift`);
+  assert.equal(platformSystem.getCurrentPlatformName(), 'lift');
+
+  // The carousel turns a rider round with it at the same radius
+  const centre = new Vector3(0, 0, -12);
+  const offset = () => game.getPosition().sub(centre).setY(0);
+  game.playerController.teleport(new Vector3(2, 1.5, -12));
+  game.runFor(0.5);
+  assert.equal(platformSystem.getCurrentPlatformName(), 'carousel');
+  const start = offset();
+  game.runFor(5);
+  const end = offset();
+  assert.ok(Math.abs(end.length() - start.length()) < 0.01, `radius ${start.length().toFixed(3)} -> ${end.length().toFixed(3)}`);
+  const turned = Math.atan2(end.x, end.z) - Math.atan2(start.x, start.z);
+  const expected = 0.6 * 5;
+  assert.ok(Math.abs(Math.atan2(Math.sin(turned - expected), Math.cos(turned - expected))) < 0.05, 'turned with it');
+
+  // Walking on it goes at walking pace
+  game.faceTowards(centre);
+  game.input.hold('forward');
+  game.runFor(0.3);
+  game.input.releaseAll();
+  assert.ok(start.length() - offset().length() > 1, `walked in to ${offset().length().toFixed(2)}m`);
+
+  game.dispose();
+});
+
+test('far props are culled and released props are reused from their pool', async () => {
+  const game = await createGame();
+  const { physicsWorld, scene } = game;
+
+  physicsWorld.createDynamicPool('pebble', (pos) => physicsWorld.createDynamicSphere(pos, 0.1, scene));
+  const near = physicsWorld.spawnFromPool('pebble', { x: 1, y: 0.5, z: 14 });
+  const far = physicsWorld.spawnFromPool('pebble', { x: 1, y: 0.5, z: -45 });
+  game.runFor(0.2);
+
+  assert.equal(near.culled, false);
+  assert.equal(near.mesh.visible, true);
+  assert.equal(far.culled, true);
+  assert.equal(far.mesh.visible, false);
+  assert.equal(far.body.isSleeping(), true);
+
+  physicsWorld.releaseDynamicBody(near);
+  assert.equal(physicsWorld.dynamicBodies.has(near), false);
+  const reused = physicsWorld.spawnFromPool('pebble', { x: -1, y: 0.5, z: 14 });
+  assert.equal(reused, near);
+  assert.equal(reused.mesh.visible, true);
+  assert.ok(Math.abs(reused.getPosition().x + 1) < 1e-6);
+
+  physicsWorld.removeDynamicBody(far);
+  assert.equal(far.mesh.parent, null);
+  assert.equal(physicsWorld.world.getRigidBody(far.body.handle), null);
+
+  // Disposing the world takes live and pooled props out of the scene
+  const spare = physicsWorld.spawnFromPool('pebble', { x: 2, y: 0.5, z: 14 });
+  physicsWorld.releaseDynamicBody(spare);
+  game.dispose();
+  assert.equal(reused.mesh.parent, null);
+  assert.equal(spare.mesh.parent, null);
+  assert.equal(reused.disposed && spare.disposed, true);
+});
+
+test('spatial queries filter by group and exclusion and report owners', async () => {
+  const game = await createGame();
+  const { physicsWorld } = game;
+  const above = { x: 0, y: 5, z: 14 };
+  const down = { x: 0, y: -1, z: 0 };
+
+  assert.equal(physicsWorld.raycast(above, down, 10).owner, game.motor);
+
+  const ground = physicsWorld.raycast(above, down, 10, { exclude: [game.motor] });
+  assert.ok(Math.abs(ground.point.y) < 1e-3 && ground.normal.y > 0.99);
+  assert.equal(physicsWorld.raycast(above, down, 10, { groups: 'DYNAMIC' }), null);
+
+  const carousel = physicsWorld.overlapSphere({ x: 0, y: 0.3, z: -12 }, 0.5, { groups: 'PLATFORM' });
+  assert.deepEqual(carousel.map((hit) => hit.owner.name), ['carousel']);
+
+  game.dispose();
+});
+
+test('walking through a town trigger reports enter, stay and exit in order', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(-30, 1, -27) });
+  const { physicsWorld, motor } = game;
+  const shotZone = [...physicsWorld.triggers.values()].find((trigger) => trigger.name === 'shot_garden_watcher');
+
+  // Down the garden path, through the watcher's zone and out the far end
+  const events = [];
+  for (const name of ['triggerEnter', 'triggerStay', 'triggerExit']) {
+    physicsWorld.events.on(name, ({ trigger, other }) => {
+      if (trigger === shotZone) events.push({ name, player: other === motor.collider });
+    });
+  }
+  assert.ok(game.walkTo(new Vector3(-5, 0, -27.5), { tolerance: 0.3 }));
+  game.input.releaseAll();
+  game.runFor(0.3);
+
+  assert.ok(events.every((event) => event.player), 'the player set it off');
+  const sequence = events.map((event) => event.name).filter((name, i, names) => name !== names[i - 1]);
+  assert.deepEqual(sequence, ['triggerEnter', 'triggerStay', 'triggerExit']);
+  assert.ok(events.length > 10, `stayed for ${events.length - 2} steps`);
+  assert.equal(shotZone.overlaps.size, 0);
+
+  // A prop removed while inside a trigger leaves it (the player comes along, props far away are culled)
+  motor.teleport(new Vector3(0, 1, 14));
+  const probe = physicsWorld.createBoxTrigger({ x: 0, y: 1, z: 20 }, { x: 1, y: 1, z: 1 }, { name: 'probe' });
+  const probeEvents = [];
+  physicsWorld.events.on('triggerEnter', ({ trigger }) => trigger === probe && probeEvents.push('enter'));
+  physicsWorld.events.on('triggerExit', ({ trigger }) => trigger === probe && probeEvents.push('exit'));
+  const crate = physicsWorld.createDynamicBox({ x: 0, y: 1, z: 20 }, { x: 0.5, y: 0.5, z: 0.5 }, game.scene);
+  game.runFor(0.1);
+  assert.deepEqual(probeEvents, ['enter']);
+  physicsWorld.removeDynamicBody(crate);
+  game.runFor(0.1);
+  assert.deepEqual(probeEvents, ['enter', 'exit']);
+  assert.equal(probe.overlaps.size, 0);
+
+  // Landing props report the impact impulse on contactBegin
+  const contacts = [];
+  physicsWorld.events.on('contactBegin', (contact) => contacts.push(contact));
+  const dropped = physicsWorld.createDynamicBox({ x: 4, y: 5, z: 20 }, { x: 0.5, y: 0.5, z: 0.5 }, game.scene);
+  game.runFor(1.5);
+  const landing = contacts.find(({ collider1, collider2 }) => [collider1, collider2].includes(dropped.collider));
+  assert.ok(landing, 'contactBegin for the dropped crate');
+  const impactMomentum = dropped.body.mass() * Math.sqrt(2 * 9.81 * 4.5);
+  assert.ok(landing.impulse > impactMomentum * 0.5, `impulse ${landing.impulse.toFixed(2)}`);
+
+  game.dispose();
+});
+
+test('surface underfoot changes top speed and stopping distance', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(-13, 1, 3.5) });
+
+  game.faceTowards(new Vector3(-13, 0, -10));
+  game.input.hold('forward');
+  game.runFor(0.4);
+  assert.equal(game.motor.surface.name, 'mud');
+  assert.ok(Math.abs(game.motor.velocity.length() - game.motor.gaits.jog.maxSpeed * 0.6) < 0.1, 'mud caps speed');
+  game.dispose();
+
+  // Grass, then the same ground turned slick at runtime
+  const stoppingDistance = async (slick) => {
+    const g = await createGame();
+    if (slick) g.physicsWorld.setColliderSurface(g.motor.getGroundCollider(), 'ice');
+    g.faceTowards(new Vector3(0, 0, 30));
+    g.input.hold('forward');
+    g.runFor(1);
+    g.input.release('forward');
+    const start = g.getPosition().clone();
+    g.runFor(1.5);
+    const distance = g.getPosition().distanceTo(start);
+    g.dispose();
+    return distance;
+  };
+
+  const grass = await stoppingDistance(false);
+  const ice = await stoppingDistance(true);
+  assert.ok(ice > grass * 3, `ice ${ice.toFixed(2)}m vs grass ${grass.toFixed(2)}m`);
+});
+
+test('sprint runs out of stamina and crouch stays down under a ceiling', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(40, 1, 20) });
+  const { motor } = game;
+
+  game.faceTowards(new Vector3(-40, 0, 20));
+  game.input.hold('forward');
+  game.input.hold('sprint');
+  game.runFor(1);
+  assert.equal(motor.getGait(), 'sprint');
+  assert.ok(Math.abs(motor.velocity.length() - motor.gaits.sprint.maxSpeed) < 0.1);
+
+  game.runFor(motor.maxStamina);
+  assert.equal(motor.isExhausted, true);
+  assert.equal(motor.getGait(), 'jog');
+  game.input.releaseAll();
+  game.runFor(0.5);
+
+  // Crouch, then put a low ceiling overhead
+  game.input.hold('crouch');
+  game.runFor(0.3);
+  const pos = game.getPosition();
+  game.physicsWorld.createStaticCuboid({ x: pos.x, y: 1.5, z: pos.z }, { x: 2, y: 0.1, z: 2 });
+  game.runFor(0.1);
+
+  game.input.release('crouch');
+  game.runFor(0.5);
+  assert.equal(motor.isCrouching, true);
+  assert.ok(Math.abs(game.getFeetHeight()) < 0.05, `feet at ${game.getFeetHeight()}`);
+
+  // Out from under it, the motor stands back up
+  game.input.hold('forward');
+  game.runFor(2);
+  assert.equal(motor.isCrouching, false);
+  assert.equal(motor.halfHeight, motor.standHalfHeight);
+
+  game.dispose();
+});
+
+/**
+ * Run toward -z from an open corner of the town and tap jump after a run-up
+ */
+async function runAndJumpAt(obstacleCenter, halfExtents, runUp) {
+  const game = await new HeadlessGame().init({ spawnPoint: new Vector3(35, 1, 30) });
+  game.physicsWorld.createStaticCuboid(obstacleCenter, halfExtents);
+  game.runFor(0.6);
+
+  game.faceTowards(new Vector3(35, 0, 0));
+  game.input.hold('forward');
+  game.runFor(runUp);
+  tapJump(game);
+  return game;
+}
+
+test('jumping at a waist-high fence vaults over it', async () => {
+  const game = await runAndJumpAt({ x: 35, y: 0.5, z: 27 }, { x: 3, y: 0.5, z: 0.15 }, 0.35);
+
+  assert.equal(game.motor.getTraversalState(), 'vault');
+  game.runUntil((g) => g.motor.getTraversalState() === 'none', 2);
+  game.runFor(0.3);
+
+  assert.ok(game.getPosition().z < 26.5, `landed past the fence (z = ${game.getPosition().z.toFixed(2)})`);
+  assert.ok(Math.abs(game.getFeetHeight()) < 0.05);
+
+  game.dispose();
+});
+
+test('jumping at a tall wall grabs the ledge and pulls up onto it', async () => {
+  const game = await runAndJumpAt({ x: 35, y: 1.25, z: 25 }, { x: 3, y: 1.25, z: 2 }, 0.3);
+
+  assert.ok(game.runUntil((g) => g.motor.getTraversalState() === 'hang', 2), 'grabbed the ledge');
+  assert.ok(game.runUntil((g) => g.motor.getTraversalState() === 'mantle', 1), 'pulled up while pushing in');
+  game.input.release('forward');
+  game.runUntil((g) => g.motor.getTraversalState() === 'none', 2);
+  game.runFor(0.3);
+
+  assert.equal(game.motor.isGrounded, true);
+  assert.ok(Math.abs(game.getFeetHeight() - 2.5) < 0.05, `feet at ${game.getFeetHeight().toFixed(2)}m`);
+
+  game.dispose();
+});
+
+test('climbing the hall ladder mounts, tops out onto the roof and climbs back down', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(-3.5, 1, -4) });
+
+  game.faceTowards(new Vector3(-10, 0, -4));
+  game.input.hold('forward');
+  assert.ok(game.runUntil((g) => g.motor.getTraversalState() === 'climb', 2), 'mounted the ladder');
+  assert.ok(game.runUntil((g) => g.motor.getTraversalState() === 'mantle', 3), 'climbed over the top');
+  game.input.release('forward');
+  game.runUntil((g) => g.motor.getTraversalState() === 'none', 2);
+  game.runFor(0.3);
+  assert.ok(Math.abs(game.getFeetHeight() - 4) < 0.05, `on the roof, feet at ${game.getFeetHeight().toFixed(2)}m`);
+
+  // Walk back off the top onto the ladder and down to the ground
+  game.faceTowards(new Vector3(0, 0, -4));
+  game.input.hold('forward');
+  assert.ok(game.runUntil((g) => g.motor.getTraversalState() === 'climb', 2), 'mounted from the top');
+  assert.ok(game.runUntil((g) => g.motor.getTraversalState() === 'none', 4), 'stepped off at the bottom');
+  game.input.release('forward');
+  game.runFor(0.3);
+  assert.equal(game.motor.isGrounded, true);
+  assert.ok(Math.abs(game.getFeetHeight()) < 0.05);
+
+  game.dispose();
+});
+
+test('jumping off the ivy wall leaps away from it', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(-6, 1, 12) });
+
+  game.faceTowards(new Vector3(-6, 0, 0));
+  game.input.hold('forward');
+  game.runFor(1.2);
+  game.input.release('forward');
+  assert.equal(game.motor.getTraversalState(), 'climb');
+  assert.ok(game.getFeetHeight() > 1, 'climbed up the ivy');
+
+  // Trellises allow shuffling sideways along the wall
+  const before = game.getPosition().x;
+  game.input.hold('right');
+  game.runFor(0.5);
+  game.input.release('right');
+  assert.ok(Math.abs(game.getPosition().x - before) > 0.5, 'moved across the trellis');
+
+  tapJump(game);
+  assert.equal(game.motor.getTraversalState(), 'none');
+  assert.ok(game.motor.getVelocity().z > 2, 'leapt away from the wall');
+  game.runUntil((g) => g.motor.isGrounded, 2);
+  assert.equal(game.motor.getTraversalState(), 'none', 'did not re-grab');
+
+  game.dispose();
+});
+
+test('deep water switches to swimming, dives, floats back up and climbs out over the rim', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(-28, 1, 37) });
+  const pondSurface = game.waterSystem.getWaterLevel({ x: -28, y: 0, z: 24 });
+  assert.equal(pondSurface, 2.5);
+
+  // Up the ramp and over the rim into the pond
+  game.faceTowards(new Vector3(-28, 0, 20));
+  game.input.hold('forward');
+  assert.ok(game.runUntil((g) => g.motor.getTraversalState() === 'swim', 4), 'started swimming');
+  game.input.release('forward');
+  game.runFor(2);
+  assert.equal(game.motor.getGait(), 'swim');
+  const floatY = game.getPosition().y;
+  assert.ok(Math.abs(floatY - (pondSurface - 0.3)) < 0.1, `floating at ${floatY.toFixed(2)}`);
+  assert.equal(game.motor.swimming.isSubmerged, false);
+
+  game.input.hold('crouch');
+  game.runFor(1);
+  game.input.release('crouch');
+  assert.equal(game.motor.swimming.isSubmerged, true, 'dived under');
+  game.runFor(2.5);
+  assert.equal(game.motor.swimming.isSubmerged, false, 'floated back up');
+
+  game.faceTowards(new Vector3(-28, 0, 10));
+  game.input.hold('forward');
+  assert.ok(game.runUntil((g) => g.motor.getTraversalState() === 'mantle', 4), 'climbed out');
+  game.input.release('forward');
+  game.runUntil((g) => g.motor.getTraversalState() === 'none', 2);
+  game.runFor(0.3);
+  assert.ok(Math.abs(game.getFeetHeight() - 2.6) < 0.05, `on the rim, feet at ${game.getFeetHeight().toFixed(2)}m`);
+
+  game.dispose();
+});
+
+test('props float in water unless they have no buoyancy', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(-28, 1, 37) });
+  const { physicsWorld, scene } = game;
+
+  const crate = physicsWorld.createDynamicBox({ x: -29, y: 4, z: 25 }, { x: 0.6, y: 0.6, z: 0.6 }, scene);
+  const stone = physicsWorld.createDynamicSphere({ x: -26, y: 4, z: 25 }, 0.2, scene, { buoyancy: 0 });
+  game.runFor(6);
+
+  const crateY = crate.getPosition().y;
+  assert.ok(Math.abs(crateY - 2.5) < 0.15, `crate floats at the surface (y = ${crateY.toFixed(2)})`);
+  assert.ok(crate.getVelocity().length() < 0.3, 'drag settles the crate');
+  assert.ok(stone.getPosition().y < 0.3, 'stone sinks to the bottom');
+
+  game.dispose();
+});
+
+test('the knoll path is walkable but its scree face slides the player down', async () => {
+  // South face (30°): standing still holds, walking up reaches the ridge
+  const path = await createGame({ spawnPoint: new Vector3(25, 2.8, -17.4) });
+  const start = path.getPosition().clone();
+  path.runFor(1);
+  assert.equal(path.motor.isSliding, false);
+  assert.ok(Math.abs(path.motor.getSlopeAngle() - 30) < 2, `slope ${path.motor.getSlopeAngle()?.toFixed(1)}°`);
+  assert.ok(path.getPosition().distanceTo(start) < 0.05, 'stands still on a walkable slope');
+
+  path.faceTowards(new Vector3(25, 0, -30));
+  path.input.hold('forward');
+  assert.ok(path.runUntil((g) => g.getFeetHeight() > 2.9, 3), 'walked up to the ridge');
+  path.dispose();
+
+  // North face (55°): too steep to stand on
+  const scree = await new HeadlessGame().init({ spawnPoint: new Vector3(25, 2.9, -21) });
+  const slides = [];
+  scree.motor.events.on('slideStart', (slide) => slides.push(slide));
+  let fastest = 0;
+  scree.runUntil((g) => {
+    if (g.motor.isSliding) fastest = Math.max(fastest, g.motor.velocity.length());
+    return !g.motor.isSliding && g.getFeetHeight() < 0.05;
+  }, 3);
+
+  assert.ok(slides.length > 0, 'slideStart reported');
+  assert.ok(scree.getFeetHeight() < 0.05, 'slid down to the foot of the scree');
+  assert.ok(fastest > 4, `slide picked up speed (${fastest.toFixed(2)} m/s)`);
+
+  // Running back at it never gets far up
+  scree.runFor(1);
+  scree.faceTowards(new Vector3(25, 0, -10));
+  scree.input.hold('forward');
+  let highest = 0;
+  scree.runUntil((g) => {
+    highest = Math.max(highest, g.getFeetHeight());
+    return false;
+  }, 2);
+  assert.ok(highest < 0.5, `climbed the scree to ${highest.toFixed(2)}m`);
+
+  scree.dispose();
+});
+
+test('landings report fall height and impact speed, and hard ones slow the player', async () => {
+  // Hop on flat ground: soft
+  const game = await createGame();
+  const landings = [];
+  game.motor.events.on('land', (landing) => landings.push(landing));
+  tapJump(game);
+  game.runUntil(() => landings.length > 0, 3);
+
+  assert.equal(landings[0].hard, false);
+  assert.ok(Math.abs(landings[0].fallHeight - 1.6) < 0.3, `hop fell ${landings[0].fallHeight.toFixed(2)}m`);
+  game.dispose();
+
+  // Walk off a 5 m tower: hard
+  const tower = await new HeadlessGame().init({ spawnPoint: new Vector3(35, 6, 21) });
+  const { motor } = tower;
+  tower.physicsWorld.createStaticCuboid({ x: 35, y: 2.5, z: 21 }, { x: 1, y: 2.5, z: 1 });
+  tower.runFor(0.6);
+  const drops = [];
+  motor.events.on('land', (landing) => drops.push(landing));
+  tower.faceTowards(new Vector3(35, 0, 30));
+  tower.input.hold('forward');
+  tower.runUntil(() => drops.length > 0, 3);
+
+  const [drop] = drops;
+  assert.equal(drop.hard, true);
+  assert.ok(Math.abs(drop.fallHeight - 5) < 0.3, `fell ${drop.fallHeight.toFixed(2)}m`);
+  assert.ok(drop.impactSpeed > motor.hardLandingSpeed, `impact ${drop.impactSpeed.toFixed(2)} m/s`);
+  assert.equal(drop.surface, 'grass');
+  assert.equal(motor.landingState, 'hard');
+
+  tower.runFor(0.2);
+  const recoverySpeed = Math.hypot(motor.velocity.x, motor.velocity.z);
+  assert.ok(recoverySpeed < motor.gaits.jog.maxSpeed * 0.5, `slowed to ${recoverySpeed.toFixed(2)} m/s`);
+  tower.runFor(0.5);
+  assert.equal(motor.landingState, 'none');
+
+  tower.dispose();
+});
+
+test('jump height follows the physics world gravity', async () => {
+  const game = await createGame();
+  game.physicsWorld.setGravity({ y: -10 });
+  const base = game.getFeetHeight();
+  let peak = 0;
+
+  tapJump(game);
+  game.runUntil((g) => {
+    peak = Math.max(peak, g.getFeetHeight() - base);
+    return g.motor.isGrounded;
+  }, 5);
+
+  // Half the gravity, twice the height of a normal (~1.6m) jump
+  assert.ok(peak > 2.8 && peak < 3.5, `low-gravity jump peak ${peak.toFixed(2)}m`);
+
+  game.dispose();
+});
+
+test('impulses and knockbacks push the player on top of input, then decay', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const { motor } = game;
+
+  // A sideways shove while walking keeps the walk going and drifts to the side
+  game.faceTowards(new Vector3(35, 0, 0));
+  game.input.hold('forward');
+  game.runFor(0.5);
+  const start = game.getPosition().clone();
+  motor.applyImpulse({ x: motor.mass * 4, y: 0, z: 0 });
+  game.runFor(1);
+  const moved = game.getPosition().clone().sub(start);
+  assert.ok(moved.x > 0.4, `drifted ${moved.x.toFixed(2)}m sideways`);
+  assert.ok(moved.z < -5, `kept walking (${moved.z.toFixed(2)}m)`);
+  assert.ok(motor.getPushState().speed < 0.05, 'push decayed');
+
+  // A knockback throws the player up and back and ignores input for a moment
+  const before = game.getPosition().clone();
+  motor.knockback({ x: 0, y: 4, z: 6 }, { lockTime: 0.4 });
+  assert.equal(motor.isControlLocked(), true);
+  game.runFor(0.3);
+  assert.equal(motor.isGrounded, false, 'knocked off the ground');
+  assert.ok(game.getPosition().z > before.z + 0.5, 'knocked back against the input');
+  game.runFor(0.2);
+  assert.equal(motor.isControlLocked(), false);
+  game.runFor(1);
+  assert.ok(game.getPosition().z < before.z, 'walking again after the lock');
+
+  game.dispose();
+});
+
+test('carry velocities and forces push while set and stop when cleared', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const { motor } = game;
+
+  let start = game.getPosition().clone();
+  motor.setCarryVelocity('belt', { x: 2, y: 0, z: 0 });
+  game.runFor(1);
+  assert.ok(Math.abs(game.getPosition().x - start.x - 2) < 0.1, 'carried 2m in a second');
+  motor.clearCarryVelocity('belt');
+  start = game.getPosition().clone();
+  game.runFor(0.5);
+  assert.ok(game.getPosition().distanceTo(start) < 0.01, 'stops with the belt');
+
+  // Wind drifts a standing player slowly and a jumping one further
+  motor.setForce('wind', { x: 0, y: 0, z: motor.mass * 6 });
+  start = game.getPosition().clone();
+  game.runFor(1);
+  const groundDrift = game.getPosition().z - start.z;
+  assert.ok(groundDrift > 0.3, `drifted ${groundDrift.toFixed(2)}m on the ground`);
+
+  start = game.getPosition().clone();
+  tapJump(game);
+  game.runUntil((g) => g.motor.isGrounded, 3);
+  const airDrift = game.getPosition().z - start.z;
+  assert.ok(airDrift > groundDrift * 0.75, `drifted ${airDrift.toFixed(2)}m during a jump`);
+
+  motor.clearForce('wind');
+  game.runFor(1);
+  start = game.getPosition().clone();
+  game.runFor(0.5);
+  assert.ok(game.getPosition().distanceTo(start) < 0.01, 'settles once the wind stops');
+
+  game.dispose();
+});
+
+test('garden hedges shove strays back onto the path', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(-23, 1, -27) });
+  const { motor, cameraRig } = game;
+
+  // Stray toward the north hedge from the west end; the watcher's shot cuts in on the way,
+  // and held movement keeps its direction through the cut
+  game.faceTowards(new Vector3(-5, 0, -29.5));
+  game.input.hold('forward');
+  let farthest = 0;
+  let shoved = false;
+  let cutBeforeShove = false;
+  game.runUntil((g) => {
+    farthest = Math.min(farthest, g.getPosition().z + 27);
+    if (!shoved && motor.isControlLocked()) {
+      shoved = true;
+      cutBeforeShove = cameraRig.getMode() === 'fixed';
+    }
+    return false;
+  }, 3);
+
+  assert.ok(shoved, 'the hedge knocked the player back');
+  assert.ok(cutBeforeShove, 'the watcher shot was active when the hedge shoved');
+  assert.ok(farthest > -2.2, `got ${(-farthest).toFixed(2)}m off the path`);
+  assert.ok(game.getPosition().x > -18, 'kept heading east along the path');
+
+  game.dispose();
+});
+
+test('rewinding into the knoll wind restores the push', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(25, 2.8, -17.4) });
+  const { physicsWorld, forceZoneSystem, motor } = game;
+  const wind = forceZoneSystem.getZoneByName('knoll_wind');
+
+  const outside = physicsWorld.takeSnapshot();
+  game.faceTowards(new Vector3(25, 0, -30));
+  game.input.hold('forward');
+  assert.ok(game.runUntil(() => wind.inside, 3), 'walked up into the wind');
+  game.input.release('forward');
+  const inside = physicsWorld.takeSnapshot();
+
+  // Back down the path, out of the wind
+  game.faceTowards(new Vector3(25, 0, -10));
+  game.input.hold('forward');
+  assert.ok(game.runUntil(() => !wind.inside, 3), 'walked out of the wind');
+  game.input.release('forward');
+  assert.equal(motor.getPushState().forces, 0);
+
+  assert.ok(physicsWorld.restoreSnapshot(inside));
+  assert.equal(wind.inside, true, 'zone occupancy rewound');
+  assert.equal(motor.getPushState().forces, 1);
+  const start = game.getPosition().clone();
+  game.runFor(0.5);
+  assert.equal(wind.inside, true);
+  assert.ok(game.getPosition().x > start.x + 0.1, 'the wind pushes again');
+
+  assert.ok(physicsWorld.restoreSnapshot(outside));
+  assert.equal(wind.inside, false);
+  assert.equal(motor.getPushState().forces, 0);
+
+  game.dispose();
+});
+
+test('walking off the edge of the world fades back onto the last safe ground', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(45, 2, 35) });
+  const respawns = [];
+  game.respawnSystem.onRespawn = (event) => respawns.push(event);
+
+  game.faceTowards(new Vector3(60, 0, 35));
+  game.input.hold('forward');
+  const respawned = game.runUntil(() => respawns.length > 0, 10);
+  game.input.releaseAll();
+
+  assert.ok(respawned, 'respawned after falling');
+  assert.equal(respawns[0].reason, 'outOfBounds');
+  assert.equal(game.hud.fade, 1, 'screen black at the teleport');
+  const { x } = respawns[0].position;
+  assert.ok(x > 48 && x <= 50 - game.motor.radius + 0.01, `safe spot at x = ${x.toFixed(2)}`);
+
+  game.runFor(1);
+  assert.equal(game.hud.fade, 0, 'faded back in');
+  assert.equal(game.respawnSystem.isRespawning(), false);
+  assert.equal(game.motor.isGrounded, true, 'standing on the edge');
+  assert.ok(game.getPosition().distanceTo(respawns[0].position) < 0.1, 'stayed put');
+
+  game.dispose();
+});
+
+test('the north mist puts the player back at the last checkpoint', async () => {
+  const game = await createGame();
+  const { respawnSystem } = game;
+  assert.equal(respawnSystem.activeCheckpoint.name, 'town_square');
+
+  // Walking through the knoll checkpoint makes it the active one
+  game.playerController.teleport(new Vector3(25, 2, -12));
+  game.runFor(0.5);
+  assert.equal(respawnSystem.activeCheckpoint.name, 'knoll');
+
+  game.playerController.teleport(new Vector3(0, 2, -40));
+  game.runFor(0.5);
+  const respawns = [];
+  respawnSystem.onRespawn = (event) => respawns.push(event);
+  game.faceTowards(new Vector3(0, 0, -60));
+  game.input.hold('forward');
+  game.runUntil(() => respawns.length > 0, 10);
+  game.input.releaseAll();
+
+  assert.equal(respawns[0]?.reason, 'killZone');
+  assert.equal(respawns[0].checkpoint, 'knoll');
+  assert.equal(game.hud.status, 'The town put you back.');
+  game.runFor(1);
+  assert.ok(game.getPosition().distanceTo(new Vector3(25, 0.9, -12)) < 0.2, 'standing at the knoll');
+
+  game.dispose();
+});
+
+test('gameplay can send the player to a named checkpoint', async () => {
+  const game = await createGame();
+  const { respawnSystem } = game;
+
+  assert.throws(() => respawnSystem.respawn({ to: 'checkpoint', checkpoint: 'moon' }), /Unknown checkpoint/);
+  assert.equal(respawnSystem.respawn({ reason: 'anomaly', to: 'checkpoint', checkpoint: 'mill_pond' }), true);
+  assert.equal(respawnSystem.respawn(), false, 'one respawn at a time');
+
+  // Input is ignored until the fade is over
+  const pond = new Vector3(-28, 0, 37);
+  const distanceToPond = () => game.getPosition().setY(0).distanceTo(pond);
+  game.input.hold('forward');
+  game.runFor(0.7);
+  assert.ok(distanceToPond() < 0.05, 'at the mill pond');
+  assert.equal(respawnSystem.isRespawning(), true);
+  game.runFor(1);
+  game.input.releaseAll();
+  assert.ok(distanceToPond() > 1, 'walking again afterwards');
+
+  game.dispose();
+});
+
+test('a teleport renders at the new spot at once, without a frame lerping from the old one', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const { physicsWorld, motor } = game;
+  const target = new Vector3(0, 2, 14);
+
+  // Mid-stride and half a fixed step into the accumulator, so a stale lerp would show
+  game.input.hold('forward');
+  game.runFor(0.5);
+  physicsWorld.step(physicsWorld.fixedDt * 0.5);
+  assert.ok(Math.abs(physicsWorld.getInterpolationAlpha() - 0.5) < 0.01);
+
+  // From the frame update (interactions, debug keys)
+  game.playerController.teleport(target);
+  assert.ok(motor.getInterpolatedPosition().distanceTo(target) < 1e-6, 'snapped before the next step');
+  for (let i = 0; i < 10; i++) {
+    game.step();
+    const drift = motor.getInterpolatedPosition().distanceTo(motor.getPosition());
+    assert.ok(drift < 0.2, `frame ${i} rendered ${drift.toFixed(2)}m from the body`);
+  }
+
+  // From inside a fixed step (respawns, triggers)
+  const back = new Vector3(35, 2, 25);
+  physicsWorld.step(physicsWorld.fixedDt * 0.5);
+  const onFixedStep = physicsWorld.onFixedStep;
+  physicsWorld.onFixedStep = (fixedDt) => {
+    physicsWorld.onFixedStep = onFixedStep;
+    motor.teleport(back);
+    onFixedStep(fixedDt);
+  };
+  game.step();
+  assert.ok(motor.getInterpolatedPosition().distanceTo(back) < 0.2, 'no lerp from the old spot');
+  game.input.releaseAll();
+
+  game.dispose();
+});
+
+test('tuning presets change the live player and persist by name', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const saved = new Map();
+  const storage = {
+    getItem: (key) => saved.get(key) ?? null,
+    setItem: (key, value) => saved.set(key, value),
+  };
+  const targets = { motor: game.motor, player: game.playerController, camera: game.cameraRig };
+  const tuning = new TuningPresets(targets, { storage }).init();
+  assert.equal(tuning.getLabel(), 'Default');
+
+  const jumpPeak = () => {
+    const startY = game.getFeetHeight();
+    let peak = startY;
+    tapJump(game);
+    game.runUntil((g) => {
+      peak = Math.max(peak, g.getFeetHeight());
+      return g.motor.isGrounded && g.motor.velocity.y <= 0;
+    }, 3);
+    game.runFor(0.3);
+    return peak - startY;
+  };
+  const defaultPeak = jumpPeak();
+
+  tuning.set('player.jumpStrength', 11);
+  tuning.set('camera.distance', 99);
+  assert.equal(tuning.get('camera.distance'), 15, 'clamped to the slider range');
+  assert.equal(tuning.getLabel(), 'Default*');
+  tuning.savePreset('Floaty');
+  assert.ok(jumpPeak() > defaultPeak + 0.8, 'stronger jump goes higher');
+
+  // A fresh session restores the saved preset
+  tuning.loadPreset('Default');
+  assert.equal(game.playerController.jumpStrength, 8);
+  tuning.loadPreset('Floaty');
+  game.playerController.jumpStrength = 8;
+  const restored = new TuningPresets(targets, { storage }).init();
+  assert.equal(restored.getLabel(), 'Floaty');
+  assert.equal(game.playerController.jumpStrength, 11);
+
+  // Export / import round trip, ignoring settings it doesn't know
+  const json = JSON.parse(restored.exportJSON('Floaty'));
+  json.values['motor.friction'] = 3;
+  json.values['motor.unknownThing'] = 1;
+  assert.equal(restored.importJSON(JSON.stringify(json), 'Slippery'), 'Slippery');
+  assert.equal(game.motor.friction, 3);
+  assert.deepEqual(restored.listPresets(), ['Default', 'Floaty', 'Slippery']);
+  assert.throws(() => restored.importJSON('{nope'), /Invalid preset JSON/);
+  assert.throws(() => restored.savePreset('Default'), /built in/);
+
+  game.dispose();
+});
+
+test('first person looks out from the eyes and moves where it looks', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const { cameraRig, camera } = game;
+
+  cameraRig.setBaseMode('firstPerson');
+  game.runFor(0.8); // Blend in
+  assert.equal(cameraRig.getMode(), 'firstPerson');
+  assert.equal(game.visualRig.headVisible, false, 'head hidden');
+  const pos = game.getPosition();
+  assert.ok(Math.abs(camera.position.y - (pos.y + cameraRig.eyeHeight)) < 0.05, 'camera at eye height');
+  assert.ok(Math.hypot(camera.position.x - pos.x, camera.position.z - pos.z) < 0.3, 'camera inside the head');
+
+  const start = game.getPosition();
+  game.faceTowards(new Vector3(45, 0, 25));
+  game.input.hold('forward');
+  game.runFor(0.8);
+  game.input.releaseAll();
+  const moved = game.getPosition().sub(start);
+  assert.ok(moved.x > 2 && Math.abs(moved.z) < 0.3, `moved (${moved.x.toFixed(2)}, ${moved.z.toFixed(2)})`);
+
+  cameraRig.setBaseMode('orbit');
+  game.runFor(0.1);
+  assert.equal(game.visualRig.headVisible, true);
+
+  game.dispose();
+});
+
+test('a fixed shot cuts in without turning held movement, then steers by its framing', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(-23, 1, -27) });
+  const { cameraRig, camera } = game;
+  const shot = game.cameraShotSystem.getShot('garden_watcher');
+
+  // Walk east down the garden path into the watcher's zone
+  game.faceTowards(new Vector3(-10, 0, -27));
+  game.input.hold('forward');
+  assert.ok(game.runUntil(() => cameraRig.getMode() === 'fixed', 3), 'shot triggered');
+  assert.equal(game.cameraShotSystem.getActiveShot(), shot);
+  assert.ok(camera.position.distanceTo(shot.options.position) < 0.01, 'hard cut to the shot');
+
+  const before = game.getPosition();
+  game.runFor(0.4);
+  const held = game.getPosition().sub(before);
+  assert.ok(held.x > 1 && Math.abs(held.z) < 0.2, `kept walking east (${held.x.toFixed(2)}, ${held.z.toFixed(2)})`);
+
+  // Once released, forward means "away from the camera"
+  game.input.release('forward');
+  game.runFor(0.4);
+  const start = game.getPosition();
+  const yaw = cameraRig.getYaw();
+  game.input.hold('forward');
+  game.runFor(0.2);
+  game.input.releaseAll();
+  const moved = game.getPosition().sub(start).setY(0).normalize();
+  assert.ok(moved.dot(new Vector3(Math.sin(yaw), 0, Math.cos(yaw))) > 0.9, 'moved along the shot view');
+
+  // Leaving the zone hands the camera back
+  game.playerController.teleport(new Vector3(0, 2, 14));
+  game.runFor(0.2);
+  assert.equal(cameraRig.getMode(), 'orbit');
+  assert.equal(game.cameraShotSystem.getActiveShot(), null);
+
+  game.dispose();
+});
+
+test('the free-fly camera moves on its own and leaves the player standing', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const { cameraRig, camera } = game;
+
+  const entry = cameraRig.pushMode('freeFly', { blendTime: 0 });
+  game.step();
+  const cameraStart = camera.position.clone();
+  const playerStart = game.getPosition();
+
+  game.input.hold('forward');
+  game.input.hold('jump');
+  game.runFor(1);
+  game.input.releaseAll();
+
+  const flown = camera.position.distanceTo(cameraStart);
+  assert.ok(flown > cameraRig.freeFlySpeed * 0.8, `camera flew ${flown.toFixed(2)}m`);
+  assert.ok(camera.position.y > cameraStart.y + 1, 'space flies up');
+  assert.ok(game.getPosition().distanceTo(playerStart) < 0.05, 'player stayed put');
+  assert.equal(game.motor.isGrounded, true, 'player did not jump');
+
+  cameraRig.removeMode(entry);
+  game.runFor(0.8);
+  assert.equal(cameraRig.getMode(), 'orbit');
+
+  game.dispose();
+});
+
+test('pitch tilts the view the same way in orbit, first person and free-fly', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const { cameraRig, camera } = game;
+  const viewY = () => camera.getWorldDirection(new Vector3()).y;
+  const settle = () => game.runFor(0.8);
+
+  cameraRig.pitch = 0.3;
+  settle();
+  const orbit = viewY();
+  assert.ok(orbit > 0.1, `orbit looks up (${orbit.toFixed(2)})`);
+
+  cameraRig.setBaseMode('firstPerson');
+  settle();
+  const firstPerson = viewY();
+  assert.ok(firstPerson > 0.1, `first person looks up too (${firstPerson.toFixed(2)})`);
+  cameraRig.applyInput(0, 0.2);
+  settle();
+  assert.ok(viewY() > firstPerson + 0.1, 'the same mouse motion raises the view');
+
+  // Free-fly starts from the current view and turns the same way
+  const entry = cameraRig.pushMode('freeFly', { blendTime: 0 });
+  game.step();
+  const freeFly = viewY();
+  assert.ok(freeFly > 0.1, `free-fly keeps the view (${freeFly.toFixed(2)})`);
+  cameraRig.applyInput(0, 0.2);
+  game.step();
+  assert.ok(viewY() > freeFly + 0.1);
+
+  cameraRig.removeMode(entry);
+  cameraRig.setBaseMode('orbit');
+  settle();
+  assert.ok(viewY() > 0.1, 'back in orbit, still looking up');
+
+  game.dispose();
+});
+
+test('camera collision sweeps physics colliders and ignores the player and loose props', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const { cameraRig, camera, physicsWorld } = game;
+  cameraRig.yaw = 0; // Camera behind the player, towards -Z
+  const cameraDistance = () => {
+    const pos = game.getPosition();
+    return camera.position.distanceTo(pos.setY(pos.y + cameraRig.pivotHeight));
+  };
+  game.runFor(1);
+  assert.ok(cameraDistance() > cameraRig.distance - 0.3, `full distance (${cameraDistance().toFixed(2)})`);
+
+  // A big crate in the way is a prop: it doesn't push the camera in
+  physicsWorld.createDynamicBox({ x: 35, y: 1, z: 21.5 }, { x: 2, y: 2, z: 2 }, game.scene);
+  game.runFor(1);
+  assert.ok(cameraDistance() > cameraRig.distance - 0.3, `crate ignored (${cameraDistance().toFixed(2)})`);
+
+  // An invisible collider (no mesh) does
+  const meshCount = game.scene.children.length;
+  physicsWorld.createStaticCuboid({ x: 35, y: 2, z: 22.5 }, { x: 3, y: 2, z: 0.1 });
+  assert.equal(game.scene.children.length, meshCount);
+  game.runFor(1);
+  assert.ok(cameraDistance() < 2.6, `pulled in to ${cameraDistance().toFixed(2)}`);
+  assert.ok(camera.position.z > 22.6 + camera.near, 'stays in front of the wall, near plane included');
+
+  game.dispose();
+});
+
+test('a cottage between the camera and the player fades out and back, unless opted out', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(7, 1, 3) });
+  const { cameraRig } = game;
+  const cottage = game.scene.getObjectByName('building_2');
+  const sharedMaterial = cottage.material;
+
+  // A shot from behind the cottage
+  const shot = cameraRig.pushMode('fixed', { position: new Vector3(7, 2, 12), blendTime: 0 });
+  game.runFor(0.8);
+  assert.equal(cameraRig.isOccluderFaded(cottage), true);
+  assert.ok(Math.abs(cottage.material.opacity - cameraRig.occluderOpacity) < 0.02, 'faded');
+  assert.equal(sharedMaterial.opacity, 1, 'shared material untouched');
+
+  cameraRig.removeMode(shot);
+  game.runFor(1.2);
+  assert.equal(cameraRig.isOccluderFaded(cottage), false);
+  assert.equal(cottage.material, sharedMaterial, 'original material restored');
+
+  cottage.userData.fadeOccluder = false;
+  cameraRig.pushMode('fixed', { position: new Vector3(7, 2, 12), blendTime: 0 });
+  game.runFor(0.8);
+  assert.equal(cameraRig.isOccluderFaded(cottage), false, 'opted out');
+
+  // Hidden meshes (collider proxies and the like) are never collected
+  cottage.userData.fadeOccluder = true;
+  assert.ok(collectOccluders(game.scene).includes(cottage));
+  cottage.visible = false;
+  assert.ok(!collectOccluders(game.scene).includes(cottage));
+
+  game.dispose();
+});
+
+test('scroll zoom stays within the distance limits and can be switched off', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const { cameraRig } = game;
+  const start = cameraRig.distance;
+
+  game.input.zoom(0.2);
+  game.step();
+  assert.ok(cameraRig.distance > start * 1.2, 'zoomed out');
+  game.input.zoom(-20);
+  game.step();
+  assert.equal(cameraRig.distance, cameraRig.minDistance);
+  game.input.zoom(20);
+  game.step();
+  assert.equal(cameraRig.distance, cameraRig.maxDistance);
+
+  cameraRig.zoomEnabled = false;
+  game.input.zoom(-1);
+  game.step();
+  assert.equal(cameraRig.distance, cameraRig.maxDistance, 'zoom off');
+
+  game.dispose();
+});
+
+test('auto-recentre swings the camera behind an idle player when enabled', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const { cameraRig } = game;
+  const facing = game.visualRig.getFacing();
+  const offBy = () => Math.abs(Math.atan2(Math.sin(cameraRig.yaw - facing), Math.cos(cameraRig.yaw - facing)));
+
+  cameraRig.yaw = facing + 1.5;
+  game.runFor(cameraRig.autoRecenterDelay + 1);
+  assert.ok(offBy() > 1.4, 'off by default');
+
+  cameraRig.autoRecenterEnabled = true;
+  game.runFor(cameraRig.autoRecenterDelay + 2);
+  assert.ok(offBy() < 0.1, `recentred (off by ${offBy().toFixed(2)})`);
+
+  // Looking around restarts the wait
+  game.input.moveMouse(1, 0);
+  game.runFor(1);
+  assert.ok(offBy() > 0.9, 'mouse look wins');
+
+  game.dispose();
+});
+
+test('reading the ledger softly frames it until the conversation ends or the player walks away', async () => {
+  const game = await createGame();
+  const { cameraRig } = game;
+  const ledger = game.interactableSystem.interactables.find((item) => item.id === 'ledger');
+
+  // Standing in range isn't a conversation yet
+  assert.ok(game.walkTo(new Vector3(-2, 0, 4.2), { tolerance: 0.4 }));
+  game.runFor(0.5);
+  assert.equal(game.interactableSystem.activeInteractable, ledger);
+  assert.equal(cameraRig.lockOnTarget, null, 'no lock-on from proximity');
+
+  game.input.press('KeyE');
+  game.step();
+  assert.equal(game.interactableSystem.conversation, ledger);
+  assert.ok(cameraRig.lockOnTarget.distanceTo(ledger.position) < 0.001);
+
+  // Look away; the camera drifts back to frame the ledger
+  cameraRig.yaw += 2;
+  game.runFor(cameraRig.lockOnResumeDelay + 2);
+  const pos = game.getPosition();
+  const toLedger = Math.atan2(ledger.position.x - pos.x, ledger.position.z - pos.z);
+  const offBy = Math.abs(Math.atan2(Math.sin(cameraRig.yaw - toLedger), Math.cos(cameraRig.yaw - toLedger)));
+  assert.ok(offBy < 0.1, `framed the ledger (off by ${offBy.toFixed(2)})`);
+
+  // Closing the dialogue releases it...
+  game.interactableSystem.endConversation();
+  assert.equal(cameraRig.lockOnTarget, null, 'released when the conversation ends');
+  game.input.press('KeyE');
+  game.step();
+  assert.ok(cameraRig.lockOnTarget);
+
+  // ...and so does walking away
+  assert.ok(game.walkTo(new Vector3(-2, 0, 10)));
+  game.step();
+  assert.equal(game.interactableSystem.conversation, null);
+  assert.equal(cameraRig.lockOnTarget, null, 'released out of range');
+
+  // Ringing the bell is an interaction, not a conversation
+  assert.ok(game.walkTo(new Vector3(3, 0, -0.8), { tolerance: 0.4 }));
+  game.input.press('KeyE');
+  game.step();
+  assert.equal(game.hud.status, 'The town heard you.');
+  assert.equal(cameraRig.lockOnTarget, null);
+
+  game.dispose();
+});
+
+test('camera options are saved player settings that tuning presets leave alone', async () => {
+  const game = await createGame();
+  const { cameraRig } = game;
+  const saved = new Map();
+  const storage = {
+    getItem: (key) => saved.get(key) ?? null,
+    setItem: (key, value) => saved.set(key, value),
+    removeItem: (key) => saved.delete(key),
+  };
+  const settings = new PlayerSettings({ camera: cameraRig }, { storage }).init();
+  assert.deepEqual(settings.getValues(), { zoom: true, autoRecenter: false, lockOn: true, reducedMotion: false });
+
+  settings.set('autoRecenter', true);
+  settings.set('zoom', false);
+  assert.equal(cameraRig.autoRecenterEnabled, true);
+  assert.throws(() => settings.set('bloom', true), /Unknown setting/);
+
+  // A new session picks them up; debug presets (even old ones that held these toggles) don't touch them
+  cameraRig.autoRecenterEnabled = false;
+  cameraRig.zoomEnabled = true;
+  saved.set('thornvale.tuning', JSON.stringify({
+    active: 'Old',
+    presets: { Old: { 'camera.distance': 6, 'camera.zoomEnabled': true, 'camera.autoRecenterEnabled': false } },
+  }));
+  new PlayerSettings({ camera: cameraRig }, { storage }).init();
+  const tuning = new TuningPresets({ motor: game.motor, player: game.playerController, camera: cameraRig }, { storage }).init();
+  assert.equal(tuning.getLabel(), 'Old');
+  assert.equal(cameraRig.distance, 6);
+  tuning.loadPreset('Default');
+  assert.equal(cameraRig.autoRecenterEnabled, true);
+  assert.equal(cameraRig.zoomEnabled, false);
+
+  settings.resetDefaults();
+  assert.equal(saved.has('thornvale.settings'), false);
+  assert.equal(cameraRig.zoomEnabled, true);
+
+  game.dispose();
+});
+
+test('reduced motion follows the OS until chosen, and the choice outlasts reloads and presets', async () => {
+  const game = await createGame();
+  const { cameraRig, cameraEffects } = game;
+  const saved = new Map();
+  const storage = {
+    getItem: (key) => saved.get(key) ?? null,
+    setItem: (key, value) => saved.set(key, value),
+    removeItem: (key) => saved.delete(key),
+  };
+  let osReduce = true;
+  const matchMedia = (query) => ({ matches: query === '(prefers-reduced-motion: reduce)' && osReduce });
+  const targets = { motor: game.motor, player: game.playerController, camera: cameraRig };
+
+  // Nothing saved: the OS setting decides, without being saved as a choice
+  const settings = new PlayerSettings({ camera: cameraRig }, { storage, matchMedia }).init();
+  assert.equal(cameraEffects.reducedMotion, true);
+  assert.equal(saved.has('thornvale.settings'), false);
+
+  // The player turns it off; a reload keeps that over the OS setting
+  settings.set('reducedMotion', false);
+  new PlayerSettings({ camera: cameraRig }, { storage, matchMedia }).init();
+  assert.equal(cameraEffects.reducedMotion, false);
+
+  // ...and on again with the OS off; a preset saved with the old toggle can't switch it back
+  osReduce = false;
+  settings.set('reducedMotion', true);
+  saved.set('thornvale.tuning', JSON.stringify({ active: 'Shaky', presets: { Shaky: { 'camera.effects.reducedMotion': false } } }));
+  cameraEffects.reducedMotion = false;
+  new PlayerSettings({ camera: cameraRig }, { storage, matchMedia }).init();
+  assert.equal(cameraEffects.reducedMotion, true, 'stored preference survives init()');
+  const tuning = new TuningPresets(targets, { storage }).init();
+  tuning.loadPreset('Shaky');
+  tuning.loadPreset('Default');
+  assert.equal(cameraEffects.reducedMotion, true, 'loadPreset leaves it alone');
+  assert.equal(tuning.getParam('camera.effects.reducedMotion'), null);
+
+  // Resetting goes back to following the OS
+  settings.resetDefaults();
+  assert.equal(cameraEffects.reducedMotion, false);
+
+  game.dispose();
+});
+
+test('named camera effects layer FOV, tilt and shake, and reduced motion tones them down', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const { cameraEffects, camera, cameraRig } = game;
+  const baseFov = cameraRig.fov;
+  assert.throws(() => cameraEffects.play('nope'), /Unknown effect/);
+
+  cameraEffects.play('anomaly');
+  game.runFor(1.5);
+  assert.ok(Math.abs(camera.fov - (baseFov - 12)) < 0.5, `pushed in to ${camera.fov.toFixed(1)}`);
+  assert.ok(cameraEffects.tilt > 0.04, 'leaning');
+  game.runFor(4);
+  assert.equal(camera.fov, baseFov, 'FOV restored');
+  assert.equal(cameraEffects.layers.length, 0);
+
+  // Shake moves a posed camera; reduced motion keeps it still and caps FOV changes
+  const probe = camera.clone();
+  cameraEffects.addTrauma(1);
+  cameraEffects.apply(probe);
+  assert.ok(probe.position.distanceTo(camera.position) > 0.01, 'shaken');
+
+  cameraEffects.reducedMotion = true;
+  const still = camera.clone();
+  cameraEffects.apply(still);
+  assert.ok(still.position.equals(camera.position) && still.quaternion.equals(camera.quaternion), 'no shake');
+  cameraEffects.play('anomaly');
+  game.runFor(1.5);
+  assert.ok(camera.fov >= baseFov - cameraEffects.reducedMotionMaxFov - 0.01, 'FOV change capped');
+  assert.equal(cameraEffects.tilt, 0, 'no tilt');
+
+  game.dispose();
+});
+
+test('sprinting widens the view and landings shake it', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  const { cameraEffects, cameraRig, camera } = game;
+
+  game.faceTowards(new Vector3(35, 0, 45));
+  game.input.hold('forward');
+  game.input.hold('sprint');
+  game.runFor(1);
+  assert.ok(cameraEffects.isPlaying('sprint'));
+  assert.ok(camera.fov > cameraRig.fov + 4, `sprint FOV ${camera.fov.toFixed(1)}`);
+  game.input.releaseAll();
+  game.runFor(1.5);
+  assert.equal(cameraEffects.isPlaying('sprint'), false);
+  assert.equal(camera.fov, cameraRig.fov);
+
+  game.playerController.teleport(new Vector3(35, 12, 25));
+  assert.ok(game.runUntil(() => cameraEffects.layers.some((layer) => layer.name === 'hardLanding'), 4));
+  assert.ok(cameraEffects.trauma > 0.3, 'shaking after a hard landing');
+
+  game.dispose();
+});
+
+test('ringing the bell at night plays the rail cutscene and hands control back', async () => {
+  const game = await createGame();
+  const { cameraEffects, cameraRig, motor } = game;
+  game.dayNightSystem.toggle();
+
+  assert.ok(game.walkTo(new Vector3(3, 0, -0.8), { tolerance: 0.4 }));
+  game.input.press('KeyE');
+  game.step();
+  assert.equal(cameraEffects.isPlayingRail(), true);
+  assert.equal(cameraRig.getActiveEntry().name, 'rail_bell_night');
+  assert.ok(cameraEffects.isPlaying('anomaly'));
+
+  game.runFor(0.5);
+  const start = game.getPosition();
+  game.input.hold('forward');
+  game.runFor(1.5);
+  assert.ok(motor.isControlLocked(), 'cutscene holds the player');
+  assert.ok(game.getPosition().distanceTo(start) < 0.2, 'player stayed put');
+  const railPosition = game.camera.position.clone();
+  game.runFor(1);
+  assert.ok(game.camera.position.distanceTo(railPosition) > 1, 'camera travels the rail');
+
+  assert.ok(game.runUntil(() => !cameraEffects.isPlayingRail(), 4), 'rail finished');
+  game.runFor(1.5);
+  assert.equal(cameraRig.getMode(), 'orbit');
+  assert.equal(motor.isControlLocked(), false);
+  game.input.releaseAll();
+
+  game.dispose();
+});
+
+test('rebound keys drive actions, conflicts are caught and changes persist', async () => {
+  const saved = new Map();
+  const storage = {
+    getItem: (key) => saved.get(key) ?? null,
+    setItem: (key, value) => saved.set(key, value),
+    removeItem: (key) => saved.delete(key),
+  };
+  const bindings = new InputBindings({ storage }).init();
+  assert.equal(bindings.getActionForCode('KeyE'), 'interact');
+
+  // AZERTY player: interact on F (taken by free-fly until moved), forward on Z
+  assert.throws(() => bindings.bind('interact', 0, 'KeyF'), /F is already bound to Free-fly camera/);
+  bindings.bind('interact', 0, 'KeyF', { replace: true });
+  assert.deepEqual(bindings.getBindings('freeFly'), []);
+  bindings.bind('forward', 0, 'KeyZ');
+  assert.equal(bindings.getActionForCode('KeyE'), null);
+  bindings.setKeyLabels([['KeyF', 'f']]);
+  assert.equal(bindings.getActionLabel('interact'), 'F');
+
+  // A new session picks the changes up
+  const restored = new InputBindings({ storage }).init();
+  assert.deepEqual(restored.getBindings('interact'), ['KeyF']);
+  assert.deepEqual(restored.getBindings('forward'), ['KeyZ', 'ArrowUp']);
+  assert.equal(restored.isDefault('jump'), true);
+
+  const game = await createGame({ bindings: restored });
+  const ledger = game.interactableSystem.interactables.find((item) => item.id === 'ledger');
+  assert.ok(game.walkTo(new Vector3(-2, 0, 4.2), { tolerance: 0.4 }));
+  assert.equal(game.hud.prompt, `Press F — ${ledger.prompt}`);
+  game.input.press('KeyE');
+  game.step();
+  assert.equal(game.gameState.kindnessCount, 0, 'old key does nothing');
+  game.input.press('KeyF');
+  game.step();
+  assert.equal(game.gameState.kindnessCount, 1);
+
+  restored.resetDefaults();
+  assert.equal(saved.size, 0);
+  assert.equal(restored.getActionForCode('KeyE'), 'interact');
+  game.dispose();
+});
+
+test('key bindings saved before gamepad support still load', () => {
+  // Older saves were a flat action -> key codes map, without the keys / pad split
+  const saved = new Map([['thornvale.bindings', JSON.stringify({ interact: ['KeyF'], freeFly: [] })]]);
+  const storage = {
+    getItem: (key) => saved.get(key) ?? null,
+    setItem: (key, value) => saved.set(key, value),
+    removeItem: (key) => saved.delete(key),
+  };
+  const bindings = new InputBindings({ storage }).init();
+  assert.deepEqual(bindings.getBindings('interact'), ['KeyF']);
+  assert.deepEqual(bindings.getBindings('freeFly'), []);
+  assert.equal(bindings.getPadBinding('interact'), 'GamepadX', 'pad keeps its default');
+  assert.equal(bindings.isDefault('jump'), true);
+
+  // The next change rewrites it in the current format
+  bindings.bind('jump', 1, 'KeyJ');
+  const rewritten = JSON.parse(saved.get('thornvale.bindings'));
+  assert.deepEqual(rewritten.keys.interact, ['KeyF']);
+  assert.equal(rewritten.pad.interact, 'GamepadX');
+});
+
+test('partial stick deflection walks, and further out blends up to a jog', async () => {
+  const game = await createGame({ spawnPoint: new Vector3(35, 1, 25) });
+  game.faceTowards(new Vector3(35, 0, 45));
+  const speedAt = (deflection) => {
+    game.input.setStick(0, -deflection);
+    game.runFor(1);
+    const { x, z } = game.motor.velocity;
+    return { gait: game.motor.gait, speed: Math.hypot(x, z) };
+  };
+
+  const { walk, jog } = game.motor.gaits;
+  const creep = speedAt(0.3);
+  assert.equal(creep.gait, 'walk');
+  assert.ok(Math.abs(creep.speed - walk.maxSpeed * 0.6) < 0.15, `creeping at ${creep.speed.toFixed(2)}`);
+  const stroll = speedAt(0.75);
+  assert.equal(stroll.gait, 'jog');
+  assert.ok(Math.abs(stroll.speed - (walk.maxSpeed + jog.maxSpeed) / 2) < 0.2, `between walk and jog at ${stroll.speed.toFixed(2)}`);
+  const run = speedAt(1);
+  assert.ok(Math.abs(run.speed - jog.maxSpeed) < 0.2, `full jog at ${run.speed.toFixed(2)}`);
+
+  game.input.setStick(0, 0);
+  game.dispose();
+});
+
+test('gamepad buttons use the action map, sticks move and look, and prompts show pad glyphs', async () => {
+  const button = (pressed = false) => ({ pressed, value: pressed ? 1 : 0 });
+  const pad = {
+    id: 'DualSense Wireless Controller (STANDARD GAMEPAD Vendor: 054c Product: 0ce6)',
+    connected: true,
+    axes: [0, 0, 0, 0],
+    buttons: Array.from({ length: 17 }, () => button()),
+  };
+  let pads = [];
+  const input = new InputManager(new InputBindings({ storage: null }), { getGamepads: () => pads });
+  const connections = [];
+  input.onGamepadChange = (connected) => connections.push(connected);
+
+  const game = await createGame({ spawnPoint: new Vector3(-2, 1, 4.2), input });
+  const ledger = game.interactableSystem.interactables.find((item) => item.id === 'ledger');
+  assert.equal(game.hud.prompt, `Press E — ${ledger.prompt}`);
+
+  // Hot-plug a PlayStation pad: glyphs switch once it's used
+  pads = [null, pad];
+  pad.axes[0] = 0.1; // Resting drift inside the dead zone
+  game.step();
+  assert.deepEqual(connections, [true]);
+  assert.equal(input.lastDevice, 'keyboard', 'drift is not input');
+  assert.equal(input.getMovementInput().x, 0);
+
+  pad.buttons[2] = button(true); // Square: interact
+  game.step();
+  assert.equal(game.gameState.kindnessCount, 1);
+  assert.equal(input.lastDevice, 'gamepad');
+  assert.equal(game.hud.prompt, `Press □ — ${ledger.prompt}`);
+  pad.buttons[2] = button();
+
+  // Right stick turns the camera, faster the further it's pushed
+  const yaw = game.cameraRig.yaw;
+  pad.axes[2] = 0.5;
+  game.runFor(0.5);
+  const slowTurn = Math.abs(game.cameraRig.yaw - yaw);
+  pad.axes[2] = 1;
+  game.runFor(0.5);
+  const fastTurn = Math.abs(game.cameraRig.yaw - yaw) - slowTurn;
+  assert.ok(slowTurn > 0.05 && fastTurn > slowTurn * 3, `turned ${slowTurn.toFixed(2)} then ${fastTurn.toFixed(2)}`);
+  pad.axes[2] = 0;
+
+  // Left stick walks; Cross held jumps; unplugging lets go of everything
+  const start = game.getPosition();
+  pad.axes[1] = -1;
+  game.runFor(0.5);
+  assert.ok(game.getPosition().distanceTo(start) > 1, 'stick moved the player');
+  pad.buttons[0] = button(true);
+  game.step();
+  assert.equal(input.keys.jump, true);
+  pads = [];
+  game.step();
+  assert.deepEqual(connections, [true, false]);
+  assert.equal(input.keys.jump, false);
+  assert.equal(input.getMovementInput().z, 0);
+
+  game.dispose();
+});
+
+test('touch joystick moves, right-half drags look and on-screen buttons act', async () => {
+  const input = new InputManager(new InputBindings({ storage: null }), { getGamepads: () => [] });
+  const { touch } = input;
+  touch.width = 800;
+
+  const game = await createGame({ spawnPoint: new Vector3(-2, 1, 4.2), input });
+  const ledger = game.interactableSystem.interactables.find((item) => item.id === 'ledger');
+
+  // Use button
+  touch.handlePointerDown(1, 700, 300, 'interact');
+  game.step();
+  touch.handlePointerUp(1);
+  assert.equal(game.gameState.kindnessCount, 1);
+  assert.equal(input.lastDevice, 'touch');
+  assert.equal(game.hud.prompt, `Press Use — ${ledger.prompt}`);
+
+  // Drag on the right half turns the camera; the left half never looks
+  const yaw = game.cameraRig.yaw;
+  touch.handlePointerDown(2, 600, 300);
+  touch.handlePointerMove(2, 700, 300);
+  game.step();
+  touch.handlePointerUp(2);
+  assert.ok(Math.abs(game.cameraRig.yaw - yaw + 100 * touch.lookSensitivity) < 1e-6, 'dragged right looks right');
+
+  // Thumb on the left half: half a push creeps, the rim runs, letting go stops
+  touch.handlePointerDown(3, 150, 400);
+  touch.handlePointerMove(3, 150, 400 - touch.stickRadius * 0.3);
+  game.runFor(1);
+  assert.equal(game.motor.gait, 'walk');
+  touch.handlePointerMove(3, 150, 400 - touch.stickRadius * 2);
+  assert.ok(Math.abs(touch.stick.y + touch.stickRadius) < 1e-6, 'knob stays in the ring');
+  game.runFor(1);
+  assert.equal(game.motor.gait, 'jog');
+
+  // A second finger on Jump while the thumb keeps steering
+  touch.handlePointerDown(4, 760, 500, 'jump');
+  game.step();
+  assert.equal(input.keys.jump, true);
+  assert.ok(input.getMovementInput().z < -0.9, 'still steering');
+  touch.releaseAll();
+  game.step();
+  assert.equal(input.keys.jump, false);
+  assert.equal(input.getMovementInput().z, 0);
+
+  game.dispose();
+});